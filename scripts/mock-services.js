@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+/**
+ * mock-services.js
+ *
+ * Local stand-in for the MCP services and the LLM WebSocket backend, so the
+ * main process (runPromptThroughStateGraph, cron runs, the OAuth pre-flight
+ * path, the bridge listener) can run without any network.
+ *
+ *   user-memory   :3001   POST /<action>, mcp.v1 envelope
+ *   web-search    :3002
+ *   conversation  :3004
+ *   command       :3007   also the plain-JSON endpoints (/skill.fire, …)
+ *   llm           :4000   WebSocket /ws/stream — llm_request → llm_stream_* messages
+ *
+ * Responses come from a fixture file (a "cassette"):
+ *
+ *   {
+ *     "version": 1,
+ *     "interactions": [
+ *       { "service": "user-memory", "action": "skill.list", "request": { … payload … },
+ *         "response": { "status": 200, "body": { "success": true, "data": { "results": [] } } } },
+ *       { "service": "command", "action": "command.automate", "match": { "skill": "browser.agent" },
+ *         "stream": [ { "event": "progress", "data": { "type": "agent:turn", "turn": 1 } },
+ *                     { "event": "result",   "data": { "success": true, "data": { "ok": true } } } ] },
+ *       { "service": "llm", "action": "llm_request", "match": { "prompt": "hello" },
+ *         "messages": [ { "type": "llm_stream_chunk", "payload": { "text": "Hi!" } },
+ *                       { "type": "llm_stream_end" } ] }
+ *     ]
+ *   }
+ *
+ * An interaction is picked by service + action, then by payload: `match` is a
+ * subset the payload must contain, `request` must equal it (requestId and
+ * timestamps ignored), neither matches anything. Each interaction is served
+ * once, in file order; when they run out the last matching one repeats. With
+ * no fixture at all a canned success is returned, or 501 with --strict.
+ * `delayMs` on an interaction delays its response (for timeout/abort runs).
+ *
+ * --record proxies every request to the real services (ports from
+ * serviceRegistry, WEBSOCKET_URL for the LLM) and appends what they answered
+ * to the fixture file. Run the mock on other ports (--port-offset) so it
+ * doesn't collide with the services it records.
+ *
+ * Point ThinkDrop at the mock with --registry <file>: it writes a services.json
+ * routing every service to the mock, and prints the environment to start with:
+ *
+ *   THINKDROP_SERVICES_FILE=<file> WEBSOCKET_URL=ws://127.0.0.1:4000/ws/stream BASE_API_KEY=mock yarn dev
+ *
+ * Usage:
+ *   node scripts/mock-services.js [--fixtures <file>] [--record] [--strict]
+ *                                 [--port-offset <n>] [--registry <file>] [--quiet]
+ *
+ * Or from a script:
+ *   const { startMockServices } = require('./scripts/mock-services');
+ *   const mock = await startMockServices({ fixtures, portOffset: 100 });
+ *   mock.stub('user-memory', 'skill.get', (payload) => ({ success: true, data: { … } }));
+ *   … drive the main process …
+ *   mock.calls;          // every request served, in order
+ *   await mock.stop();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const SERVICE_PORTS = {
+  'user-memory':  3001,
+  'web-search':   3002,
+  'conversation': 3004,
+  'command':      3007,
+};
+const LLM_PORT = 4000;
+const LLM_PATH = '/ws/stream';
+
+// Payload fields that differ on every run and never decide a match
+const VOLATILE_KEYS = new Set(['requestId', 'timestamp', 'ts', 'clientId']);
+const LLM_END_TYPES = new Set(['llm_stream_end', 'done', 'error', 'llm_error']);
+
+// ── Fixtures ─────────────────────────────────────────────────────────────────
+
+function loadFixtures(file) {
+  if (!file || !fs.existsSync(file)) return { version: 1, interactions: [] };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || !Array.isArray(data.interactions)) throw new Error(`${file}: expected { "interactions": [...] }`);
+  return data;
+}
+
+function saveFixtures(file, cassette) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cassette, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function _canonical(value) {
+  if (Array.isArray(value)) return value.map(_canonical);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    if (!VOLATILE_KEYS.has(key)) out[key] = _canonical(value[key]);
+  }
+  return out;
+}
+
+function _isSubset(expected, actual) {
+  if (expected === actual) return true;
+  if (!expected || typeof expected !== 'object' || !actual || typeof actual !== 'object') return false;
+  return Object.keys(expected).every(k => _isSubset(expected[k], actual[k]));
+}
+
+function _matches(interaction, payload) {
+  if (interaction.match) return _isSubset(interaction.match, payload);
+  if (interaction.request !== undefined) {
+    return JSON.stringify(_canonical(interaction.request)) === JSON.stringify(_canonical(payload));
+  }
+  return true;
+}
+
+// ── Defaults ─────────────────────────────────────────────────────────────────
+
+/** Canned answer when no fixture or stub covers a request. */
+function _defaultBody(service, action, envelope) {
+  if (!envelope) return { ok: true, mock: true };
+  let data = {};
+  if (/\.(list|search\w*|find\w*)$/.test(action)) data = { results: [] };
+  else if (action === 'command.automate') data = { ok: true, answer: '', skillResults: [] };
+  return { success: true, data };
+}
+
+function _defaultLlmMessages(payload) {
+  const text = `Mock answer for: ${String((payload && payload.prompt) || '').slice(0, 200)}`;
+  return [
+    { type: 'llm_stream_start' },
+    { type: 'llm_stream_chunk', text, payload: { text } },
+    { type: 'llm_stream_end', payload: { fullText: text } },
+  ];
+}
+
+// ── Stream parsing (record mode) ─────────────────────────────────────────────
+
+function _parseStream(raw, contentType) {
+  const events = [];
+  if (contentType.includes('text/event-stream')) {
+    for (const block of raw.split(/\r?\n\r?\n/)) {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (!data.length) continue;
+      try { events.push({ event, data: JSON.parse(data.join('\n')) }); } catch (_) { /* not JSON — skip */ }
+    }
+  } else {
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try { events.push(JSON.parse(line)); } catch (_) { /* partial line — skip */ }
+    }
+  }
+  return events;
+}
+
+// ── Server ───────────────────────────────────────────────────────────────────
+
+/**
+ * Start the mock services.
+ *
+ * @param {Object}  [opts]
+ * @param {string}  [opts.fixtures]     Fixture file to replay from (and record into)
+ * @param {boolean} [opts.record]       Proxy to the real services and record their answers
+ * @param {boolean} [opts.strict]       501 for requests no fixture or stub covers
+ * @param {number}  [opts.portOffset]   Added to every default port
+ * @param {Object}  [opts.ports]        Explicit ports, 0 for any free one: { 'user-memory': 0, llm: 0, … }
+ * @param {Object}  [opts.upstream]     Record-mode targets: { 'user-memory': 'http://…', llm: 'ws://…' }
+ * @param {boolean} [opts.quiet]
+ * @returns {Promise<{ urls: Object<string, string>, llmUrl: string|null, calls: Object[],
+ *   stub: Function, reset: Function, writeRegistry: Function, stop: () => Promise<void> }>}
+ */
+async function startMockServices(opts = {}) {
+  const {
+    fixtures = null,
+    record = false,
+    strict = false,
+    portOffset = 0,
+    ports = {},
+    upstream = {},
+    quiet = false,
+  } = opts;
+  const log = quiet ? () => {} : (...args) => console.log('[MockServices]', ...args);
+
+  const cassette = loadFixtures(fixtures);
+  const used = new Set();
+  const stubs = new Map();
+  const calls = [];
+  const servers = [];
+  const urls = {};
+  let llmUrl = null;
+  let wss = null;
+
+  if (record && !fixtures) throw new Error('--record needs a fixtures file to write to');
+
+  function upstreamUrl(service) {
+    if (upstream[service]) return upstream[service].replace(/\/+$/, '');
+    return require('../src/main/serviceRegistry').url(service);
+  }
+
+  function select(service, action, payload) {
+    const candidates = cassette.interactions.filter(i => i.service === service && i.action === action && _matches(i, payload));
+    if (!candidates.length) return null;
+    const next = candidates.find(i => !used.has(i)) || candidates[candidates.length - 1];
+    used.add(next);
+    return next;
+  }
+
+  function addInteraction(interaction) {
+    cassette.interactions.push(interaction);
+    used.add(interaction);
+    try {
+      saveFixtures(fixtures, cassette);
+    } catch (err) {
+      console.warn('[MockServices] Failed to save fixtures:', err.message);
+    }
+  }
+
+  // ── HTTP services ──────────────────────────────────────────────────────────
+
+  function sendJson(res, status, body) {
+    const text = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+    res.end(text);
+  }
+
+  function withRequestId(body, requestId) {
+    if (!requestId || !body || typeof body !== 'object' || Array.isArray(body)) return body;
+    return 'requestId' in body || 'success' in body ? { ...body, requestId } : body;
+  }
+
+  function replay(res, service, action, call, envelope, wantsStream) {
+    const stub = stubs.get(`${service}/${action}`);
+    const hit = stub ? null : select(service, action, call.payload);
+    let entry;
+    if (stub) {
+      const out = typeof stub === 'function' ? stub(call.payload, call) : stub;
+      entry = out && (out.body !== undefined || out.stream) ? out : { body: out };
+      call.source = 'stub';
+    } else if (hit) {
+      entry = { status: (hit.response && hit.response.status) || 200, body: hit.response && hit.response.body, stream: hit.stream, delayMs: hit.delayMs };
+      call.source = 'fixture';
+    } else if (strict) {
+      call.source = 'missing';
+      log(`No fixture for ${service}.${action}`);
+      return sendJson(res, 501, { version: 'mcp.v1', service, requestId: call.requestId, success: false, error: `No mock fixture for ${service}.${action}` });
+    } else {
+      entry = { body: _defaultBody(service, action, envelope) };
+      call.source = 'default';
+    }
+
+    const respond = () => {
+      if (res.destroyed) return;
+      if (entry.stream) {
+        const events = entry.stream;
+        if (!wantsStream) {
+          const result = events.find(e => e.event === 'result');
+          return sendJson(res, entry.status || 200, withRequestId(result ? result.data : {}, call.requestId));
+        }
+        res.writeHead(entry.status || 200, { 'Content-Type': 'application/x-ndjson' });
+        for (const evt of events) {
+          const data = evt.event === 'result' ? withRequestId(evt.data, call.requestId) : evt.data;
+          res.write(JSON.stringify({ event: evt.event, data }) + '\n');
+        }
+        return res.end();
+      }
+      sendJson(res, entry.status || 200, withRequestId(entry.body, call.requestId));
+    };
+    if (entry.delayMs) setTimeout(respond, entry.delayMs);
+    else respond();
+  }
+
+  function proxy(req, res, service, action, call, raw) {
+    const target = new URL(`${upstreamUrl(service)}${req.url}`);
+    const headers = { ...req.headers, host: target.host };
+    const upReq = http.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.pathname + target.search,
+      method: req.method,
+      headers,
+    }, (upRes) => {
+      res.writeHead(upRes.statusCode, upRes.headers);
+      const chunks = [];
+      upRes.on('data', (c) => { chunks.push(c); res.write(c); });
+      upRes.on('end', () => {
+        res.end();
+        const text = Buffer.concat(chunks).toString('utf8');
+        const contentType = String(upRes.headers['content-type'] || '');
+        const interaction = { service, action, request: call.payload };
+        if (/ndjson|jsonl|event-stream/.test(contentType)) {
+          interaction.stream = _parseStream(text, contentType);
+        } else {
+          let body = text;
+          try { body = JSON.parse(text); } catch (_) { /* keep raw text */ }
+          interaction.response = { status: upRes.statusCode, body };
+        }
+        addInteraction(interaction);
+        log(`Recorded ${service}.${action} (${upRes.statusCode})`);
+      });
+    });
+    upReq.on('error', (err) => {
+      log(`Upstream ${service} failed: ${err.message}`);
+      sendJson(res, 502, { version: 'mcp.v1', service, requestId: call.requestId, success: false, error: `Upstream error: ${err.message}` });
+    });
+    upReq.end(raw);
+    call.source = 'recorded';
+  }
+
+  function serviceHandler(service) {
+    return (req, res) => {
+      const urlPath = req.url.split('?')[0];
+      if (req.method === 'GET' && /\/(service\.)?health$/.test(urlPath)) {
+        return sendJson(res, 200, { status: 'ok', service, mock: true });
+      }
+      let raw = '';
+      req.on('data', (c) => { raw += c; });
+      req.on('end', () => {
+        let body = {};
+        try { body = raw ? JSON.parse(raw) : {}; } catch (_) {
+          return sendJson(res, 400, { success: false, error: 'Invalid JSON' });
+        }
+        const envelope = body && body.version === 'mcp.v1';
+        const action = (envelope && body.action) || urlPath.replace(/^\/+/, '');
+        const call = {
+          service,
+          action,
+          payload: envelope ? body.payload || {} : body,
+          requestId: envelope ? body.requestId || null : null,
+          traceparent: req.headers['traceparent'] || null,
+          at: Date.now(),
+        };
+        calls.push(call);
+        if (record) return proxy(req, res, service, action, call, raw);
+        replay(res, service, action, call, envelope, envelope && body.stream === true);
+        log(`${service}.${action} → ${call.source}`);
+      });
+    };
+  }
+
+  function listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  try {
+    for (const [service, defaultPort] of Object.entries(SERVICE_PORTS)) {
+      const server = http.createServer(serviceHandler(service));
+      servers.push(server);
+      const port = await listen(server, service in ports ? ports[service] : defaultPort + portOffset);
+      urls[service] = `http://127.0.0.1:${port}`;
+    }
+
+    // ── LLM WebSocket ────────────────────────────────────────────────────────
+    let WebSocket = null;
+    try { WebSocket = require('ws'); } catch (_) {
+      console.warn('[MockServices] "ws" is not installed — LLM stream mock disabled');
+    }
+    if (WebSocket) {
+      const llmServer = http.createServer((_req, res) => sendJson(res, 404, { error: 'WebSocket only' }));
+      servers.push(llmServer);
+      wss = new WebSocket.Server({ server: llmServer, path: LLM_PATH });
+      wss.on('connection', (client, req) => {
+        const pending = new Map();
+        let up = null;
+        const backlog = [];
+        if (record) {
+          const target = new URL(upstream.llm || process.env.WEBSOCKET_URL || `ws://localhost:${LLM_PORT}${LLM_PATH}`);
+          target.search = new URL(req.url, 'ws://mock').search;
+          up = new WebSocket(target.toString());
+          up.on('open', () => { while (backlog.length) up.send(backlog.shift()); });
+          up.on('message', (data) => {
+            if (client.readyState === WebSocket.OPEN) client.send(data.toString());
+            let msg;
+            try { msg = JSON.parse(data.toString()); } catch (_) { return; }
+            const entry = msg && pending.get(msg.id);
+            if (!entry) return;
+            const { id, ...rest } = msg;
+            entry.messages.push(rest);
+            if (LLM_END_TYPES.has(msg.type)) {
+              pending.delete(msg.id);
+              addInteraction({ service: 'llm', action: 'llm_request', request: entry.payload, messages: entry.messages });
+              log(`Recorded llm_request (${entry.messages.length} message(s))`);
+            }
+          });
+          up.on('error', (err) => log(`Upstream LLM failed: ${err.message}`));
+          up.on('close', () => client.close());
+        }
+
+        client.on('message', (data) => {
+          const text = data.toString();
+          let msg;
+          try { msg = JSON.parse(text); } catch (_) { return; }
+          if (record) {
+            if (msg.type === 'llm_request') pending.set(msg.id, { payload: msg.payload || {}, messages: [] });
+            if (up.readyState === WebSocket.OPEN) up.send(text);
+            else backlog.push(text);
+            return;
+          }
+          if (msg.type !== 'llm_request') return;
+
+          const payload = msg.payload || {};
+          const call = { service: 'llm', action: 'llm_request', payload, requestId: msg.id || null, at: Date.now() };
+          calls.push(call);
+          const stub = stubs.get('llm/llm_request');
+          const hit = stub ? null : select('llm', 'llm_request', payload);
+          let messages;
+          if (stub) {
+            messages = typeof stub === 'function' ? stub(payload, call) : stub;
+            call.source = 'stub';
+          } else if (hit) {
+            messages = hit.messages || [];
+            call.source = 'fixture';
+          } else if (strict) {
+            messages = [{ type: 'error', payload: { message: 'No mock fixture for llm_request' } }];
+            call.source = 'missing';
+          } else {
+            messages = _defaultLlmMessages(payload);
+            call.source = 'default';
+          }
+          log(`llm_request → ${call.source}`);
+
+          const gap = (hit && hit.chunkDelayMs) || 0;
+          messages.forEach((m, idx) => {
+            const send = () => {
+              if (client.readyState === WebSocket.OPEN) client.send(JSON.stringify({ ...m, id: msg.id, timestamp: Date.now() }));
+            };
+            if (gap) setTimeout(send, gap * (idx + 1));
+            else send();
+          });
+        });
+        client.on('close', () => { if (up) up.close(); });
+      });
+      const port = await listen(llmServer, 'llm' in ports ? ports.llm : LLM_PORT + portOffset);
+      llmUrl = `ws://127.0.0.1:${port}${LLM_PATH}`;
+    }
+  } catch (err) {
+    for (const server of servers) server.close();
+    throw err;
+  }
+
+  log(`${record ? 'Recording' : 'Replaying'} ${fixtures ? path.basename(fixtures) : '(no fixtures)'} — ${cassette.interactions.length} interaction(s)${strict ? ', strict' : ''}`);
+
+  return {
+    urls,
+    llmUrl,
+    calls,
+
+    /**
+     * Answer service/action with `response` (a body, { status, body },
+     * { stream: [...] }, or for 'llm' a message list) — or a function of the
+     * payload returning one. Takes precedence over fixtures.
+     */
+    stub(service, action, response) {
+      stubs.set(`${service}/${action}`, response);
+    },
+
+    /** Forget served fixtures, stubs and the call log. */
+    reset() {
+      used.clear();
+      stubs.clear();
+      calls.length = 0;
+    },
+
+    /** Write a services.json that routes every mocked service here. */
+    writeRegistry(file) {
+      const services = {};
+      for (const [name, url] of Object.entries(urls)) services[name] = { url, auth: 'none' };
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ version: 1, services }, null, 2) + '\n', 'utf8');
+      return file;
+    },
+
+    stop() {
+      if (wss) {
+        for (const client of wss.clients) client.terminate();
+        wss.close();
+      }
+      return Promise.all(servers.map(s => new Promise(resolve => s.close(() => resolve())))).then(() => {});
+    },
+  };
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const args = { record: false, strict: false, quiet: false, portOffset: 0, fixtures: null, registry: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') args.record = true;
+    else if (arg === '--strict') args.strict = true;
+    else if (arg === '--quiet') args.quiet = true;
+    else if (arg === '--fixtures') args.fixtures = argv[++i];
+    else if (arg === '--registry') args.registry = argv[++i];
+    else if (arg === '--port-offset') args.portOffset = parseInt(argv[++i], 10) || 0;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node scripts/mock-services.js [--fixtures <file>] [--record] [--strict] [--port-offset <n>] [--registry <file>] [--quiet]');
+    return;
+  }
+  const mock = await startMockServices(args);
+  for (const [name, url] of Object.entries(mock.urls)) console.log(`  ${name.padEnd(13)} ${url}`);
+  if (mock.llmUrl) console.log(`  ${'llm'.padEnd(13)} ${mock.llmUrl}`);
+  if (args.registry) {
+    const file = path.resolve(mock.writeRegistry(args.registry));
+    console.log('\nStart ThinkDrop against the mock with:');
+    console.log(`  THINKDROP_SERVICES_FILE=${file}${mock.llmUrl ? ` WEBSOCKET_URL=${mock.llmUrl}` : ''} BASE_API_KEY=mock yarn dev\n`);
+  }
+
+  const shutdown = () => {
+    mock.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('[MockServices]', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockServices, loadFixtures, saveFixtures, SERVICE_PORTS, LLM_PORT };
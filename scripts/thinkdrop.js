@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+/**
+ * thinkdrop.js — Command-line client for the running app
+ *
+ * Talks to the local automation API (src/main/localApi.js) of a running
+ * ThinkDrop instance. The URL, socket path and token come from the discovery
+ * file the app writes at startup (~/.thinkdrop/.local-api.json); the Unix
+ * socket is used when the app offers one.
+ *
+ *   thinkdrop ask <prompt…>          submit a prompt and stream the answer to stdout
+ *     --stdin                        send stdin as the prompt's selectedText
+ *     --priority <p>                 interactive | normal | background
+ *     --detach                       print the queue id and exit without waiting
+ *     --json                         print the archived result record instead of streaming
+ *     --timeout <s>                  stop waiting after s seconds (the prompt keeps running)
+ *     --quiet                        no step progress on stderr
+ *   thinkdrop status                 running / pending / failed counts
+ *   thinkdrop queue                  list prompt queue items
+ *   thinkdrop cancel <id>            cancel a queued or running prompt
+ *   thinkdrop result <id>            print a finished prompt's answer (--json for the record)
+ *   thinkdrop cron                   list cron jobs
+ *   thinkdrop plan                   show the plan awaiting approval (exit 5 when there is one)
+ *   thinkdrop plan approve [file]    run it, streaming like `ask`
+ *   thinkdrop plan reject            dismiss it
+ *
+ * Answer tokens go to stdout; step progress, notices and errors go to stderr,
+ * so `thinkdrop ask … > answer.md` captures only the answer. Ctrl-C while
+ * streaming cancels the prompt.
+ *
+ * Exit codes:
+ *   0    done
+ *   1    the prompt failed
+ *   2    usage error
+ *   3    app not running, or the API refused the request
+ *   4    the prompt was cancelled
+ *   5    a plan is waiting for approval (`thinkdrop plan approve`)
+ *   124  --timeout reached
+ *   130  interrupted (the prompt was cancelled)
+ *
+ * Usage from the repo: `yarn cli ask "…"`, or `yarn link` to put `thinkdrop` on PATH.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const DISCOVERY_PATH = path.join(os.homedir(), '.thinkdrop', '.local-api.json');
+const API_PREFIX = '/api/v1';
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, UNAVAILABLE: 3, CANCELLED: 4, PLAN_PENDING: 5, TIMEOUT: 124, INTERRUPTED: 130 };
+const EXIT_FOR_STATUS = { done: EXIT.OK, error: EXIT.FAILED, cancelled: EXIT.CANCELLED };
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.UNAVAILABLE) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// ── API client ───────────────────────────────────────────────────────────────
+
+function loadDiscovery() {
+  let raw;
+  try {
+    raw = fs.readFileSync(DISCOVERY_PATH, 'utf8');
+  } catch (_) {
+    throw new CliError(`ThinkDrop is not running (no ${DISCOVERY_PATH})`);
+  }
+  try {
+    const d = JSON.parse(raw);
+    if (!d.token || (!d.url && !d.socketPath)) throw new Error('incomplete');
+    return d;
+  } catch (_) {
+    throw new CliError(`Unreadable discovery file ${DISCOVERY_PATH} — restart ThinkDrop`);
+  }
+}
+
+function requestOptions(discovery, method, route) {
+  const headers = { Authorization: `Bearer ${discovery.token}`, Accept: 'application/json' };
+  if (discovery.socketPath && fs.existsSync(discovery.socketPath)) {
+    return { socketPath: discovery.socketPath, path: API_PREFIX + route, method, headers };
+  }
+  if (!discovery.url) throw new CliError(`Socket ${discovery.socketPath} is gone — is ThinkDrop running?`);
+  const url = new URL(discovery.url + route);
+  return { hostname: url.hostname, port: url.port, path: url.pathname + url.search, method, headers };
+}
+
+function connectError(err) {
+  if (['ECONNREFUSED', 'ENOENT', 'ECONNRESET'].includes(err.code)) {
+    return new CliError('ThinkDrop is not running (connection refused)');
+  }
+  return new CliError(err.message);
+}
+
+/**
+ * JSON request to the API. Non-2xx answers throw with the API's error message.
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function api(discovery, method, route, body) {
+  return new Promise((resolve, reject) => {
+    const opts = requestOptions(discovery, method, route);
+    const payload = body === undefined ? null : Buffer.from(JSON.stringify(body));
+    if (payload) {
+      opts.headers['Content-Type'] = 'application/json';
+      opts.headers['Content-Length'] = payload.length;
+    }
+    const req = http.request(opts, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        let parsed = null;
+        try { parsed = JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'); } catch (_) {}
+        if (res.statusCode >= 200 && res.statusCode < 300) return resolve({ status: res.statusCode, body: parsed });
+        const message = parsed && parsed.error ? parsed.error.message : `HTTP ${res.statusCode}`;
+        const err = new CliError(message);
+        err.code = parsed && parsed.error ? parsed.error.code : null;
+        reject(err);
+      });
+    });
+    req.on('error', err => reject(connectError(err)));
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Follow GET /prompts/:id/events. Resolves with the final `end` event.
+ * @param {(event: object) => void} onEvent
+ * @returns {{ done: Promise<object>, abort: () => void }}
+ */
+function streamEvents(discovery, id, onEvent) {
+  let req;
+  const done = new Promise((resolve, reject) => {
+    req = http.request(requestOptions(discovery, 'GET', `/prompts/${encodeURIComponent(id)}/events`), (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new CliError(`Cannot follow ${id} (HTTP ${res.statusCode})`));
+        return;
+      }
+      let buffer = '';
+      let end = null;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let nl;
+        while ((nl = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, nl);
+          buffer = buffer.slice(nl + 1);
+          if (!line.trim()) continue;
+          let event;
+          try { event = JSON.parse(line); } catch (_) { continue; }
+          if (event.type === 'end') end = event;
+          else onEvent(event);
+        }
+      });
+      res.on('end', () => {
+        if (end) resolve(end);
+        else reject(new CliError('Connection to ThinkDrop closed before the prompt finished'));
+      });
+      res.on('error', err => reject(connectError(err)));
+    });
+    req.on('error', err => reject(connectError(err)));
+    req.end();
+  });
+  return { done, abort: () => req.destroy() };
+}
+
+// ── Output ───────────────────────────────────────────────────────────────────
+
+function printJson(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+function notice(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+/** One stderr line per step-level progress event; the rest is noise here. */
+function describeProgress(e) {
+  const label = e.title || e.description || e.skill || e.intent || '';
+  switch (e.type) {
+    case 'planning': return '… planning';
+    case 'plan:step_start': return `▸ step ${e.stepNum}/${e.totalSteps}: ${label}`;
+    case 'step_start': return `▸ ${label}`;
+    case 'step_done':
+    case 'plan:step_done': return `✓ ${label}${e.durationMs ? ` (${(e.durationMs / 1000).toFixed(1)}s)` : ''}`;
+    case 'step_failed': return `✗ ${label}${e.error ? `: ${e.error}` : ''}`;
+    case 'plan:generated': return `plan written to ${e.planFile}`;
+    case 'all_done':
+      return e.savedFilePaths && e.savedFilePaths.length ? `saved: ${e.savedFilePaths.join(', ')}` : null;
+    default: return null;
+  }
+}
+
+function pad(value, width) {
+  const s = String(value == null ? '' : value);
+  return s.length > width ? `${s.slice(0, width - 1)}…` : s.padEnd(width);
+}
+
+function printTable(rows, columns) {
+  if (rows.length === 0) return;
+  process.stdout.write(columns.map(([title, , w]) => pad(title, w)).join('  ').trimEnd() + '\n');
+  for (const row of rows) {
+    process.stdout.write(columns.map(([, get, w]) => pad(get(row), w)).join('  ').trimEnd() + '\n');
+  }
+}
+
+// ── Following a run ──────────────────────────────────────────────────────────
+
+/**
+ * Stream a queue item to completion and map its outcome to an exit code.
+ * @param {object} discovery
+ * @param {string} id
+ * @param {{ json: boolean, quiet: boolean, timeout: number|null }} opts
+ */
+async function follow(discovery, id, opts) {
+  let wroteTokens = false;
+  let lastChar = '\n';
+  const stream = streamEvents(discovery, id, (event) => {
+    if (event.type === 'token') {
+      if (opts.json || !event.text) return;
+      process.stdout.write(event.text);
+      wroteTokens = true;
+      lastChar = event.text[event.text.length - 1];
+    } else if (event.type === 'progress' && !opts.quiet) {
+      const line = describeProgress(event.event || {});
+      if (line) notice(line);
+    }
+  });
+
+  const finishLine = () => {
+    if (wroteTokens && lastChar !== '\n') process.stdout.write('\n');
+  };
+
+  let interrupted = false;
+  const onSigint = () => {
+    if (interrupted) process.exit(EXIT.INTERRUPTED);
+    interrupted = true;
+    notice(`\nCancelling ${id}…`);
+    api(discovery, 'POST', `/prompts/${id}/cancel`).catch(() => {}).finally(() => {
+      stream.abort();
+      finishLine();
+      process.exit(EXIT.INTERRUPTED);
+    });
+  };
+  process.on('SIGINT', onSigint);
+
+  let timer = null;
+  const timedOut = new Promise((resolve) => {
+    if (opts.timeout) timer = setTimeout(() => resolve(null), opts.timeout * 1000);
+  });
+
+  let end;
+  try {
+    end = await Promise.race([stream.done, timedOut]);
+  } finally {
+    clearTimeout(timer);
+    process.removeListener('SIGINT', onSigint);
+  }
+
+  if (!end) {
+    stream.abort();
+    finishLine();
+    notice(`Timed out after ${opts.timeout}s — ${id} is still running (thinkdrop result ${id})`);
+    return EXIT.TIMEOUT;
+  }
+
+  if (opts.json) {
+    const { body } = await api(discovery, 'GET', `/prompts/${id}/result`);
+    printJson({ ...body.result, pendingPlan: end.pendingPlan || null });
+  } else if (!wroteTokens && end.status === 'done') {
+    // Some answers are not streamed token by token — print the archived one
+    const { body } = await api(discovery, 'GET', `/prompts/${id}/result`).catch(() => ({ body: {} }));
+    const answer = body.result && body.result.answer;
+    if (answer) process.stdout.write(answer.endsWith('\n') ? answer : `${answer}\n`);
+  } else {
+    finishLine();
+  }
+
+  if (end.pendingPlan) {
+    notice(`Plan awaiting approval: ${end.pendingPlan.planFile}`);
+    notice('Run `thinkdrop plan approve` to execute it or `thinkdrop plan reject` to dismiss it.');
+    return EXIT.PLAN_PENDING;
+  }
+  if (end.status === 'error') notice(`Failed: ${end.error || 'unknown error'}`);
+  if (end.status === 'cancelled') notice('Cancelled');
+  return EXIT_FOR_STATUS[end.status] != null ? EXIT_FOR_STATUS[end.status] : EXIT.FAILED;
+}
+
+// ── Commands ─────────────────────────────────────────────────────────────────
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    if (process.stdin.isTTY) return resolve('');
+    const chunks = [];
+    process.stdin.on('data', c => chunks.push(c));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function cmdAsk(discovery, args) {
+  const prompt = args.positional.join(' ').trim();
+  if (!prompt) throw new CliError('ask: a prompt is required', EXIT.USAGE);
+
+  const body = { prompt };
+  if (args.stdin) body.selectedText = await readStdin();
+  if (args.priority) body.priority = args.priority;
+
+  const { body: submitted } = await api(discovery, 'POST', '/prompts', body);
+  if (args.detach) {
+    if (args.json) printJson(submitted);
+    else process.stdout.write(`${submitted.id}\n`);
+    return EXIT.OK;
+  }
+  if (!args.quiet) notice(`queued ${submitted.id}${submitted.position ? ` (position ${submitted.position})` : ''}`);
+  return follow(discovery, submitted.id, args);
+}
+
+async function cmdStatus(discovery, args) {
+  const { body } = await api(discovery, 'GET', '/status');
+  if (args.json) printJson(body);
+  else process.stdout.write(`running: ${body.running.length ? body.running.join(', ') : 'none'}\npending: ${body.pending}\nfailed:  ${body.failed}\n`);
+  return EXIT.OK;
+}
+
+async function cmdQueue(discovery, args) {
+  const { body } = await api(discovery, 'GET', '/queue');
+  if (args.json) {
+    printJson(body);
+    return EXIT.OK;
+  }
+  const rows = [...body.items, ...body.failed.filter(f => !body.items.some(i => i.id === f.id))];
+  if (rows.length === 0) notice('Queue is empty');
+  printTable(rows, [
+    ['ID', i => i.id, 22],
+    ['STATUS', i => (i.cancelling ? 'cancelling' : i.status), 10],
+    ['PRIORITY', i => i.priority, 11],
+    ['SOURCE', i => i.source || 'app', 6],
+    ['PROMPT', i => i.prompt.replace(/\s+/g, ' '), 60],
+  ]);
+  return EXIT.OK;
+}
+
+async function cmdCancel(discovery, args) {
+  const id = args.positional[0];
+  if (!id) throw new CliError('cancel: an id is required', EXIT.USAGE);
+  const { body } = await api(discovery, 'POST', `/prompts/${encodeURIComponent(id)}/cancel`);
+  if (args.json) printJson(body);
+  else process.stdout.write(`${id}: ${body.status}\n`);
+  return EXIT.OK;
+}
+
+async function cmdResult(discovery, args) {
+  const id = args.positional[0];
+  if (!id) throw new CliError('result: an id is required', EXIT.USAGE);
+  const wait = args.timeout ? `?wait=${args.timeout}` : '';
+  const { status, body } = await api(discovery, 'GET', `/prompts/${encodeURIComponent(id)}/result${wait}`);
+  if (status === 202) {
+    notice(`${id} is still ${body.status}`);
+    return EXIT.TIMEOUT;
+  }
+  const record = body.result;
+  if (args.json) printJson(record);
+  else if (record.answer) process.stdout.write(record.answer.endsWith('\n') ? record.answer : `${record.answer}\n`);
+  if (record.status === 'error') notice(`Failed: ${record.error || 'unknown error'}`);
+  return EXIT_FOR_STATUS[record.status] != null ? EXIT_FOR_STATUS[record.status] : EXIT.FAILED;
+}
+
+async function cmdCron(discovery, args) {
+  const { body } = await api(discovery, 'GET', '/cron');
+  if (args.json) {
+    printJson(body);
+    return EXIT.OK;
+  }
+  if (body.items.length === 0) notice('No cron jobs');
+  printTable(body.items, [
+    ['ID', c => c.id, 22],
+    ['STATUS', c => c.status, 8],
+    ['SCHEDULE', c => c.schedule, 24],
+    ['NEXT RUN', c => c.nextRun, 18],
+    ['LABEL', c => c.label, 40],
+  ]);
+  return EXIT.OK;
+}
+
+async function cmdPlan(discovery, args) {
+  const [action, planFile] = args.positional;
+
+  if (!action) {
+    const { body } = await api(discovery, 'GET', '/plans/pending');
+    if (args.json) printJson(body);
+    else if (!body.plan) notice('No plan awaiting approval');
+    else process.stdout.write(`${body.plan.planFile}\n  prompt: ${body.plan.prompt || ''}\n`);
+    return body.plan ? EXIT.PLAN_PENDING : EXIT.OK;
+  }
+
+  if (action === 'approve') {
+    const { body } = await api(discovery, 'POST', '/plans/approve', planFile ? { planFile } : {});
+    if (args.detach) {
+      if (args.json) printJson(body);
+      else process.stdout.write(`${body.id}\n`);
+      return EXIT.OK;
+    }
+    if (!args.quiet) notice(`running ${body.planFile} as ${body.id}`);
+    return follow(discovery, body.id, args);
+  }
+
+  if (action === 'reject') {
+    await api(discovery, 'POST', '/plans/reject', planFile ? { planFile } : {});
+    if (!args.quiet) notice('Plan dismissed');
+    return EXIT.OK;
+  }
+
+  throw new CliError(`plan: unknown action "${action}" (approve | reject)`, EXIT.USAGE);
+}
+
+const COMMANDS = {
+  ask: cmdAsk,
+  run: cmdAsk,
+  status: cmdStatus,
+  queue: cmdQueue,
+  cancel: cmdCancel,
+  result: cmdResult,
+  cron: cmdCron,
+  plan: cmdPlan,
+};
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const args = { command: null, positional: [], stdin: false, detach: false, json: false, quiet: false, priority: null, timeout: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') { args.positional.push(...argv.slice(i + 1)); break; }
+    if (arg === '--stdin') args.stdin = true;
+    else if (arg === '--detach' || arg === '-d') args.detach = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--quiet' || arg === '-q') args.quiet = true;
+    else if (arg === '--priority' || arg === '-p') args.priority = argv[++i];
+    else if (arg === '--timeout' || arg === '-t') {
+      args.timeout = parseFloat(argv[++i]);
+      if (!(args.timeout > 0)) throw new CliError('--timeout must be a positive number of seconds', EXIT.USAGE);
+    } else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('-') && arg !== '-') throw new CliError(`Unknown option: ${arg}`, EXIT.USAGE);
+    else if (!args.command) args.command = arg;
+    else args.positional.push(arg);
+  }
+  if (args.priority && !['interactive', 'normal', 'background'].includes(args.priority)) {
+    throw new CliError('--priority must be interactive, normal or background', EXIT.USAGE);
+  }
+  return args;
+}
+
+const USAGE = `Usage: thinkdrop <command> [options]
+
+  ask <prompt…>           submit a prompt and stream the answer
+                          [--stdin] [--priority <p>] [--detach] [--timeout <s>] [--quiet] [--json]
+  status                  queue summary
+  queue                   list prompt queue items
+  cancel <id>             cancel a prompt
+  result <id>             print a finished prompt's answer [--timeout <s>]
+  cron                    list cron jobs
+  plan                    show the plan awaiting approval
+  plan approve [file]     run it (streams like ask)
+  plan reject             dismiss it
+
+Exit codes: 0 done, 1 failed, 2 usage, 3 app unavailable, 4 cancelled,
+            5 plan awaiting approval, 124 timeout, 130 interrupted
+`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.command) {
+    process.stdout.write(USAGE);
+    return args.command || args.help ? EXIT.OK : EXIT.USAGE;
+  }
+  const command = COMMANDS[args.command];
+  if (!command) throw new CliError(`Unknown command: ${args.command}\n\n${USAGE}`, EXIT.USAGE);
+  return command(loadDiscovery(), args);
+}
+
+if (require.main === module) {
+  main().then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+      process.stderr.write(`thinkdrop: ${err.message}\n`);
+      process.exitCode = err instanceof CliError ? err.exitCode : EXIT.FAILED;
+    }
+  );
+}
+
+module.exports = { parseArgs, EXIT };
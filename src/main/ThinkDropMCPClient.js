@@ -6,50 +6,159 @@
  *   Body: { version: 'mcp.v1', service, requestId, action, payload }
  *   Response: { success, data, error }
  *
- * Service name → URL mapping is driven by environment variables so
- * any service URL can be changed without touching code.
+ * Responses: services answer with one of a few envelope shapes ({ success },
+ * { status: 'ok'|'error' }, or plain JSON); _normalizeEnvelope() reads them all
+ * as { ok, data, error: { code, message, retryable } }. The `data` of a
+ * successful response is validated against the action's schema (serviceSchemas.js,
+ * overridable per service in services.json) — a mismatch is logged with the
+ * offending response and thrown as MCPResponseError. callService() still
+ * returns the raw envelope; call() returns the normalized result and never
+ * throws.
+ *
+ * Streaming (callServiceStream, or callService with `onProgress`): the request
+ * envelope carries `stream: true` and an Accept header for NDJSON / SSE. A
+ * service that supports it answers with either
+ *   application/x-ndjson — one `{ "event": "progress"|"result", "data": … }` per line
+ *   text/event-stream    — `event: progress|result` + `data: <json>` blocks
+ * where `result` carries the usual MCP envelope. Services that don't stream
+ * simply answer with JSON, which surfaces as the result with no progress.
+ * This replaces the overlay server's /agent-turn side channel for services
+ * that support it.
+ *
+ * Tracing: every call is recorded as an 'mcp' span on the current trace
+ * (tracing.js — one per prompt queue item run) and carries the trace context
+ * as `traceparent` / `x-thinkdrop-trace-id` / `x-thinkdrop-queue-id` headers.
+ *
+ * Connections: requests go through connectionPool's shared keep-alive agent
+ * for the service. A reused socket the service closed while idle is retried
+ * once on a fresh one. Concurrent health checks of a service share one probe.
+ *
+ * Service name → URL, auth scheme, timeout and health path come from
+ * serviceRegistry (~/.thinkdrop/services.json over env defaults) and are
+ * resolved on every call, so registry edits apply without a restart.
+ *
+ * Resilience:
+ *   - Retry — idempotent actions (reads: *.get, *.search, *.list, …) are retried
+ *     on transport failures (connection refused/reset, timeouts, HTTP 429/502/
+ *     503/504) with jittered exponential backoff. Any action is retried when the
+ *     connection was refused, since the request never reached the service.
+ *     Policies are configurable per service and per `service/action`.
+ *   - Circuit breaker — after `failureThreshold` consecutive failed calls to a
+ *     service its circuit opens and calls fail fast with MCPCircuitOpenError
+ *     until `cooldownMs` has passed. The next call (or health check) is a trial:
+ *     success closes the circuit, failure re-opens it. Application-level errors
+ *     (an MCP envelope with success:false) don't count — the service answered.
  */
 
 const http = require('http');
 const https = require('https');
+const serviceRegistry = require('./serviceRegistry');
+const tracing = require('./tracing');
+const serviceSchemas = require('./serviceSchemas');
+const connectionPool = require('./connectionPool');
+
+const DEFAULT_RETRY = {
+  maxAttempts: parseInt(process.env.MCP_RETRY_MAX_ATTEMPTS, 10) || 3,
+  baseDelayMs: 250,
+  maxDelayMs:  4000,
+  idempotent:  undefined,   // undefined → decided by IDEMPOTENT_ACTION_RE
+};
+
+const DEFAULT_BREAKER = {
+  failureThreshold: parseInt(process.env.MCP_BREAKER_THRESHOLD, 10) || 5,
+  cooldownMs:       parseInt(process.env.MCP_BREAKER_COOLDOWN_MS, 10) || 30000,
+};
+
+// Last segment of the action name — reads that are safe to repeat
+const IDEMPOTENT_ACTION_RE = /\.(get\w*|list\w*|search\w*|find\w*|query|retrieve|read|fetch|lookup|status|health|describe|classify|resolve|count)$/i;
+const RETRYABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ESOCKETTIMEDOUT']);
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+// Envelope fields — what's left of a plain-JSON response once they're removed is its data
+const ENVELOPE_KEYS = new Set(['version', 'service', 'requestId', 'action', 'success', 'status', 'error']);
+const MAX_LOGGED_RESPONSE_CHARS = 2000;
+
+/**
+ * Thrown by callService while a service's circuit is open.
+ * `code` is 'MCP_CIRCUIT_OPEN'; `retryAfterMs` is the time left in the cooldown.
+ */
+class MCPCircuitOpenError extends Error {
+  constructor(serviceName, retryAfterMs, lastError) {
+    super(`[MCPClient] ${serviceName} is unavailable (circuit open, retry in ${Math.ceil(retryAfterMs / 1000)}s)${lastError ? `: ${lastError}` : ''}`);
+    this.name = 'MCPCircuitOpenError';
+    this.code = 'MCP_CIRCUIT_OPEN';
+    this.service = serviceName;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Thrown by callService when a service answers with a failure envelope.
+ * `code` is the service's error code ('MCP_SERVICE_ERROR' when it gave none).
+ */
+class MCPServiceError extends Error {
+  constructor(serviceName, action, { code, message, retryable }) {
+    super(message);
+    this.name = 'MCPServiceError';
+    this.code = code;
+    this.service = serviceName;
+    this.action = action;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Thrown by callService when a response isn't JSON or doesn't match the
+ * action's schema. `code` is 'MCP_INVALID_RESPONSE'; `issues` lists the mismatches.
+ */
+class MCPResponseError extends Error {
+  constructor(serviceName, action, message, issues = []) {
+    super(`[MCPClient] ${serviceName}.${action} ${message}${issues.length ? `: ${issues.join('; ')}` : ''}`);
+    this.name = 'MCPResponseError';
+    this.code = 'MCP_INVALID_RESPONSE';
+    this.service = serviceName;
+    this.action = action;
+    this.issues = issues;
+  }
+}
 
 class ThinkDropMCPClient {
   /**
    * @param {Object} options
-   * @param {Object} [options.serviceUrls] - Override default service URLs
-   * @param {Object} [options.apiKeys]     - Per-service API keys (Bearer token)
+   * @param {Object} [options.serviceUrls] - Override registry service URLs
+   * @param {Object} [options.apiKeys]     - Override registry API keys
    * @param {number} [options.timeoutMs]   - Request timeout (default: 10000)
    * @param {Object} [options.logger]      - Logger (default: console)
+   * @param {Object} [options.retry]       - Retry policies: defaults plus overrides keyed by
+   *                                         service ('user-memory') or 'service/action'
+   *                                         ('command/command.automate'), e.g.
+   *                                         { maxAttempts: 3, policies: { 'user-memory': { maxAttempts: 5 } } }
+   * @param {Object} [options.breaker]     - Circuit breaker: { failureThreshold, cooldownMs }
    */
   constructor(options = {}) {
     this.logger = options.logger || console;
     this.timeoutMs = options.timeoutMs || 10000;
 
-    // Default service URL map — override via env vars or options.serviceUrls
-    this.serviceUrls = {
-      'conversation':        process.env.MCP_CONVERSATION_URL        || 'http://localhost:3004',
-      'user-memory':         process.env.MCP_USER_MEMORY_URL         || 'http://localhost:3001',
-      'web-search':          process.env.MCP_WEB_SEARCH_URL          || 'http://localhost:3002',
-      'command':             process.env.MCP_COMMAND_URL             || 'http://localhost:3007',
-      'screen-intelligence': process.env.MCP_SCREEN_INTELLIGENCE_URL || 'http://localhost:3008',
-      'phi4':                process.env.MCP_PHI4_URL                || 'http://localhost:3009',
-      'coreference':         process.env.MCP_COREFERENCE_URL         || 'http://localhost:3006',
-      'personality':           process.env.MCP_PERSONALITY_URL           || 'http://localhost:3012',
-      ...(options.serviceUrls || {})
-    };
+    const { policies: retryPolicies, ...retryDefaults } = options.retry || {};
+    this.retryDefaults = { ...DEFAULT_RETRY, ...retryDefaults };
+    this.retryPolicies = { ...(retryPolicies || {}) };
+    this.breakerOptions = { ...DEFAULT_BREAKER, ...(options.breaker || {}) };
+    // serviceName → { state: 'closed'|'open'|'half_open', failures, openedAt, lastError, trialInFlight }
+    this._circuits = new Map();
+    // serviceName → in-flight isServiceHealthy() promise, shared by concurrent callers
+    this._healthProbes = new Map();
+    // serviceName → health path that answered last time, tried first next time
+    this._healthPaths = new Map();
 
-    // Per-service API keys (sent as Authorization: Bearer <key>)
-    this.apiKeys = {
-      'conversation':        process.env.MCP_CONVERSATION_API_KEY        || process.env.MCP_API_KEY || '',
-      'user-memory':         process.env.MCP_USER_MEMORY_API_KEY         || process.env.MCP_API_KEY || '',
-      'web-search':          process.env.MCP_WEB_SEARCH_API_KEY          || process.env.MCP_API_KEY || '',
-      'command':             process.env.MCP_COMMAND_API_KEY             || process.env.MCP_API_KEY || '',
-      'screen-intelligence': process.env.MCP_SCREEN_INTELLIGENCE_API_KEY || process.env.MCP_API_KEY || '',
-      'phi4':                process.env.MCP_PHI4_API_KEY                || process.env.MCP_API_KEY || '',
-      'coreference':         process.env.MCP_COREFERENCE_API_KEY         || process.env.MCP_API_KEY || '',
-      'personality':           process.env.MCP_PERSONALITY_API_KEY           || process.env.MCP_API_KEY || '',
-      ...(options.apiKeys || {})
-    };
+    // Explicit overrides win over the registry (tests, one-off clients)
+    this._urlOverrides = { ...(options.serviceUrls || {}) };
+    this._keyOverrides = { ...(options.apiKeys || {}) };
+  }
+
+  /** Current service name → base URL map (registry plus overrides). */
+  get serviceUrls() {
+    const urls = {};
+    for (const entry of serviceRegistry.list()) urls[entry.name] = entry.url;
+    return { ...urls, ...this._urlOverrides };
   }
 
   /**
@@ -58,72 +167,352 @@ class ThinkDropMCPClient {
    * @param {string} serviceName - e.g. 'conversation', 'user-memory'
    * @param {string} action      - e.g. 'message.add', 'memory.search'
    * @param {Object} payload     - Action-specific parameters
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs]  - Per-call timeout
+   * @param {AbortSignal} [options.signal]
+   * @param {Object} [options.retry]      - Retry policy override for this call
+   * @param {Function} [options.onProgress] - Request a streamed response; called with each progress event
    * @returns {Promise<Object>}  - Response data (unwrapped from MCP envelope)
    */
   async callService(serviceName, action, payload = {}, options = {}) {
-    const baseUrl = this.serviceUrls[serviceName];
+    if (typeof options.onProgress === 'function') {
+      for await (const evt of this.callServiceStream(serviceName, action, payload, options)) {
+        if (evt.type === 'result') return evt.data;
+        try { options.onProgress(evt.data); } catch (err) {
+          this.logger.warn(`[MCPClient] ${serviceName}.${action} onProgress threw:`, err.message);
+        }
+      }
+    }
+
+    const baseUrl = this._baseUrl(serviceName);
+    const span = tracing.startSpan(`${serviceName}.${action}`, { kind: 'mcp', service: serviceName, action });
+    try {
+      const result = await tracing.withSpan(span, () =>
+        this._withRetry(serviceName, action, options, () => this._callOnce(serviceName, action, payload, options, baseUrl)));
+      span.end();
+      return result;
+    } catch (error) {
+      span.end({ status: this._spanStatus(error, options), error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Call an MCP service action and get a normalized result instead of the raw
+   * envelope. Service, transport and validation failures all come back as
+   * `{ ok: false, error }` rather than being thrown.
+   *
+   * @param {string} serviceName
+   * @param {string} action
+   * @param {Object} [payload]
+   * @param {Object} [options]  - As for callService
+   * @returns {Promise<{ ok: boolean, data: *, error: { code: string, message: string, retryable: boolean }|null }>}
+   */
+  async call(serviceName, action, payload = {}, options = {}) {
+    try {
+      const response = await this.callService(serviceName, action, payload, options);
+      return { ok: true, data: this._normalizeEnvelope(response, `${serviceName}.${action}`).data, error: null };
+    } catch (error) {
+      return { ok: false, data: null, error: this._errorInfo(error, options) };
+    }
+  }
+
+  /**
+   * Call an MCP service action and iterate its streamed response.
+   *
+   * Yields `{ type: 'progress', data }` for every progress event, then exactly
+   * one `{ type: 'result', data: <MCP envelope> }`. A failure envelope, a
+   * transport error or an abort throws from the iterator instead. Breaking out
+   * of the loop early closes the connection.
+   *
+   * Only opening the connection is retried — once the service has started
+   * streaming, the call is never repeated.
+   *
+   * @param {string} serviceName
+   * @param {string} action
+   * @param {Object} [payload]
+   * @param {{ timeoutMs?: number, signal?: AbortSignal, retry?: Object }} [options]
+   *        timeoutMs is an idle timeout here — the time allowed between chunks
+   * @returns {AsyncGenerator<{ type: 'progress'|'result', data: Object }>}
+   */
+  async *callServiceStream(serviceName, action, payload = {}, options = {}) {
+    const baseUrl = this._baseUrl(serviceName);
+    // Generators don't keep an async context across yields — pass the span explicitly
+    const span = tracing.startSpan(`${serviceName}.${action}`, { kind: 'mcp', service: serviceName, action, attrs: { stream: true } });
+    const { url, headers, body } = this._buildRequest(serviceName, action, payload, baseUrl, true, span);
+    const timeoutMs = this._timeoutFor(serviceName, options);
+    const signal = options.signal || null;
+
+    this.logger.debug(`[MCPClient] ${serviceName}.${action} ⇢ ${url} (stream)`);
+    let stream;
+    try {
+      stream = await this._withRetry(serviceName, action, options,
+        () => this._httpPostStream(serviceName, url, headers, body, timeoutMs, signal));
+    } catch (error) {
+      span.end({ status: this._spanStatus(error, options), error: error.message });
+      throw error;
+    }
+
+    const { req, res } = stream;
+    const contentType = String(res.headers['content-type'] || '');
+    const format = contentType.includes('text/event-stream') ? 'sse'
+      : /ndjson|jsonl|json-seq/.test(contentType) ? 'ndjson'
+      : 'json';
+
+    let gotResult = false;
+    let progressCount = 0;
+    let spanError = null;
+    try {
+      for await (const evt of this._readStream(res, format)) {
+        if (evt.type === 'result') {
+          gotResult = true;
+          yield { type: 'result', data: this._unwrapEnvelope(serviceName, action, evt.data) };
+          return;
+        }
+        progressCount++;
+        yield evt;
+      }
+      if (!gotResult) throw new Error(`[MCPClient] ${serviceName}.${action} stream ended without a result`);
+    } catch (err) {
+      if (signal && signal.aborted) throw new Error('aborted');
+      // Prefer our own reason (idle timeout) over the generic socket 'aborted'
+      const error = stream.destroyReason || err;
+      spanError = error;
+      if (this._isTransportError(error)) this._recordFailure(serviceName, error);
+      this.logger.error(`[MCPClient] ${serviceName}.${action} stream failed:`, error.message);
+      throw error;
+    } finally {
+      // Consumer stopped early, or we're done — never leave the socket open
+      if (!res.complete) req.destroy();
+      span.end(spanError
+        ? { status: this._spanStatus(spanError, options), error: spanError.message, attrs: { format, progressCount } }
+        : { status: gotResult ? 'ok' : 'cancelled', attrs: { format, progressCount } });
+    }
+  }
+
+  /**
+   * Run one request through the circuit breaker and retry policy.
+   * @param {string} serviceName
+   * @param {string} action
+   * @param {Object} options  - callService options (signal, retry)
+   * @param {() => Promise<any>} attemptFn
+   */
+  async _withRetry(serviceName, action, options, attemptFn) {
+    const policy = this.getRetryPolicy(serviceName, action, options.retry);
+    const idempotent = policy.idempotent != null ? policy.idempotent : IDEMPOTENT_ACTION_RE.test(action);
+
+    for (let attempt = 1; ; attempt++) {
+      // A half-open trial gets a single attempt — its outcome decides the circuit
+      const isTrial = this._checkCircuit(serviceName);
+      try {
+        const result = await attemptFn();
+        this._recordSuccess(serviceName);
+        return result;
+      } catch (error) {
+        const transport = this._isTransportError(error);
+        const aborted = options.signal && options.signal.aborted;
+        const canRetry = transport && !aborted && !isTrial && attempt < policy.maxAttempts &&
+          (idempotent || error.code === 'ECONNREFUSED');
+
+        if (canRetry) {
+          const delay = this._backoffDelay(attempt, policy);
+          tracing.recordEvent(tracing.current(), 'mcp:retry', {
+            source: serviceName,
+            attrs: { action, attempt, delayMs: delay, error: error.message },
+          });
+          this.logger.warn(`[MCPClient] ${serviceName}.${action} attempt ${attempt}/${policy.maxAttempts} failed (${error.message}) — retrying in ${delay}ms`);
+          await this._sleep(delay, options.signal);
+          continue;
+        }
+
+        if (aborted) this._releaseTrial(serviceName);
+        else if (transport) this._recordFailure(serviceName, error);
+        else this._recordSuccess(serviceName);   // the service answered — it's reachable
+        this.logger.error(`[MCPClient] ${serviceName}.${action} failed:`, error.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Effective retry policy for a call: defaults ← service ← 'service/action' ← per-call.
+   * @param {string} serviceName
+   * @param {string} action
+   * @param {Object} [override]
+   * @returns {{ maxAttempts: number, baseDelayMs: number, maxDelayMs: number, idempotent?: boolean }}
+   */
+  getRetryPolicy(serviceName, action, override) {
+    const policy = {
+      ...this.retryDefaults,
+      ...(this.retryPolicies[serviceName] || {}),
+      ...(this.retryPolicies[`${serviceName}/${action}`] || {}),
+      ...(override || {}),
+    };
+    policy.maxAttempts = Math.max(1, parseInt(policy.maxAttempts, 10) || 1);
+    return policy;
+  }
+
+  /** Set or replace a retry policy for a service or 'service/action'. */
+  setRetryPolicy(key, policy) {
+    this.retryPolicies[key] = { ...(this.retryPolicies[key] || {}), ...policy };
+  }
+
+  _baseUrl(serviceName) {
+    const entry = serviceRegistry.get(serviceName);
+    const baseUrl = this._urlOverrides[serviceName] || (entry && entry.url);
     if (!baseUrl) {
-      throw new Error(`[MCPClient] Unknown service: "${serviceName}". Add it to serviceUrls.`);
+      throw new Error(`[MCPClient] Unknown service: "${serviceName}". Add it to ${serviceRegistry.REGISTRY_FILE}.`);
     }
+    return baseUrl;
+  }
+
+  _timeoutFor(serviceName, options) {
+    const entry = serviceRegistry.get(serviceName);
+    return options.timeoutMs || (entry && entry.timeoutMs) || this.timeoutMs;
+  }
+
+  _authHeaders(serviceName) {
+    const entry = serviceRegistry.get(serviceName);
+    if (!(serviceName in this._keyOverrides)) return entry ? serviceRegistry.authHeaders(serviceName) : {};
+    const key = this._keyOverrides[serviceName];
+    if (!key) return {};
+    return entry && entry.auth === 'x-api-key' ? { 'x-api-key': key } : { 'Authorization': `Bearer ${key}` };
+  }
+
+  /** Span status for a failed call: aborts are cancellations, not errors. */
+  _spanStatus(error, options) {
+    if (options.signal && options.signal.aborted) return 'cancelled';
+    return error instanceof MCPCircuitOpenError ? 'circuit_open' : 'error';
+  }
 
+  _buildRequest(serviceName, action, payload, baseUrl, stream = false, span = null) {
     const url = `${baseUrl}/${action}`;
     const requestId = `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
-    const timeoutMs = options.timeoutMs || this.timeoutMs;
-    // Optional AbortSignal — when fired, destroys the in-flight HTTP socket so
-    // long-running MCP calls (e.g. command.automate running playwright.agent)
-    // are cancelled instead of running on after the caller aborts.
-    const abortSignal = options.signal || null;
 
     const body = JSON.stringify({
       version: 'mcp.v1',
       service: serviceName,
       requestId,
       action,
-      payload
+      payload,
+      ...(stream ? { stream: true } : {})
     });
 
-    const apiKey = this.apiKeys[serviceName];
+    // Auth scheme is per registry entry (conversation-service uses x-api-key)
     const headers = {
       'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(body)
+      'Content-Length': Buffer.byteLength(body),
+      ...this._authHeaders(serviceName),
+      ...tracing.headers(span)
     };
-    if (apiKey) {
-      // conversation-service uses x-api-key; all others use Authorization: Bearer
-      if (serviceName === 'conversation') {
-        headers['x-api-key'] = apiKey;
-      } else {
-        headers['Authorization'] = `Bearer ${apiKey}`;
-      }
+    if (stream) {
+      headers['Accept'] = 'application/x-ndjson, text/event-stream, application/json;q=0.5';
     }
+    return { url, headers, body };
+  }
+
+  async _callOnce(serviceName, action, payload, options, baseUrl) {
+    const { url, headers, body } = this._buildRequest(serviceName, action, payload, baseUrl);
+    const timeoutMs = this._timeoutFor(serviceName, options);
+    // Optional AbortSignal — when fired, destroys the in-flight HTTP socket so
+    // long-running MCP calls (e.g. command.automate running playwright.agent)
+    // are cancelled instead of running on after the caller aborts.
+    const abortSignal = options.signal || null;
 
     this.logger.debug(`[MCPClient] ${serviceName}.${action} → ${url}`);
 
+    const responseText = await this._httpPost(serviceName, url, headers, body, timeoutMs, abortSignal);
+    let response;
     try {
-      const responseText = await this._httpPost(url, headers, body, timeoutMs, abortSignal);
-      const response = JSON.parse(responseText);
-
-      // Handle both MCP response envelope formats:
-      //   conversation-service: { success: bool, data, error }
-      //   web-search / user-memory: { status: 'ok'|'error', data, error }
-      const isFailure =
-        response.success === false ||
-        response.status === 'error' ||
-        (response.error && !response.data && response.success !== true);
-
-      if (isFailure) {
-        const errMsg = typeof response.error === 'object'
-          ? response.error.message || JSON.stringify(response.error)
-          : response.error || `${serviceName}.${action} returned failure`;
-        throw new Error(errMsg);
-      }
+      response = JSON.parse(responseText);
+    } catch (_) {
+      this.logger.error(`[MCPClient] ${serviceName}.${action} returned non-JSON:`, this._clipResponse(responseText));
+      throw new MCPResponseError(serviceName, action, 'returned a response that is not JSON');
+    }
+    return this._unwrapEnvelope(serviceName, action, response);
+  }
+
+  /**
+   * Read any of the services' response shapes:
+   *   { success: bool, data, error }          — conversation-service
+   *   { status: 'ok'|'error', data, error }   — web-search / user-memory
+   *   plain JSON                              — command-service's non-MCP endpoints
+   * @param {Object} response
+   * @param {string} label  - 'service.action', for the default failure message
+   * @returns {{ ok: boolean, data: *, error: { code: string, message: string, retryable: boolean }|null }}
+   */
+  _normalizeEnvelope(response, label) {
+    const isFailure =
+      response.success === false ||
+      response.status === 'error' ||
+      (response.error && !response.data && response.success !== true);
 
-      // Always return the full response — nodes unwrap .data themselves
-      return response;
+    if (isFailure) {
+      const err = response.error;
+      const message = err && typeof err === 'object'
+        ? err.message || JSON.stringify(err)
+        : err || response.message || `${label} returned failure`;
+      return {
+        ok: false,
+        data: null,
+        error: {
+          code: (err && typeof err === 'object' && err.code) || response.code || 'MCP_SERVICE_ERROR',
+          message: String(message),
+          retryable: !!((err && typeof err === 'object' && err.retryable) || response.retryable),
+        },
+      };
+    }
 
-    } catch (error) {
-      this.logger.error(`[MCPClient] ${serviceName}.${action} failed:`, error.message);
-      throw error;
+    let data;
+    if (response.data !== undefined) data = response.data;
+    else if (response.result !== undefined) data = response.result;
+    else {
+      data = {};
+      for (const [key, value] of Object.entries(response)) if (!ENVELOPE_KEYS.has(key)) data[key] = value;
     }
+    return { ok: true, data, error: null };
+  }
+
+  _unwrapEnvelope(serviceName, action, response) {
+    if (!response || typeof response !== 'object') {
+      this.logger.error(`[MCPClient] ${serviceName}.${action} returned an empty response:`, this._clipResponse(response));
+      throw new MCPResponseError(serviceName, action, 'returned an empty response');
+    }
+
+    const result = this._normalizeEnvelope(response, `${serviceName}.${action}`);
+    if (!result.ok) throw new MCPServiceError(serviceName, action, result.error);
+
+    const schema = serviceRegistry.responseSchema(serviceName, action);
+    if (schema) {
+      const issues = serviceSchemas.validate(schema, result.data);
+      if (issues.length > 0) {
+        this.logger.error(`[MCPClient] ${serviceName}.${action} response failed validation (${issues.join('; ')}):`, this._clipResponse(response));
+        throw new MCPResponseError(serviceName, action, 'response failed validation', issues);
+      }
+    }
+
+    // Always return the full response — nodes unwrap .data themselves
+    return response;
+  }
+
+  _clipResponse(response) {
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+    if (text === undefined) return String(response);
+    return text.length > MAX_LOGGED_RESPONSE_CHARS ? `${text.slice(0, MAX_LOGGED_RESPONSE_CHARS)}…` : text;
+  }
+
+  /** { code, message, retryable } for any error callService can throw. */
+  _errorInfo(error, options = {}) {
+    const message = (error && error.message) || String(error);
+    if (options.signal && options.signal.aborted) return { code: 'MCP_ABORTED', message, retryable: false };
+    if (error instanceof MCPServiceError) return { code: error.code, message, retryable: error.retryable };
+    if (error instanceof MCPResponseError) return { code: error.code, message, retryable: false };
+    if (error instanceof MCPCircuitOpenError) return { code: error.code, message, retryable: true };
+    const status = /^HTTP (\d{3}):/.exec(message);
+    if (status) return { code: `HTTP_${status[1]}`, message, retryable: RETRYABLE_STATUS.has(Number(status[1])) };
+    if (/Request timeout after/i.test(message)) return { code: 'ETIMEDOUT', message, retryable: true };
+    if (error && error.code) return { code: error.code, message, retryable: this._isTransportError(error) };
+    return { code: 'MCP_ERROR', message, retryable: this._isTransportError(error) };
   }
 
   /**
@@ -132,15 +521,36 @@ class ThinkDropMCPClient {
    * @returns {Promise<boolean>}
    */
   async isServiceHealthy(serviceName) {
-    const baseUrl = this.serviceUrls[serviceName];
+    const inFlight = this._healthProbes.get(serviceName);
+    connectionPool.recordHealthCheck(serviceName, !!inFlight);
+    if (inFlight) return inFlight;
+
+    const probe = this._probeHealth(serviceName).finally(() => this._healthProbes.delete(serviceName));
+    this._healthProbes.set(serviceName, probe);
+    return probe;
+  }
+
+  async _probeHealth(serviceName) {
+    const entry = serviceRegistry.get(serviceName);
+    const baseUrl = this._urlOverrides[serviceName] || (entry && entry.url);
     if (!baseUrl) return false;
 
-    // Try common health endpoints
-    const healthPaths = ['/service.health', '/health'];
+    // Open circuit inside its cooldown — don't even probe
+    const circuit = this._circuits.get(serviceName);
+    if (circuit && circuit.state === 'open' && Date.now() - circuit.openedAt < this.breakerOptions.cooldownMs) {
+      return false;
+    }
+
+    // The path that worked last time, then the registry's, then the common fallback
+    const healthPaths = [...new Set([
+      this._healthPaths.get(serviceName),
+      entry ? entry.healthPath : '/service.health',
+      '/health',
+    ].filter(Boolean))];
 
     for (const path of healthPaths) {
       try {
-        const text = await this._httpGet(`${baseUrl}${path}`);
+        const text = await this._httpGet(serviceName, `${baseUrl}${path}`);
         const data = JSON.parse(text);
         if (
           data.status === 'up' ||
@@ -148,6 +558,9 @@ class ThinkDropMCPClient {
           data.status === 'ok' ||
           data.success === true
         ) {
+          this._healthPaths.set(serviceName, path);
+          // A healthy probe after the cooldown closes the circuit
+          if (circuit && circuit.state !== 'closed') this._recordSuccess(serviceName);
           return true;
         }
       } catch {
@@ -158,7 +571,8 @@ class ThinkDropMCPClient {
   }
 
   /**
-   * Get list of currently healthy services.
+   * Get list of currently healthy services. Services whose circuit is open
+   * are left out without being probed.
    * @returns {Promise<string[]>}
    */
   async getHealthyServices() {
@@ -171,9 +585,130 @@ class ThinkDropMCPClient {
       .map(r => r.value.name);
   }
 
+  /**
+   * Circuit state per service that has seen traffic.
+   * @returns {Object<string, { state: string, failures: number, openedAt: number|null, retryAfterMs: number, lastError: string|null }>}
+   */
+  getCircuitStates() {
+    const out = {};
+    for (const [name, c] of this._circuits) {
+      out[name] = {
+        state: this._circuitState(c),
+        failures: c.failures,
+        openedAt: c.openedAt,
+        retryAfterMs: c.state === 'open' ? Math.max(0, c.openedAt + this.breakerOptions.cooldownMs - Date.now()) : 0,
+        lastError: c.lastError,
+      };
+    }
+    return out;
+  }
+
+  /** Force a service's circuit closed (e.g. after restarting it). */
+  resetCircuit(serviceName) {
+    this._circuits.delete(serviceName);
+  }
+
+  // ─── Internal retry / circuit helpers ────────────────────────────────────
+
+  _circuit(serviceName) {
+    let c = this._circuits.get(serviceName);
+    if (!c) {
+      c = { state: 'closed', failures: 0, openedAt: null, lastError: null, trialInFlight: false };
+      this._circuits.set(serviceName, c);
+    }
+    return c;
+  }
+
+  /** 'open' becomes 'half_open' once the cooldown has elapsed. */
+  _circuitState(c) {
+    if (c.state === 'open' && Date.now() - c.openedAt >= this.breakerOptions.cooldownMs) return 'half_open';
+    return c.state;
+  }
+
+  /**
+   * Throw MCPCircuitOpenError unless the call may go through (closed, or the one half-open trial).
+   * @returns {boolean} true when this call is the half-open trial
+   */
+  _checkCircuit(serviceName) {
+    const c = this._circuits.get(serviceName);
+    if (!c || c.state === 'closed') return false;
+    const state = this._circuitState(c);
+    if (state === 'half_open' && !c.trialInFlight) {
+      c.state = 'half_open';
+      c.trialInFlight = true;
+      this.logger.log(`[MCPClient] ${serviceName} circuit half-open — sending trial request`);
+      return true;
+    }
+    const retryAfterMs = state === 'open' ? c.openedAt + this.breakerOptions.cooldownMs - Date.now() : this.breakerOptions.cooldownMs;
+    throw new MCPCircuitOpenError(serviceName, Math.max(0, retryAfterMs), c.lastError);
+  }
+
+  _recordSuccess(serviceName) {
+    const c = this._circuits.get(serviceName);
+    if (!c) return;
+    if (c.state !== 'closed') this.logger.log(`[MCPClient] ${serviceName} circuit closed`);
+    this._circuits.delete(serviceName);
+  }
+
+  _recordFailure(serviceName, error) {
+    const c = this._circuit(serviceName);
+    c.failures++;
+    c.lastError = error.message;
+    c.trialInFlight = false;
+    if (c.state === 'half_open' || c.failures >= this.breakerOptions.failureThreshold) {
+      c.state = 'open';
+      c.openedAt = Date.now();
+      this.logger.warn(`[MCPClient] ${serviceName} circuit OPEN after ${c.failures} failure(s) — failing fast for ${this.breakerOptions.cooldownMs}ms`);
+    }
+  }
+
+  /** A half-open trial was aborted by the caller without a verdict — allow another. */
+  _releaseTrial(serviceName) {
+    const c = this._circuits.get(serviceName);
+    if (c) c.trialInFlight = false;
+  }
+
+  _isTransportError(error) {
+    if (!error || error instanceof MCPServiceError || error instanceof MCPResponseError) return false;
+    if (error.code && RETRYABLE_CODES.has(error.code)) return true;
+    const m = /^HTTP (\d{3}):/.exec(error.message || '');
+    if (m) return RETRYABLE_STATUS.has(Number(m[1]));
+    return /Request timeout after|socket hang up/i.test(error.message || '');
+  }
+
+  /** Exponential backoff with equal jitter: half fixed, half random. */
+  _backoffDelay(attempt, policy) {
+    const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exp / 2 + Math.random() * exp / 2);
+  }
+
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(new Error('aborted'));
+      const onAbort = () => { clearTimeout(timer); reject(new Error('aborted')); };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
   // ─── Internal HTTP helpers ────────────────────────────────────────────────
 
-  _httpPost(url, headers, body, timeoutMs, signal) {
+  /** http.request options for a pooled request to a service. */
+  _requestOptions(serviceName, parsed, method, headers) {
+    return {
+      hostname: parsed.hostname,
+      port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
+      path: parsed.pathname + (parsed.search || ''),
+      method,
+      headers,
+      agent: connectionPool.agentFor(serviceName, parsed),
+    };
+  }
+
+  _httpPost(serviceName, url, headers, body, timeoutMs, signal, isRetry = false) {
     const effectiveTimeout = timeoutMs || this.timeoutMs;
     return new Promise((resolve, reject) => {
       const parsed = new URL(url);
@@ -185,15 +720,14 @@ class ThinkDropMCPClient {
         return;
       }
 
+      let gotResponse = false;
+      // Set when we destroy the request ourselves (timeout / abort) — its
+      // ECONNRESET on a reused socket is then not a stale socket to resend on
+      let destroyReason = null;
       const req = lib.request(
-        {
-          hostname: parsed.hostname,
-          port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
-          path: parsed.pathname + (parsed.search || ''),
-          method: 'POST',
-          headers
-        },
+        this._requestOptions(serviceName, parsed, 'POST', headers),
         (res) => {
+          gotResponse = true;
           let data = '';
           res.on('data', chunk => { data += chunk; });
           res.on('end', () => {
@@ -205,17 +739,19 @@ class ThinkDropMCPClient {
           });
         }
       );
+      connectionPool.track(serviceName, req);
 
       req.setTimeout(effectiveTimeout, () => {
-        req.destroy();
-        reject(new Error(`[MCPClient] Request timeout after ${effectiveTimeout}ms: ${url}`));
+        destroyReason = new Error(`[MCPClient] Request timeout after ${effectiveTimeout}ms: ${url}`);
+        req.destroy(destroyReason);
       });
 
       // AbortSignal: destroy the socket when the caller cancels. This closes
       // the HTTP connection, which the command-service ties to its own
       // AbortController (server.cjs onClose) so the server-side loop stops too.
       const onAbort = () => {
-        req.destroy(new Error('aborted'));
+        destroyReason = new Error('aborted');
+        req.destroy(destroyReason);
       };
       if (signal) {
         signal.addEventListener('abort', onAbort, { once: true });
@@ -224,7 +760,16 @@ class ThinkDropMCPClient {
       const cleanup = () => {
         if (signal) signal.removeEventListener('abort', onAbort);
       };
-      req.on('error', (err) => { cleanup(); reject(err); });
+      req.on('error', (err) => {
+        cleanup();
+        // The service closed an idle pooled socket as we reused it — resend once
+        if (!isRetry && !destroyReason && connectionPool.isStaleSocketError(req, err, gotResponse)) {
+          connectionPool.recordStaleRetry(serviceName);
+          resolve(this._httpPost(serviceName, url, headers, body, timeoutMs, signal, true));
+          return;
+        }
+        reject(destroyReason || err);
+      });
       // Clean up the listener once the request finishes so it doesn't leak.
       req.on('close', cleanup);
 
@@ -233,35 +778,163 @@ class ThinkDropMCPClient {
     });
   }
 
-  _httpGet(url) {
+  /**
+   * Open a POST whose response is consumed incrementally. Resolves with the
+   * request and response once the status line arrives; HTTP errors reject
+   * with the same `HTTP <status>: …` message as _httpPost. The timeout is a
+   * socket idle timeout, so a long stream stays open as long as it's talking.
+   * @returns {Promise<{ req: import('http').ClientRequest, res: import('http').IncomingMessage, destroyReason: Error|null }>}
+   */
+  _httpPostStream(serviceName, url, headers, body, timeoutMs, signal, isRetry = false) {
+    const effectiveTimeout = timeoutMs || this.timeoutMs;
     return new Promise((resolve, reject) => {
       const parsed = new URL(url);
       const lib = parsed.protocol === 'https:' ? https : http;
 
+      if (signal && signal.aborted) {
+        reject(new Error('aborted'));
+        return;
+      }
+
       const req = lib.request(
-        {
-          hostname: parsed.hostname,
-          port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
-          path: parsed.pathname + (parsed.search || ''),
-          method: 'GET',
-          headers: { 'Content-Type': 'application/json' }
-        },
+        this._requestOptions(serviceName, parsed, 'POST', headers),
+        (res) => {
+          res.setEncoding('utf8');
+          stream.res = res;
+          if (res.statusCode >= 400) {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`)));
+            return;
+          }
+          resolve(stream);
+        }
+      );
+      const stream = { req, res: null, destroyReason: null };
+      connectionPool.track(serviceName, req);
+
+      req.setTimeout(effectiveTimeout, () => {
+        stream.destroyReason = new Error(`[MCPClient] Request timeout after ${effectiveTimeout}ms: ${url}`);
+        req.destroy(stream.destroyReason);
+      });
+
+      const onAbort = () => {
+        req.destroy(new Error('aborted'));
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      req.on('error', (err) => {
+        cleanup();
+        if (!isRetry && connectionPool.isStaleSocketError(req, err, !!stream.res)) {
+          connectionPool.recordStaleRetry(serviceName);
+          resolve(this._httpPostStream(serviceName, url, headers, body, timeoutMs, signal, true));
+          return;
+        }
+        reject(err);
+      });
+      req.on('close', cleanup);
+
+      req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Parse a streamed response into `{ type: 'progress'|'result', data }` events.
+   * @param {import('http').IncomingMessage} res
+   * @param {'ndjson'|'sse'|'json'} format
+   */
+  async *_readStream(res, format) {
+    let buffer = '';
+
+    if (format === 'json') {
+      for await (const chunk of res) buffer += chunk;
+      yield { type: 'result', data: JSON.parse(buffer) };
+      return;
+    }
+
+    const separator = format === 'sse' ? /\r?\n\r?\n/ : /\r?\n/;
+    const parse = format === 'sse' ? _parseSseBlock : _parseNdjsonLine;
+
+    for await (const chunk of res) {
+      buffer += chunk;
+      const parts = buffer.split(separator);
+      buffer = parts.pop();
+      for (const part of parts) {
+        const evt = parse(part);
+        if (evt) yield evt;
+      }
+    }
+    const tail = parse(buffer);
+    if (tail) yield tail;
+  }
+
+  _httpGet(serviceName, url, isRetry = false) {
+    return new Promise((resolve, reject) => {
+      const parsed = new URL(url);
+      const lib = parsed.protocol === 'https:' ? https : http;
+
+      let gotResponse = false;
+      let timedOut = null;
+      const req = lib.request(
+        this._requestOptions(serviceName, parsed, 'GET', { 'Content-Type': 'application/json' }),
         (res) => {
+          gotResponse = true;
           let data = '';
           res.on('data', chunk => { data += chunk; });
           res.on('end', () => resolve(data));
         }
       );
+      connectionPool.track(serviceName, req);
 
       req.setTimeout(3000, () => {
-        req.destroy();
-        reject(new Error('health check timeout'));
+        timedOut = new Error('health check timeout');
+        req.destroy(timedOut);
       });
 
-      req.on('error', reject);
+      req.on('error', (err) => {
+        if (!isRetry && !timedOut && connectionPool.isStaleSocketError(req, err, gotResponse)) {
+          connectionPool.recordStaleRetry(serviceName);
+          resolve(this._httpGet(serviceName, url, true));
+          return;
+        }
+        reject(timedOut || err);
+      });
       req.end();
     });
   }
 }
 
+// ─── Stream frame parsers ──────────────────────────────────────────────────
+
+/** NDJSON line `{ "event": "progress"|"result", "data": … }` → event, or null. */
+function _parseNdjsonLine(line) {
+  if (!line.trim()) return null;
+  const frame = JSON.parse(line);
+  return { type: frame.event === 'result' ? 'result' : 'progress', data: frame.data };
+}
+
+/** SSE block (`event:` + one or more `data:` lines) → event, or null for comments / keep-alives. */
+function _parseSseBlock(block) {
+  let event = 'progress';
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const idx = line.indexOf(':');
+    const field = idx === -1 ? line : line.slice(0, idx);
+    const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+  if (data.length === 0) return null;
+  return { type: event === 'result' ? 'result' : 'progress', data: JSON.parse(data.join('\n')) };
+}
+
 module.exports = ThinkDropMCPClient;
+module.exports.MCPCircuitOpenError = MCPCircuitOpenError;
+module.exports.MCPServiceError = MCPServiceError;
+module.exports.MCPResponseError = MCPResponseError;
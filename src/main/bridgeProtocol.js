@@ -0,0 +1,280 @@
+/**
+ * bridgeProtocol.js — Block format and status lifecycle of ~/.thinkdrop/bridge.md
+ *
+ * Editors and agents (Windsurf, Cursor, the file.bridge skill, scheduled skill
+ * fires) hand ThinkDrop work by appending a block to bridge.md:
+ *
+ *   <!-- WS:INSTRUCTION id="sched_gmail_summary_1776518541617" status="pending" -->
+ *   Summarize today's unread mail and text it to me.
+ *   <!-- WS:END -->
+ *
+ *   - PREFIX   [A-Z][A-Z0-9_]* naming the writer (WS, CURSOR, …). TD blocks are
+ *              ThinkDrop's own and are never executed.
+ *   - id       required, unique in the file — [\w.-]+
+ *   - status   required — one of STATUSES
+ *   - attributes are key="value" on the single opening line; the body is the instruction
+ *
+ * The bridge listener (main.js) updates blocks in place rather than deleting them:
+ *
+ *   pending ──▶ running ──▶ done    summary="…"  finishedAt=…
+ *      │           └──────▶ error   error="…"    finishedAt=…
+ *      └──────────────────▶ error   (rejected before it started)
+ *   error ──▶ pending               a writer re-queues a failed block by setting it back
+ *
+ *   running → startedAt=<ISO>, done/error → finishedAt=<ISO>. A block still `running`
+ *   when ThinkDrop starts was interrupted and is marked `error`.
+ *
+ * Writers create blocks as `pending` and should leave `running`/`done` to the
+ * listener. Finished blocks older than THINKDROP_BRIDGE_ARCHIVE_AFTER_H hours
+ * (default 24; 0 = at the next sweep) move to ~/.thinkdrop/bridge-archive.md.
+ *
+ * bridge.md is rewritten in place, never through temp file + rename — the
+ * listener's fs.watch handle follows the file's inode.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const BRIDGE_FILE = path.join(os.homedir(), '.thinkdrop', 'bridge.md');
+const ARCHIVE_FILE = path.join(os.homedir(), '.thinkdrop', 'bridge-archive.md');
+
+const STATUSES = ['pending', 'running', 'done', 'error'];
+/** status → statuses it may move to */
+const TRANSITIONS = {
+  pending: ['running', 'error'],
+  running: ['done', 'error'],
+  done:    [],
+  error:   ['pending'],
+};
+const FINISHED = ['done', 'error'];
+const TIMESTAMP_ATTRS = ['createdAt', 'startedAt', 'finishedAt'];
+
+const DEFAULT_ARCHIVE_AFTER_H = 24;
+// summary / error attribute values are clipped to keep the opening line readable
+const MAX_ATTR_CHARS = 300;
+
+const BLOCK_RE = /<!--\s*([A-Z][A-Z0-9_]*):([\w]+)\s+(.*?)-->([\s\S]*?)<!--\s*\1:END\s*-->/g;
+const ATTR_RE = /(\w+)=(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+const ID_RE = /^[\w.-]+$/;
+
+/**
+ * @typedef {Object} BridgeBlock
+ * @property {string|null} id
+ * @property {string} prefix
+ * @property {string} type
+ * @property {string} status
+ * @property {Object<string, string>} attrs   every attribute, including id and status
+ * @property {string} body                    trimmed instruction text
+ * @property {number} start                   offset of the opening comment
+ * @property {number} end                     offset just past the END comment
+ * @property {number} headerEnd               offset just past the opening comment
+ */
+
+// ── Internal ─────────────────────────────────────────────────────────────────
+
+function _parseAttrs(str) {
+  const attrs = {};
+  let m;
+  ATTR_RE.lastIndex = 0;
+  while ((m = ATTR_RE.exec(str)) !== null) {
+    attrs[m[1]] = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4];
+  }
+  return attrs;
+}
+
+/** Make a value safe inside a double-quoted attribute on one comment line. */
+function _attrValue(value) {
+  let v = String(value).replace(/\s+/g, ' ').replace(/"/g, "'").replace(/--+>?/g, '—').trim();
+  if (v.length > MAX_ATTR_CHARS) v = `${v.slice(0, MAX_ATTR_CHARS - 1)}…`;
+  return v;
+}
+
+function _header(prefix, type, attrs) {
+  const { id, status, ...rest } = attrs;
+  const ordered = { id, status, ...rest };
+  const pairs = Object.entries(ordered)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}="${_attrValue(v)}"`);
+  return `<!-- ${prefix}:${type} ${pairs.join(' ')} -->`;
+}
+
+function _read(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/** Cut blocks out of content along with the blank lines that follow each. */
+function _without(content, blocks) {
+  let out = content;
+  for (const b of [...blocks].sort((x, y) => y.start - x.start)) {
+    let end = b.end;
+    while (out[end] === '\n') end++;
+    out = out.slice(0, b.start) + out.slice(end);
+  }
+  return out;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Every block in bridge.md content, in file order.
+ * @param {string} content
+ * @returns {BridgeBlock[]}
+ */
+function parse(content) {
+  const blocks = [];
+  let m;
+  BLOCK_RE.lastIndex = 0;
+  while ((m = BLOCK_RE.exec(content)) !== null) {
+    const [whole, prefix, type, attrsStr, body] = m;
+    if (type === 'END') continue;
+    const attrs = _parseAttrs(attrsStr);
+    blocks.push({
+      id: attrs.id || null,
+      prefix,
+      type,
+      status: attrs.status || 'unknown',
+      attrs,
+      body: body.trim(),
+      start: m.index,
+      end: m.index + whole.length,
+      headerEnd: m.index + whole.indexOf('-->') + 3,
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Protocol violations in a set of blocks — what a writer got wrong.
+ * @param {BridgeBlock[]} blocks
+ * @returns {{ id: string|null, message: string }[]}
+ */
+function validate(blocks) {
+  const problems = [];
+  const seen = new Set();
+  for (const b of blocks) {
+    const where = `${b.prefix}:${b.type}`;
+    if (!b.id) {
+      problems.push({ id: null, message: `${where} block has no id attribute` });
+      continue;
+    }
+    if (!ID_RE.test(b.id)) problems.push({ id: b.id, message: `id "${b.id}" may only contain letters, digits, _ . -` });
+    if (seen.has(b.id)) problems.push({ id: b.id, message: `duplicate id "${b.id}" — only the first block is acted on` });
+    seen.add(b.id);
+    if (!STATUSES.includes(b.status)) {
+      problems.push({ id: b.id, message: `status "${b.status}" is not one of ${STATUSES.join(', ')}` });
+    }
+    for (const key of TIMESTAMP_ATTRS) {
+      if (b.attrs[key] !== undefined && Number.isNaN(Date.parse(b.attrs[key]))) {
+        problems.push({ id: b.id, message: `${key}="${b.attrs[key]}" is not an ISO timestamp` });
+      }
+    }
+    if (b.status === 'pending' && b.prefix !== 'TD' && !b.body) {
+      problems.push({ id: b.id, message: 'pending block has an empty instruction' });
+    }
+  }
+  return problems;
+}
+
+/** True when a block may move from status `from` to `to`. */
+function canTransition(from, to) {
+  return !!(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Move a block to a new status in place, stamping startedAt / finishedAt.
+ * @param {string} file
+ * @param {string} id
+ * @param {'pending'|'running'|'done'|'error'} status
+ * @param {{ summary?: string, error?: string, now?: number }} [details]
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function setStatus(file, id, status, { summary, error, now = Date.now() } = {}) {
+  if (!STATUSES.includes(status)) return { ok: false, reason: `unknown status "${status}"` };
+  const content = _read(file);
+  if (content === null) return { ok: false, reason: 'bridge file missing' };
+  const block = parse(content).find(b => b.id === id);
+  if (!block) return { ok: false, reason: `block ${id} not found` };
+  if (!canTransition(block.status, status)) {
+    return { ok: false, reason: `block ${id} cannot go from ${block.status} to ${status}` };
+  }
+
+  const attrs = { ...block.attrs, status };
+  const stamp = new Date(now).toISOString();
+  if (status === 'pending' || status === 'running') {
+    delete attrs.summary;
+    delete attrs.error;
+    delete attrs.finishedAt;
+    if (status === 'running') attrs.startedAt = stamp;
+    else delete attrs.startedAt;
+  } else {
+    attrs.finishedAt = stamp;
+    if (summary) attrs.summary = summary;
+    if (error) attrs.error = error;
+  }
+
+  const updated = content.slice(0, block.start) + _header(block.prefix, block.type, attrs) + content.slice(block.headerEnd);
+  fs.writeFileSync(file, updated, 'utf8');
+  return { ok: true };
+}
+
+/**
+ * Delete blocks matching a predicate.
+ * @param {string} file
+ * @param {(block: BridgeBlock) => boolean} predicate
+ * @returns {number} blocks removed
+ */
+function remove(file, predicate) {
+  const content = _read(file);
+  if (content === null) return 0;
+  const doomed = parse(content).filter(predicate);
+  if (doomed.length) fs.writeFileSync(file, _without(content, doomed), 'utf8');
+  return doomed.length;
+}
+
+/** Age after which finished blocks are archived (THINKDROP_BRIDGE_ARCHIVE_AFTER_H). */
+function archiveAfterMs() {
+  const hours = parseFloat(process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_ARCHIVE_AFTER_H) * 60 * 60 * 1000;
+}
+
+/**
+ * Move done / error blocks finished more than `olderThanMs` ago to the archive file.
+ * @param {string} file
+ * @param {string} archiveFile
+ * @param {{ olderThanMs?: number, now?: number }} [opts]
+ * @returns {number} blocks archived
+ */
+function archive(file, archiveFile, { olderThanMs = archiveAfterMs(), now = Date.now() } = {}) {
+  const content = _read(file);
+  if (content === null) return 0;
+  const old = parse(content).filter(b => {
+    if (!FINISHED.includes(b.status)) return false;
+    const finishedAt = Date.parse(b.attrs.finishedAt);
+    return !Number.isNaN(finishedAt) && now - finishedAt >= olderThanMs;
+  });
+  if (!old.length) return 0;
+
+  fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+  if (!fs.existsSync(archiveFile)) fs.writeFileSync(archiveFile, '# ThinkDrop Bridge Archive\n\n', 'utf8');
+  // Archive first — a crash in between leaves a block in both files, never in neither
+  fs.appendFileSync(archiveFile, old.map(b => `${content.slice(b.start, b.end)}\n\n`).join(''), 'utf8');
+  fs.writeFileSync(file, _without(content, old), 'utf8');
+  return old.length;
+}
+
+module.exports = {
+  parse,
+  validate,
+  canTransition,
+  setStatus,
+  remove,
+  archive,
+  archiveAfterMs,
+  STATUSES,
+  TRANSITIONS,
+  BRIDGE_FILE,
+  ARCHIVE_FILE,
+};
@@ -0,0 +1,168 @@
+/**
+ * connectionPool.js — Shared keep-alive agents for MCP HTTP calls
+ *
+ * One http(s).Agent per service and origin, shared by every ThinkDropMCPClient
+ * in the process, so the dozens of user-memory calls a planning-heavy prompt
+ * makes ride a few warm sockets instead of opening one each.
+ *
+ *   maxSockets  — per service: services.json `maxSockets`, else MCP_MAX_SOCKETS (default 8)
+ *   idle free sockets are closed after MCP_FREE_SOCKET_TIMEOUT_MS (default 4000),
+ *   below Node's default 5s server keep-alive so we don't write to a socket the
+ *   service is about to close
+ *
+ * Requests are counted per service — new vs reused connections, errors, stale
+ * sockets retried, coalesced health checks — and stats() reports them with the
+ * live socket counts for the diagnostics view (mcp:diagnostics IPC).
+ */
+
+const http  = require('http');
+const https = require('https');
+const serviceRegistry = require('./serviceRegistry');
+
+const DEFAULT_MAX_SOCKETS = parseInt(process.env.MCP_MAX_SOCKETS, 10) || 8;
+const FREE_SOCKET_TIMEOUT_MS = parseInt(process.env.MCP_FREE_SOCKET_TIMEOUT_MS, 10) || 4000;
+const KEEP_ALIVE_MSECS = 1000;
+
+/** `${service}|${origin}` → Agent */
+const _agents = new Map();
+/** service → counters */
+const _metrics = new Map();
+
+// ── Internal ─────────────────────────────────────────────────────────────────
+
+function _counters(serviceName) {
+  let m = _metrics.get(serviceName);
+  if (!m) {
+    m = { requests: 0, newConnections: 0, reusedConnections: 0, errors: 0, staleRetries: 0, healthChecks: 0, coalescedHealthChecks: 0, lastUsedAt: null };
+    _metrics.set(serviceName, m);
+  }
+  return m;
+}
+
+function _count(sockets) {
+  let n = 0;
+  for (const list of Object.values(sockets || {})) n += list.length;
+  return n;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/** Pool size for a service: registry `maxSockets`, else the env default. */
+function maxSocketsFor(serviceName) {
+  const entry = serviceRegistry.get(serviceName);
+  const n = entry && parseInt(entry.maxSockets, 10);
+  return n > 0 ? n : DEFAULT_MAX_SOCKETS;
+}
+
+/**
+ * Keep-alive agent for a service at `url`. The agent follows registry edits:
+ * a changed maxSockets applies to it in place, a changed URL gets a new agent.
+ * @param {string} serviceName
+ * @param {string|URL} url
+ * @returns {import('http').Agent}
+ */
+function agentFor(serviceName, url) {
+  const parsed = typeof url === 'string' ? new URL(url) : url;
+  const key = `${serviceName}|${parsed.origin}`;
+  const maxSockets = maxSocketsFor(serviceName);
+  let agent = _agents.get(key);
+  if (!agent) {
+    const Agent = parsed.protocol === 'https:' ? https.Agent : http.Agent;
+    agent = new Agent({ keepAlive: true, keepAliveMsecs: KEEP_ALIVE_MSECS, maxSockets, maxFreeSockets: maxSockets, timeout: FREE_SOCKET_TIMEOUT_MS });
+    _agents.set(key, agent);
+  } else if (agent.maxSockets !== maxSockets) {
+    agent.maxSockets = maxSockets;
+    agent.maxFreeSockets = maxSockets;
+  }
+  return agent;
+}
+
+/**
+ * Count a request made through agentFor(): whether it got a fresh or a reused
+ * socket, and whether it failed.
+ * @param {string} serviceName
+ * @param {import('http').ClientRequest} req
+ */
+function track(serviceName, req) {
+  const m = _counters(serviceName);
+  m.requests++;
+  m.lastUsedAt = Date.now();
+  req.once('socket', () => {
+    if (req.reusedSocket) m.reusedConnections++;
+    else m.newConnections++;
+  });
+  req.once('error', () => { m.errors++; });
+}
+
+/**
+ * True when `err` is the server closing an idle keep-alive socket just as we
+ * reused it — the request never reached the service and is safe to resend.
+ */
+function isStaleSocketError(req, err, gotResponse) {
+  return !!(req && req.reusedSocket && !gotResponse && err && err.code === 'ECONNRESET');
+}
+
+function recordStaleRetry(serviceName) {
+  _counters(serviceName).staleRetries++;
+}
+
+/** @param {boolean} coalesced  true when the caller joined a probe already in flight */
+function recordHealthCheck(serviceName, coalesced) {
+  const m = _counters(serviceName);
+  m.healthChecks++;
+  if (coalesced) m.coalescedHealthChecks++;
+}
+
+/**
+ * Per-service connection stats.
+ * @returns {Object<string, { requests: number, newConnections: number, reusedConnections: number, reuseRate: number|null,
+ *   errors: number, staleRetries: number, healthChecks: number, coalescedHealthChecks: number, lastUsedAt: number|null,
+ *   maxSockets: number, activeSockets: number, freeSockets: number, queuedRequests: number }>}
+ */
+function stats() {
+  const out = {};
+  const names = new Set([..._metrics.keys(), ...Array.from(_agents.keys()).map(k => k.split('|')[0])]);
+  for (const name of names) {
+    const m = _counters(name);
+    const connections = m.newConnections + m.reusedConnections;
+    const s = {
+      ...m,
+      reuseRate: connections ? m.reusedConnections / connections : null,
+      maxSockets: maxSocketsFor(name),
+      activeSockets: 0,
+      freeSockets: 0,
+      queuedRequests: 0,
+    };
+    for (const [key, agent] of _agents) {
+      if (key.split('|')[0] !== name) continue;
+      s.activeSockets += _count(agent.sockets);
+      s.freeSockets += _count(agent.freeSockets);
+      s.queuedRequests += _count(agent.requests);
+    }
+    out[name] = s;
+  }
+  return out;
+}
+
+/** Zero the counters (live socket counts are unaffected). */
+function resetStats() {
+  _metrics.clear();
+}
+
+/** Close every pooled socket, e.g. on quit. */
+function destroyAll() {
+  for (const agent of _agents.values()) agent.destroy();
+  _agents.clear();
+}
+
+module.exports = {
+  agentFor,
+  maxSocketsFor,
+  track,
+  isStaleSocketError,
+  recordStaleRetry,
+  recordHealthCheck,
+  stats,
+  resetStats,
+  destroyAll,
+};
@@ -7,17 +7,58 @@
  * single app-level encryption key the user approves ONCE, rather than one
  * OS prompt per credential.
  *
- * The bridge configuration (URL + bearer token) is written to
- *   ~/.thinkdrop/.crypto-bridge.json   (chmod 0600)
- * so the user-memory service can discover and call it without hard-coded ports.
+ * safeStorage only wraps the data keys. Values are sealed with AES-256-GCM
+ * under the active data key and emitted as versioned envelopes:
+ *
+ *   v2:<keyId>:<namespace>:<base64(iv ‖ tag ‖ ciphertext)>
+ *
+ * The namespace (e.g. `credential`) is authenticated with the header, so a
+ * client scoped to one namespace can't decrypt another's blobs by relabelling
+ * them. Envelopes without one (`v2:<keyId>:<…>`) are in `default`.
+ *
+ * The keyring lives in ~/.thinkdrop/crypto-keys.json (chmod 0600), each key
+ * wrapped by safeStorage. Rotation adds a key and makes it active at once —
+ * older keys stay in the ring for decryption, so nothing is unreadable while
+ * stored blobs are re-encrypted. Bare base64 (no `v2:` prefix) is a legacy
+ * safeStorage blob and still decrypts.
+ *
+ * Clients: every caller has its own bearer token and scopes, declared in
+ *   ~/.thinkdrop/crypto-clients.json
+ *
+ *   { "clients": {
+ *       "user-memory": { "scopes": ["encrypt", "decrypt:*"], "rateLimitPerMinute": 120 },
+ *       "backup-job":  { "scopes": ["rotate"] } } }
+ *
+ * Scopes are `<action>` or `<action>:<namespace>` (`*` matches any namespace),
+ * for the actions encrypt, decrypt and rotate. Without the file only
+ * user-memory is registered, with encrypt + decrypt:*. Each client is
+ * rate-limited (default CRYPTO_BRIDGE_RATE_LIMIT per minute) and answered
+ * 429 once its budget is spent.
+ *
+ * Tokens are minted per session and written, with the URL, to one file per
+ * client (chmod 0600):
+ *   ~/.thinkdrop/.crypto-bridge.json           — user-memory (unchanged path)
+ *   ~/.thinkdrop/.crypto-bridge.<client>.json  — every other client
+ *
+ * Every decrypt — allowed or denied — is appended to
+ * ~/.thinkdrop/crypto-audit.log (NDJSON: ts, client, action, namespace, keyId,
+ * ok), rolled over to crypto-audit.log.1 at 5 MB. recentAudit() feeds the
+ * Settings → Credential Access panel.
  *
  * API:
- *   POST /encrypt   { plaintext: string }  → { ciphertext: string }  (base64)
- *   POST /decrypt   { ciphertext: string } → { plaintext: string }
- *   GET  /health                           → { ok: true }
+ *   POST /encrypt   { plaintext: string, namespace?: string } → { ciphertext: string, keyId, namespace }
+ *   POST /decrypt   { ciphertext: string } → { plaintext: string, keyId, namespace }   (keyId null for legacy)
+ *   POST /rotate    { ciphertexts?: string[], purge?: boolean }
+ *                   → { keyId, previousKeyId, reencrypted, failed, ciphertexts?, purged }
+ *       New active key, then every `SAFE:` valueRef in the user-memory profile
+ *       store (and any `ciphertexts` sent along) is re-encrypted under it.
+ *       `purge` drops the retired keys once nothing failed.
+ *   GET  /health                           → { ok: true, activeKeyId, keys, client, scopes }
  *
- * Authentication: Bearer token in Authorization header.
- * All endpoints are bound to 127.0.0.1 only — not accessible from the network.
+ * Authentication: the client's bearer token in the Authorization header.
+ * Transport: loopback TCP (127.0.0.1 only — not accessible from the network)
+ * and/or a 0600 Unix socket, per THINKDROP_IPC_TRANSPORT (localTransport.js).
+ * Credential files carry `url` and `socketPath` (null when that transport is off).
  */
 
 'use strict';
@@ -27,132 +68,638 @@ const crypto = require('crypto');
 const fs     = require('fs');
 const path   = require('path');
 const os     = require('os');
+const localTransport = require('./localTransport');
+
+const THINKDROP_DIR = path.join(os.homedir(), '.thinkdrop');
+const CONFIG_PATH   = path.join(THINKDROP_DIR, '.crypto-bridge.json');
+const KEYRING_PATH  = path.join(THINKDROP_DIR, 'crypto-keys.json');
+const CLIENTS_PATH  = path.join(THINKDROP_DIR, 'crypto-clients.json');
+const AUDIT_PATH    = path.join(THINKDROP_DIR, 'crypto-audit.log');
+
+const ENVELOPE_VERSION = 'v2';
+const VALUE_REF_PREFIX = 'SAFE:';
+const DEFAULT_NAMESPACE = 'default';
+const NAMESPACE_RE = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+const IV_BYTES  = 12;
+const TAG_BYTES = 16;
+
+/** The client whose credentials keep the original .crypto-bridge.json path */
+const PRIMARY_CLIENT = 'user-memory';
+const DEFAULT_CLIENTS = { [PRIMARY_CLIENT]: { scopes: ['encrypt', 'decrypt:*'] } };
+const DEFAULT_RATE_LIMIT = parseInt(process.env.CRYPTO_BRIDGE_RATE_LIMIT, 10) || 120;
+const AUDIT_MAX_BYTES = 5 * 1024 * 1024;
+
+/** Listening servers — one per transport */
+let _servers = [];
+/** @type {{ url: string|null, socketPath: string|null }} */
+let _endpoint = { url: null, socketPath: null };
+let _safeStorage = null;
+/**
+ * sha256(token) → client. Rebuilt on every start, so tokens never outlive a session.
+ * @type {Map<string, { id: string, scopes: string[], rateLimitPerMinute: number, credentialFile: string,
+ *   bucket: { tokens: number, refilledAt: number }, lastSeenAt: number|null,
+ *   counts: { encrypt: number, decrypt: number, rotate: number, denied: number, limited: number } }>}
+ */
+const _clients = new Map();
+/** Where /rotate finds stored blobs — see setBlobStore() */
+let _blobStore = null;
+/** In-flight rotateKeys() promise; a second /rotate gets 409 */
+let _rotation = null;
+
+/**
+ * @typedef {Object} KeyringFile
+ * @property {number} version
+ * @property {string} activeKeyId
+ * @property {{ id: string, createdAt: number, retiredAt: number|null, wrapped: string }[]} keys
+ */
+
+/** @type {{ file: KeyringFile, keys: Map<string, Buffer> } | null} */
+let _keyring = null;
+
+// ── Keyring ──────────────────────────────────────────────────────────────────
+
+function _requireSafeStorage() {
+  if (!_safeStorage) throw new Error('[CryptoBridge] Not initialised — startCryptoBridge() has not run');
+  return _safeStorage;
+}
+
+function _newKeyEntry() {
+  const key = crypto.randomBytes(32);
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    createdAt: Date.now(),
+    retiredAt: null,
+    wrapped: _requireSafeStorage().encryptString(key.toString('base64')).toString('base64'),
+  };
+  return { entry, key };
+}
+
+function _writeKeyring(file) {
+  fs.mkdirSync(path.dirname(KEYRING_PATH), { recursive: true });
+  // Write-then-rename so a crash mid-write never leaves a truncated keyring
+  const tmp = `${KEYRING_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(file, null, 2), { mode: 0o600, encoding: 'utf8' });
+  fs.renameSync(tmp, KEYRING_PATH);
+}
+
+function _loadKeyring() {
+  if (_keyring) return _keyring;
+  const safeStorage = _requireSafeStorage();
+
+  let file = null;
+  try {
+    file = JSON.parse(fs.readFileSync(KEYRING_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`[CryptoBridge] Unreadable keyring ${KEYRING_PATH}: ${err.message}`);
+  }
+
+  const keys = new Map();
+  if (file) {
+    for (const entry of file.keys || []) {
+      keys.set(entry.id, Buffer.from(safeStorage.decryptString(Buffer.from(entry.wrapped, 'base64')), 'base64'));
+    }
+    if (!keys.has(file.activeKeyId)) throw new Error(`[CryptoBridge] Keyring has no active key ${file.activeKeyId}`);
+  } else {
+    const { entry, key } = _newKeyEntry();
+    file = { version: 1, activeKeyId: entry.id, keys: [entry] };
+    keys.set(entry.id, key);
+    _writeKeyring(file);
+    console.log(`[CryptoBridge] Created keyring with data key ${entry.id}`);
+  }
+
+  _keyring = { file, keys };
+  return _keyring;
+}
+
+// ── Envelopes ────────────────────────────────────────────────────────────────
+
+function _parse(ciphertext) {
+  const raw = ciphertext.startsWith(VALUE_REF_PREFIX) ? ciphertext.slice(VALUE_REF_PREFIX.length) : ciphertext;
+  const parts = raw.split(':');
+  if (parts.length === 1) return { legacy: true, raw, keyId: null, namespace: DEFAULT_NAMESPACE };
+
+  const version = parts[0];
+  if (version !== ENVELOPE_VERSION || (parts.length !== 3 && parts.length !== 4)) {
+    throw new Error(`[CryptoBridge] Unsupported envelope version "${version}"`);
+  }
+  const [, keyId, namespace, sealed] = parts.length === 4 ? parts : [version, parts[1], null, parts[2]];
+  return { legacy: false, version, keyId, namespace: namespace || DEFAULT_NAMESPACE, headerNamespace: namespace, sealed };
+}
+
+function _aad(version, keyId, namespace) {
+  return Buffer.from(namespace ? `${version}:${keyId}:${namespace}` : `${version}:${keyId}`);
+}
+
+/**
+ * Seal a string under the active data key.
+ * @param {string} plaintext
+ * @param {string} [namespace]  Scope a decrypting client must hold (default 'default')
+ * @returns {{ ciphertext: string, keyId: string, namespace: string }}
+ */
+function encrypt(plaintext, namespace = DEFAULT_NAMESPACE) {
+  if (!NAMESPACE_RE.test(namespace)) throw new Error(`[CryptoBridge] Invalid namespace "${namespace}"`);
+  const { file, keys } = _loadKeyring();
+  const keyId = file.activeKeyId;
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(keyId), iv);
+  // The header is authenticated, so a blob can't be relabelled with another key id or namespace
+  cipher.setAAD(_aad(ENVELOPE_VERSION, keyId, namespace));
+  const body = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const sealed = Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64');
+  return { ciphertext: `${ENVELOPE_VERSION}:${keyId}:${namespace}:${sealed}`, keyId, namespace };
+}
+
+/** Decrypt without auditing — rotation and the HTTP handler (which audits itself). */
+function _open(ciphertext) {
+  const env = _parse(ciphertext);
+  if (env.legacy) {
+    const plaintext = _requireSafeStorage().decryptString(Buffer.from(env.raw, 'base64'));
+    return { plaintext, keyId: null, namespace: env.namespace };
+  }
+
+  const key = _loadKeyring().keys.get(env.keyId);
+  if (!key) throw new Error(`[CryptoBridge] Unknown data key ${env.keyId}`);
+
+  const buf = Buffer.from(env.sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, IV_BYTES));
+  decipher.setAAD(_aad(env.version, env.keyId, env.headerNamespace));
+  decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  const plaintext = Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+  return { plaintext, keyId: env.keyId, namespace: env.namespace };
+}
+
+/**
+ * Open an envelope (any key in the ring) or a legacy bare safeStorage blob.
+ * A leading `SAFE:` valueRef prefix is ignored. Audited under `client`.
+ * @param {string} ciphertext
+ * @param {{ client?: string }} [opts]  Who is asking (default 'main' — this process)
+ * @returns {{ plaintext: string, keyId: string|null, namespace: string }}
+ */
+function decrypt(ciphertext, { client = 'main' } = {}) {
+  let env = null;
+  try {
+    env = _parse(ciphertext);
+    const result = _open(ciphertext);
+    _audit({ client, action: 'decrypt', namespace: result.namespace, keyId: result.keyId, ok: true });
+    return result;
+  } catch (err) {
+    _audit({ client, action: 'decrypt', namespace: env?.namespace ?? null, keyId: env?.keyId ?? null, ok: false, error: err.message });
+    throw err;
+  }
+}
+
+/** Key id an envelope was sealed with, or null for a legacy blob. */
+function keyIdOf(ciphertext) {
+  return _parse(ciphertext).keyId;
+}
+
+/** Namespace of an envelope ('default' for legacy and pre-namespace blobs). */
+function namespaceOf(ciphertext) {
+  return _parse(ciphertext).namespace;
+}
+
+/** `SAFE:` valueRef for a user-memory profile entry — sealed in the `credential` namespace by default. */
+function encryptValueRef(plaintext, namespace = 'credential') {
+  return `${VALUE_REF_PREFIX}${encrypt(plaintext, namespace).ciphertext}`;
+}
+
+// ── Clients & scopes ─────────────────────────────────────────────────────────
+
+function _hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function _credentialFileFor(id) {
+  return id === PRIMARY_CLIENT ? CONFIG_PATH : path.join(THINKDROP_DIR, `.crypto-bridge.${id}.json`);
+}
+
+/** Client specs from crypto-clients.json, or the built-in default. */
+function _readClientSpecs() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(CLIENTS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return DEFAULT_CLIENTS;
+    console.warn(`[CryptoBridge] Ignoring unreadable ${CLIENTS_PATH}: ${err.message}`);
+    return DEFAULT_CLIENTS;
+  }
+
+  const specs = {};
+  for (const [id, spec] of Object.entries(raw?.clients || {})) {
+    if (!/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(id) || id === 'main') {
+      console.warn(`[CryptoBridge] Skipping client with invalid id "${id}"`);
+      continue;
+    }
+    const scopes = Array.isArray(spec?.scopes) ? spec.scopes.filter(sc => typeof sc === 'string') : [];
+    if (scopes.length === 0) {
+      console.warn(`[CryptoBridge] Skipping client "${id}" — no scopes`);
+      continue;
+    }
+    const rateLimitPerMinute = parseInt(spec.rateLimitPerMinute, 10);
+    specs[id] = { scopes, rateLimitPerMinute: rateLimitPerMinute > 0 ? rateLimitPerMinute : undefined };
+  }
+  return specs;
+}
+
+/**
+ * Mint a token per client and write its credential file.
+ * @param {{ url: string|null, socketPath: string|null }} endpoint
+ * @returns {Object<string, string>} id → token
+ */
+function _issueClientTokens({ url, socketPath }) {
+  _clients.clear();
+  const tokens = {};
+  for (const [id, spec] of Object.entries(_readClientSpecs())) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const rateLimitPerMinute = spec.rateLimitPerMinute || DEFAULT_RATE_LIMIT;
+    const credentialFile = _credentialFileFor(id);
+    _clients.set(_hashToken(token), {
+      id,
+      scopes: spec.scopes,
+      rateLimitPerMinute,
+      credentialFile,
+      bucket: { tokens: rateLimitPerMinute, refilledAt: Date.now() },
+      lastSeenAt: null,
+      counts: { encrypt: 0, decrypt: 0, rotate: 0, denied: 0, limited: 0 },
+    });
+    tokens[id] = token;
+    try {
+      localTransport.writeDiscovery(credentialFile, { url, socketPath, token, clientId: id, scopes: spec.scopes, envelope: ENVELOPE_VERSION });
+    } catch (writeErr) {
+      console.warn(`[CryptoBridge] Failed to write credentials for ${id}:`, writeErr.message);
+    }
+  }
+  return tokens;
+}
+
+function _authenticate(req) {
+  const match = /^Bearer (\S+)$/.exec(req.headers['authorization'] || '');
+  return match ? _clients.get(_hashToken(match[1])) || null : null;
+}
+
+/** `decrypt:credential` is granted by `decrypt`, `decrypt:*` or `decrypt:credential`. */
+function _hasScope(client, action, namespace) {
+  return client.scopes.some(sc =>
+    sc === action || sc === `${action}:*` || (namespace && sc === `${action}:${namespace}`));
+}
+
+/** Token bucket: rateLimitPerMinute requests, refilled continuously. @returns {number} ms to wait, 0 if allowed */
+function _takeToken(client) {
+  const now = Date.now();
+  const { bucket, rateLimitPerMinute } = client;
+  bucket.tokens = Math.min(rateLimitPerMinute, bucket.tokens + ((now - bucket.refilledAt) * rateLimitPerMinute) / 60000);
+  bucket.refilledAt = now;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) * 60000) / rateLimitPerMinute);
+}
+
+/**
+ * Registered clients with their scopes and usage this session.
+ * @returns {{ id: string, scopes: string[], rateLimitPerMinute: number, credentialFile: string,
+ *   lastSeenAt: number|null, counts: Object<string, number> }[]}
+ */
+function listClients() {
+  return Array.from(_clients.values()).map(({ id, scopes, rateLimitPerMinute, credentialFile, lastSeenAt, counts }) =>
+    ({ id, scopes, rateLimitPerMinute, credentialFile, lastSeenAt, counts: { ...counts } }));
+}
+
+// ── Audit log ────────────────────────────────────────────────────────────────
+
+function _audit(entry) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+  try {
+    fs.mkdirSync(THINKDROP_DIR, { recursive: true });
+    try {
+      if (fs.statSync(AUDIT_PATH).size + line.length > AUDIT_MAX_BYTES) {
+        fs.renameSync(AUDIT_PATH, `${AUDIT_PATH}.1`);
+      }
+    } catch (_) { /* no log yet */ }
+    fs.appendFileSync(AUDIT_PATH, line, { mode: 0o600, encoding: 'utf8' });
+  } catch (err) {
+    console.warn('[CryptoBridge] Audit write failed:', err.message);
+  }
+}
+
+/** Entries of one audit file, newest first. */
+function _readAudit(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (_) {
+    return [];
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try { entries.push(JSON.parse(line)); } catch (_) { /* torn line */ }
+  }
+  return entries.reverse();
+}
+
+/**
+ * Most recent audit entries, newest first.
+ * @param {{ limit?: number, client?: string, namespace?: string }} [opts]
+ * @returns {{ ts: string, client: string, action: string, namespace: string|null, keyId: string|null, ok: boolean, error?: string }[]}
+ */
+function recentAudit({ limit = 100, client = null, namespace = null } = {}) {
+  const out = [];
+  // The live log, then the rolled-over one when it holds too few
+  for (const file of [AUDIT_PATH, `${AUDIT_PATH}.1`]) {
+    for (const entry of _readAudit(file)) {
+      if (client && entry.client !== client) continue;
+      if (namespace && entry.namespace !== namespace) continue;
+      out.push(entry);
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+
+// ── Rotation ─────────────────────────────────────────────────────────────────
+
+/**
+ * Register where stored blobs live so /rotate can re-encrypt them.
+ * @param {{ list: () => Promise<{ id: string, ciphertext: string, namespace?: string }[]>,
+ *           get: (id: string) => Promise<string|null>,
+ *           update: (id: string, ciphertext: string) => Promise<void> }} store
+ *   `ciphertext` is the stored form, `SAFE:` prefix included. `namespace` is
+ *   applied to blobs that don't carry one yet (legacy and pre-namespace).
+ *   `get` re-reads one blob right before it is replaced, so a value written
+ *   since `list` isn't overwritten with the old one.
+ */
+function setBlobStore(store) {
+  _blobStore = store;
+}
+
+function _reencrypt(ciphertext, activeKeyId, fallbackNamespace) {
+  const env = _parse(ciphertext);
+  const namespace = env.headerNamespace || fallbackNamespace || DEFAULT_NAMESPACE;
+  if (env.keyId === activeKeyId && env.headerNamespace) return null;
+  const prefix = ciphertext.startsWith(VALUE_REF_PREFIX) ? VALUE_REF_PREFIX : '';
+  return prefix + encrypt(_open(ciphertext).plaintext, namespace).ciphertext;
+}
+
+/**
+ * Make a fresh data key active, then re-encrypt the blob store and any
+ * `ciphertexts` passed in. Encrypt/decrypt keep working throughout.
+ * @param {{ ciphertexts?: string[], purge?: boolean, client?: string }} [opts]
+ */
+async function rotateKeys({ ciphertexts, purge = false, client = 'main' } = {}) {
+  const ring = _loadKeyring();
+  const previousKeyId = ring.file.activeKeyId;
+
+  const { entry, key } = _newKeyEntry();
+  const file = {
+    ...ring.file,
+    activeKeyId: entry.id,
+    keys: [...ring.file.keys.map(k => k.id === previousKeyId ? { ...k, retiredAt: Date.now() } : k), entry],
+  };
+  // Persist before use — a blob sealed under a key that isn't on disk would be lost on restart
+  _writeKeyring(file);
+  ring.keys.set(entry.id, key);
+  ring.file = file;
+  console.log(`[CryptoBridge] Rotated data key ${previousKeyId} → ${entry.id}`);
+
+  let reencrypted = 0;
+  const failed = [];
+
+  if (_blobStore) {
+    const blobs = await _blobStore.list();
+    for (const blob of blobs) {
+      try {
+        const next = _reencrypt(blob.ciphertext, entry.id, blob.namespace);
+        if (!next) continue;
+        // Stored again since list() — already sealed under the new key
+        if (await _blobStore.get(blob.id) !== blob.ciphertext) continue;
+        await _blobStore.update(blob.id, next);
+        reencrypted++;
+      } catch (err) {
+        failed.push({ id: blob.id, error: err.message });
+      }
+    }
+  }
+
+  let rotatedCiphertexts;
+  if (Array.isArray(ciphertexts)) {
+    rotatedCiphertexts = ciphertexts.map((c, idx) => {
+      try {
+        const next = _reencrypt(c, entry.id);
+        if (next) reencrypted++;
+        return next || c;
+      } catch (err) {
+        failed.push({ id: `ciphertexts[${idx}]`, error: err.message });
+        return c;
+      }
+    });
+  }
 
-const CONFIG_PATH = path.join(os.homedir(), '.thinkdrop', '.crypto-bridge.json');
+  let purged = [];
+  if (purge && failed.length === 0 && _blobStore) {
+    purged = ring.file.keys.filter(k => k.id !== entry.id).map(k => k.id);
+    ring.file = { ...ring.file, keys: ring.file.keys.filter(k => k.id === entry.id) };
+    _writeKeyring(ring.file);
+    for (const id of purged) ring.keys.delete(id);
+  }
 
-let _server = null;
-let _token  = null;
+  if (failed.length) console.warn(`[CryptoBridge] Rotation left ${failed.length} blob(s) on older keys`);
+  _audit({ client, action: 'rotate', namespace: null, keyId: entry.id, ok: failed.length === 0, reencrypted, failed: failed.length });
+  return { keyId: entry.id, previousKeyId, reencrypted, failed, ciphertexts: rotatedCiphertexts, purged };
+}
 
 /**
  * Start the crypto bridge server.
  * Must be called after app.whenReady() so safeStorage is available.
  *
  * @param {import('electron').safeStorage} safeStorage - Electron safeStorage module
- * @returns {Promise<{ url: string, token: string }>}
+ * @returns {Promise<{ url: string|null, socketPath: string|null, token: string }>}  token — user-memory's
  */
 function startCryptoBridge(safeStorage) {
   return new Promise((resolve, reject) => {
-    if (_server) {
+    if (_servers.length) {
       // Already running
-      return resolve({ url: _getConfig()?.url, token: _token });
+      return resolve({ ..._endpoint, token: _getConfig()?.token });
     }
 
     if (!safeStorage.isEncryptionAvailable()) {
       return reject(new Error('[CryptoBridge] safeStorage encryption not available on this system'));
     }
 
-    // Generate a random bearer token for this session
-    _token = crypto.randomBytes(32).toString('hex');
+    _safeStorage = safeStorage;
+    try {
+      _loadKeyring();
+    } catch (err) {
+      return reject(err);
+    }
+
+    const send = (res, status, body, headers = {}) => {
+      res.writeHead(status, headers).end(JSON.stringify(body));
+    };
 
-    const server = http.createServer((req, res) => {
-      // Only accept loopback connections
+    const handle = (viaUnix) => (req, res) => {
+      // Only accept loopback connections (a Unix socket is local by construction)
       const remoteAddr = req.socket.remoteAddress;
-      if (remoteAddr !== '127.0.0.1' && remoteAddr !== '::1' && remoteAddr !== '::ffff:127.0.0.1') {
-        res.writeHead(403).end(JSON.stringify({ error: 'Forbidden' }));
+      if (!viaUnix && remoteAddr !== '127.0.0.1' && remoteAddr !== '::1' && remoteAddr !== '::ffff:127.0.0.1') {
+        send(res, 403, { error: 'Forbidden' });
         return;
       }
 
-      // Auth
-      const authHeader = req.headers['authorization'] || '';
-      if (authHeader !== `Bearer ${_token}`) {
-        res.writeHead(401).end(JSON.stringify({ error: 'Unauthorized' }));
+      // Auth — the token identifies the client
+      const client = _authenticate(req);
+      if (!client) {
+        send(res, 401, { error: 'Unauthorized' });
         return;
       }
+      client.lastSeenAt = Date.now();
 
       res.setHeader('Content-Type', 'application/json');
 
       // Health check
       if (req.method === 'GET' && req.url === '/health') {
-        res.writeHead(200).end(JSON.stringify({ ok: true }));
+        const { file } = _loadKeyring();
+        send(res, 200, { ok: true, activeKeyId: file.activeKeyId, keys: file.keys.length, client: client.id, scopes: client.scopes });
+        return;
+      }
+
+      const waitMs = _takeToken(client);
+      if (waitMs > 0) {
+        client.counts.limited++;
+        send(res, 429, { error: 'Rate limit exceeded', retryAfterMs: waitMs }, { 'Retry-After': String(Math.ceil(waitMs / 1000)) });
         return;
       }
 
+      const deny = (action, namespace) => {
+        client.counts.denied++;
+        const scope = namespace ? `${action}:${namespace}` : action;
+        send(res, 403, { error: `Client "${client.id}" lacks scope ${scope}`, scope });
+      };
+
       // Read body
       let body = '';
       req.on('data', (chunk) => { body += chunk; });
-      req.on('end', () => {
+      req.on('end', async () => {
         try {
-          const payload = JSON.parse(body);
+          const payload = body ? JSON.parse(body) : {};
 
           if (req.method === 'POST' && req.url === '/encrypt') {
             if (typeof payload.plaintext !== 'string') {
-              res.writeHead(400).end(JSON.stringify({ error: 'plaintext must be a string' }));
+              send(res, 400, { error: 'plaintext must be a string' });
+              return;
+            }
+            const namespace = payload.namespace === undefined ? DEFAULT_NAMESPACE : payload.namespace;
+            if (typeof namespace !== 'string' || !NAMESPACE_RE.test(namespace)) {
+              send(res, 400, { error: 'namespace must match ' + NAMESPACE_RE });
               return;
             }
-            const encrypted = safeStorage.encryptString(payload.plaintext);
-            res.writeHead(200).end(JSON.stringify({ ciphertext: encrypted.toString('base64') }));
+            if (!_hasScope(client, 'encrypt', namespace)) return deny('encrypt', namespace);
+            client.counts.encrypt++;
+            send(res, 200, encrypt(payload.plaintext, namespace));
             return;
           }
 
           if (req.method === 'POST' && req.url === '/decrypt') {
             if (typeof payload.ciphertext !== 'string') {
-              res.writeHead(400).end(JSON.stringify({ error: 'ciphertext must be a string' }));
+              send(res, 400, { error: 'ciphertext must be a string' });
+              return;
+            }
+            let env;
+            try {
+              env = _parse(payload.ciphertext);
+            } catch (err) {
+              send(res, 400, { error: err.message });
+              return;
+            }
+            if (!_hasScope(client, 'decrypt', env.namespace)) {
+              _audit({ client: client.id, action: 'decrypt', namespace: env.namespace, keyId: env.keyId, ok: false, error: 'scope' });
+              return deny('decrypt', env.namespace);
+            }
+            client.counts.decrypt++;
+            send(res, 200, decrypt(payload.ciphertext, { client: client.id }));
+            return;
+          }
+
+          if (req.method === 'POST' && req.url === '/rotate') {
+            if (!_hasScope(client, 'rotate')) return deny('rotate');
+            if (payload.ciphertexts !== undefined && !Array.isArray(payload.ciphertexts)) {
+              send(res, 400, { error: 'ciphertexts must be an array' });
+              return;
+            }
+            if (_rotation) {
+              send(res, 409, { error: 'Rotation already in progress' });
               return;
             }
-            const buf = Buffer.from(payload.ciphertext, 'base64');
-            const plaintext = safeStorage.decryptString(buf);
-            res.writeHead(200).end(JSON.stringify({ plaintext }));
+            client.counts.rotate++;
+            _rotation = rotateKeys({ ciphertexts: payload.ciphertexts, purge: payload.purge === true, client: client.id });
+            try {
+              send(res, 200, await _rotation);
+            } finally {
+              _rotation = null;
+            }
             return;
           }
 
-          res.writeHead(404).end(JSON.stringify({ error: 'Not found' }));
+          send(res, 404, { error: 'Not found' });
         } catch (err) {
-          res.writeHead(500).end(JSON.stringify({ error: err.message }));
+          send(res, 500, { error: err.message });
         }
       });
-    });
+    };
 
-    // Bind to a random available loopback port
-    server.listen(0, '127.0.0.1', () => {
-      const { port } = server.address();
-      const url      = `http://127.0.0.1:${port}`;
-      _server = server;
-
-      // Write config for user-memory service to discover
-      const config = { url, token: _token };
-      try {
-        const dir = path.dirname(CONFIG_PATH);
-        fs.mkdirSync(dir, { recursive: true });
-        fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), { mode: 0o600, encoding: 'utf8' });
-        console.log(`[CryptoBridge] Started at ${url} — config written to ${CONFIG_PATH}`);
-      } catch (writeErr) {
-        console.warn('[CryptoBridge] Failed to write bridge config:', writeErr.message);
+    // A random loopback port and/or the private socket, per THINKDROP_IPC_TRANSPORT
+    const servers = [];
+    (async () => {
+      const endpoint = { url: null, socketPath: null };
+      if (localTransport.wantsTcp()) {
+        const tcp = http.createServer(handle(false));
+        servers.push(tcp);
+        endpoint.url = await localTransport.listenTcp(tcp, 0);
+      }
+      if (localTransport.wantsUnix()) {
+        const unix = http.createServer(handle(true));
+        servers.push(unix);
+        endpoint.socketPath = await localTransport.listenUnix(unix, 'crypto-bridge');
+      }
+      return endpoint;
+    })().then((endpoint) => {
+      _servers = servers;
+      _endpoint = endpoint;
+      for (const server of servers) {
+        server.on('error', (err) => console.error('[CryptoBridge] Server error:', err.message));
       }
 
-      resolve({ url, token: _token });
-    });
+      // One credential file per client, for each service to discover
+      const tokens = _issueClientTokens(endpoint);
+      const where = [endpoint.url, endpoint.socketPath].filter(Boolean).join(' + ');
+      console.log(`[CryptoBridge] Started at ${where} — clients: ${Object.keys(tokens).join(', ') || '(none)'}`);
 
-    server.on('error', (err) => {
+      resolve({ ...endpoint, token: tokens[PRIMARY_CLIENT] });
+    }, (err) => {
+      for (const server of servers) server.close();
       reject(new Error(`[CryptoBridge] Server error: ${err.message}`));
     });
   });
 }
 
 /**
- * Stop the crypto bridge server and delete the config file.
+ * Stop the crypto bridge server and delete the client credential files.
  */
 function stopCryptoBridge() {
-  if (_server) {
-    _server.close();
-    _server = null;
+  for (const server of _servers) server.close();
+  _servers = [];
+  localTransport.removeSocket(_endpoint.socketPath);
+  for (const client of _clients.values()) {
+    try { fs.unlinkSync(client.credentialFile); } catch (_) {}
   }
-  try { fs.unlinkSync(CONFIG_PATH); } catch (_) {}
-  _token = null;
+  _clients.clear();
+  _endpoint = { url: null, socketPath: null };
+  _keyring = null;
 }
 
 /**
  * Read an existing bridge config from disk.
- * @returns {{ url: string, token: string } | null}
+ * @returns {{ url: string|null, socketPath: string|null, token: string, clientId: string } | null}
  */
 function _getConfig() {
   try {
@@ -163,4 +710,16 @@ function _getConfig() {
   }
 }
 
-module.exports = { startCryptoBridge, stopCryptoBridge };
+module.exports = {
+  startCryptoBridge,
+  stopCryptoBridge,
+  encrypt,
+  decrypt,
+  keyIdOf,
+  namespaceOf,
+  encryptValueRef,
+  setBlobStore,
+  rotateKeys,
+  listClients,
+  recentAudit,
+};
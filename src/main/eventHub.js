@@ -0,0 +1,225 @@
+/**
+ * eventHub.js — Server-sent events stream of app activity
+ *
+ * Mirrors the events main.js sends to its windows to external consumers —
+ * dashboards, the Chrome companion, editor extensions — over GET /events on
+ * the overlay control server (loopback port and/or Unix socket).
+ *
+ * Topics:
+ *   automation:progress   step / plan / agent events of every run (same payload as the IPC event)
+ *   prompt-queue:update   full prompt queue snapshot
+ *   queue:update          Queue tab snapshot (queueManager)
+ *   cron:update           Cron tab snapshot
+ *   scan:progress         maintenance scan progress
+ *   interaction           { state, interaction } — headless-mode questions waiting for an answer (headless.js)
+ *
+ *   GET /events?topics=automation:progress,prompt-queue:update
+ *     Authorization: Bearer <token from ~/.thinkdrop/.local-api.json>
+ *     (or ?token=<token> — EventSource can't set headers)
+ *
+ *   id: 42
+ *   event: automation:progress
+ *   data: {"type":"step_start","skill":"browser.agent",…}
+ *
+ * No `topics` means all of them. Access rules are the local API's
+ * (localApi.checkAccess) — plus the app's own renderer origin, so the companion
+ * page can subscribe. A reconnecting client sends Last-Event-ID and gets what
+ * it missed from a short replay buffer. Clients that stop reading are dropped
+ * rather than buffered for without bound.
+ *
+ * The same event often goes to several windows in a row (unified + results +
+ * prompt capture); identical payloads on a topic within DEDUPE_MS are sent once.
+ */
+
+'use strict';
+
+const localApi = require('./localApi');
+
+const EVENTS_PATH = '/events';
+const TOPICS = ['automation:progress', 'prompt-queue:update', 'queue:update', 'cron:update', 'scan:progress', 'interaction'];
+// The renderer's dev-server origin — the Chrome companion page
+const ALLOWED_ORIGINS = ['http://localhost:5173'];
+
+const MAX_CLIENTS = 32;
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 3000;
+const DEDUPE_MS = 100;
+const REPLAY_EVENTS = 200;
+// Keep recording for reconnects this long after the last client leaves
+const REPLAY_GRACE_MS = 60 * 1000;
+// Unread bytes queued for one client before it is dropped
+const MAX_CLIENT_BACKLOG = 1024 * 1024;
+const MAX_EVENT_BYTES = 256 * 1024;
+
+/** @type {Set<{ res: import('http').ServerResponse, topics: Set<string> }>} */
+const _clients = new Set();
+/** @type {{ id: number, topic: string, data: string }[]} */
+const _replay = [];
+/** topic → { data, at } of the last event sent */
+const _last = new Map();
+let _nextId = 1;
+let _lastClientAt = 0;
+let _heartbeat = null;
+
+// ── Internal ─────────────────────────────────────────────────────────────────
+
+function _frame({ id, topic, data }) {
+  return `id: ${id}\nevent: ${topic}\ndata: ${data}\n\n`;
+}
+
+function _serialize(topic, payload) {
+  let data;
+  try {
+    data = JSON.stringify(payload === undefined ? null : payload);
+  } catch (_) {
+    return null;
+  }
+  if (data.length > MAX_EVENT_BYTES) {
+    data = JSON.stringify({ type: payload && payload.type, truncated: true, bytes: data.length });
+  }
+  return data;
+}
+
+function _write(client, chunk) {
+  const { res } = client;
+  if (res.destroyed) return;
+  if (res.writableLength > MAX_CLIENT_BACKLOG) {
+    console.warn('[EventHub] Dropping a client that stopped reading');
+    res.destroy();
+    return;
+  }
+  res.write(chunk);
+}
+
+function _startHeartbeat() {
+  if (_heartbeat) return;
+  // Comment lines keep proxies and idle-socket timeouts from closing the stream
+  _heartbeat = setInterval(() => {
+    for (const client of _clients) _write(client, ': ping\n\n');
+  }, HEARTBEAT_MS);
+  if (_heartbeat.unref) _heartbeat.unref();
+}
+
+function _stopHeartbeat() {
+  clearInterval(_heartbeat);
+  _heartbeat = null;
+}
+
+function _parseTopics(raw) {
+  if (!raw) return new Set(TOPICS);
+  const requested = raw.split(',').map(t => t.trim()).filter(Boolean);
+  const unknown = requested.filter(t => t !== '*' && !TOPICS.includes(t));
+  if (unknown.length) return { error: `Unknown topic(s): ${unknown.join(', ')} — known: ${TOPICS.join(', ')}` };
+  return new Set(requested.includes('*') ? TOPICS : requested);
+}
+
+function _sendError(res, status, code, message, origin) {
+  const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+  if (origin) headers['Access-Control-Allow-Origin'] = origin;
+  res.writeHead(status, headers);
+  res.end(JSON.stringify({ error: { code, message } }));
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Send an event to every subscriber of `topic`. Cheap when nobody listens.
+ * @param {string} topic  one of TOPICS — others are ignored
+ * @param {*} payload     JSON-serializable
+ */
+function publish(topic, payload) {
+  if (!TOPICS.includes(topic)) return;
+  const recording = _clients.size > 0 || Date.now() - _lastClientAt < REPLAY_GRACE_MS;
+  if (!recording) return;
+
+  const data = _serialize(topic, payload);
+  if (data === null) return;
+  const now = Date.now();
+  const last = _last.get(topic);
+  if (last && last.data === data && now - last.at < DEDUPE_MS) return;
+  _last.set(topic, { data, at: now });
+
+  const event = { id: _nextId++, topic, data };
+  _replay.push(event);
+  if (_replay.length > REPLAY_EVENTS) _replay.shift();
+
+  const chunk = _frame(event);
+  for (const client of _clients) {
+    if (client.topics.has(topic)) _write(client, chunk);
+  }
+}
+
+/** True for requests handle() serves. */
+function matches(req) {
+  return (req.method === 'GET' || req.method === 'OPTIONS') && req.url.split('?')[0] === EVENTS_PATH;
+}
+
+/**
+ * Serve GET /events (and the CORS preflight for it).
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ viaUnix?: boolean }} [opts]
+ */
+function handle(req, res, { viaUnix = false } = {}) {
+  const url = new URL(req.url, 'http://localhost');
+  const origin = ALLOWED_ORIGINS.includes(req.headers.origin) ? req.headers.origin : null;
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      ...(origin ? { 'Access-Control-Allow-Origin': origin } : {}),
+      'Access-Control-Allow-Methods': 'GET',
+      'Access-Control-Allow-Headers': 'Authorization, Last-Event-ID',
+    });
+    res.end();
+    return;
+  }
+
+  const denied = localApi.checkAccess(req, { viaUnix, origins: ALLOWED_ORIGINS, queryToken: url.searchParams.get('token') });
+  if (denied) return _sendError(res, denied.status, denied.code, denied.message, origin);
+
+  const topics = _parseTopics(url.searchParams.get('topics'));
+  if (topics.error) return _sendError(res, 400, 'UNKNOWN_TOPIC', topics.error, origin);
+  if (_clients.size >= MAX_CLIENTS) return _sendError(res, 503, 'TOO_MANY_CLIENTS', `At most ${MAX_CLIENTS} event streams`, origin);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    ...(origin ? { 'Access-Control-Allow-Origin': origin } : {}),
+  });
+  res.write(`retry: ${RETRY_MS}\n: ok\n\n`);
+
+  const client = { res, topics };
+  const lastEventId = parseInt(req.headers['last-event-id'] || url.searchParams.get('lastEventId'), 10);
+  if (lastEventId > 0) {
+    for (const event of _replay) {
+      if (event.id > lastEventId && topics.has(event.topic)) _write(client, _frame(event));
+    }
+  }
+
+  _clients.add(client);
+  _startHeartbeat();
+  console.log(`[EventHub] Client connected (${_clients.size}) — ${[...topics].join(', ')}`);
+
+  req.on('close', () => {
+    _clients.delete(client);
+    _lastClientAt = Date.now();
+    if (_clients.size === 0) _stopHeartbeat();
+  });
+}
+
+/** @returns {{ clients: number, topics: string[] }} */
+function stats() {
+  return { clients: _clients.size, topics: TOPICS };
+}
+
+/** End every stream, e.g. on quit. */
+function closeAll() {
+  for (const { res } of _clients) {
+    try { res.end(); } catch (_) {}
+  }
+  _clients.clear();
+  _stopHeartbeat();
+}
+
+module.exports = { publish, matches, handle, stats, closeAll, TOPICS, EVENTS_PATH };
@@ -0,0 +1,176 @@
+/**
+ * headless.js — Windowless mode and operator hand-off for run questions
+ *
+ * `--headless` (or THINKDROP_HEADLESS=1) starts ThinkDrop without windows or
+ * global shortcuts, e.g. on a Linux box that only executes bridge.md jobs and
+ * cron skills. Progress goes where it already goes besides the windows — the
+ * log, GET /api/v1/prompts/:id/events and GET /events.
+ *
+ * Questions a run would have asked in the UI — gather, batched gather,
+ * credential, OAuth connect (including the bridge listener's pre-flight
+ * check) — become pending interactions instead:
+ *
+ *   - logged as `[Headless] Waiting for …` with the id to answer
+ *   - published on the `interaction` topic of GET /events
+ *   - GET  /api/v1/interactions               → { items: Interaction[] }
+ *     POST /api/v1/interactions/:id  { answer } | { skip: true }
+ *       gather        answer: string
+ *       gather_batch  answer: { [questionId]: string }
+ *       credential    answer: string — the secret; stored like the UI's masked input, never listed or logged
+ *       oauth         any answer — "the token is in place now"; ThinkDrop re-checks keytar
+ *
+ * Unanswered interactions time out per the gather policy:
+ *
+ *   THINKDROP_HEADLESS_GATHER_TIMEOUT_S   seconds to wait (default 300; 0 = don't wait)
+ *   THINKDROP_HEADLESS_GATHER_POLICY      skip   (default) the run continues as if the question was dismissed
+ *                                         cancel the prompt queue item is cancelled as well
+ *
+ * Bridge and cron runs have no queue item, so `cancel` falls back to `skip` for them.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const promptQueue = require('./promptQueue');
+const eventHub = require('./eventHub');
+
+const KINDS = ['gather', 'gather_batch', 'credential', 'oauth'];
+const GATHER_POLICIES = ['skip', 'cancel'];
+const DEFAULT_GATHER_TIMEOUT_S = 300;
+
+let _enabled = null;
+
+/** id → { interaction, settle, timer } */
+const _pending = new Map();
+
+// ── Internal ─────────────────────────────────────────────────────────────────
+
+/** Public shape — never includes an answer. */
+function _public(interaction) {
+  const { id, kind, queueId, question, questions, batchId, credentialKey, provider, skillName, askedAt, expiresAt } = interaction;
+  return { id, kind, queueId, question, questions, batchId, credentialKey, provider, skillName, askedAt, expiresAt };
+}
+
+function _describe(i) {
+  if (i.kind === 'gather') return `question "${String(i.question || '').slice(0, 120)}"`;
+  if (i.kind === 'gather_batch') return `${(i.questions || []).length} question(s) (batch ${i.batchId})`;
+  if (i.kind === 'credential') return `credential ${i.credentialKey}`;
+  return `OAuth connection to ${i.provider}`;
+}
+
+function _validAnswer(kind, answer) {
+  if (kind === 'gather' || kind === 'credential') return typeof answer === 'string' && answer.length > 0;
+  if (kind === 'gather_batch') return !!answer && typeof answer === 'object' && !Array.isArray(answer);
+  return true;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/** True when started with --headless or THINKDROP_HEADLESS=1. */
+function enabled() {
+  if (_enabled === null) {
+    _enabled = process.argv.includes('--headless') || /^(1|true|yes)$/i.test(process.env.THINKDROP_HEADLESS || '');
+  }
+  return _enabled;
+}
+
+/** @returns {{ timeoutMs: number, onTimeout: 'skip'|'cancel' }} */
+function gatherPolicy() {
+  const seconds = parseFloat(process.env.THINKDROP_HEADLESS_GATHER_TIMEOUT_S);
+  const policy = String(process.env.THINKDROP_HEADLESS_GATHER_POLICY || 'skip').toLowerCase();
+  return {
+    timeoutMs: (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_GATHER_TIMEOUT_S) * 1000,
+    onTimeout: GATHER_POLICIES.includes(policy) ? policy : 'skip',
+  };
+}
+
+/**
+ * Hand a run's question to the operator and wait for an answer.
+ * @param {{ kind: 'gather'|'gather_batch'|'credential'|'oauth', queueId?: string|null, question?: string,
+ *           questions?: object[], batchId?: string, credentialKey?: string, provider?: string, skillName?: string }} request
+ * @returns {Promise<{ answered: boolean, answer?: any }>}  answered false — skipped or timed out
+ */
+function ask(request) {
+  if (!KINDS.includes(request.kind)) throw new Error(`[Headless] Unknown interaction kind: ${request.kind}`);
+  const { timeoutMs, onTimeout } = gatherPolicy();
+  const now = Date.now();
+  const interaction = {
+    kind: request.kind,
+    queueId: request.queueId || null,
+    question: request.question || null,
+    questions: request.questions || null,
+    batchId: request.batchId || null,
+    credentialKey: request.credentialKey || null,
+    provider: request.provider || null,
+    skillName: request.skillName || null,
+    id: `ask_${crypto.randomBytes(6).toString('hex')}`,
+    askedAt: now,
+    expiresAt: now + timeoutMs,
+  };
+
+  if (timeoutMs === 0) {
+    console.log(`[Headless] Not waiting for ${_describe(interaction)} (THINKDROP_HEADLESS_GATHER_TIMEOUT_S=0) — ${onTimeout}`);
+    if (onTimeout === 'cancel' && interaction.queueId) promptQueue.cancel(interaction.queueId);
+    return Promise.resolve({ answered: false });
+  }
+
+  return new Promise((resolve) => {
+    const settle = (result, how) => {
+      if (!_pending.has(interaction.id)) return;
+      clearTimeout(entry.timer);
+      _pending.delete(interaction.id);
+      eventHub.publish('interaction', { state: how, interaction: _public(interaction) });
+      resolve(result);
+    };
+    const entry = { interaction, settle, timer: null };
+
+    entry.timer = setTimeout(() => {
+      console.warn(`[Headless] No answer to ${interaction.id} after ${timeoutMs / 1000}s — ${onTimeout}`);
+      settle({ answered: false }, 'timed_out');
+      if (onTimeout === 'cancel') {
+        if (interaction.queueId) promptQueue.cancel(interaction.queueId);
+        else console.warn(`[Headless] ${interaction.id} has no queue item to cancel — skipped instead`);
+      }
+    }, timeoutMs);
+
+    _pending.set(interaction.id, entry);
+    eventHub.publish('interaction', { state: 'pending', interaction: _public(interaction) });
+    console.log(`[Headless] Waiting for ${_describe(interaction)}${interaction.queueId ? ` (run ${interaction.queueId})` : ''} — answer with POST /api/v1/interactions/${interaction.id} within ${timeoutMs / 1000}s`);
+  });
+}
+
+/** Interactions waiting for an answer, oldest first. */
+function list() {
+  return Array.from(_pending.values(), e => _public(e.interaction));
+}
+
+/**
+ * Answer (or skip) a pending interaction.
+ * @param {string} id
+ * @param {{ answer?: any, skip?: boolean }} reply
+ * @returns {{ ok: true } | { ok: false, code: 'NOT_FOUND'|'INVALID_ANSWER', message: string }}
+ */
+function answer(id, { answer: value, skip = false } = {}) {
+  const entry = _pending.get(id);
+  if (!entry) return { ok: false, code: 'NOT_FOUND', message: `No pending interaction ${id}` };
+  const { interaction } = entry;
+  if (skip) {
+    console.log(`[Headless] ${id} skipped`);
+    entry.settle({ answered: false }, 'skipped');
+    return { ok: true };
+  }
+  if (!_validAnswer(interaction.kind, value)) {
+    const expected = interaction.kind === 'gather_batch' ? 'an object of answers by question id' : 'a non-empty string';
+    return { ok: false, code: 'INVALID_ANSWER', message: `${interaction.kind} needs ${expected}` };
+  }
+  console.log(`[Headless] ${id} answered`);
+  entry.settle({ answered: true, answer: value }, 'answered');
+  return { ok: true };
+}
+
+/** Skip everything still pending, e.g. on quit. */
+function cancelAll() {
+  for (const { settle } of Array.from(_pending.values())) settle({ answered: false }, 'skipped');
+}
+
+module.exports = { enabled, gatherPolicy, ask, list, answer, cancelAll, KINDS };
@@ -0,0 +1,488 @@
+/**
+ * localApi.js — Token-authenticated local REST API for automation
+ *
+ * Lets editor tasks, git hooks and shell scripts drive ThinkDrop: submit a
+ * prompt to promptQueue, watch the queue, read an item's result, cancel it.
+ * Served under /api/v1 by the overlay control server (main.js), on its
+ * loopback port and/or Unix socket (localTransport.js).
+ *
+ * Discovery: ~/.thinkdrop/.local-api.json (chmod 0600), rewritten each launch
+ *   { "url": "http://127.0.0.1:3010/api/v1" | null,
+ *     "eventsUrl": "http://127.0.0.1:3010/events" | null,   (SSE — eventHub.js)
+ *     "socketPath": "~/.thinkdrop/run/overlay-control.sock" | null,
+ *     "token": "<hex>", "version": 1 }
+ *
+ * Every request needs `Authorization: Bearer <token>`. Requests carrying an
+ * Origin header (i.e. from a browser page) are refused, as are TCP requests
+ * whose Host isn't loopback, so a web page can't drive the API.
+ *
+ * Routes (JSON in, JSON out):
+ *   GET  /api/v1/status                 → { ok, running, pending, failed }
+ *   GET  /api/v1/queue                  → { items: PromptQueueItem[], failed: PromptQueueItem[] }
+ *   POST /api/v1/prompts                { prompt, selectedText?, responseLanguage?, priority?, retry? }
+ *                                       → 202 { id, status, position }
+ *   GET  /api/v1/prompts/:id            → { item }  live queue item, else the archived record
+ *   GET  /api/v1/prompts/:id/result[?wait=<s>]
+ *                                       → 200 { result } once finished (promptArchive record)
+ *                                         202 { status } while pending/running — `wait` holds
+ *                                         the request up to that many seconds (max 300) first
+ *   GET  /api/v1/prompts/:id/events     → NDJSON stream, one object per line:
+ *                                           { type: 'token', text }        answer tokens
+ *                                           { type: 'progress', event }    step / plan events
+ *                                           { type: 'end', status, error, pendingPlan }
+ *                                         Events since the run started are replayed first.
+ *   POST /api/v1/prompts/:id/cancel     → { ok, status }
+ *   GET  /api/v1/cron                   → { items: CronItem[] }
+ *   GET  /api/v1/plans/pending          → { plan: { planFile, prompt, queueId } | null }
+ *   POST /api/v1/plans/approve          { planFile? } → 202 { id, planFile }  (id — the queue item running it;
+ *                                         409 unless planFile, when given, is the pending plan's)
+ *   POST /api/v1/plans/reject           { planFile? } → { ok }
+ *   GET  /api/v1/interactions           → { items }  questions a headless run is waiting on (headless.js)
+ *   POST /api/v1/interactions/:id       { answer } | { skip: true } → { ok }
+ *
+ * Errors: `{ error: { code, message } }` with 400 / 401 / 403 / 404 / 405 / 409 / 413.
+ *
+ *   TD=~/.thinkdrop/.local-api.json
+ *   curl -s -H "Authorization: Bearer $(jq -r .token $TD)" -H 'Content-Type: application/json' \
+ *        -d '{"prompt":"summarize the diff in ~/repo"}' "$(jq -r .url $TD)/prompts"
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const promptQueue   = require('./promptQueue');
+const promptArchive = require('./promptArchive');
+const queueManager  = require('./queueManager');
+const localTransport = require('./localTransport');
+
+const API_PREFIX = '/api/v1';
+const API_VERSION = 1;
+const DISCOVERY_PATH = path.join(os.homedir(), '.thinkdrop', '.local-api.json');
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_WAIT_S = 300;
+const WAIT_POLL_MS = 500;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+const TERMINAL = new Set(['done', 'error', 'cancelled']);
+// Replay buffer per run, and how long it outlives the run for late subscribers
+const MAX_BUFFERED_CHARS = 200000;
+const RUN_BUFFER_TTL_MS = 2 * 60 * 1000;
+const END_POLL_MS = 250;
+// Progress event fields passed through to /events — the rest (data context,
+// intent results, …) is internal and can be large
+const EVENT_FIELDS = ['type', 'stepIndex', 'stepNum', 'totalSteps', 'skill', 'title', 'description', 'intent',
+  'error', 'planFile', 'durationMs', 'completedCount', 'totalCount', 'cancelled', 'savedFilePaths'];
+const MAX_FIELD_CHARS = 500;
+
+/** Per-launch token — every caller re-reads the discovery file */
+const _token = crypto.randomBytes(32).toString('hex');
+
+/** @type {((id: string) => void) | null} — told about each prompt the API enqueues */
+let _onEnqueuedFn = null;
+
+/**
+ * Plan approval, owned by main.js (pendingPlanContext lives there).
+ * @type {{ pending: () => ({ planFile: string, prompt: string, queueId: string|null }|null),
+ *          approve: (opts: { planFile?: string }) => Promise<{ ok: boolean, id?: string, planFile?: string, error?: string }>,
+ *          reject: (opts: { planFile?: string }) => void } | null}
+ */
+let _plans = null;
+
+/**
+ * Pending headless-mode interactions (headless.js), wired by main.js.
+ * @type {{ list: () => object[], answer: (id: string, reply: object) => { ok: boolean, code?: string, message?: string } } | null}
+ */
+let _interactions = null;
+
+/**
+ * queueId → events published for the run so far, plus live /events listeners.
+ * @type {Map<string, { events: object[], chars: number, listeners: Set<(event: object) => void>, touchedAt: number }>}
+ */
+const _runs = new Map();
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function _send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function _tokenMatches(candidate) {
+  const given = Buffer.from(String(candidate || ''));
+  const expected = Buffer.from(_token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function _readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, 'BODY_TOO_LARGE', `Body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch (_) {
+        reject(new ApiError(400, 'INVALID_JSON', 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/** Public shape of a queue item — internal plan-routing fields stay private. */
+function _publicItem(item) {
+  if (!item) return null;
+  return {
+    id: item.id,
+    prompt: item.prompt,
+    status: item.status,
+    priority: item.priority,
+    source: item.source || null,
+    position: item.position,
+    cancelling: !!item.cancelling,
+    attempts: item.attempts || 0,
+    nextAttemptAt: item.nextAttemptAt || null,
+    createdAt: item.createdAt,
+    startedAt: item.startedAt || null,
+    doneAt: item.doneAt || null,
+    error: item.error || null,
+  };
+}
+
+function _status(id) {
+  const item = promptQueue.get(id);
+  return item ? item.status : null;
+}
+
+async function _waitForTerminal(id, waitS) {
+  const deadline = Date.now() + Math.min(MAX_WAIT_S, Math.max(0, waitS)) * 1000;
+  while (Date.now() < deadline) {
+    const status = _status(id);
+    if (!status || TERMINAL.has(status)) return;
+    await new Promise(r => setTimeout(r, WAIT_POLL_MS));
+  }
+}
+
+// ── Routes ───────────────────────────────────────────────────────────────────
+
+async function _submit(req) {
+  const body = await _readJson(req);
+  const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+  if (!prompt) throw new ApiError(400, 'PROMPT_REQUIRED', 'prompt must be a non-empty string');
+  if (body.priority !== undefined && !['interactive', 'normal', 'background'].includes(body.priority)) {
+    throw new ApiError(400, 'INVALID_PRIORITY', 'priority must be interactive, normal or background');
+  }
+
+  const id = promptQueue.enqueue(prompt, {
+    selectedText: typeof body.selectedText === 'string' ? body.selectedText : '',
+    responseLanguage: typeof body.responseLanguage === 'string' ? body.responseLanguage : null,
+    priority: body.priority || null,
+    retry: body.retry && typeof body.retry === 'object' ? body.retry : null,
+    source: 'api',
+  });
+  console.log(`[LocalApi] Enqueued ${id}: "${prompt.slice(0, 60)}"`);
+  if (_onEnqueuedFn) _onEnqueuedFn(id);
+
+  const visible = promptQueue.getVisible().find(i => i.id === id);
+  return [202, { id, status: _status(id), position: visible ? visible.position : null }];
+}
+
+async function _getItem(id) {
+  const live = promptQueue.get(id);
+  if (live) {
+    const visible = promptQueue.getVisible().find(i => i.id === id);
+    return [200, { item: _publicItem(visible || live) }];
+  }
+  const record = await promptArchive.get(id);
+  if (!record) throw new ApiError(404, 'NOT_FOUND', `No prompt ${id}`);
+  return [200, { item: record }];
+}
+
+async function _getResult(id, url) {
+  const wait = parseFloat(url.searchParams.get('wait'));
+  if (wait > 0) await _waitForTerminal(id, wait);
+
+  const status = _status(id);
+  if (status && !TERMINAL.has(status)) return [202, { id, status }];
+
+  const record = await promptArchive.get(id);
+  if (record) return [200, { result: record }];
+  // Finished but not archived (yet) — or failed for good and still in the dead-letter list
+  if (status) return [200, { result: _publicItem(promptQueue.get(id)) }];
+  throw new ApiError(404, 'NOT_FOUND', `No prompt ${id}`);
+}
+
+function _cancel(id) {
+  const item = promptQueue.get(id);
+  if (!item) throw new ApiError(404, 'NOT_FOUND', `No prompt ${id}`);
+  promptQueue.cancel(id);
+  const after = promptQueue.get(id);
+  return [200, { ok: true, status: after.cancelling ? 'cancelling' : after.status }];
+}
+
+function _run(id) {
+  let run = _runs.get(id);
+  if (!run) {
+    run = { events: [], chars: 0, listeners: new Set(), touchedAt: Date.now() };
+    _runs.set(id, run);
+  }
+  return run;
+}
+
+/** Drop replay buffers of runs that ended a while ago. */
+function _sweepRuns() {
+  const cutoff = Date.now() - RUN_BUFFER_TTL_MS;
+  for (const [id, run] of _runs) {
+    if (run.listeners.size === 0 && run.touchedAt < cutoff && TERMINAL.has(_status(id) || 'done')) _runs.delete(id);
+  }
+}
+
+function _compactEvent(event) {
+  const out = {};
+  for (const key of EVENT_FIELDS) {
+    const v = event[key];
+    if (v === undefined || v === null) continue;
+    out[key] = typeof v === 'string' && v.length > MAX_FIELD_CHARS ? `${v.slice(0, MAX_FIELD_CHARS)}…` : v;
+  }
+  return out;
+}
+
+async function _streamEvents(id, req, res) {
+  // Items evicted from the queue after finishing are still streamable from the archive
+  if (!promptQueue.get(id) && !_runs.has(id) && !(await promptArchive.get(id))) {
+    throw new ApiError(404, 'NOT_FOUND', `No prompt ${id}`);
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-store' });
+  const write = (event) => {
+    if (!res.destroyed) res.write(JSON.stringify(event) + '\n');
+  };
+
+  const run = _run(id);
+  for (const event of run.events) write(event);
+  run.listeners.add(write);
+
+  let timer = null;
+  const finish = () => {
+    clearInterval(timer);
+    run.listeners.delete(write);
+    run.touchedAt = Date.now();
+  };
+  req.on('close', finish);
+
+  // The queue, not the event feed, says when a run is over — a run can end
+  // (error, cancel, plan awaiting approval) without a final progress event
+  let ending = false;
+  timer = setInterval(async () => {
+    const item = promptQueue.get(id);
+    if ((item && !TERMINAL.has(item.status)) || ending) return;
+    ending = true;
+    finish();
+    const final = item || await promptArchive.get(id).catch(() => null);
+    const pending = _plans && final && final.status === 'done' ? _plans.pending() : null;
+    const plan = pending && pending.queueId === id ? { planFile: pending.planFile, prompt: pending.prompt } : null;
+    write({ type: 'end', status: final ? final.status : 'unknown', error: (final && final.error) || null, pendingPlan: plan });
+    res.end();
+  }, END_POLL_MS);
+  return null;
+}
+
+async function _approvePlan(req) {
+  if (!_plans) throw new ApiError(503, 'UNAVAILABLE', 'Plans are not available yet');
+  const body = await _readJson(req);
+  // Only the plan awaiting approval runs — never an arbitrary file from the request
+  const pending = _plans.pending();
+  if (!pending) throw new ApiError(409, 'NO_PENDING_PLAN', 'No plan awaiting approval');
+  if (typeof body.planFile === 'string' && path.resolve(body.planFile) !== path.resolve(pending.planFile)) {
+    throw new ApiError(409, 'PLAN_MISMATCH', `${body.planFile} is not the plan awaiting approval`);
+  }
+  const result = await _plans.approve({ planFile: pending.planFile });
+  if (!result.ok) throw new ApiError(409, 'NO_PENDING_PLAN', result.error || 'No plan awaiting approval');
+  if (_onEnqueuedFn && result.id) _onEnqueuedFn(result.id);
+  return [202, { id: result.id, planFile: result.planFile }];
+}
+
+async function _rejectPlan(req) {
+  if (!_plans) throw new ApiError(503, 'UNAVAILABLE', 'Plans are not available yet');
+  const body = await _readJson(req);
+  if (!_plans.pending()) throw new ApiError(409, 'NO_PENDING_PLAN', 'No plan awaiting approval');
+  _plans.reject({ planFile: typeof body.planFile === 'string' ? body.planFile : undefined });
+  return [200, { ok: true }];
+}
+
+async function _answerInteraction(id, req) {
+  const body = await _readJson(req);
+  const result = _interactions
+    ? _interactions.answer(id, { answer: body.answer, skip: body.skip === true })
+    : { ok: false, code: 'NOT_FOUND', message: `No pending interaction ${id}` };
+  if (!result.ok) throw new ApiError(result.code === 'NOT_FOUND' ? 404 : 400, result.code, result.message);
+  return [200, { ok: true }];
+}
+
+async function _route(req, url, res) {
+  const route = url.pathname.slice(API_PREFIX.length).replace(/\/+$/, '') || '/';
+  const method = req.method;
+
+  if (method === 'GET' && route === '/status') {
+    return [200, {
+      ok: true,
+      running: promptQueue.getRunningIds(),
+      pending: promptQueue.getVisible().filter(i => i.status === 'pending').length,
+      failed: promptQueue.getFailed().length,
+    }];
+  }
+  if (method === 'GET' && route === '/queue') {
+    return [200, {
+      items: promptQueue.getVisible().map(_publicItem),
+      failed: promptQueue.getFailed().map(_publicItem),
+    }];
+  }
+  if (method === 'POST' && route === '/prompts') return _submit(req);
+  if (method === 'GET' && route === '/cron') return [200, { items: queueManager.getCron() }];
+  if (method === 'GET' && route === '/plans/pending') return [200, { plan: _plans ? _plans.pending() : null }];
+  if (method === 'POST' && route === '/plans/approve') return _approvePlan(req);
+  if (method === 'POST' && route === '/plans/reject') return _rejectPlan(req);
+  if (method === 'GET' && route === '/interactions') return [200, { items: _interactions ? _interactions.list() : [] }];
+
+  const answerMatch = /^\/interactions\/([A-Za-z0-9_-]+)$/.exec(route);
+  if (answerMatch) {
+    if (method === 'POST') return _answerInteraction(answerMatch[1], req);
+    throw new ApiError(405, 'METHOD_NOT_ALLOWED', `${method} not allowed on ${route}`);
+  }
+
+  const m = /^\/prompts\/([A-Za-z0-9_-]+)(\/result|\/cancel|\/events)?$/.exec(route);
+  if (m) {
+    const [, id, sub] = m;
+    if (method === 'GET' && !sub) return _getItem(id);
+    if (method === 'GET' && sub === '/result') return _getResult(id, url);
+    if (method === 'GET' && sub === '/events') return _streamEvents(id, req, res);
+    if (method === 'POST' && sub === '/cancel') return _cancel(id);
+    throw new ApiError(405, 'METHOD_NOT_ALLOWED', `${method} not allowed on ${route}`);
+  }
+
+  throw new ApiError(404, 'NOT_FOUND', `No route ${method} ${route}`);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {{ onEnqueued?: (id: string) => void, plans?: typeof _plans, interactions?: typeof _interactions }} deps
+ */
+function init({ onEnqueued, plans, interactions } = {}) {
+  _onEnqueuedFn = onEnqueued || null;
+  _plans = plans || null;
+  _interactions = interactions || null;
+}
+
+/**
+ * Feed a running item's output to /events subscribers.
+ * @param {string} queueId
+ * @param {{ type: 'token', text: string } | { type: 'progress', event: object }} event
+ */
+function publish(queueId, event) {
+  if (!queueId) return;
+  const out = event.type === 'progress' ? { type: 'progress', event: _compactEvent(event.event || {}) } : event;
+  const run = _run(queueId);
+  run.touchedAt = Date.now();
+  const size = out.type === 'token' ? (out.text || '').length : 200;
+  if (run.chars + size <= MAX_BUFFERED_CHARS) {
+    run.events.push(out);
+    run.chars += size;
+  }
+  for (const listener of run.listeners) listener(out);
+  if (_runs.size > 50) _sweepRuns();
+}
+
+/** True for requests this module serves. */
+function matches(req) {
+  return req.url === API_PREFIX || req.url.startsWith(`${API_PREFIX}/`) || req.url.startsWith(`${API_PREFIX}?`);
+}
+
+/**
+ * Access check shared with the other token-authenticated endpoints on the
+ * overlay control server (eventHub's /events).
+ * @param {import('http').IncomingMessage} req
+ * @param {{ viaUnix?: boolean, origins?: string[], queryToken?: string|null }} [opts]
+ *   origins     — browser origins allowed in addition to non-browser callers
+ *   queryToken  — token from the query string, for clients that can't set headers (EventSource)
+ * @returns {{ status: number, code: string, message: string } | null}  null when allowed
+ */
+function checkAccess(req, { viaUnix = false, origins = [], queryToken = null } = {}) {
+  const origin = req.headers.origin;
+  if (origin && !origins.includes(origin)) return { status: 403, code: 'FORBIDDEN', message: 'Browser requests are not accepted' };
+  if (!viaUnix) {
+    const host = String(req.headers.host || '').replace(/:\d+$/, '');
+    if (!LOOPBACK_HOSTS.has(host)) return { status: 403, code: 'FORBIDDEN', message: 'Host must be loopback' };
+  }
+  const match = /^Bearer (\S+)$/.exec(req.headers['authorization'] || '');
+  if (!_tokenMatches(match ? match[1] : queryToken)) {
+    return { status: 401, code: 'UNAUTHORIZED', message: 'Missing or invalid bearer token' };
+  }
+  return null;
+}
+
+/**
+ * Serve one /api/v1 request.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ viaUnix?: boolean }} [opts]
+ */
+async function handle(req, res, { viaUnix = false } = {}) {
+  try {
+    const denied = checkAccess(req, { viaUnix });
+    if (denied) throw new ApiError(denied.status, denied.code, denied.message);
+
+    // null — the route wrote its own (streamed) response
+    const result = await _route(req, new URL(req.url, 'http://localhost'), res);
+    if (result) _send(res, result[0], result[1]);
+  } catch (err) {
+    if (err instanceof ApiError) {
+      _send(res, err.status, { error: { code: err.code, message: err.message } });
+    } else {
+      console.error('[LocalApi] Request failed:', err.message);
+      _send(res, 500, { error: { code: 'INTERNAL', message: err.message } });
+    }
+  }
+}
+
+/**
+ * Publish the token and where to reach the API, once the overlay control
+ * server knows its endpoints.
+ * @param {{ url: string|null, socketPath: string|null }} endpoint  overlay control server
+ */
+function writeDiscovery({ url, socketPath }) {
+  localTransport.writeDiscovery(DISCOVERY_PATH, {
+    url: url ? `${url}${API_PREFIX}` : null,
+    eventsUrl: url ? `${url}/events` : null,
+    socketPath,
+    token: _token,
+    version: API_VERSION,
+  });
+  console.log(`[LocalApi] Listening under ${API_PREFIX} — token in ${DISCOVERY_PATH}`);
+}
+
+function removeDiscovery() {
+  try { fs.unlinkSync(DISCOVERY_PATH); } catch (_) {}
+}
+
+module.exports = { init, matches, handle, checkAccess, publish, writeDiscovery, removeDiscovery, DISCOVERY_PATH, API_PREFIX };
@@ -0,0 +1,191 @@
+/**
+ * localTransport.js — Loopback TCP and/or Unix domain socket listeners
+ *
+ * The crypto bridge and the overlay control server are local-only HTTP
+ * servers. On loopback TCP any process on the machine can reach them; a Unix
+ * socket with mode 0600 in a 0700 directory limits them to this user.
+ *
+ *   THINKDROP_IPC_TRANSPORT = tcp  (default) loopback TCP only
+ *                             unix           Unix socket only
+ *                             both           both — e.g. while services migrate
+ *
+ * Sockets live in ~/.thinkdrop/run/<name>.sock (or $TMPDIR/thinkdrop-<uid>/
+ * when the home path would exceed the OS socket path limit). Peer checks:
+ * Node exposes neither SO_PEERCRED nor getpeereid(), so the check is the one
+ * the kernel makes at connect() — Linux and macOS require write permission on
+ * the socket file. listenUnix() makes that check meaningful by refusing a
+ * socket directory not owned by this uid or open to group/others, and by
+ * verifying the socket's own owner and mode after binding.
+ *
+ * Unix sockets are not offered on Windows (Node maps socket paths to named
+ * pipes there, which have no file mode); `unix` falls back to TCP with a warning.
+ *
+ * Clients discover the socket through the same 0600 JSON files that carry the
+ * URL (writeDiscovery): `{ url, socketPath, … }` — `url` is null when TCP is off.
+ * An HTTP client connects with `http.request({ socketPath, path, … })`.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const TRANSPORTS = ['tcp', 'unix', 'both'];
+// sun_path is 104 bytes on macOS, 108 on Linux — stay under the smaller
+const MAX_SOCKET_PATH = 103;
+
+let _warned = false;
+
+/** @returns {'tcp'|'unix'|'both'} */
+function mode() {
+  const requested = String(process.env.THINKDROP_IPC_TRANSPORT || 'tcp').toLowerCase();
+  const m = TRANSPORTS.includes(requested) ? requested : 'tcp';
+  if (m !== 'tcp' && process.platform === 'win32') {
+    if (!_warned) console.warn('[LocalTransport] Unix sockets are not supported on Windows — using loopback TCP');
+    _warned = true;
+    return 'tcp';
+  }
+  return m;
+}
+
+function wantsTcp() {
+  return mode() !== 'unix';
+}
+
+function wantsUnix() {
+  return mode() !== 'tcp';
+}
+
+/** Directory holding the sockets. */
+function socketDir() {
+  const preferred = path.join(os.homedir(), '.thinkdrop', 'run');
+  // Longest name we use is "crypto-bridge.sock"
+  if (path.join(preferred, 'crypto-bridge.sock').length <= MAX_SOCKET_PATH) return preferred;
+  return path.join(os.tmpdir(), `thinkdrop-${process.getuid()}`);
+}
+
+/** @param {string} name  e.g. 'crypto-bridge' */
+function socketPathFor(name) {
+  return path.join(socketDir(), `${name}.sock`);
+}
+
+function _assertPrivate(p, what) {
+  const st = fs.lstatSync(p);
+  if (st.uid !== process.getuid()) {
+    throw new Error(`[LocalTransport] ${what} ${p} is owned by uid ${st.uid}, not ${process.getuid()}`);
+  }
+  if (st.mode & 0o077) {
+    throw new Error(`[LocalTransport] ${what} ${p} is accessible to other users (mode ${(st.mode & 0o777).toString(8)})`);
+  }
+  return st;
+}
+
+function _prepareDir() {
+  const dir = socketDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  // mkdir's mode is masked by umask and ignored for an existing dir — tighten explicitly
+  try { fs.chmodSync(dir, 0o700); } catch (_) { /* owned by someone else — caught below */ }
+  const st = _assertPrivate(dir, 'Socket directory');
+  if (!st.isDirectory()) throw new Error(`[LocalTransport] ${dir} is not a directory`);
+  return dir;
+}
+
+/**
+ * Remove a socket file left behind by a crashed run. Refuses to touch
+ * anything that isn't a socket.
+ */
+function _clearStale(socketPath) {
+  let st;
+  try {
+    st = fs.lstatSync(socketPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  if (!st.isSocket()) throw new Error(`[LocalTransport] ${socketPath} exists and is not a socket`);
+  fs.unlinkSync(socketPath);
+}
+
+/**
+ * Bind `server` to the named Unix socket with mode 0600.
+ * @param {import('http').Server} server
+ * @param {string} name
+ * @returns {Promise<string>} socket path
+ */
+function listenUnix(server, name) {
+  return new Promise((resolve, reject) => {
+    let socketPath;
+    try {
+      _prepareDir();
+      socketPath = socketPathFor(name);
+      _clearStale(socketPath);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    const onError = (err) => reject(new Error(`[LocalTransport] Cannot listen on ${socketPath}: ${err.message}`));
+    server.once('error', onError);
+    server.listen({ path: socketPath }, () => {
+      server.removeListener('error', onError);
+      try {
+        fs.chmodSync(socketPath, 0o600);
+        _assertPrivate(socketPath, 'Socket');
+      } catch (err) {
+        server.close();
+        reject(err);
+        return;
+      }
+      resolve(socketPath);
+    });
+  });
+}
+
+/**
+ * Bind `server` to loopback TCP.
+ * @param {import('http').Server} server
+ * @param {number} port  0 for any free port
+ * @returns {Promise<string>} base URL
+ */
+function listenTcp(server, port) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => reject(err);
+    server.once('error', onError);
+    server.listen(port, '127.0.0.1', () => {
+      server.removeListener('error', onError);
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+/** Delete a socket file on shutdown. */
+function removeSocket(socketPath) {
+  if (!socketPath) return;
+  try { _clearStale(socketPath); } catch (_) {}
+}
+
+/**
+ * Write a discovery file (chmod 0600) — the same mechanism the crypto bridge
+ * has always used for its URL and token.
+ * @param {string} file
+ * @param {Object} data  typically { url, socketPath, … }
+ */
+function writeDiscovery(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600, encoding: 'utf8' });
+  // writeFileSync's mode only applies when it creates the file
+  fs.chmodSync(file, 0o600);
+}
+
+module.exports = {
+  mode,
+  wantsTcp,
+  wantsUnix,
+  socketDir,
+  socketPathFor,
+  listenUnix,
+  listenTcp,
+  removeSocket,
+  writeDiscovery,
+};
@@ -20,11 +20,13 @@ app.commandLine.appendSwitch('enable-features', 'WebRtcHideLocalIpsWithMdns');
 app.commandLine.appendSwitch('unsafely-treat-insecure-origin-as-secure', 'http://localhost:5173');
 app.commandLine.appendSwitch('allow-insecure-localhost', 'true');
 
-const { startCryptoBridge, stopCryptoBridge } = require('./cryptoBridge');
+const { startCryptoBridge, stopCryptoBridge, encryptValueRef, setBlobStore, listClients: listCryptoClients, recentAudit: recentCryptoAudit } = require('./cryptoBridge');
 
 // Safe IPC send — guards against "Render frame was disposed" crash that occurs when
 // a window reloads between the isDestroyed() check and the actual send call.
 function safeSend(win, channel, ...args) {
+  // Mirror app activity to GET /events subscribers, whether or not this window is up
+  eventHub.publish(channel, args[0]);
   if (!win || win.isDestroyed()) return;
   try { win.webContents.send(channel, ...args); } catch (_) {}
 }
@@ -37,6 +39,7 @@ function safeSendUnified(channel, ...args) {
     const textPreview = msg?.text ? `"${String(msg.text).substring(0, 30).replace(/\n/g, '\\n')}${msg.text.length > 30 ? '...' : ''}"` : '';
     console.log(`[SEND→UNIFIED] ch=${channel} type=${msg?.type || 'n/a'} textLen=${msg?.text?.length ?? 0} lane=${msg?.lane || ''} ${textPreview}`);
   }
+  eventHub.publish(channel, args[0]);
   if (unifiedWindow && !unifiedWindow.isDestroyed()) {
     try { unifiedWindow.webContents.send(channel, ...args); } catch (_) {}
   }
@@ -46,6 +49,32 @@ function safeSendUnified(channel, ...args) {
   }
 }
 
+// Senders for one prompt-queue run. Object payloads carry the run's queueId so
+// concurrent runs can be told apart; while the run doesn't drive the overlay
+// (promptQueue drivesOverlay) its window messages reach /events subscribers
+// only — its tokens and progress go out through publishRun instead. Ownership
+// is read per message: a run can be handed the overlay mid-flight.
+function runSenders(queueId, drivesOverlay) {
+  const tag = (payload) => (queueId && payload && typeof payload === 'object' && !Array.isArray(payload) ? { queueId, ...payload } : payload);
+  return {
+    send: (win, channel, payload, ...rest) => {
+      if (drivesOverlay()) safeSend(win, channel, tag(payload), ...rest);
+    },
+    sendUnified: (channel, payload, ...rest) => {
+      if (drivesOverlay()) safeSendUnified(channel, tag(payload), ...rest);
+      else eventHub.publish(channel, tag(payload));
+    },
+  };
+}
+
+// Streamed tokens and progress of every queued run, overlay owner or not:
+// local API subscribers plus the Queue tab's live preview.
+function publishRun(queueId, out) {
+  if (!queueId) return;
+  localApi.publish(queueId, out);
+  safeSend(resultsWindow, 'prompt-queue:run', { queueId, ...out });
+}
+
 // ---------------------------------------------------------------------------
 // GhostLayer progress "drop" lifecycle
 // During capture-heavy app.agent steps the main panel (unifiedWindow) is hidden
@@ -121,6 +150,8 @@ async function _drawSessionBoundary(label) {
 }
 
 function driveProgressDrop(evt) {
+  // Headless: no panel to hide and no GhostLayer to show the drop in
+  if (headless.enabled()) return;
   if (!evt || typeof evt !== 'object') return;
   const t = evt.type;
   if (t === 'plan:step_start' || t === 'step_start') {
@@ -155,14 +186,25 @@ const fs = require('fs');
 const os = require('os');
 const WebSocket = require('ws');
 const http = require('http');
-
-// Helper: POST to command-service (port 3007) — sole owner of agents.db
+const serviceRegistry = require('./serviceRegistry');
+const tracing = require('./tracing');
+const connectionPool = require('./connectionPool');
+const localTransport = require('./localTransport');
+const localApi = require('./localApi');
+const eventHub = require('./eventHub');
+const headless = require('./headless');
+const bridgeProtocol = require('./bridgeProtocol');
+
+// Headless (--headless): nothing is ever drawn, so skip GPU initialisation
+if (headless.enabled()) app.disableHardwareAcceleration();
+
+// Helper: POST to command-service — sole owner of agents.db
 async function _cmdHttp(urlPath, body = {}) {
   return new Promise((resolve, reject) => {
     const payload = JSON.stringify(body);
     const req = http.request(
-      { hostname: '127.0.0.1', port: 3007, path: urlPath, method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } },
+      serviceRegistry.requestOptions('command', urlPath, {
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } }),
       (res) => {
         let data = '';
         res.on('data', chunk => { data += chunk; });
@@ -175,11 +217,11 @@ async function _cmdHttp(urlPath, body = {}) {
   });
 }
 
-// Helper: GET from command-service (port 3007)
+// Helper: GET from command-service
 async function _cmdGet(urlPath) {
   return new Promise((resolve, reject) => {
     const req = http.request(
-      { hostname: '127.0.0.1', port: 3007, path: urlPath, method: 'GET' },
+      serviceRegistry.requestOptions('command', urlPath, { method: 'GET' }),
       (res) => {
         let data = '';
         res.on('data', chunk => { data += chunk; });
@@ -197,8 +239,13 @@ async function _cmdGet(urlPath) {
 // Skills in command-service call POST /overlay/hide before screenshotting
 // and POST /overlay/show after, so the Electron windows don't appear in
 // OmniParser / vision LLM screenshots.
+// With THINKDROP_IPC_TRANSPORT=unix|both it also (or only) listens on a 0600
+// Unix socket; ~/.thinkdrop/.overlay-control.json tells skills where.
+// /api/v1/* is the token-authenticated automation API (localApi.js).
 // ---------------------------------------------------------------------------
 const OVERLAY_CONTROL_PORT = parseInt(process.env.OVERLAY_CONTROL_PORT || '3010', 10);
+const OVERLAY_CONTROL_DISCOVERY = path.join(os.homedir(), '.thinkdrop', '.overlay-control.json');
+let overlayControlSocketPath = null;
 
 // Active progressCallback for the currently running stategraph execution.
 // Set whenever an execution starts, cleared when it ends. Used by the overlay
@@ -220,7 +267,19 @@ function broadcastCompanionEvent(eventName, data = {}) {
 }
 
 function startOverlayControlServer() {
-  const server = http.createServer((req, res) => {
+  const handleOverlayRequest = (viaUnix) => (req, res) => {
+    // ── /api/v1 — authenticated automation API, no CORS ─────────────────────
+    if (localApi.matches(req)) {
+      localApi.handle(req, res, { viaUnix });
+      return;
+    }
+
+    // ── GET /events — authenticated SSE mirror of app activity (eventHub.js) ──
+    if (eventHub.matches(req)) {
+      eventHub.handle(req, res, { viaUnix });
+      return;
+    }
+
     // ── CORS — allow Chrome companion window (localhost:5173) to call us ─────
     res.setHeader('Access-Control-Allow-Origin', 'http://localhost:5173');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -283,6 +342,8 @@ function startOverlayControlServer() {
       let body = '';
       req.on('data', chunk => { body += chunk; });
       req.on('end', async () => {
+        let _pqId = null;
+        const tokens = [];
         try {
           const { message, sessionId, source, responseLanguage: injectResponseLanguage = null, voiceOnly = false } = JSON.parse(body || '{}');
           if (!message) {
@@ -295,7 +356,7 @@ function startOverlayControlServer() {
           // Track voice-inject tasks in the Queue tab so they show as 'running'.
           // We only track voiceOnly=true (background escalations) — non-voiceOnly
           // tasks are visible in the Results window already.
-          const _pqId = voiceOnly ? promptQueue.trackExternal(message, { responseLanguage: injectResponseLanguage }) : null;
+          _pqId = voiceOnly ? promptQueue.trackExternal(message, { responseLanguage: injectResponseLanguage, source: 'voice' }) : null;
 
           if (!stateGraph) {
             if (_pqId) promptQueue.markDone(_pqId, { error: 'StateGraph not initialized' });
@@ -322,8 +383,8 @@ function startOverlayControlServer() {
 
           // Run StateGraph synchronously so voice-service gets the answer to TTS
           const voiceAbort = new AbortController();
+          if (_pqId) externalRunAborts.set(_pqId, voiceAbort);
 
-          const tokens = [];
           const streamCallback = (token) => {
             tokens.push(token);
             if (!voiceOnly) {
@@ -373,6 +434,7 @@ function startOverlayControlServer() {
 
           let _nodeIdx = 0;
           const onProgress = async (nodeName, _s, durationMs, phase) => {
+            tracing.recordNode(nodeName, phase, durationMs);
             // Activate AutomationProgress in Results window when planning starts
             if (nodeName === 'planSkills' && phase === 'started') {
               if (_s?._skillPlan && !_s?.recoveryContext) {
@@ -386,7 +448,8 @@ function startOverlayControlServer() {
             voiceJournal.graphNodeDone({ node: nodeName, durationMs, nodeIndex: _nodeIdx, totalNodes: 0 });
           };
 
-          const finalState = await stateGraph.execute(initialState, onProgress, voiceAbort.signal);
+          const finalState = await tracing.run(tracing.forQueueItem(_pqId),
+            () => stateGraph.execute(initialState, onProgress, voiceAbort.signal));
           ipcMain.removeListener('install:confirm', handleVoiceInstallConfirm);
 
           // Persist session
@@ -401,7 +464,12 @@ function startOverlayControlServer() {
           });
 
           // Mark Queue tab item done
-          if (_pqId) promptQueue.markDone(_pqId);
+          if (_pqId) {
+            promptQueue.markDone(_pqId, {
+              partial: { answer: answer.slice(0, 2000) },
+              result: { answer, timeline: [], savedFilePaths: [] },
+            });
+          }
 
           // Signal stream end to renderer (not for voice-only background escalations)
           if (!voiceOnly && resultsWindow && !resultsWindow.isDestroyed()) {
@@ -420,9 +488,11 @@ function startOverlayControlServer() {
         } catch (err) {
           console.error('[VoiceInject] Error:', err.message);
           voiceJournal.graphError({ intent: 'unknown', error: err.message });
-          if (_pqId) promptQueue.markDone(_pqId, { error: err.message });
+          if (_pqId) promptQueue.markDone(_pqId, { error: err.message, partial: { answer: tokens.join('').slice(0, 2000) } });
           res.writeHead(200);
           res.end(JSON.stringify({ ok: false, error: err.message, answer: '' }));
+        } finally {
+          if (_pqId) externalRunAborts.delete(_pqId);
         }
       });
       return;
@@ -609,20 +679,8 @@ function startOverlayControlServer() {
           let logoIcon;
           try { logoIcon = nativeImage.createFromPath(logoPath); } catch (_) {}
           const attemptsLeft = 3 - (retryCount || 0);
-          // Convert cron expression to a human-readable label for the dialog
-          const _cronToHuman = (expr) => {
-            if (!expr) return null;
-            const m = expr.match(/^(\*|\d+) \*\/(\d+) \* \* \*$/);
-            if (m) return `every ${m[2]}h`;
-            const m2 = expr.match(/^\*\/(\d+) \* \* \* \*$/);
-            if (m2) return `every ${m2[1]}min`;
-            const m3 = expr.match(/^0 (\d+) \* \* \*$/);
-            if (m3) return `daily at ${m3[1]}:00`;
-            const m4 = expr.match(/^0 0 \* \* (\d+)$/);
-            if (m4) { const d=['Sun','Mon','Tue','Wed','Thu','Fri','Sat']; return `weekly on ${d[m4[1]]||m4[1]}`; }
-            return expr;
-          };
-          const scheduleLabel = _cronToHuman(schedule);
+          // Convert the cron expression / RRULE to a human-readable label for the dialog
+          const scheduleLabel = schedule ? recurrence.describe(schedule) : null;
           const scheduleNote = scheduleLabel ? ` — scheduled ${scheduleLabel}` : '';
           const deferNote = attemptsLeft > 0 ? `(force-runs after ~${attemptsLeft * 10} min of deferral${scheduleNote})` : '(last chance — will run now regardless)';
           const { response } = await dialog.showMessageBox({
@@ -638,14 +696,11 @@ function startOverlayControlServer() {
           if (response === 0) {
             // "Run Now" — force-fire via /skill.fire (bypasses activity check)
             const http = require('http');
-            const cmdPort = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
             const fireBody = JSON.stringify({ skillName, forced: true });
-            const fireReq = http.request({
-              hostname: '127.0.0.1', port: cmdPort,
-              path: '/skill.fire', method: 'POST',
+            const fireReq = http.request(serviceRegistry.requestOptions('command', '/skill.fire', {
               headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(fireBody) },
               timeout: 60000,
-            }, (r) => { r.resume(); });
+            }), (r) => { r.resume(); });
             fireReq.on('error', (e) => console.warn('[BridgeConfirm] force-fire error:', e.message));
             fireReq.write(fireBody);
             fireReq.end();
@@ -666,12 +721,22 @@ function startOverlayControlServer() {
     // ── POST /agent-turn — command-service streams per-turn progress back to the renderer ──
     // cli.agent.cjs POSTs here after each agentic turn so the UI shows the live turn count
     // before the full response arrives. Forwarded via the active progressCallback.
+    // Services that stream their response (ThinkDropMCPClient callServiceStream /
+    // callService onProgress) deliver these events in-band and don't need this.
     if (req.url === '/agent-turn') {
       let body = '';
       req.on('data', chunk => { body += chunk; });
       req.on('end', () => {
         try {
           const evt = JSON.parse(body || '{}');
+          // Services echo the trace headers of the MCP call this turn belongs to
+          const traceCtx = tracing.fromHeaders(req.headers);
+          if (traceCtx && evt.type) {
+            tracing.recordEvent(traceCtx.traceId, evt.type, {
+              source: 'agent-turn',
+              attrs: { agentId: evt.agentId, turn: evt.turn, action: evt.action && evt.action.action, ok: evt.outcome && evt.outcome.ok },
+            });
+          }
           if (activeProgressCallback && ['agent:turn_live', 'agent:turn', 'agent:complete', 'agent:thought', 'agent:thinking', 'needs_login', 'task:auth_required', 'task:auth_resolved'].includes(evt.type)) {
             activeProgressCallback(evt);
           }
@@ -695,7 +760,13 @@ function startOverlayControlServer() {
           const data = JSON.parse(body || '{}');
           res.writeHead(200).end(JSON.stringify({ ok: true }));
 
+          const traceCtx = tracing.fromHeaders(req.headers);
+          if (traceCtx && data.type) {
+            tracing.recordEvent(traceCtx.traceId, data.type, { source: 'scan.progress', attrs: { agent: data.agent, total: data.total } });
+          }
+
           // Forward to renderer windows
+          eventHub.publish('scan:progress', data);
           const wins = [resultsWindow, promptCaptureWindow].filter(w => w && !w.isDestroyed());
           for (const win of wins) safeSend(win, 'scan:progress', data);
 
@@ -924,14 +995,37 @@ function startOverlayControlServer() {
 
     res.writeHead(200);
     res.end(JSON.stringify({ ok: true, action: hide ? 'hidden' : 'shown' }));
-  });
+  };
 
-  server.listen(OVERLAY_CONTROL_PORT, '127.0.0.1', () => {
-    console.log(`[Overlay Control] HTTP server listening on http://127.0.0.1:${OVERLAY_CONTROL_PORT}`);
-  });
+  const endpoint = { url: null, socketPath: null };
+  const listeners = [];
+  if (localTransport.wantsTcp()) {
+    const server = http.createServer(handleOverlayRequest(false));
+    listeners.push(localTransport.listenTcp(server, OVERLAY_CONTROL_PORT).then((url) => {
+      endpoint.url = url;
+      console.log(`[Overlay Control] HTTP server listening on ${url}`);
+      server.on('error', (err) => console.error('[Overlay Control] Server error:', err.message));
+    }));
+  }
+  if (localTransport.wantsUnix()) {
+    const server = http.createServer(handleOverlayRequest(true));
+    listeners.push(localTransport.listenUnix(server, 'overlay-control').then((socketPath) => {
+      endpoint.socketPath = overlayControlSocketPath = socketPath;
+      console.log(`[Overlay Control] HTTP server listening on ${socketPath}`);
+      server.on('error', (err) => console.error('[Overlay Control] Server error:', err.message));
+    }));
+  }
 
-  server.on('error', (err) => {
-    console.error('[Overlay Control] Server error:', err.message);
+  Promise.allSettled(listeners).then((results) => {
+    for (const r of results) {
+      if (r.status === 'rejected') console.error('[Overlay Control] Server error:', r.reason.message);
+    }
+    try {
+      localTransport.writeDiscovery(OVERLAY_CONTROL_DISCOVERY, endpoint);
+      localApi.writeDiscovery(endpoint);
+    } catch (err) {
+      console.warn('[Overlay Control] Failed to write discovery file:', err.message);
+    }
   });
 }
 
@@ -939,8 +1033,10 @@ function startOverlayControlServer() {
 const { StateGraphBuilder, RealMCPAdapter, ThinkDropLLMBackend } = require('@thinkdrop/stategraph');
 const ThinkDropMCPClient = require('./ThinkDropMCPClient');
 const scheduler = require('./scheduler');
+const recurrence = require('./recurrence');
 const queueManager = require('./queueManager');
 const promptQueue = require('./promptQueue');
+const promptArchive = require('./promptArchive');
 
 // Voice Journal — shared state file with voice-service
 const voiceJournal = (() => {
@@ -975,6 +1071,30 @@ let _currentAutomationPrompt = null; // Phase 10: tracks the active prompt for t
 let currentLastOpenedFilePath = null; // Persists last opened file path so "close it" knows the target
 let sessionFileCreations = []; // Track all file creation operations in current session for "newly created" references
 
+// Store a secret as a SAFE: envelope in the user-memory profile, or in the macOS
+// keychain when the crypto bridge can't seal it (no safeStorage, unreadable
+// keyring). Throws when neither store takes it, so callers keep the value
+// where it was instead of dropping it.
+async function storeSecret(profileKey, value, { service = 'thinkdrop', account = profileKey } = {}) {
+  let valueRef = null;
+  if (safeStorage.isEncryptionAvailable()) {
+    try {
+      valueRef = encryptValueRef(String(value));
+    } catch (err) {
+      console.warn(`[CryptoBridge] Could not seal ${profileKey} — falling back to the keychain: ${err.message}`);
+    }
+  }
+  if (valueRef) {
+    await mcpAdapter.callService('user-memory', 'profile.set', { key: profileKey, valueRef }, { timeoutMs: 4000 }).catch(() => {});
+    return;
+  }
+  const { spawnSync } = require('child_process');
+  const proc = spawnSync('security', ['add-generic-password', '-s', service, '-a', account, '-w', String(value), '-U'], { encoding: 'utf8' });
+  if (proc.status !== 0) {
+    throw new Error(`keychain store failed for ${account}: ${proc.error?.message || String(proc.stderr || '').trim() || `exit ${proc.status}`}`);
+  }
+}
+
 // Module-level gather:answer resolver — set per-question, cleared on answer.
 // Registered ONCE (not per stategraph:process run) to avoid listener accumulation.
 let pendingGatherResolve = null;
@@ -1137,6 +1257,15 @@ let _intentionalHide = false;
 // Hoisted to module scope so GET /activity (startOverlayControlServer) can read it.
 let activeAbortController = null;
 
+// AbortControllers for runs tracked via promptQueue.trackExternal (voice
+// escalations), keyed by prompt queue id so the Queue tab can cancel them too.
+const externalRunAborts = new Map();
+
+// AbortController of every running prompt queue item, keyed by prompt queue id.
+// Only the run that may drive the browser / desktop (see promptSlots.js) is also
+// activeAbortController — concurrent question-only runs never touch it.
+const promptRunAborts = new Map();
+
 function initStateGraph() {
   try {
     mcpClient = new ThinkDropMCPClient({ logger: console, timeoutMs: 600000 });
@@ -1696,6 +1825,8 @@ function createGhostLayerWindow() {
 }
 
 function showGhostLayer(scanningMode = false) {
+  // Headless runs never create windows — /overlay/highlight and scan events become no-ops
+  if (headless.enabled()) return;
   console.log('[GhostLayer] showGhostLayer called, scanningMode:', scanningMode);
   if (!ghostLayerWindow || ghostLayerWindow.isDestroyed()) {
     console.log('[GhostLayer] Creating new window...');
@@ -1871,9 +2002,18 @@ app.whenReady().then(async () => {
   });
   console.log('[App] Registered thinkdrop-image:// protocol for image cache');
 
+  // ── Service registry: hot-reload ~/.thinkdrop/services.json ─────────────────
+  serviceRegistry.watch();
+  serviceRegistry.onChange(() => {
+    // Edited URLs or keys get a fresh start — drop any open circuits
+    if (mcpClient) for (const name of serviceRegistry.names()) mcpClient.resetCircuit(name);
+  });
+
   // ── Check Node.js is installed ───────────────────────────────────────────────
   const nodeCheck = checkNodeJs();
-  if (!nodeCheck.ok) {
+  if (!nodeCheck.ok && headless.enabled()) {
+    console.warn('[App] Node.js not found — skill features will not work');
+  } else if (!nodeCheck.ok) {
     const { dialog, shell } = require('electron');
     const choice = await dialog.showMessageBox({
       type: 'warning',
@@ -1898,7 +2038,7 @@ app.whenReady().then(async () => {
   }
 
   // In dev mode, wait for Vite before creating windows to avoid ERR_CONNECTION_REFUSED
-  if (process.env.NODE_ENV === 'development') {
+  if (process.env.NODE_ENV === 'development' && !headless.enabled()) {
     console.log('[App] Waiting for Vite dev server...');
     try {
       await waitForVite();
@@ -1908,12 +2048,23 @@ app.whenReady().then(async () => {
     }
   }
 
-  // Create unified window (combines prompt capture and results)
-  createUnifiedWindow();
+  if (headless.enabled()) {
+    // No windows, dock icon or global shortcuts — runs report through the log,
+    // the local API and GET /events, and their questions wait in headless.js
+    const policy = headless.gatherPolicy();
+    console.log(`[Headless] Starting without windows — unanswered questions: ${policy.onTimeout} after ${policy.timeoutMs / 1000}s`);
+    app.dock?.hide?.();
+    // No window to close — quit on the service manager's signal instead
+    process.on('SIGTERM', () => app.quit());
+    process.on('SIGINT', () => app.quit());
+  } else {
+    // Create unified window (combines prompt capture and results)
+    createUnifiedWindow();
 
-  // Create GhostLayer window for app.agent visual highlighting (hidden until needed)
-  createGhostLayerWindow();
-  console.log('[GhostLayer] Window created on startup (hidden)');
+    // Create GhostLayer window for app.agent visual highlighting (hidden until needed)
+    createGhostLayerWindow();
+    console.log('[GhostLayer] Window created on startup (hidden)');
+  }
 
   // Start overlay control HTTP server so command-service skills can hide/show windows before screenshotting
   startOverlayControlServer();
@@ -1923,6 +2074,27 @@ app.whenReady().then(async () => {
   startCryptoBridge(safeStorage).catch((err) => {
     console.warn('[App] Crypto bridge failed to start (credential encryption unavailable):', err.message);
   });
+  // Key rotation (/rotate) re-encrypts the SAFE: valueRefs kept in the user-memory profile store
+  setBlobStore({
+    list: async () => {
+      if (!mcpClient) throw new Error('MCP client not ready');
+      const res = await mcpClient.call('user-memory', 'profile.list', {}, { timeoutMs: 10000 });
+      if (!res.ok) throw new Error(`profile.list failed: ${res.error.message}`);
+      return (res.data?.entries || [])
+        .filter(e => typeof e.valueRef === 'string' && e.valueRef.startsWith('SAFE:'))
+        // Unlabelled blobs take the namespace of their key (credential:foo → credential)
+        .map(e => ({ id: e.key, ciphertext: e.valueRef, namespace: e.key.includes(':') ? e.key.split(':')[0] : undefined }));
+    },
+    get: async (key) => {
+      const res = await mcpClient.call('user-memory', 'profile.get', { key }, { timeoutMs: 4000 });
+      if (!res.ok) throw new Error(`profile.get failed: ${res.error.message}`);
+      return res.data?.valueRef ?? null;
+    },
+    update: async (key, valueRef) => {
+      const res = await mcpClient.call('user-memory', 'profile.set', { key, valueRef }, { timeoutMs: 4000 });
+      if (!res.ok) throw new Error(`profile.set failed: ${res.error.message}`);
+    },
+  });
 
   // Migrate legacy .agent.md files into agents.db (idempotent, runs in command-service)
   setTimeout(() => {
@@ -1995,20 +2167,14 @@ app.whenReady().then(async () => {
   setTimeout(async () => {
     try {
       const http = require('http');
-      const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
 
-      const _memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
       function _mcpPost(apiPath, action, payload) {
         return new Promise((resolve) => {
           const b = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action, payload, requestId: 'boot-' + Date.now() });
-          const req = http.request({
-            hostname: '127.0.0.1', port: memPort, path: apiPath, method: 'POST',
-            headers: {
-              'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(b),
-              ...(_memApiKey ? { 'Authorization': `Bearer ${_memApiKey}` } : {}),
-            },
+          const req = http.request(serviceRegistry.requestOptions('user-memory', apiPath, {
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(b) },
             timeout: 6000,
-          }, (res) => {
+          }), (res) => {
             let raw = '';
             res.on('data', (c) => { raw += c; });
             res.on('end', () => { try { resolve(JSON.parse(raw)); } catch(_) { resolve(null); } });
@@ -2056,7 +2222,6 @@ app.whenReady().then(async () => {
   // IPC: send 'agent:validate-now' to trigger on demand at any time.
   (() => {
     const VALIDATE_HOUR = 3; // 3am local time
-    const COMMAND_SERVICE_URL = 'http://127.0.0.1:3007/command.automate';
 
     async function runAgentValidation() {
       console.log('[AgentCron] Starting nightly agent validation...');
@@ -2064,12 +2229,10 @@ app.whenReady().then(async () => {
         const http = require('http');
         const callCmd = (skill, args, timeoutMs = 30000) => new Promise((resolve) => {
           const body = JSON.stringify({ payload: { skill, args } });
-          const req = http.request({
-            hostname: '127.0.0.1', port: 3007, path: '/command.automate',
-            method: 'POST',
+          const req = http.request(serviceRegistry.requestOptions('command', '/command.automate', {
             headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
             timeout: timeoutMs,
-          }, res => {
+          }), res => {
             let raw = '';
             res.on('data', c => { raw += c; });
             res.on('end', () => { try { resolve(JSON.parse(raw)?.data || {}); } catch { resolve({}); } });
@@ -2132,21 +2295,16 @@ app.whenReady().then(async () => {
           .filter(d => d.isDirectory())
           .map(d => d.name);
 
-        const USER_MEMORY_URL = process.env.USER_MEMORY_URL || 'http://127.0.0.1:3001';
-        const USER_MEMORY_KEY = process.env.USER_MEMORY_KEY || '';
-
         const updateSkillHealth = (name, status, errorLog) => new Promise(resolve => {
           const body = JSON.stringify({
             version: 'mcp.v1', service: 'user-memory', action: 'skill.upsert',
             payload: { name, status, last_run: new Date().toISOString(), error_log: errorLog || null },
             context: {}, requestId: `health-${name}-${Date.now()}`,
           });
-          const req = http.request({
-            hostname: '127.0.0.1', port: parseInt(new URL(USER_MEMORY_URL).port) || 3001,
-            path: '/skill.upsert', method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'Authorization': `Bearer ${USER_MEMORY_KEY}` },
+          const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.upsert', {
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
             timeout: 5000,
-          }, res => { res.resume(); resolve(); });
+          }), res => { res.resume(); resolve(); });
           req.on('error', () => resolve());
           req.on('timeout', () => { req.destroy(); resolve(); });
           req.write(body); req.end();
@@ -2229,12 +2387,10 @@ app.whenReady().then(async () => {
         const http = require('http');
         const callCmd = (skill, args, timeoutMs = 30000) => new Promise((resolve) => {
           const body = JSON.stringify({ payload: { skill, args } });
-          const req = http.request({
-            hostname: '127.0.0.1', port: 3007, path: '/command.automate',
-            method: 'POST',
+          const req = http.request(serviceRegistry.requestOptions('command', '/command.automate', {
             headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
             timeout: timeoutMs,
-          }, res => {
+          }), res => {
             let raw = '';
             res.on('data', c => { raw += c; });
             res.on('end', () => { try { resolve(JSON.parse(raw)?.data || {}); } catch { resolve({}); } });
@@ -2298,75 +2454,146 @@ app.whenReady().then(async () => {
   })();
 
   // ── Persistent schedule: check on startup ──────────────────────────────────
-  // Case 1: App was launched BY launchd for a scheduled task.
-  //         Run the skill plan immediately — no user confirmation needed.
-  // Case 2: App was already open (normal launch) and a pending schedule exists.
-  //         Show a non-blocking notification banner in ResultsWindow.
+  // Case 1: App was launched BY the OS scheduler (launchd / systemd / cron) for
+  //         a scheduled task. Run that skill plan immediately — no user
+  //         confirmation needed.
+  // Case 2: Schedules missed while the app was closed / the machine asleep go
+  //         through their misfire policy and are listed in a "missed while you
+  //         were away" summary in ResultsWindow (schedule:missed).
+  // Case 3: Every other stored schedule (upcoming or due) gets a non-blocking
+  //         notification banner in ResultsWindow (schedule:pending).
+
+  // Inject a stored plan directly into stategraph as command_automate with the
+  // pre-built skillPlan. Resolves with the final state.
+  const runScheduledPlan = (pending) => {
+    if (!stateGraph) return Promise.reject(new Error('StateGraph not ready for scheduled task'));
+    safeSendUnified('unified:set-prompt', pending.prompt || pending.label);
+    if (unifiedWindow && !unifiedWindow.isDestroyed()) { unifiedWindow.showInactive(); unifiedWindow.moveTop(); }
+    const progressCallback = (event) => {
+      safeSendUnified('automation:progress', event);
+      if (resultsWindow && !resultsWindow.isDestroyed()) {
+        safeSend(resultsWindow, 'automation:progress', event);
+      }
+      if (event.type === 'all_done' && promptCaptureWindow && !promptCaptureWindow.isDestroyed()) {
+        safeSend(promptCaptureWindow, 'automation:progress', event);
+      }
+    };
+    const schedulerInitialState = {
+      message: pending.prompt || pending.label,
+      intent: { type: 'command_automate' },
+      _skillPlan: pending.skillPlan,
+      skillCursor: 0,
+      skillResults: [],
+      progressCallback,
+      mcpAdapter,
+      activeBrowserSessionId: null,
+      activeBrowserUrl: null,
+      context: { userId: 'default_user', source: 'scheduled_task' },
+    };
+    return stateGraph.execute(schedulerInitialState, null, null);
+  };
+
   const launchedScheduleId = scheduler.getLaunchedScheduleId();
   if (launchedScheduleId) {
-    console.log(`[Scheduler] App launched by launchd for schedule: ${launchedScheduleId}`);
-    const pending = scheduler.readPendingSchedule();
-    if (pending && pending.id === launchedScheduleId && Array.isArray(pending.skillPlan) && pending.skillPlan.length > 0) {
+    console.log(`[Scheduler] App launched by OS scheduler for schedule: ${launchedScheduleId}`);
+    const pending = scheduler.readPendingSchedule(launchedScheduleId);
+    if (pending && Array.isArray(pending.skillPlan) && pending.skillPlan.length > 0) {
       console.log(`[Scheduler] Auto-running scheduled task: "${pending.label}"`);
-      scheduler.clearPendingSchedule(pending.id);
+      // Recurring schedules re-arm for their next occurrence; one-shots are cleared
+      scheduler.completeOccurrence(pending.id);
       // Wait for windows + stategraph to be ready, then fire the plan directly
       setTimeout(() => {
-        if (!stateGraph) { console.warn('[Scheduler] StateGraph not ready for scheduled task'); return; }
-        safeSendUnified('unified:set-prompt', pending.prompt || pending.label);
-        if (unifiedWindow && !unifiedWindow.isDestroyed()) { unifiedWindow.showInactive(); unifiedWindow.moveTop(); }
-        const progressCallback = (event) => {
-          safeSendUnified('automation:progress', event);
-          if (resultsWindow && !resultsWindow.isDestroyed()) {
-            safeSend(resultsWindow, 'automation:progress', event);
-          }
-          if (event.type === 'all_done' && promptCaptureWindow && !promptCaptureWindow.isDestroyed()) {
-            safeSend(promptCaptureWindow, 'automation:progress', event);
-          }
-        };
-        // Inject plan directly into stategraph as command_automate with pre-built skillPlan
-        const schedulerInitialState = {
-          message: pending.prompt || pending.label,
-          intent: { type: 'command_automate' },
-          _skillPlan: pending.skillPlan,
-          skillCursor: 0,
-          skillResults: [],
-          progressCallback,
-          mcpAdapter,
-          activeBrowserSessionId: null,
-          activeBrowserUrl: null,
-          context: { userId: 'default_user', source: 'scheduled_task' },
-        };
-        stateGraph.execute(schedulerInitialState, null, null)
+        runScheduledPlan(pending)
           .catch(err => console.error('[Scheduler] Auto-run failed:', err.message));
       }, 3000); // wait 3s for stategraph + MCP services to be ready
     } else {
       console.warn('[Scheduler] Launched for schedule but no matching pending record found — starting normally');
       scheduler.clearPendingSchedule(launchedScheduleId);
     }
-  } else {
-    // Normal launch — check if a pending schedule was registered while app was closed
-    const pending = scheduler.readPendingSchedule();
-    if (pending) {
-      const targetStr = new Date(pending.targetMs).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-      console.log(`[Scheduler] Pending schedule found: "${pending.label}" at ${targetStr}`);
-      // Send notification to ResultsWindow once it's loaded
-      const notifyPending = () => {
-        if (resultsWindow && !resultsWindow.isDestroyed()) {
-          safeSend(resultsWindow, 'schedule:pending', {
-            id: pending.id,
-            label: pending.label,
-            targetTime: targetStr,
-            prompt: pending.prompt,
-          });
-        }
-      };
-      // Delay until ResultsWindow content is loaded
-      if (resultsWindow) {
-        resultsWindow.webContents.once('did-finish-load', () => setTimeout(notifyPending, 500));
+  }
+
+  // Missed schedules awaiting a run/drop decision, keyed by schedule id
+  const missedSchedules = new Map();
+  const missedSummary = [];
+  for (const missed of scheduler.collectMissed()) {
+    const record = scheduler.readPendingSchedule(missed.id);
+    const spec = record?.recurrence || record?.targetMs;
+    const schedule = recurrence.describe(spec);
+    if (missed.policy === 'skip') {
+      // Policy says drop silently — record it and move on to the next occurrence
+      queueManager.recordCronMisfire(missed.id, { decision: 'skip', policy: missed.policy, missedAt: missed.missedAt[missed.missedAt.length - 1], label: missed.label, schedule, recurrence: spec });
+      scheduler.completeOccurrence(missed.id);
+    } else {
+      missedSchedules.set(missed.id, { ...missed, schedule, recurrence: spec });
+    }
+    missedSummary.push({
+      id: missed.id,
+      label: missed.label,
+      policy: missed.policy,
+      missedCount: missed.missedCount,
+      runCount: missed.runCount,
+      lastMissedTime: new Date(missed.missedAt[missed.missedAt.length - 1]).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }),
+      decision: missed.policy === 'skip' ? 'skipped' : null,
+    });
+  }
+  if (missedSummary.length > 0) {
+    console.log(`[Scheduler] ${missedSummary.length} schedule(s) missed while away: ${missedSummary.map(m => `${m.id} (${m.policy}, ${m.missedCount}×)`).join(', ')}`);
+  }
+
+  // Surface every remaining upcoming / due schedule (the launched one was cleared above)
+  const pendingSchedules = scheduler.checkPendingSchedule().filter(p => p.status !== 'missed');
+  if (pendingSchedules.length > 0 || missedSummary.length > 0) {
+    if (pendingSchedules.length > 0) {
+      console.log(`[Scheduler] ${pendingSchedules.length} pending schedule(s) found: ${pendingSchedules.map(p => `${p.id} (${p.status})`).join(', ')}`);
+    }
+    // Send notifications to ResultsWindow once it's loaded
+    const notifyPending = () => {
+      if (!resultsWindow || resultsWindow.isDestroyed()) return;
+      for (const pending of pendingSchedules) {
+        safeSend(resultsWindow, 'schedule:pending', {
+          id: pending.id,
+          label: pending.label,
+          targetTime: new Date(pending.targetMs).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+          targetMs: pending.targetMs,
+          status: pending.status,
+          prompt: pending.prompt,
+        });
       }
+      if (missedSummary.length > 0) safeSend(resultsWindow, 'schedule:missed', missedSummary);
+    };
+    // Delay until ResultsWindow content is loaded
+    if (resultsWindow) {
+      resultsWindow.webContents.once('did-finish-load', () => setTimeout(notifyPending, 500));
     }
   }
 
+  // Run or drop a missed schedule from the "missed while you were away" summary.
+  // Runs are sequential (run_all may replay several occurrences) and each one is
+  // recorded in the Cron tab run history before the schedule advances.
+  ipcMain.on('schedule:missed-decision', async (_event, { id, decision }) => {
+    const missed = missedSchedules.get(id);
+    if (!missed) return;
+    missedSchedules.delete(id);
+    const record = scheduler.readPendingSchedule(id);
+    console.log(`[Scheduler] Missed schedule ${id}: user chose ${decision}`);
+
+    if (decision === 'run' && record && Array.isArray(record.skillPlan) && record.skillPlan.length > 0) {
+      for (const missedAt of missed.missedAt.slice(-missed.runCount)) {
+        const runId = queueManager.recordCronMisfire(id, { decision: 'run', policy: missed.policy, missedAt, label: missed.label, schedule: missed.schedule, recurrence: missed.recurrence });
+        try {
+          const finalState = await runScheduledPlan(record);
+          queueManager.recordCronRunDone(id, runId, finalState?.error ? 'failed' : 'done');
+        } catch (err) {
+          console.error(`[Scheduler] Missed-run catch-up failed for ${id}:`, err.message);
+          queueManager.recordCronRunDone(id, runId, 'failed');
+        }
+      }
+    } else {
+      queueManager.recordCronMisfire(id, { decision: 'drop', policy: missed.policy, missedAt: missed.missedAt[missed.missedAt.length - 1], label: missed.label, schedule: missed.schedule, recurrence: missed.recurrence });
+    }
+    scheduler.completeOccurrence(id);
+  });
+
   // Track active schedule countdown state via progress events (for close warning)
   // Intercept progressCallback globally by monkey-patching at IPC level
   ipcMain.on('schedule:activity', (_event, data) => {
@@ -2380,19 +2607,23 @@ app.whenReady().then(async () => {
   // Dismiss a pending schedule notification (user saw it, task will still run via launchd)
   ipcMain.on('schedule:dismiss', (_event, { id }) => {
     console.log(`[Scheduler] User dismissed pending schedule notification: ${id}`);
-    // Don't clear the launchd plist — launchd will still fire at the right time
-    // Just remove the notification JSON so it doesn't show again on next normal launch
-    scheduler.clearPendingSchedule(id);
+    // Don't clear the schedule or its OS wake-up — an upcoming occurrence still
+    // fires at the right time. A due one counts as acknowledged: a recurring
+    // schedule moves on to its next occurrence, a one-shot is done.
+    const pending = scheduler.checkPendingSchedule().find(p => p.id === id);
+    if (pending?.status === 'due') scheduler.completeOccurrence(id);
   });
 
   // ─── Queue + Cron: init broadcast callbacks ───────────────────────────────
   queueManager.init({
     queue: (items) => {
+      eventHub.publish('queue:update', items);
       if (resultsWindow && !resultsWindow.isDestroyed()) {
         safeSend(resultsWindow, 'queue:update', items);
       }
     },
     cron: (items) => {
+      eventHub.publish('cron:update', items);
       if (resultsWindow && !resultsWindow.isDestroyed()) {
         safeSend(resultsWindow, 'cron:update', items);
       }
@@ -2402,12 +2633,14 @@ app.whenReady().then(async () => {
   // ─── Prompt Queue: init (serial stategraph runner) ────────────────────────
   promptQueue.init({
     broadcast: (items) => {
+      eventHub.publish('prompt-queue:update', items);
       if (resultsWindow && !resultsWindow.isDestroyed()) {
         safeSend(resultsWindow, 'prompt-queue:update', items);
       }
     },
     runPrompt: (item) => {
-      // Called by promptQueue when it's time to execute an item.
+      // Called by promptQueue when it's time to execute an item — possibly
+      // while other items hold the remaining slots.
       // Delegates to the shared stategraph runner below.
       runPromptThroughStateGraph(item.prompt, {
         selectedText: item.selectedText || '',
@@ -2432,7 +2665,37 @@ app.whenReady().then(async () => {
         sessionId: item.sessionId || null,
         userId: item.userId || 'default_user',
         isAskUserAnswer: item.isAskUserAnswer || false,
-      });
+        promptResources: item.resources || null,
+        drivesOverlay: item.drivesOverlay !== false,
+      }).finally(() => promptRunAborts.delete(item.id));
+    },
+    broadcastFailed: (items) => {
+      if (resultsWindow && !resultsWindow.isDestroyed()) {
+        safeSend(resultsWindow, 'prompt-queue:failed', items);
+      }
+    },
+    archived: (record) => {
+      if (resultsWindow && !resultsWindow.isDestroyed()) {
+        safeSend(resultsWindow, 'prompt-results:update', { id: record.id, status: record.status });
+      }
+    },
+    abortRun: (item) => {
+      // Called by promptQueue when the running item is cancelled. The run that
+      // owns activeAbortController gets the full automation teardown; concurrent
+      // runs and voice escalations just have their own controller aborted.
+      if (item.external) {
+        const ctrl = externalRunAborts.get(item.id);
+        if (ctrl) ctrl.abort();
+        return;
+      }
+      const ctrl = promptRunAborts.get(item.id);
+      if (!ctrl) return;
+      if (ctrl !== activeAbortController) {
+        // Concurrent question-only run — abort just that run (and its MCP calls)
+        ctrl.abort();
+      } else {
+        cancelActiveRun('prompt-queue:cancel');
+      }
     },
     alertRestart: (items, countdownMs) => {
       if (resultsWindow && !resultsWindow.isDestroyed()) {
@@ -2441,6 +2704,19 @@ app.whenReady().then(async () => {
     },
   });
 
+  // Prompts submitted through the local automation API show up like typed ones
+  localApi.init({
+    onEnqueued: (id) => safeSendUnified('queue:enqueued', { id, isResume: false }),
+    interactions: { list: headless.list, answer: headless.answer },
+    plans: {
+      pending: () => (pendingPlanContext
+        ? { planFile: pendingPlanContext.planFile, prompt: pendingPlanContext.prompt, queueId: pendingPlanContext.queueId || null }
+        : null),
+      approve: (opts) => approvePlan(opts),
+      reject: (opts) => cancelPlan(opts),
+    },
+  });
+
   // ─── Prompt Queue IPC handlers ────────────────────────────────────────────
 
   const PLAN_MODE_CANCEL_RE = /^(?:\/)?(?:cancel|cancel\s+plan|exit\s+plan\s+mode|leave\s+plan\s+mode)\b/i;
@@ -2478,7 +2754,8 @@ app.whenReady().then(async () => {
       return;
     }
 
-    const enqueueOpts = { selectedText, responseLanguage, sessionId: currentSessionId, isAskUserAnswer };
+    // Typed prompts jump ahead of plan runs and background work
+    const enqueueOpts = { selectedText, responseLanguage, sessionId: currentSessionId, isAskUserAnswer, priority: 'interactive' };
     if (pendingPlanContext) {
       // Robust: skip plan correction mode if this is a different session OR if a new session was created
       const planSessionId = pendingPlanContext.sessionId;
@@ -2518,6 +2795,78 @@ app.whenReady().then(async () => {
     promptQueue.cancel(id);
   });
 
+  ipcMain.on('prompt-queue:move', (_event, { id, direction } = {}) => {
+    if (!id || (direction !== 'up' && direction !== 'down')) return;
+    promptQueue.move(id, direction);
+  });
+
+  ipcMain.on('prompt-queue:pin', (_event, { id, pinned = true } = {}) => {
+    if (!id) return;
+    promptQueue.pin(id, !!pinned);
+  });
+
+  ipcMain.on('prompt-queue:failed:list', () => {
+    if (resultsWindow && !resultsWindow.isDestroyed()) {
+      safeSend(resultsWindow, 'prompt-queue:failed', promptQueue.getFailed());
+    }
+  });
+
+  ipcMain.on('prompt-queue:failed:retry', (_event, { id } = {}) => {
+    if (!id) return;
+    promptQueue.retryFailed(id);
+  });
+
+  ipcMain.on('prompt-queue:failed:discard', (_event, { id } = {}) => {
+    promptQueue.discardFailed(id || undefined);
+  });
+
+  // ─── Prompt result archive (Queue tab history) ────────────────────────────
+  ipcMain.handle('prompt-results:search', async (_event, { query = '', status = null, limit = 50, offset = 0 } = {}) => {
+    return promptArchive.search({ query, status, limit, offset });
+  });
+
+  ipcMain.handle('prompt-results:get', async (_event, { id } = {}) => {
+    if (!id) return null;
+    return promptArchive.get(id);
+  });
+
+  ipcMain.handle('prompt-results:delete', async (_event, { id } = {}) => {
+    if (!id) return { ok: false };
+    await promptArchive.remove(id);
+    return { ok: true };
+  });
+
+  // ── Traces (tracing.js) — one per queue item run attempt ──────────────────
+  ipcMain.handle('trace:list', async (_event, { queueId = null, limit = 50 } = {}) => {
+    return tracing.list({ queueId, limit });
+  });
+
+  ipcMain.handle('trace:get', async (_event, { traceId } = {}) => {
+    return tracing.get(traceId);
+  });
+
+  // ── Credential access (Settings) — crypto bridge clients + decrypt audit ──
+  ipcMain.handle('crypto:audit', async (_event, { limit = 100 } = {}) => {
+    return { clients: listCryptoClients(), entries: recentCryptoAudit({ limit }) };
+  });
+
+  // ── Service diagnostics (Settings) — pool reuse, circuits, optional probe ──
+  ipcMain.handle('mcp:diagnostics', async (_event, { probe = false } = {}) => {
+    const healthy = probe && mcpClient ? await mcpClient.getHealthyServices() : null;
+    return {
+      services: serviceRegistry.list().map(({ name, url, timeoutMs }) => ({
+        name,
+        url,
+        timeoutMs,
+        maxSockets: connectionPool.maxSocketsFor(name),
+        healthy: healthy ? healthy.includes(name) : null,
+      })),
+      pool: connectionPool.stats(),
+      circuits: mcpClient ? mcpClient.getCircuitStates() : {},
+      checkedAt: Date.now(),
+    };
+  });
+
   ipcMain.on('prompt-queue:dismiss-alert', () => {
     promptQueue.dismissRestartAlert();
     if (resultsWindow && !resultsWindow.isDestroyed()) {
@@ -2571,14 +2920,11 @@ app.whenReady().then(async () => {
       ipcMain.emit('cron:list');
     }
     // Tell command-service scheduler to pause/resume
-    const cmdPort = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
     const body = JSON.stringify({ skillName: id, action });
-    const req = require('http').request({
-      hostname: '127.0.0.1', port: cmdPort,
-      path: '/skill.schedule/toggle', method: 'POST',
+    const req = require('http').request(serviceRegistry.requestOptions('command', '/skill.schedule/toggle', {
       headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
       timeout: 3000,
-    }, res => { res.resume(); });
+    }), res => { res.resume(); });
     req.on('error', () => {}); // non-fatal
     req.write(body); req.end();
     console.log(`[Cron] ${id} → ${newStatus}`);
@@ -2622,15 +2968,17 @@ app.whenReady().then(async () => {
   // (The progressCallback already forwarded the full event to the renderer;
   //  here we just capture context for the re-run.)
 
-  // plan:approve — user clicked "Run Plan" in PlanPanel
-  ipcMain.on('plan:approve', async (_event, { planFile, scanBeforeRun = true } = {}) => {
+  // Approve a plan — from PlanPanel's "Run Plan" (plan:approve) or the local API.
+  // Returns the queue item that runs it.
+  async function approvePlan({ planFile, scanBeforeRun = true } = {}) {
     const resolvedPlanFile = planFile || pendingPlanContext?.planFile;
     if (!resolvedPlanFile) {
       console.warn('[Plan] plan:approve received but no planFile available');
+      const message = 'No plan file to execute. Please generate a plan first.';
       if (resultsWindow && !resultsWindow.isDestroyed()) {
-        safeSend(resultsWindow, 'plan:error', { message: 'No plan file to execute. Please generate a plan first.' });
+        safeSend(resultsWindow, 'plan:error', { message });
       }
-      return;
+      return { ok: false, error: message };
     }
 
     console.log(`[Plan:DEBUG] plan:approve received — planFile from IPC: ${planFile} | pendingContext.planFile: ${pendingPlanContext?.planFile}`);
@@ -2649,29 +2997,17 @@ app.whenReady().then(async () => {
           console.log(`[Plan] Detected ${secrets.size} new sensitive value(s) — storing and sanitizing`);
           try {
             await planScanner.storeSecrets(secrets, {
-              keytarSet: async (svc, key, val) => {
-                // Prefer safeStorage through the crypto bridge; fall back to keytar if unavailable
-                if (safeStorage.isEncryptionAvailable()) {
-                  const encrypted = safeStorage.encryptString(String(val));
-                  // Store encrypted blob in profile via mcpAdapter
-                  await mcpAdapter.callService('user-memory', 'profile.set', {
-                    key: `credential:${key.toLowerCase()}`,
-                    valueRef: `SAFE:${encrypted.toString('base64')}`,
-                  }, { timeoutMs: 4000 }).catch(() => {});
-                } else {
-                  // Fallback: macOS keychain
-                  const { spawnSync } = require('child_process');
-                  spawnSync('security', ['add-generic-password', '-s', svc, '-a', key, '-w', String(val), '-U'], { encoding: 'utf8' });
-                }
-              },
+              // Prefer safeStorage through the crypto bridge; fall back to the keychain
+              keytarSet: (svc, key, val) => storeSecret(`credential:${key.toLowerCase()}`, val, { service: svc, account: key }),
               mcpAdapter,
               userId: pendingPlanContext?.userId || 'default_user',
               logger: console,
             });
+            // Only once the secrets are stored — otherwise they stay in the plan
+            fs.writeFileSync(resolvedPlanFile, sanitized, 'utf8');
           } catch (ksErr) {
             console.warn('[Plan] storeSecrets failed:', ksErr.message);
           }
-          fs.writeFileSync(resolvedPlanFile, sanitized, 'utf8');
           // Forward re-scan result to renderer
           if (resultsWindow && !resultsWindow.isDestroyed()) {
             safeSend(resultsWindow, 'plan:rescanned', { planFile: resolvedPlanFile });
@@ -2684,13 +3020,14 @@ app.whenReady().then(async () => {
 
     // Re-enqueue via promptQueue with _planFile set — planExecutor node handles
     // step-by-step execution within a single StateGraph run (shared state, dep injection).
-    const ctx = pendingPlanContext || {};
+    // The pending context only belongs to its own plan — never run another file with it.
+    const ctx = pendingPlanContext && pendingPlanContext.planFile === resolvedPlanFile ? pendingPlanContext : {};
 
     if (resultsWindow && !resultsWindow.isDestroyed()) {
       safeSend(resultsWindow, 'plan:approved', { planFile: resolvedPlanFile });
     }
 
-    promptQueue.enqueue(
+    const id = promptQueue.enqueue(
       ctx.prompt || '',
       {
         selectedText:  ctx.selectedText || '',
@@ -2705,8 +3042,12 @@ app.whenReady().then(async () => {
         _resumePriorSynthesizedContent: ctx.priorSynthesizedContent || '',
       }
     );
-    pendingPlanContext = null;
-  });
+    if (ctx === pendingPlanContext) pendingPlanContext = null;
+    return { ok: true, id, planFile: resolvedPlanFile };
+  }
+
+  // plan:approve — user clicked "Run Plan" in PlanPanel
+  ipcMain.on('plan:approve', (_event, opts = {}) => { approvePlan(opts); });
 
   // plan:new — user rejected existing plan and wants a freshly generated one
   ipcMain.on('plan:new', (_event) => {
@@ -2728,8 +3069,8 @@ app.whenReady().then(async () => {
     pendingPlanContext = null;
   });
 
-  // plan:cancel — user dismissed the plan
-  ipcMain.on('plan:cancel', (_event, { planFile } = {}) => {
+  // Dismiss the pending plan — PlanPanel (plan:cancel) or the local API
+  function cancelPlan({ planFile } = {}) {
     console.log('[Plan] Plan cancelled by user');
     pendingPlanContext = null;
     if (resultsWindow && !resultsWindow.isDestroyed()) {
@@ -2739,7 +3080,10 @@ app.whenReady().then(async () => {
     if (promptCaptureWindow && !promptCaptureWindow.isDestroyed()) {
       safeSend(promptCaptureWindow, 'automation:progress', { type: 'plan:mode:cleared', source: 'cancel' });
     }
-  });
+  }
+
+  // plan:cancel — user dismissed the plan
+  ipcMain.on('plan:cancel', (_event, opts = {}) => { cancelPlan(opts); });
 
   // plan:save_name — save a user-assigned dot-syntax name into the plan frontmatter
   ipcMain.on('plan:save_name', (_event, { planFile, planName } = {}) => {
@@ -2830,18 +3174,7 @@ app.whenReady().then(async () => {
     if (secrets.size > 0) {
       try {
         await planScanner.storeSecrets(secrets, {
-          keytarSet: async (svc, key, val) => {
-            if (safeStorage.isEncryptionAvailable()) {
-              const encrypted = safeStorage.encryptString(String(val));
-              await mcpAdapter.callService('user-memory', 'profile.set', {
-                key: `credential:${key.toLowerCase()}`,
-                valueRef: `SAFE:${encrypted.toString('base64')}`,
-              }, { timeoutMs: 4000 }).catch(() => {});
-            } else {
-              const { spawnSync } = require('child_process');
-              spawnSync('security', ['add-generic-password', '-s', svc, '-a', key, '-w', String(val), '-U'], { encoding: 'utf8' });
-            }
-          },
+          keytarSet: (svc, key, val) => storeSecret(`credential:${key.toLowerCase()}`, val, { service: svc, account: key }),
           mcpAdapter,
           userId: pendingPlanContext?.userId || 'default_user',
           logger: console,
@@ -2872,11 +3205,10 @@ app.whenReady().then(async () => {
     for (const sid of sessionsToClose) {
       console.log(`🛑 [Automation] Closing browser session (${reason}): ${sid}`);
       const closeBody = JSON.stringify({ payload: { skill: 'browser.act', args: { action: 'close', sessionId: sid } } });
-      const closeReq = http.request({
-        hostname: '127.0.0.1', port: 3007, path: '/command.automate', method: 'POST',
+      const closeReq = http.request(serviceRegistry.requestOptions('command', '/command.automate', {
         headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(closeBody) },
         timeout: 5000,
-      }, (res) => { res.resume(); });
+      }), (res) => { res.resume(); });
       closeReq.on('error', () => {});
       closeReq.on('timeout', () => { closeReq.destroy(); });
       closeReq.write(closeBody);
@@ -2890,8 +3222,10 @@ app.whenReady().then(async () => {
   }
 
   // ─── Automation: Cancel active run ───────────────────────────────────────
-  ipcMain.on('automation:cancel', () => {
-    console.log('🛑 [Automation] Cancel requested by user');
+  // Shared by automation:cancel and prompt-queue:cancel on the running item, so
+  // both stop the StateGraph run, its in-flight MCP calls and the browser.
+  function cancelActiveRun(reason = 'automation:cancel') {
+    console.log(`🛑 [Automation] Cancel requested by user (${reason})`);
     if (activeAbortController) {
       activeAbortController.abort();
       activeAbortController = null;
@@ -2903,11 +3237,10 @@ app.whenReady().then(async () => {
     // playwright agent is mid-action), the processes are killed so the browser
     // actually stops and no orphan Chrome holds the profile lock.
     const cancelBody = JSON.stringify({});
-    const cancelReq = http.request({
-      hostname: '127.0.0.1', port: 3007, path: '/automation.cancel', method: 'POST',
+    const cancelReq = http.request(serviceRegistry.requestOptions('command', '/automation.cancel', {
       headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(cancelBody) },
       timeout: 8000,
-    }, (res) => { res.resume(); });
+    }), (res) => { res.resume(); });
     cancelReq.on('error', () => {});
     cancelReq.on('timeout', () => { cancelReq.destroy(); });
     cancelReq.write(cancelBody);
@@ -2934,6 +3267,16 @@ app.whenReady().then(async () => {
     if (unifiedWindow && !unifiedWindow.isDestroyed()) {
       safeSend(unifiedWindow, 'automation:progress', { type: 'all_done', cancelled: true, completedCount: 0, totalCount: 0 });
     }
+  }
+
+  ipcMain.on('automation:cancel', () => {
+    // Route through the prompt queue when it owns the run so the item is
+    // recorded as cancelled (promptQueue calls back into cancelActiveRun)
+    const runningId = activeAbortController
+      ? promptQueue.getRunningIds().find(id => promptRunAborts.get(id) === activeAbortController)
+      : null;
+    if (runningId) promptQueue.cancel(runningId);
+    else cancelActiveRun('automation:cancel');
   });
 
   // ─── Phase 9: Browser Take Over — human-in-the-loop escalation ──────────
@@ -2983,20 +3326,13 @@ app.whenReady().then(async () => {
   });
 
   // ─── Maintenance Scan: IPC handlers ──────────────────────────────────────
-  const COMMAND_SERVICE_URL = process.env.COMMAND_SERVICE_URL || 'http://127.0.0.1:3007';
-
   function _scanHttpPost(urlPath, body = {}) {
     return new Promise((resolve, reject) => {
       const http = require('http');
       const payload = JSON.stringify(body);
-      const parsed = new URL(COMMAND_SERVICE_URL);
-      const req = http.request({
-        hostname: parsed.hostname,
-        port: Number(parsed.port) || 3007,
-        path: urlPath,
-        method: 'POST',
+      const req = http.request(serviceRegistry.requestOptions('command', urlPath, {
         headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
-      }, (res) => {
+      }), (res) => {
         let data = '';
         res.on('data', c => { data += c; });
         res.on('end', () => { try { resolve(JSON.parse(data)); } catch (_) { resolve({}); } });
@@ -3010,13 +3346,7 @@ app.whenReady().then(async () => {
   function _scanHttpGet(urlPath) {
     return new Promise((resolve, reject) => {
       const http = require('http');
-      const parsed = new URL(COMMAND_SERVICE_URL);
-      const req = http.request({
-        hostname: parsed.hostname,
-        port: Number(parsed.port) || 3007,
-        path: urlPath,
-        method: 'GET',
-      }, (res) => {
+      const req = http.request(serviceRegistry.requestOptions('command', urlPath, { method: 'GET' }), (res) => {
         let data = '';
         res.on('data', c => { data += c; });
         res.on('end', () => { try { resolve(JSON.parse(data)); } catch (_) { resolve({}); } });
@@ -3128,7 +3458,6 @@ app.whenReady().then(async () => {
   });
 
   // ─── Voice: IPC handlers for voice service integration ───────────────────
-  const VOICE_SERVICE_URL = process.env.VOICE_SERVICE_URL || 'http://127.0.0.1:3006';
 
   // voice:start — activate voice listening (wake-word mode)
   ipcMain.on('voice:start', () => {
@@ -3211,14 +3540,9 @@ app.whenReady().then(async () => {
           sessionId: sessionId || currentSessionId,
         });
 
-        const url = new URL('/voice.process', VOICE_SERVICE_URL);
-        const req = http_module.request({
-          hostname: url.hostname,
-          port: parseInt(url.port || '3006', 10),
-          path: url.pathname,
-          method: 'POST',
+        const req = http_module.request(serviceRegistry.requestOptions('voice', '/voice.process', {
           headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
-        }, (res) => {
+        }), (res) => {
           const chunks = [];
           res.on('data', chunk => { chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)); });
           res.on('end', () => {
@@ -3353,14 +3677,9 @@ app.whenReady().then(async () => {
           skipWakeWordCheck: pushToTalk,
           sessionId: sessionId || currentSessionId,
         });
-        const url = new URL('/voice.process', VOICE_SERVICE_URL);
-        const req = http_module.request({
-          hostname: url.hostname,
-          port: parseInt(url.port || '3006', 10),
-          path: url.pathname,
-          method: 'POST',
+        const req = http_module.request(serviceRegistry.requestOptions('voice', '/voice.process', {
           headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
-        }, (res) => {
+        }), (res) => {
           const chunks = [];
           res.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
           res.on('end', () => {
@@ -3470,18 +3789,31 @@ app.whenReady().then(async () => {
     }
   });
 
-  // ─── StateGraph: Route prompt through the serial prompt queue ────────────
+  // ─── StateGraph: Route prompt through the prompt queue ───────────────────
   // All stategraph:process calls now go through the prompt queue so prompts
-  // are serialized (printer-queue model). The queue calls runPromptThroughStateGraph
-  // when a slot opens up.
+  // that contend for the browser / desktop are serialized (printer-queue model).
+  // The queue calls runPromptThroughStateGraph when a slot opens up.
   ipcMain.on('stategraph:process', (_event, { prompt, selectedText = '', sessionId = null, responseLanguage = null } = {}) => {
     if (!prompt?.trim()) return;
     console.log('🧠 [StateGraph] Enqueuing prompt via prompt-queue:', prompt.substring(0, 80));
-    promptQueue.enqueue(prompt.trim(), { selectedText: selectedText || '', responseLanguage: responseLanguage || null, sessionId: sessionId || currentSessionId });
+    promptQueue.enqueue(prompt.trim(), { selectedText: selectedText || '', responseLanguage: responseLanguage || null, sessionId: sessionId || currentSessionId, priority: 'interactive' });
   });
 
   // ─── StateGraph: Core execution — called by promptQueue serially ─────────
-  async function runPromptThroughStateGraph(prompt, { selectedText = '', sessionId = null, userId = 'default_user', responseLanguage = null, promptQueueId = null, _planFile = null, _forceNewPlan = false, _skillPlan = null, _skillPlanFile = null, _planCorrectionMode = false, _planCorrectionText = null, _basePlanFile = null, _skillPlanJson = null, _planCorrectionSourcePrompt = null, _resumeMultiIntent = false, _resumeIntentQueue = [], _resumeIntentResults = [], _resumeDataContext = {}, isAskUserAnswer = false } = {}) {
+  async function runPromptThroughStateGraph(prompt, { selectedText = '', sessionId = null, userId = 'default_user', responseLanguage = null, promptQueueId = null, _planFile = null, _forceNewPlan = false, _skillPlan = null, _skillPlanFile = null, _planCorrectionMode = false, _planCorrectionText = null, _basePlanFile = null, _skillPlanJson = null, _planCorrectionSourcePrompt = null, _resumeMultiIntent = false, _resumeIntentQueue = [], _resumeIntentResults = [], _resumeDataContext = {}, isAskUserAnswer = false, promptResources = null, drivesOverlay: _startedWithOverlay = true } = {}) {
+    // A run started beside the overlay's owner takes the overlay over (takeOverlay)
+    // once it needs to ask the user something
+    let drivesOverlay = _startedWithOverlay;
+    const takeOverlay = async ({ showPrompt = true } = {}) => {
+      if (drivesOverlay || !promptQueueId) return drivesOverlay;
+      drivesOverlay = await promptQueue.acquireOverlay(promptQueueId);
+      // The overlay still shows the previous owner's prompt
+      if (drivesOverlay && showPrompt) safeSendUnified('unified:set-prompt', prompt);
+      return drivesOverlay;
+    };
+    // Shadow the module senders: every window message of this run is tagged with
+    // its queue id, and reaches a window only while the run drives the overlay
+    const { send: safeSend, sendUnified: safeSendUnified } = runSenders(promptQueueId, () => drivesOverlay);
     const isPlanExecute = !!_planFile;
     console.log('🧠 [StateGraph] Processing prompt:', prompt.substring(0, 80), responseLanguage ? `(responseLanguage: ${responseLanguage})` : '', isPlanExecute ? `[plan:${require('path').basename(_planFile)}]` : '');
     _currentAutomationPrompt = prompt;
@@ -3490,6 +3822,13 @@ app.whenReady().then(async () => {
     recentlySubmittedPrompts.add(prompt.trim());
     setTimeout(() => recentlySubmittedPrompts.delete(prompt.trim()), 60000);
 
+    // Runs sharing a slot with other prompts (network / llm only) must leave the
+    // automation globals — abort controller, agent-turn callback — to the run
+    // that owns the browser / desktop.
+    const _ownsAutomation = !promptResources || promptResources.some(r => r === '*' || r === 'browser' || r === 'input');
+    const runAbort = new AbortController();
+    if (promptQueueId) promptRunAborts.set(promptQueueId, runAbort);
+
     // ── App Control Mode fast-dispatch (pre-StateGraph) ──────────────────────
     // When control mode is active, route short commands directly to nut-js
     // without going through the full StateGraph pipeline.
@@ -3508,7 +3847,8 @@ app.whenReady().then(async () => {
       return;
     }
 
-    const isAskUserResume = !!pausedAutomationState;
+    // The paused ask-user question belongs to the overlay — a run beside it waits its turn to answer
+    const isAskUserResume = !!pausedAutomationState && (await takeOverlay({ showPrompt: false }));
     // Send unified:set-prompt so streamingResponse reset arrives at unifiedWindow BEFORE the first token.
     // Skip for skill-plan re-runs — PlanPanel already shows the plan in executing state.
     if (!_skillPlan && !isAskUserResume) safeSendUnified('unified:set-prompt', prompt);
@@ -3517,12 +3857,24 @@ app.whenReady().then(async () => {
     // reference becomes stale and safeSend would spam "Render frame was disposed" errors.
     const targetContents = (resultsWindow && !resultsWindow.isDestroyed()) ? resultsWindow.webContents : null;
 
+    // Result record (answer, step timeline, saved files) archived when the item finishes
+    const _recorder = promptArchive.createRecorder();
+    let _runFinalState = null;
+    // Partial-result tracking — reported to the prompt queue if this run is cancelled
+    let _runError = null;
+    let _partialAnswer = '';
+    const _partialNodes = [];
+    let _partialSkillResults = [];
+
     // Stream callback: forward each token to unifiedWindow as it arrives.
     let streamingUsed = false;
     const streamCallback = (token) => {
       streamingUsed = true;
+      if (_partialAnswer.length < 2000) _partialAnswer += token || '';
+      _recorder.onToken(token);
       console.log(`[MAIN] streamCallback sending token, length: ${token?.length || 0}`);
       safeSendUnified('ws-bridge:message', { type: 'chunk', text: token });
+      publishRun(promptQueueId, { type: 'token', text: token || '' });
     };
 
     // Per-invocation flag: fire queue:started + queue:enqueued only once per stategraph run
@@ -3530,10 +3882,12 @@ app.whenReady().then(async () => {
 
     // Progress callback: forward automation progress events to ResultsWindow (and prompt window for glow)
     const progressCallback = (event) => {
+      _recorder.onEvent(event);
       const logStr = event.type === 'all_done'
         ? JSON.stringify({ type: event.type, completedCount: event.completedCount, totalCount: event.totalCount, savedFilePaths: event.savedFilePaths })
         : JSON.stringify(event).substring(0, 120);
       console.log(`[ProgressCallback] Event: ${event.type}`, logStr);
+      publishRun(promptQueueId, { type: 'progress', event });
       // Plan step debug: log detail for plan step events
       if (event.type === 'plan:step_start') {
         console.log(`[Plan:DEBUG] plan:step_start — stepNum: ${event.stepNum}, totalSteps: ${event.totalSteps}, intent: ${event.intent}, title: ${event.title}`);
@@ -3576,7 +3930,7 @@ app.whenReady().then(async () => {
         safeSend(promptCaptureWindow, 'automation:progress', event);
       }
       // Plan generated — store pending context for plan:approve re-run
-      if (event.type === 'plan:generated') {
+      if (event.type === 'plan:generated' && drivesOverlay) {
         pendingPlanContext = {
           planFile:      event.planFile,
           prompt:        prompt,
@@ -3584,6 +3938,7 @@ app.whenReady().then(async () => {
           userId:        'default_user',
           selectedText:  selectedText || '',
           skillPlanJson: event.skillPlanJson || null,
+          queueId:       promptQueueId || null,
           // Preserve multi-intent context for mixed-intent plan approval
           isMultiIntent: event.isMultiIntent || false,
           intentQueue:   event.intentQueue || [],
@@ -3604,7 +3959,7 @@ app.whenReady().then(async () => {
       }
 
       // Existing plan found — store pending context so plan:new can re-run with _forceNewPlan
-      if (event.type === 'plan:found_existing') {
+      if (event.type === 'plan:found_existing' && drivesOverlay) {
         pendingPlanContext = {
           planFile:      event.planFile,
           prompt:        prompt,
@@ -3612,6 +3967,7 @@ app.whenReady().then(async () => {
           userId:        'default_user',
           selectedText:  selectedText || '',
           skillPlanJson: event.skillPlanJson || null,
+          queueId:       promptQueueId || null,
         };
         console.log(`[Plan] plan:found_existing context stored: ${event.planFile}`);
         if (resultsWindow && !resultsWindow.isDestroyed()) {
@@ -3622,7 +3978,7 @@ app.whenReady().then(async () => {
         }
       }
 
-      if (event.type === 'plan:complete') {
+      if (event.type === 'plan:complete' && drivesOverlay) {
         pendingPlanContext = null;
         if (resultsWindow && !resultsWindow.isDestroyed()) {
           safeSend(resultsWindow, 'automation:progress', { type: 'plan:mode:cleared', source: 'complete' });
@@ -3636,7 +3992,7 @@ app.whenReady().then(async () => {
       // Clear pendingPlanContext on all_done OR pipeline:done so the next prompt isn't
       // routed as _planCorrectionMode. pipeline:done fires when planSkills exits at the
       // plan-approval gate; without this, every subsequent prompt gets forced to command_automate.
-      if (event.type === 'all_done' || event.type === 'pipeline:done') {
+      if ((event.type === 'all_done' || event.type === 'pipeline:done') && drivesOverlay) {
         pendingPlanContext = null;
       }
 
@@ -3651,17 +4007,14 @@ app.whenReady().then(async () => {
       if (event.type === 'long_task_resume') {
         const _resumeTaskId = event.taskId;
         const _resumeResult = event.result || '';
-        const _memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
-        const _memKey  = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || '';
         const _envelope = JSON.stringify({
           version: 'mcp.v1', service: 'user-memory',
           action: 'pending_tasks.list', payload: { id: _resumeTaskId },
           requestId: 'resume_' + Date.now(),
         });
         const _req = http.request(
-          { hostname: '127.0.0.1', port: _memPort, path: '/pending_tasks.list', method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(_envelope),
-              ...(  _memKey ? { 'Authorization': 'Bearer ' + _memKey } : {}) } },
+          serviceRegistry.requestOptions('user-memory', '/pending_tasks.list', {
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(_envelope) } }),
           (res) => {
             let raw = '';
             res.on('data', c => { raw += c; });
@@ -3712,13 +4065,14 @@ app.whenReady().then(async () => {
       }
     };
     // Expose for /agent-turn overlay endpoint (real-time sub-agent turn updates)
-    activeProgressCallback = progressCallback;
+    if (_ownsAutomation) activeProgressCallback = progressCallback;
 
     // Install confirmation callback: pauses the plan until the user clicks Install or Skip
     // in ResultsWindow. Returns a Promise<boolean> resolved by the IPC reply.
     // Uses ipcMain.on + manual cleanup (not .once) to avoid cross-run listener consumption.
     let pendingInstallResolve = null;
     const handleInstallConfirm = (_event, { confirmed }) => {
+      if (!drivesOverlay) return; // the card on screen belongs to another run
       console.log(`[ConfirmInstall] IPC received: install:confirm confirmed=${confirmed}`);
       if (pendingInstallResolve) {
         const resolve = pendingInstallResolve;
@@ -3730,7 +4084,9 @@ app.whenReady().then(async () => {
     };
     ipcMain.on('install:confirm', handleInstallConfirm);
 
-    const confirmInstallCallback = (tool) => {
+    const confirmInstallCallback = async (tool) => {
+      // A run beside the overlay waits for it; one that stops first skips, like bridge runs
+      if (!(await takeOverlay())) return false;
       return new Promise((resolve) => {
         pendingInstallResolve = resolve;
         console.log(`[ConfirmInstall] Waiting for user confirmation for: ${tool}`);
@@ -3750,6 +4106,7 @@ app.whenReady().then(async () => {
     let pendingGuideResolve = null;
     let guideCancelled = false;
     const handleGuideContinue = (_event) => {
+      if (!drivesOverlay) return;
       console.log('[GuideStep] IPC received: guide:continue');
       if (pendingGuideResolve) {
         const resolve = pendingGuideResolve;
@@ -3760,6 +4117,7 @@ app.whenReady().then(async () => {
       }
     };
     const handleGuideCancel = (_event) => {
+      if (!drivesOverlay) return;
       console.log('[GuideStep] IPC received: guide:cancel — aborting current guide');
       guideCancelled = true;
       if (pendingGuideResolve) {
@@ -3776,17 +4134,17 @@ app.whenReady().then(async () => {
       }
       // Also try to unblock browser-based guide triggers if a session is open
       if (currentBrowserSessionId) {
-        const cancelUrl = `http://127.0.0.1:3007/command.automate`;
+        const cancelUrl = serviceRegistry.url('command', '/command.automate');
         // 1. Call __tdTrigger to unblock the Promise
         fetch(cancelUrl, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...serviceRegistry.authHeaders('command') },
           body: JSON.stringify({ skill: 'browser.act', args: { action: 'evaluate', sessionId: currentBrowserSessionId, expression: 'if (typeof window.__tdTrigger === "function") window.__tdTrigger(); true' } })
         }).catch(() => {});
         // 2. Clear all ThinkDrop overlays from the page
         fetch(cancelUrl, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...serviceRegistry.authHeaders('command') },
           body: JSON.stringify({ skill: 'browser.act', args: { action: 'highlight', sessionId: currentBrowserSessionId, clear: true } })
         }).catch(() => {});
       }
@@ -3800,7 +4158,8 @@ app.whenReady().then(async () => {
 
     const isGuideCancelled = () => guideCancelled;
 
-    const confirmGuideCallback = () => {
+    const confirmGuideCallback = async () => {
+      if (!(await takeOverlay())) return false;
       return new Promise((resolve) => {
         if (guideCancelled) { resolve(false); return; }
         pendingGuideResolve = resolve;
@@ -3825,7 +4184,21 @@ app.whenReady().then(async () => {
     //   1. Legacy single-string: gatherAnswerCallback("question text") → Promise<string>
     //   2. Batch mode: gatherAnswerCallback({ batch: true, batchId, questions }) → Promise<object>
     // The batch mode emits gather:question_batch to the renderer and awaits gather:answer_batch.
-    const gatherAnswerCallback = (questionOrBatch) => {
+    const gatherAnswerCallback = async (questionOrBatch) => {
+      // ── Headless: the question waits for an answer through the local API ──
+      if (headless.enabled()) {
+        const isBatch = !!(questionOrBatch && typeof questionOrBatch === 'object' && questionOrBatch.batch);
+        const request = isBatch
+          ? { kind: 'gather_batch', queueId: promptQueueId, batchId: questionOrBatch.batchId, questions: questionOrBatch.questions || [] }
+          : { kind: 'gather', queueId: promptQueueId, question: questionOrBatch || null };
+        // Unanswered resolves like the UI's timeout: null for a question, {} for a batch
+        return headless.ask(request).then(({ answered, answer }) => (answered ? answer : (isBatch ? {} : null)));
+      }
+      // ── Beside the overlay: the pending-gather globals belong to its run — wait for it ──
+      if (!(await takeOverlay())) {
+        console.warn(`[GatherContext] ${promptQueueId} stopped before it got the overlay — question left unanswered`);
+        return questionOrBatch && typeof questionOrBatch === 'object' && questionOrBatch.batch ? {} : null;
+      }
       // ── Batch mode (Grill-Me Phase C) ──────────────────────────────────────
       if (questionOrBatch && typeof questionOrBatch === 'object' && questionOrBatch.batch) {
         const { batchId, questions, routeConfirmation } = questionOrBatch;
@@ -3883,7 +4256,32 @@ app.whenReady().then(async () => {
     // and resolves with { stored: true, value }.
     // value is returned so callers (e.g. ask_user handler) can propagate it to _gatheredVars
     // for the following profile.store_secret step.  It must NOT be logged or persisted to disk.
-    const gatherCredentialCallback = (credentialKey, _opts = {}) => {
+    const gatherCredentialCallback = async (credentialKey, _opts = {}) => {
+      const storeCredential = async (value) => {
+        try {
+          const normalizedKey = _normalizeCredentialKey(credentialKey);
+          await storeSecret(normalizedKey, value);
+          console.log(`[GatherContext] Stored credential: ${credentialKey} (key=${normalizedKey})`);
+          if (typeof progressCallback === 'function') {
+            progressCallback({ type: 'gather_credential_stored', credentialKey });
+          }
+          return { stored: true, value };
+        } catch (e) {
+          console.error(`[GatherContext] credential store failed for ${credentialKey}:`, e.message);
+          return { stored: false, value: null, error: e.message };
+        }
+      };
+
+      // Headless: the value arrives through POST /api/v1/interactions/:id
+      if (headless.enabled()) {
+        return headless.ask({ kind: 'credential', queueId: promptQueueId, credentialKey })
+          .then(({ answered, answer }) => (answered ? storeCredential(answer) : { stored: false, value: null }));
+      }
+      if (!(await takeOverlay())) {
+        console.warn(`[GatherContext] ${promptQueueId} stopped before it got the overlay — credential ${credentialKey} not requested`);
+        return { stored: false, value: null };
+      }
+
       return new Promise((resolve) => {
         // Emit credential prompt to Queue tab via progressCallback
         // The UI shows a CLI-style masked input — user submits via gather:credential IPC
@@ -3892,27 +4290,7 @@ app.whenReady().then(async () => {
           if (key !== credentialKey) return; // not our credential
           ipcMain.off('gather:credential', handleCredSubmit);
           if (!value) { pendingCredResolve({ stored: false, value: null }); return; }
-          try {
-            const normalizedKey = _normalizeCredentialKey(credentialKey);
-            if (safeStorage.isEncryptionAvailable()) {
-              const encrypted = safeStorage.encryptString(String(value));
-              await mcpAdapter.callService('user-memory', 'profile.set', {
-                key: normalizedKey,
-                valueRef: `SAFE:${encrypted.toString('base64')}`,
-              }, { timeoutMs: 4000 }).catch(() => {});
-            } else {
-              const { spawnSync } = require('child_process');
-              spawnSync('security', ['add-generic-password', '-s', 'thinkdrop', '-a', normalizedKey, '-w', String(value), '-U'], { encoding: 'utf8' });
-            }
-            console.log(`[GatherContext] Stored credential: ${credentialKey} (key=${normalizedKey})`);
-            if (typeof progressCallback === 'function') {
-              progressCallback({ type: 'gather_credential_stored', credentialKey });
-            }
-            pendingCredResolve({ stored: true, value });
-          } catch (e) {
-            console.error(`[GatherContext] credential store failed for ${credentialKey}:`, e.message);
-            pendingCredResolve({ stored: false, value: null, error: e.message });
-          }
+          pendingCredResolve(await storeCredential(value));
         };
         ipcMain.on('gather:credential', handleCredSubmit);
         // 10-minute timeout
@@ -3931,10 +4309,10 @@ app.whenReady().then(async () => {
       try {
         // Check user_profile table first (new SAFE: entries)
         const normalizedKey = _normalizeCredentialKey(credentialKey);
-        const profileResult = await mcpAdapter.callService('user-memory', 'profile.get', {
-          key: normalizedKey,
-        }, { timeoutMs: 3000 }).catch(() => null);
-        if (profileResult?.data?.valueRef) return { found: true };
+        const profileResult = mcpClient
+          ? await mcpClient.call('user-memory', 'profile.get', { key: normalizedKey }, { timeoutMs: 3000 })
+          : null;
+        if (profileResult?.ok && profileResult.data?.valueRef) return { found: true };
         // Fallback: legacy keychain check
         const { spawnSync } = require('child_process');
         const proc = spawnSync('security', ['find-generic-password', '-s', 'thinkdrop', '-a', normalizedKey, '-w'], { encoding: 'utf8' });
@@ -3949,7 +4327,26 @@ app.whenReady().then(async () => {
     // OAuth flow used by the Skills tab Connect button (skills:oauth-connect).
     // Resolves with { connected: true } when keytar has the token, or { connected: false }
     // if skipped or timed out.
-    const gatherOAuthCallback = (provider, tokenKey) => {
+    const gatherOAuthCallback = async (provider, tokenKey) => {
+      // Headless: no browser to run the OAuth flow in — the operator connects the
+      // provider elsewhere, answers the interaction, and the token is re-checked
+      if (headless.enabled()) {
+        return headless.ask({ kind: 'oauth', queueId: promptQueueId, provider }).then(async ({ answered }) => {
+          if (!answered) return { connected: false };
+          const kt = (() => { try { return require('keytar'); } catch(_) { return null; } })();
+          const token = kt ? await kt.getPassword('thinkdrop', tokenKey).catch(() => null) : null;
+          if (!token) {
+            console.warn(`[GatherOAuth] ${provider}: answered, but no token at ${tokenKey}`);
+            return { connected: false };
+          }
+          progressCallback({ type: 'gather_oauth_connected', provider, tokenKey });
+          return { connected: true };
+        });
+      }
+      if (!(await takeOverlay())) {
+        console.warn(`[GatherOAuth] ${promptQueueId} stopped before it got the overlay — ${provider} not connected`);
+        return { connected: false };
+      }
       return new Promise((resolve) => {
         let settled = false;
         const settle = (result) => {
@@ -4005,7 +4402,12 @@ app.whenReady().then(async () => {
     // Waits for the UI to send per-service decisions via parallel:login:decision IPC.
     let pendingParallelLoginResolve = null;
     let parallelLoginProgressInterval = null;
-    const parallelLoginCallback = (services, progressCallback) => {
+    const parallelLoginCallback = async (services, progressCallback) => {
+      if (!(await takeOverlay())) {
+        const skipped = {};
+        services.forEach(s => { skipped[s.agentId] = 'skip'; });
+        return skipped;
+      }
       return new Promise((resolve) => {
         pendingParallelLoginResolve = resolve;
         console.log(`[ParallelLogin] Waiting for user decisions on ${services.length} service(s): ${services.map(s => s.service).join(', ')}`);
@@ -4040,6 +4442,7 @@ app.whenReady().then(async () => {
       });
     };
     const handleParallelLoginDecision = (_event, decisions) => {
+      if (!drivesOverlay) return;
       console.log('[ParallelLogin] IPC received: parallel:login:decision', decisions);
       // Clear progress interval when decision received
       if (parallelLoginProgressInterval) {
@@ -4059,7 +4462,7 @@ app.whenReady().then(async () => {
     try {
       // If there's a paused automation waiting for user input, resume it
       let initialState;
-      if (pausedAutomationState) {
+      if (isAskUserResume) {
         const paused = pausedAutomationState;
         const userReply = prompt.trim().toLowerCase();
 
@@ -4117,8 +4520,8 @@ app.whenReady().then(async () => {
                 }
               });
               const req = http.request(
-                { hostname: '127.0.0.1', port: 3006, path: '/voice.classify', method: 'POST',
-                  headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } },
+                serviceRegistry.requestOptions('voice', '/voice.classify', {
+                  headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } }),
                 (res) => {
                   let data = '';
                   res.on('data', d => { data += d; });
@@ -4377,11 +4780,9 @@ app.whenReady().then(async () => {
                   // ── Persist phone + carrier to user profile so future runs auto-resolve ──
                   // Without this, resolveUserContext never finds the phone on subsequent SMS
                   // tasks and the scout card keeps re-appearing every time.
-                  const _UMURL = process.env.USER_MEMORY_URL || 'http://127.0.0.1:3001';
-                  const _UMKEY = process.env.USER_MEMORY_API_KEY || '';
-                  const _profileSave = (key, value) => fetch(`${_UMURL}/profile.set`, {
+                  const _profileSave = (key, value) => fetch(serviceRegistry.url('user-memory', '/profile.set'), {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json', ...(_UMKEY && { Authorization: `Bearer ${_UMKEY}` }) },
+                    headers: { 'Content-Type': 'application/json', ...serviceRegistry.authHeaders('user-memory') },
                     body: JSON.stringify({ payload: { key, valueRef: value, service: 'sms_gateway', label: key === 'self:phone' ? 'My phone number' : 'My carrier' }, requestId: `profile-${Date.now()}` }),
                   }).catch(e => console.warn(`[StateGraph] profile.set(${key}) failed:`, e.message));
                   await Promise.all([
@@ -5071,23 +5472,21 @@ app.whenReady().then(async () => {
         // Plan execution re-runs also skip (they inherit sessionId from context).
         let resolvedSessionId = sessionId || currentSessionId;
         const isPlanRerun = !!(_planFile || _skillPlan);
-        if (!sessionId && !isPlanRerun && mcpAdapter) {
-          try {
-            const semanticResult = await mcpAdapter.callService('conversation', 'session.searchSemantic', {
-              text: prompt,
-              threshold: 0.75,
-            });
-            const matchData = semanticResult?.data || semanticResult;
-            if (matchData?.sessionId) {
-              resolvedSessionId = matchData.sessionId;
-              console.log(`[SessionRouter] Semantic match → session: ${matchData.sessionId} (score: ${matchData.score?.toFixed(3)}, title: "${matchData.title}")`);
-            } else {
-              resolvedSessionId = null; // Force new session via session.route in resolveReferencesV2
-              console.log(`[SessionRouter] No semantic match — will create new session`);
-            }
-          } catch (semErr) {
-            console.warn('[SessionRouter] session.searchSemantic failed:', semErr.message);
+        if (!sessionId && !isPlanRerun && mcpClient) {
+          const semanticResult = await mcpClient.call('conversation', 'session.searchSemantic', {
+            text: prompt,
+            threshold: 0.75,
+          });
+          const matchData = semanticResult.data;
+          if (!semanticResult.ok) {
+            console.warn(`[SessionRouter] session.searchSemantic failed (${semanticResult.error.code}):`, semanticResult.error.message);
             resolvedSessionId = currentSessionId; // Fallback to current session
+          } else if (matchData?.sessionId) {
+            resolvedSessionId = matchData.sessionId;
+            console.log(`[SessionRouter] Semantic match → session: ${matchData.sessionId} (score: ${matchData.score?.toFixed(3)}, title: "${matchData.title}")`);
+          } else {
+            resolvedSessionId = null; // Force new session via session.route in resolveReferencesV2
+            console.log(`[SessionRouter] No semantic match — will create new session`);
           }
         }
 
@@ -5133,7 +5532,7 @@ app.whenReady().then(async () => {
         };
       }
 
-      activeAbortController = new AbortController();
+      if (_ownsAutomation) activeAbortController = runAbort;
 
       // Flush any stale cancel/pause signals before starting — a cancel from a
       // previous run should never abort a fresh execution.
@@ -5153,8 +5552,11 @@ app.whenReady().then(async () => {
       let _journalNodeIndex = 0;
 
       const _journalOnProgress = async (nodeName, _nodeState, durationMs, phase) => {
+        tracing.recordNode(nodeName, phase, durationMs);
         if (phase !== 'completed') return;
         _journalNodeIndex++;
+        _partialNodes.push(nodeName);
+        if (Array.isArray(_nodeState?.skillResults)) _partialSkillResults = _nodeState.skillResults;
         voiceJournal.graphNodeDone({ node: nodeName, durationMs, nodeIndex: _journalNodeIndex, totalNodes: 0 });
 
         // Check for pending voice signals (cancel/pause/inject)
@@ -5171,7 +5573,7 @@ app.whenReady().then(async () => {
               continue;
             }
             console.log('[VoiceJournal] Cancel signal received — aborting StateGraph');
-            activeAbortController && activeAbortController.abort();
+            runAbort.abort();
             voiceJournal.acknowledgeSignal(sig.id);
           } else if (sig.type === 'pause') {
             console.log('[VoiceJournal] Pause signal received (acknowledged, pause handled at next node boundary)');
@@ -5182,10 +5584,13 @@ app.whenReady().then(async () => {
         }
       };
 
-      const finalState = await stateGraph.execute(initialState, _journalOnProgress, activeAbortController.signal);
-      activeAbortController = null;
-      activeProgressCallback = null;
-      _activeBrowserAgentSessionId = null;
+      const finalState = await stateGraph.execute(initialState, _journalOnProgress, runAbort.signal);
+      _runFinalState = finalState;
+      if (_ownsAutomation) {
+        if (activeAbortController === runAbort) activeAbortController = null;
+        activeProgressCallback = null;
+        _activeBrowserAgentSessionId = null;
+      }
 
       // Voice Journal: report completion
       voiceJournal.graphDone({
@@ -5313,6 +5718,8 @@ app.whenReady().then(async () => {
             // Also send to unifiedWindow so cancel button resets to send icon
             safeSendUnified('automation:progress', allDoneEvent);
           }
+        } else if (!(await takeOverlay())) {
+          console.warn(`[StateGraph] ASK_USER (${intentType}): ${promptQueueId} stopped before it got the overlay — not pausing`);
         } else {
           // Persist the full state so the next user reply can resume / re-enter
           pausedAutomationState = { ...finalState, _pausedAt: Date.now() };
@@ -5345,7 +5752,7 @@ app.whenReady().then(async () => {
       if (intentType === 'command_automate') {
         // Enrichment gap question — entity or profile info missing, asking user before proceeding.
         // Send the question as a visible message and pause state so next reply resumes the command.
-        if (finalState.enrichmentNeeded?.length > 0 && finalState.answer && !finalState.pendingQuestion) {
+        if (finalState.enrichmentNeeded?.length > 0 && finalState.answer && !finalState.pendingQuestion && (await takeOverlay())) {
           pausedAutomationState = { ...finalState, _pausedAt: Date.now() };
           console.log(`[StateGraph] Enrichment gap (${intentType}): pausing for entity info — next prompt will resume`);
           // Strip internal routing markers before showing to user
@@ -5412,7 +5819,7 @@ app.whenReady().then(async () => {
       );
 
       // Clear pending plan context when a new session was created to prevent plan correction mode
-      if (finalState._newSessionCreated) {
+      if (finalState._newSessionCreated && drivesOverlay) {
         console.log('[Plan] New session created - clearing pending plan context to prevent correction mode');
         pendingPlanContext = null;
         if (resultsWindow && !resultsWindow.isDestroyed()) {
@@ -5425,6 +5832,8 @@ app.whenReady().then(async () => {
 
     } catch (err) {
       console.error('❌ [StateGraph] Execution error:', err.message);
+      // A user abort (cancel, guide cancel, take-over) is not a failure to retry
+      if (!runAbort.signal.aborted) _runError = err?.message || String(err);
       voiceJournal.graphError({
         intent: (initialState || {})?.intent?.type || (initialState || {})?.intent || 'unknown',
         error: err?.message || String(err),
@@ -5442,9 +5851,20 @@ app.whenReady().then(async () => {
       pendingGuideResolve = null;
       pendingParallelLoginResolve = null;
       guideCancelled = false;
-      // Mark prompt queue item done so the next pending prompt can start
+      if (activeAbortController === runAbort) activeAbortController = null;
+      // Mark prompt queue item done so the next pending prompt can start.
+      // The partial record is only kept when the item was cancelled mid-run;
+      // an error lets the queue retry (transient) or move it to the failed list.
       if (promptQueueId) {
-        promptQueue.markDone(promptQueueId);
+        promptQueue.markDone(promptQueueId, {
+          error: _runError || undefined,
+          result: _recorder.result(_runFinalState),
+          partial: {
+            answer: _partialAnswer.slice(0, 2000),
+            completedNodes: _partialNodes,
+            skillResults: _partialSkillResults.map(r => ({ skill: r.skill, ok: !!r.ok })),
+          },
+        });
       }
     }
   }
@@ -5567,7 +5987,12 @@ app.whenReady().then(async () => {
     return true;
   }
 
-  globalShortcut.register('CommandOrControl+Shift+Space', () => {
+  // Headless mode has no windows for the shortcuts to act on
+  const registerShortcut = (accelerator, handler) => {
+    if (!headless.enabled()) globalShortcut.register(accelerator, handler);
+  };
+
+  registerShortcut('CommandOrControl+Shift+Space', () => {
     if (unifiedWindow) {
       if (unifiedWindow.isVisible()) {
         _intentionalHide = true; // Flag so hide handler knows this is user-initiated
@@ -5617,7 +6042,7 @@ app.whenReady().then(async () => {
     }
   };
 
-  globalShortcut.register('`', () => {
+  registerShortcut('`', () => {
     if (!pttGlobalActive) {
       pttGlobalActive = true;
       console.log('🎙️ [PTT] backtick — start');
@@ -5633,7 +6058,7 @@ app.whenReady().then(async () => {
   // Workflow: user selects text or a file and copies (Cmd+C), then presses Shift+Cmd+C to tag it.
   // The clipboard is read, tagged, then restored to its prior value so nothing is lost.
   // Works on Mac and Windows — no AppleScript or platform-specific APIs needed.
-  globalShortcut.register('CommandOrControl+Shift+C', () => {
+  registerShortcut('CommandOrControl+Shift+C', () => {
     // Save the current clipboard value before we do anything
     const previousClipboard = clipboard.readText();
     const tagged = previousClipboard;
@@ -5827,7 +6252,6 @@ app.whenReady().then(async () => {
 
   // ─── Terminal: Execute shell command via command service ────────────────
   ipcMain.handle('shell:execute', async (_event, { command, timeout = 30000 }) => {
-    const COMMAND_SERVICE_PORT = 3007;
     const http = require('http');
     
     return new Promise((resolve) => {
@@ -5840,20 +6264,13 @@ app.whenReady().then(async () => {
         }
       });
       
-      const commandApiKey = process.env.MCP_COMMAND_API_KEY || '';
-      
-      const req = http.request({
-        hostname: '127.0.0.1',
-        port: COMMAND_SERVICE_PORT,
-        path: '/command.automate',
-        method: 'POST',
+      const req = http.request(serviceRegistry.requestOptions('command', '/command.automate', {
         headers: {
           'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(body),
-          ...(commandApiKey ? { 'Authorization': `Bearer ${commandApiKey}` } : {})
+          'Content-Length': Buffer.byteLength(body)
         },
         timeout: 30000
-      }, (res) => {
+      }), (res) => {
         let data = '';
         res.on('data', (chunk) => { data += chunk; });
         res.on('end', () => {
@@ -6127,12 +6544,10 @@ app.whenReady().then(async () => {
       const http = require('http');
       const callBrowserAgent = (args, timeoutMs) => new Promise((resolve) => {
         const body = JSON.stringify({ payload: { skill: 'browser.agent', args } });
-        const req = http.request({
-          hostname: '127.0.0.1', port: 3007, path: '/command.automate',
-          method: 'POST',
+        const req = http.request(serviceRegistry.requestOptions('command', '/command.automate', {
           headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
           timeout: timeoutMs,
-        }, res => {
+        }), res => {
           let raw = '';
           res.on('data', c => { raw += c; });
           res.on('end', () => { try { resolve(JSON.parse(raw)?.data || {}); } catch { resolve({}); } });
@@ -6504,18 +6919,13 @@ app.whenReady().then(async () => {
       const fsMod = require('fs');
       const osMod = require('os');
       const pathMod = require('path');
-      const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
-      const authHeaders = memApiKey ? { 'Authorization': `Bearer ${memApiKey}` } : {};
 
       const body = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action: 'skill.list', payload: {}, requestId: 'skills-list-' + Date.now() });
       const listRows = await new Promise((resolve) => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: memPort,
-          path: '/skill.list', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...authHeaders },
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.list', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
           timeout: 6000,
-        }, (res) => {
+        }), (res) => {
           let raw = '';
           res.on('data', (c) => { raw += c; });
           res.on('end', () => {
@@ -6937,8 +7347,7 @@ app.whenReady().then(async () => {
       },
     });
     const req = http.request(
-      { hostname: '127.0.0.1', port: 3007, path: '/command.automate', method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } },
+      serviceRegistry.requestOptions('command', '/command.automate', { headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } }),
       (res) => {
         let data = '';
         res.on('data', chunk => { data += chunk; });
@@ -7215,8 +7624,7 @@ app.whenReady().then(async () => {
       const buildResult = await new Promise((resolve, reject) => {
         const payload = JSON.stringify({ service: serviceKey, startUrl, goals: goalsArray, force: headed === true });
         const req = require('http').request(
-          { hostname: '127.0.0.1', port: 3007, path: '/agent.build', method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } },
+          serviceRegistry.requestOptions('command', '/agent.build', { headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } }),
           (res) => {
             let data = '';
             res.on('data', chunk => { data += chunk; });
@@ -7683,7 +8091,6 @@ app.whenReady().then(async () => {
       }
 
       const sessionId = `${agentId.replace(/\.agent$/, '').replace(/[^a-z0-9_]/gi, '_')}_agent`;
-      const COMMAND_PORT = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
 
       // Use the new direct execPath override so external.skill runs the temp
       // file directly — no user-memory / disk-scan lookup needed.
@@ -7698,16 +8105,15 @@ app.whenReady().then(async () => {
           },
         },
       };
-      console.log(`[Agents] Running preview: ${firstSkill.name} sessionId=${sessionId} port=${COMMAND_PORT}`);
+      console.log(`[Agents] Running preview: ${firstSkill.name} sessionId=${sessionId} via ${serviceRegistry.url('command')}`);
       console.log(`[Agents] Preview request payload: ${JSON.stringify(requestPayload).slice(0, 300)}`);
 
       const result = await new Promise((resolve) => {
         const body = JSON.stringify(requestPayload);
-        const req = httpMod.request({
-          hostname: '127.0.0.1', port: COMMAND_PORT, path: '/command.automate', method: 'POST',
+        const req = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
           headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
           timeout: 610000, // 10min + 10s buffer for first-run discovery
-        }, res => {
+        }), res => {
           let raw = ''; res.on('data', c => { raw += c; });
           res.on('end', () => {
             console.log(`[Agents] Preview-run HTTP ${res.statusCode} bodyLen=${raw.length}`);
@@ -7890,7 +8296,6 @@ app.whenReady().then(async () => {
         if (unifiedWindow && !unifiedWindow.isDestroyed()) {
           unifiedWindow.webContents.send('agents:skill-test-update', { agentId, skillName, status: 'testing' });
         }
-        const BROWSER_ACT_PORT_DIRECT = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
         const sessionIdDirect = `${agentId.replace(/\.agent$/, '').replace(/[^a-z0-9_]/gi, '_')}_agent`;
 
         // Build test args from recipe params
@@ -7914,11 +8319,10 @@ app.whenReady().then(async () => {
               },
             },
           });
-          const req = httpMod.request({
-            hostname: '127.0.0.1', port: BROWSER_ACT_PORT_DIRECT, path: '/command.automate', method: 'POST',
+          const req = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
             headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
             timeout: 120000,
-          }, res => {
+          }), res => {
             let raw = ''; res.on('data', c => { raw += c; });
             res.on('end', () => { try { resolve(JSON.parse(raw)); } catch (_) { resolve({}); } });
           });
@@ -7950,17 +8354,15 @@ app.whenReady().then(async () => {
         if (unifiedWindow && !unifiedWindow.isDestroyed()) {
           unifiedWindow.webContents.send('agents:skill-test-update', { agentId, skillName, status: 'testing' });
         }
-        const BROWSER_ACT_PORT_DIRECT = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
         const sessionIdDirect = `${agentId.replace(/\.agent$/, '').replace(/[^a-z0-9_]/gi, '_')}_agent`;
         // For headed tests, close any existing headless session first so browser.act
         // cold-starts a fresh headed Chrome on the same auth profile (cookies preserved).
         if (isHeaded) {
           await new Promise((resolve) => {
             const closeBody = JSON.stringify({ payload: { skill: 'browser.act', args: { action: 'close', sessionId: sessionIdDirect, headed: false } } });
-            const closeReq = httpMod.request({
-              hostname: '127.0.0.1', port: BROWSER_ACT_PORT_DIRECT, path: '/command.automate', method: 'POST',
+            const closeReq = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
               headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(closeBody) }, timeout: 5000,
-            }, res => { res.resume(); resolve(); });
+            }), res => { res.resume(); resolve(); });
             closeReq.on('error', () => resolve());
             closeReq.on('timeout', () => { closeReq.destroy(); resolve(); });
             closeReq.write(closeBody); closeReq.end();
@@ -7969,11 +8371,10 @@ app.whenReady().then(async () => {
         async function browserActDirect(args) {
           return new Promise((resolve) => {
             const body = JSON.stringify({ payload: { skill: 'browser.act', args } });
-            const req = httpMod.request({
-              hostname: '127.0.0.1', port: BROWSER_ACT_PORT_DIRECT, path: '/command.automate', method: 'POST',
+            const req = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
               headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
               timeout: 20000,
-            }, res => {
+            }), res => {
               let raw = ''; res.on('data', c => { raw += c; });
               res.on('end', () => { try { resolve(JSON.parse(raw)); } catch (_) { resolve({}); } });
             });
@@ -8003,7 +8404,6 @@ app.whenReady().then(async () => {
         if (unifiedWindow && !unifiedWindow.isDestroyed()) {
           unifiedWindow.webContents.send('agents:skill-test-update', { agentId, skillName, status: 'testing' });
         }
-        const BROWSER_ACT_PORT = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
         const _sessionId = `${agentId.replace(/\.agent$/, '').replace(/[^a-z0-9_]/gi, '_')}_agent`;
         // Extract a plausible test query from the skill module's first history item
         let _testQuery = 'test';
@@ -8020,11 +8420,10 @@ app.whenReady().then(async () => {
         } catch (_) {}
         const _extBody = JSON.stringify({ payload: { skill: 'external.skill', args: { name: rawSkillName, args: { query: _testQuery, sessionId: _sessionId, headed: isHeaded } } } });
         const _extResult = await new Promise((resolve) => {
-          const req = httpMod.request({
-            hostname: '127.0.0.1', port: BROWSER_ACT_PORT, path: '/command.automate', method: 'POST',
+          const req = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
             headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(_extBody) },
             timeout: 30000,
-          }, res => {
+          }), res => {
             let raw = '';
             res.on('data', c => { raw += c; });
             res.on('end', () => { try { resolve(JSON.parse(raw)); } catch (_) { resolve({}); } });
@@ -8085,17 +8484,15 @@ app.whenReady().then(async () => {
       // (e.g. "perplexity_agent") so browser.act points to the correct browser-profiles/ directory
       // where the user's logged-in cookies already live. Using plain agentId creates a fresh empty
       // profile → Chrome shows the login page every time.
-      const BROWSER_ACT_PORT = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
       const sessionId = `${agentId.replace(/\.agent$/, '').replace(/[^a-z0-9_]/gi, '_')}_agent`;
       // For headed tests, close any existing headless session first so browser.act
       // cold-starts a fresh headed Chrome on the same auth profile (cookies preserved).
       if (isHeaded) {
         await new Promise((resolve) => {
           const closeBody = JSON.stringify({ payload: { skill: 'browser.act', args: { action: 'close', sessionId, headed: false } } });
-          const closeReq = httpMod.request({
-            hostname: '127.0.0.1', port: BROWSER_ACT_PORT, path: '/command.automate', method: 'POST',
+          const closeReq = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
             headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(closeBody) }, timeout: 5000,
-          }, res => { res.resume(); resolve(); });
+          }), res => { res.resume(); resolve(); });
           closeReq.on('error', () => resolve());
           closeReq.on('timeout', () => { closeReq.destroy(); resolve(); });
           closeReq.write(closeBody); closeReq.end();
@@ -8105,11 +8502,10 @@ app.whenReady().then(async () => {
       async function browserActCall(args) {
         return new Promise((resolve) => {
           const body = JSON.stringify({ payload: { skill: 'browser.act', args } });
-          const req = httpMod.request({
-            hostname: '127.0.0.1', port: BROWSER_ACT_PORT, path: '/command.automate', method: 'POST',
+          const req = httpMod.request(serviceRegistry.requestOptions('command', '/command.automate', {
             headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
             timeout: 20000,
-          }, res => {
+          }), res => {
             let raw = '';
             res.on('data', c => { raw += c; });
             res.on('end', () => { try { resolve(JSON.parse(raw)); } catch (_) { resolve({}); } });
@@ -8207,8 +8603,6 @@ app.whenReady().then(async () => {
       const description = resolvedMeta.description || `Skill for ${rawSkillName}`;
       const contractMd = ['---', `name: ${rawSkillName}`, `description: ${description}`, `exec_path: ${indexPath}`, `exec_type: node`, '---'].join('\n');
 
-      const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || process.env.MCP_USER_MEMORY_PORT || '3001', 10);
-      const memKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || '';
       const payload = JSON.stringify({
         version: 'mcp.v1', service: 'user-memory', action: 'skill.upsert',
         payload: { name: rawSkillName, description, execPath: indexPath, execType: 'node', enabled: true, contractMd },
@@ -8216,11 +8610,10 @@ app.whenReady().then(async () => {
       });
 
       await new Promise((resolve) => {
-        const req = httpMod.request({
-          hostname: '127.0.0.1', port: memPort, path: '/skill.upsert', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...(memKey ? { 'Authorization': `Bearer ${memKey}` } : {}) },
+        const req = httpMod.request(serviceRegistry.requestOptions('user-memory', '/skill.upsert', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
           timeout: 8000,
-        }, res => {
+        }), res => {
           let body = '';
           res.on('data', c => { body += c; });
           res.on('end', () => {
@@ -8311,19 +8704,16 @@ app.whenReady().then(async () => {
 
       // 1. Remove from DuckDB if we have a resolved name
       if (rawSkillName) {
-        const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || process.env.MCP_USER_MEMORY_PORT || '3001', 10);
-        const memKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || '';
         const payload = JSON.stringify({
           version: 'mcp.v1', service: 'user-memory', action: 'skill.remove',
           payload: { name: rawSkillName },
           requestId: `delete-${rawSkillName}-${Date.now()}`,
         });
         await new Promise((resolve) => {
-          const req = httpMod.request({
-            hostname: '127.0.0.1', port: memPort, path: '/skill.remove', method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...(memKey ? { 'Authorization': `Bearer ${memKey}` } : {}) },
+          const req = httpMod.request(serviceRegistry.requestOptions('user-memory', '/skill.remove', {
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
             timeout: 8000,
-          }, res => {
+          }), res => {
             let body = '';
             res.on('data', c => { body += c; });
             res.on('end', () => {
@@ -8594,15 +8984,13 @@ app.whenReady().then(async () => {
       // Store credentials via user-memory MCP (same as cli-agents:store-credential)
       if (Array.isArray(credentials) && credentials.length > 0) {
         const http = require('http');
-        const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
         const storeReqs = credentials.map(({ key, value }) => new Promise((resolve) => {
           if (!key || !value) return resolve({ ok: true });
           const credKey = `credential:${agentId}:${key}`;
           const body = JSON.stringify({ key: credKey, value });
-          const req = http.request({
-            hostname: '127.0.0.1', port: 3001, path: '/kv.set', method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...(memApiKey ? { 'x-api-key': memApiKey } : {}) },
-          }, (res) => {
+          const req = http.request(serviceRegistry.requestOptions('user-memory', '/kv.set', {
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+          }), (res) => {
             let d = '';
             res.on('data', c => { d += c; });
             res.on('end', () => resolve({ ok: true }));
@@ -8657,7 +9045,6 @@ app.whenReady().then(async () => {
   ipcMain.handle('cli-agents:store-credential', async (_event, { agentId, key, value, service }) => {
     try {
       const http = require('http');
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
 
       const memoryHttpPost = (action, payload) => new Promise((resolve, reject) => {
         const body = JSON.stringify({
@@ -8668,17 +9055,12 @@ app.whenReady().then(async () => {
           requestId: `cli_${action}_${Date.now()}`,
         });
         const req = http.request(
-          {
-            hostname: '127.0.0.1',
-            port: 3001,
-            path: `/${action}`,
-            method: 'POST',
+          serviceRegistry.requestOptions('user-memory', `/${action}`, {
             headers: {
               'Content-Type': 'application/json',
               'Content-Length': Buffer.byteLength(body),
-              ...(memApiKey ? { 'Authorization': `Bearer ${memApiKey}` } : {}),
             },
-          },
+          }),
           (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
@@ -8724,7 +9106,6 @@ app.whenReady().then(async () => {
   ipcMain.handle('cli-agents:get-stored-secrets', async (_event, { agentId, service }) => {
     try {
       const http = require('http');
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
 
       const memoryHttpPost = (action, payload) => new Promise((resolve, reject) => {
         const body = JSON.stringify({
@@ -8735,17 +9116,12 @@ app.whenReady().then(async () => {
           requestId: `cli_${action}_${Date.now()}`,
         });
         const req = http.request(
-          {
-            hostname: '127.0.0.1',
-            port: 3001,
-            path: `/${action}`,
-            method: 'POST',
+          serviceRegistry.requestOptions('user-memory', `/${action}`, {
             headers: {
               'Content-Type': 'application/json',
               'Content-Length': Buffer.byteLength(body),
-              ...(memApiKey ? { 'Authorization': `Bearer ${memApiKey}` } : {}),
             },
-          },
+          }),
           (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
@@ -8818,7 +9194,6 @@ app.whenReady().then(async () => {
   ipcMain.handle('cli-agents:delete-credential', async (_event, { agentId, key, service }) => {
     try {
       const http = require('http');
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
       
       // Build profile key with _ref suffix (same format as storeSecret creates)
       // storeSecret creates: {keytarKey}_ref where keytarKey = {service}_{key}
@@ -8833,17 +9208,12 @@ app.whenReady().then(async () => {
           requestId: `cli_${action}_${Date.now()}`,
         });
         const req = http.request(
-          {
-            hostname: '127.0.0.1',
-            port: 3001,
-            path: `/${action}`,
-            method: 'POST',
+          serviceRegistry.requestOptions('user-memory', `/${action}`, {
             headers: {
               'Content-Type': 'application/json',
               'Content-Length': Buffer.byteLength(body),
-              ...(memApiKey ? { 'Authorization': `Bearer ${memApiKey}` } : {}),
             },
-          },
+          }),
           (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
@@ -9009,14 +9379,12 @@ app.whenReady().then(async () => {
       }
 
       // 2. Remove from user-memory MCP (route: POST /skill.remove)
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || 'k7F9qLp3XzR2vH8sT1mN4bC0yW6uJ5eQG4tY9bH2wQ6nM1vS8xR3cL5pZ0kF7uDe';
       const delBody = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action: 'skill.remove', payload: { name: skillName }, requestId: 'delete-' + Date.now() });
       await new Promise(resolve => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10),
-          path: '/skill.remove', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${memApiKey}`, 'Content-Length': Buffer.byteLength(delBody) },
-        }, res => {
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.remove', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(delBody) },
+          fallbackKey: 'k7F9qLp3XzR2vH8sT1mN4bC0yW6uJ5eQG4tY9bH2wQ6nM1vS8xR3cL5pZ0kF7uDe',
+        }), res => {
           let raw = ''; res.on('data', c => { raw += c; }); res.on('end', () => {
             try { const r = JSON.parse(raw); if (!r?.data?.deleted) console.warn(`[Skills] skill.remove unexpected response: ${raw.slice(0, 200)}`); } catch (_) {}
             resolve();
@@ -9031,15 +9399,12 @@ app.whenReady().then(async () => {
       const cronId = skillName;
       queueManager.removeCron(cronId);
       // Tell command-service's skill-scheduler to stop the node-cron job immediately (awaited)
-      const cmdPort = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
       const unschedBody = JSON.stringify({ skillName });
       await new Promise(resolve => {
-        const unschedReq = require('http').request({
-          hostname: '127.0.0.1', port: cmdPort,
-          path: '/skill.unschedule', method: 'POST',
+        const unschedReq = require('http').request(serviceRegistry.requestOptions('command', '/skill.unschedule', {
           headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(unschedBody) },
           timeout: 5000,
-        }, res => { res.resume(); resolve(); });
+        }), res => { res.resume(); resolve(); });
         unschedReq.on('error', () => resolve());
         unschedReq.on('timeout', () => { unschedReq.destroy(); resolve(); });
         unschedReq.write(unschedBody);
@@ -9058,22 +9423,12 @@ app.whenReady().then(async () => {
 
       // 5. Remove any pending bridge.md blocks for this skill (prevents re-firing on restart)
       try {
-        const bridgeFilePath = require('path').join(require('os').homedir(), '.thinkdrop', 'bridge.md');
-        if (require('fs').existsSync(bridgeFilePath)) {
-          let bridgeContent = require('fs').readFileSync(bridgeFilePath, 'utf8');
-          // Block IDs are: sched_<skillName_dots_replaced_with_underscores>_<timestamp>
-          const idPrefix = `sched_${skillName.replace(/\./g, '_')}_`;
-          const safePrefix = idPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-          const blockRe = new RegExp(
-            `\\n?<!--\\s*[A-Z][A-Z0-9_]*:[\\w]+ id=["']?${safePrefix}[\\d]+["']?[^>]*-->[\\s\\S]*?<!--\\s*[A-Z][A-Z0-9_]*:END\\s*-->\\n?`,
-            'g'
-          );
-          const cleaned = bridgeContent.replace(blockRe, '');
-          if (cleaned !== bridgeContent) {
-            require('fs').writeFileSync(bridgeFilePath, cleaned, 'utf8');
-            console.log(`[Skills] Removed bridge.md blocks for skill: ${skillName}`);
-          }
-        }
+        // Block IDs are: sched_<skillName_dots_replaced_with_underscores>_<timestamp>
+        const idPrefix = `sched_${skillName.replace(/\./g, '_')}_`;
+        const removed = bridgeProtocol.remove(bridgeProtocol.BRIDGE_FILE, b =>
+          b.status === 'pending' && !!b.id && b.id.startsWith(idPrefix) && /^\d+$/.test(b.id.slice(idPrefix.length))
+        );
+        if (removed) console.log(`[Skills] Removed ${removed} pending bridge.md block(s) for skill: ${skillName}`);
       } catch (bridgeErr) {
         console.error(`[Skills] Failed to clean bridge.md for ${skillName}:`, bridgeErr.message);
       }
@@ -9120,7 +9475,6 @@ app.whenReady().then(async () => {
       try {
         const _activeSession = currentSessionId;
         if (_activeSession) {
-          const _memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
           const _sysMsg = JSON.stringify({
             version: 'mcp.v1', service: 'conversation', action: 'message.add',
             payload: {
@@ -9132,11 +9486,11 @@ app.whenReady().then(async () => {
             requestId: `skill_del_${Date.now()}`,
           });
           await new Promise(resolve => {
-            const _convPort = parseInt(process.env.CONVERSATION_SERVICE_PORT || '3004', 10);
             const _req = http.request(
-              { hostname: '127.0.0.1', port: _convPort, path: '/message.add', method: 'POST',
+              serviceRegistry.requestOptions('conversation', '/message.add', {
                 headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(_sysMsg) },
-                timeout: 3000 },
+                timeout: 3000,
+              }),
               res => { res.resume(); resolve(); }
             );
             _req.on('error', () => resolve());
@@ -9691,16 +10045,14 @@ app.whenReady().then(async () => {
       const fsMod   = require('fs');
       const pathMod = require('path');
       const osMod   = require('os');
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || 'default_key';
-      const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
 
       // Fetch current contractMd
       const current = await new Promise((resolve, reject) => {
         const body = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action: 'skill.get', payload: { name: skillName }, requestId: 'scope-get-' + Date.now() });
-        const req = http.request({
-          hostname: '127.0.0.1', port: memPort, path: '/skill.get', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${memApiKey}`, 'Content-Length': Buffer.byteLength(body) },
-        }, res => { let d = ''; res.on('data', c => { d += c; }); res.on('end', () => { try { resolve(JSON.parse(d)); } catch(e) { reject(e); } }); });
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.get', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+          fallbackKey: 'default_key',
+        }), res => { let d = ''; res.on('data', c => { d += c; }); res.on('end', () => { try { resolve(JSON.parse(d)); } catch(e) { reject(e); } }); });
         req.on('error', reject); req.write(body); req.end();
       });
 
@@ -9779,10 +10131,10 @@ app.whenReady().then(async () => {
       // Use skill.install (idempotent UPDATE when skill exists; skill.upsert requires execPath)
       const installBody = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action: 'skill.install', payload: { contractMd: updatedMd }, requestId: 'scope-install-' + Date.now() });
       await new Promise(resolve => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: memPort, path: '/skill.install', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${memApiKey}`, 'Content-Length': Buffer.byteLength(installBody) },
-        }, res => { res.resume(); resolve(); });
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.install', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(installBody) },
+          fallbackKey: 'default_key',
+        }), res => { res.resume(); resolve(); });
         req.on('error', () => resolve()); req.write(installBody); req.end();
       });
 
@@ -9801,8 +10153,6 @@ app.whenReady().then(async () => {
       const fsMod   = require('fs');
       const pathMod = require('path');
       const osMod   = require('os');
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || 'default_key';
-      const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
 
       const skillDir = pathMod.join(osMod.homedir(), '.thinkdrop', 'skills', skillName);
       const codePath = pathMod.join(skillDir, 'index.cjs');
@@ -9852,11 +10202,11 @@ app.whenReady().then(async () => {
       let contractMd = '';
       await new Promise((resolve) => {
         const b = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action: 'skill.get', payload: { name: skillName }, requestId: 'repair-get-' + Date.now() });
-        const req = http.request({
-          hostname: '127.0.0.1', port: memPort, path: '/skill.get', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${memApiKey}`, 'Content-Length': Buffer.byteLength(b) },
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.get', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(b) },
+          fallbackKey: 'default_key',
           timeout: 5000,
-        }, (res) => { let d = ''; res.on('data', c => { d += c; }); res.on('end', () => { try { contractMd = JSON.parse(d)?.data?.contractMd || ''; } catch(_) {} resolve(); }); });
+        }), (res) => { let d = ''; res.on('data', c => { d += c; }); res.on('end', () => { try { contractMd = JSON.parse(d)?.data?.contractMd || ''; } catch(_) {} resolve(); }); });
         req.on('error', resolve); req.on('timeout', () => { req.destroy(); resolve(); }); req.write(b); req.end();
       });
 
@@ -9923,11 +10273,11 @@ app.whenReady().then(async () => {
       // Install (idempotent UPDATE)
       const installBody = JSON.stringify({ version: 'mcp.v1', service: 'user-memory', action: 'skill.install', payload: { contractMd: finalContractMd }, requestId: 'repair-install-' + Date.now() });
       await new Promise(resolve => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: memPort, path: '/skill.install', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${memApiKey}`, 'Content-Length': Buffer.byteLength(installBody) },
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.install', {
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(installBody) },
+          fallbackKey: 'default_key',
           timeout: 8000,
-        }, res => { res.resume(); resolve(); });
+        }), res => { res.resume(); resolve(); });
         req.on('error', resolve); req.on('timeout', () => { req.destroy(); resolve(); }); req.write(installBody); req.end();
       });
 
@@ -9983,22 +10333,18 @@ app.whenReady().then(async () => {
 
       // Register in user-memory
       const http = require('http');
-      const memPort = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
-      const memApiKey = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || '';
       const regBody = JSON.stringify({
         version: 'mcp.v1', service: 'user-memory', action: 'skill.upsert',
         payload: { name: skillName, execPath, execType: 'node', enabled: true, description: `Uploaded from ${dirName}` },
         requestId: 'upload-' + Date.now(),
       });
       await new Promise((resolve) => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: memPort, path: '/skill.upsert', method: 'POST',
+        const req = http.request(serviceRegistry.requestOptions('user-memory', '/skill.upsert', {
           headers: {
             'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(regBody),
-            ...(memApiKey ? { 'Authorization': `Bearer ${memApiKey}` } : {}),
           },
           timeout: 6000,
-        }, (res) => { res.resume(); resolve(); });
+        }), (res) => { res.resume(); resolve(); });
         req.on('error', resolve); req.on('timeout', () => { req.destroy(); resolve(); });
         req.write(regBody); req.end();
       });
@@ -10036,16 +10382,13 @@ app.whenReady().then(async () => {
   ipcMain.on('cron:list', async () => {
     try {
       const http = require('http');
-      const cmdPort = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
 
       // Trigger immediate re-sync from user-memory so list is always fresh
       await new Promise((resolve) => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: cmdPort,
-          path: '/skill.schedule/sync', method: 'POST',
+        const req = http.request(serviceRegistry.requestOptions('command', '/skill.schedule/sync', {
           headers: { 'Content-Length': '0' },
           timeout: 3000,
-        }, (res) => { res.resume(); resolve(); });
+        }), (res) => { res.resume(); resolve(); });
         req.on('error', resolve);
         req.on('timeout', () => { req.destroy(); resolve(); });
         req.end();
@@ -10055,11 +10398,10 @@ app.whenReady().then(async () => {
       await new Promise(r => setTimeout(r, 1500));
 
       const jobs = await new Promise((resolve) => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: cmdPort,
-          path: '/skill.schedule/list', method: 'GET',
+        const req = http.request(serviceRegistry.requestOptions('command', '/skill.schedule/list', {
+          method: 'GET',
           timeout: 4000,
-        }, (res) => {
+        }), (res) => {
           let raw = '';
           res.on('data', c => { raw += c; });
           res.on('end', () => {
@@ -10073,11 +10415,10 @@ app.whenReady().then(async () => {
 
       // Also fetch pending one-shot reminders
       const reminders = await new Promise((resolve) => {
-        const req = http.request({
-          hostname: '127.0.0.1', port: cmdPort,
-          path: '/reminder.list', method: 'GET',
+        const req = http.request(serviceRegistry.requestOptions('command', '/reminder.list', {
+          method: 'GET',
           timeout: 3000,
-        }, (res) => {
+        }), (res) => {
           let raw = '';
           res.on('data', c => { raw += c; });
           res.on('end', () => {
@@ -10136,18 +10477,15 @@ app.whenReady().then(async () => {
     };
     try {
       const http = require('http');
-      const cmdPort = parseInt(process.env.SERVICE_PORT || process.env.COMMAND_SERVICE_PORT || '3007', 10);
       // Use /skill.fire so the scheduler dispatches via the correct tier
       // (bridge → WS:INSTRUCTION, notify → osascript, script → external.skill).
       // The old /command.automate + external.skill path fails for contract-based
       // skills whose exec_path is a .md file, not an index.cjs.
       const body = JSON.stringify({ skillName });
-      const req = http.request({
-        hostname: '127.0.0.1', port: cmdPort,
-        path: '/skill.fire', method: 'POST',
+      const req = http.request(serviceRegistry.requestOptions('command', '/skill.fire', {
         headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
         timeout: 60000,
-      }, (res) => {
+      }), (res) => {
         let data = '';
         res.on('data', chunk => { data += chunk; });
         res.on('end', () => {
@@ -10178,33 +10516,92 @@ app.whenReady().then(async () => {
   // ─── Bridge Auto-Listener ─────────────────────────────────────────────────
   // Watches ~/.thinkdrop/bridge.md for new WS:INSTRUCTION blocks and
   // auto-fires stategraph:process — ThinkDrop acts without any user input.
+  // Blocks move pending → running → done/error in place (bridgeProtocol.js) and
+  // finished ones are swept into bridge-archive.md after THINKDROP_BRIDGE_ARCHIVE_AFTER_H.
   // Start: say "file.bridge listen start"   Stop: "file.bridge listen stop"
   // Also starts automatically when ThinkDrop launches.
   {
     const fs = require('fs');
     const crypto = require('crypto');
-    const BRIDGE_FILE = require('path').join(require('os').homedir(), '.thinkdrop', 'bridge.md');
+    const BRIDGE_FILE = bridgeProtocol.BRIDGE_FILE;
     const BRIDGE_DEBOUNCE_MS = 800;
+    const BRIDGE_ARCHIVE_SWEEP_MS = 10 * 60 * 1000;
+
+    const bridgeReportedProblems = new Set();
 
+    // Parse bridge.md, logging each protocol violation once so writers can see what they got wrong.
+    // Blocks without an id can't be tracked or updated, so they are dropped (never run).
     function parseBridgeBlocks(content) {
-      const blocks = [];
-      const re = /<!--\s*([A-Z][A-Z0-9_]*):([\w]+)\s+(.*?)-->([\s\S]*?)<!--\s*\1:END\s*-->/g;
-      let m;
-      while ((m = re.exec(content)) !== null) {
-        const [, prefix, type, attrsStr, body] = m;
-        if (type === 'END') continue;
-        const attrs = {};
-        const attrRe = /(\w+)=([^\s>]+)/g;
-        let am;
-        // Strip surrounding quotes from attribute values (e.g. status="pending" → pending)
-        while ((am = attrRe.exec(attrsStr)) !== null) attrs[am[1]] = am[2].replace(/^["']|["']$/g, '');
-        blocks.push({ id: attrs.id || `${prefix}_${type}_unknown`, prefix, type, status: attrs.status || 'unknown', body: body.trim() });
-      }
-      return blocks;
+      const blocks = bridgeProtocol.parse(content);
+      for (const { message } of bridgeProtocol.validate(blocks)) {
+        if (bridgeReportedProblems.has(message)) continue;
+        bridgeReportedProblems.add(message);
+        console.warn(`🌉 [Bridge Listener] Invalid block — ${message}`);
+      }
+      return blocks.filter(b => b.id);
     }
 
+    // Status is part of the hash so a writer re-queueing a failed block (error → pending) is noticed
     function hashIds(blocks) {
-      return crypto.createHash('md5').update(blocks.map(b => b.id).join(',')).digest('hex');
+      return crypto.createHash('md5').update(blocks.map(b => `${b.id}:${b.status}`).join(',')).digest('hex');
+    }
+
+    function setBridgeStatus(blockId, status, details) {
+      try {
+        const result = bridgeProtocol.setStatus(BRIDGE_FILE, blockId, status, details);
+        if (!result.ok) {
+          console.warn(`🌉 [Bridge Listener] Could not mark ${blockId} ${status}: ${result.reason}`);
+          return false;
+        }
+        console.log(`🌉 [Bridge Listener] ${blockId} → ${status}`);
+        // No longer pending in the file — forget it so a writer can re-queue it
+        if (status === 'done' || status === 'error') bridgeSeenIds.delete(blockId);
+        return true;
+      } catch (err) {
+        console.error(`[Bridge Listener] Failed to update block ${blockId}:`, err.message);
+        return false;
+      }
+    }
+
+    // Pick up writer blocks that are pending and not yet acted on, marking each running
+    function claimPendingBridgeBlocks(blocks) {
+      const claimed = [];
+      for (const b of blocks) {
+        if (b.prefix === 'TD' || b.status !== 'pending' || bridgeSeenIds.has(b.id)) continue;
+        bridgeSeenIds.add(b.id);
+        if (!b.body) {
+          setBridgeStatus(b.id, 'error', { error: 'Empty instruction' });
+          continue;
+        }
+        // StateGraph failed to initialize — nothing would run the block and finish it
+        if (!cronStateGraph) {
+          setBridgeStatus(b.id, 'error', { error: 'Cron StateGraph not initialized' });
+          continue;
+        }
+        // Not marked running (e.g. a duplicate id whose first block already finished) — don't run untracked
+        if (setBridgeStatus(b.id, 'running')) claimed.push(b);
+      }
+      return claimed;
+    }
+
+    // bridge.md outcome of a finished run — StateGraph reports some failures in
+    // finalState.error instead of rejecting
+    function bridgeOutcome(finalState) {
+      if (finalState?.error) {
+        return { status: 'error', error: String(finalState.error.message || finalState.error) };
+      }
+      const answer = typeof finalState?.answer === 'string' ? finalState.answer.trim() : '';
+      const steps = (finalState?.skillResults || []).length;
+      return { status: 'done', summary: answer || (steps ? `${steps} step(s) completed` : 'Completed') };
+    }
+
+    function archiveBridgeBlocks() {
+      try {
+        const moved = bridgeProtocol.archive(BRIDGE_FILE, bridgeProtocol.ARCHIVE_FILE);
+        if (moved) console.log(`🌉 [Bridge Listener] Archived ${moved} finished block(s) to ${bridgeProtocol.ARCHIVE_FILE}`);
+      } catch (err) {
+        console.error('[Bridge Listener] Archive error:', err.message);
+      }
     }
 
     // ── Bridge skill plan helpers ─────────────────────────────────────────────
@@ -10264,6 +10661,7 @@ app.whenReady().then(async () => {
     let bridgeWatcher = null;
     let bridgeDebounce = null;
     let bridgeKnownHash = '';
+    let bridgeArchiveTimer = null;
 
     function startBridgeListener() {
       if (bridgeListenerActive) return;
@@ -10272,6 +10670,10 @@ app.whenReady().then(async () => {
         fs.writeFileSync(BRIDGE_FILE, '# ThinkDrop Bridge\n\n', 'utf8');
       }
 
+      archiveBridgeBlocks();
+      bridgeArchiveTimer = setInterval(archiveBridgeBlocks, BRIDGE_ARCHIVE_SWEEP_MS);
+      if (bridgeArchiveTimer.unref) bridgeArchiveTimer.unref();
+
       // Snapshot current blocks so we only react to NEW ones
       const initial = fs.readFileSync(BRIDGE_FILE, 'utf8');
       bridgeKnownHash = hashIds(parseBridgeBlocks(initial));
@@ -10289,14 +10691,10 @@ app.whenReady().then(async () => {
 
             // Find new WS: blocks that are pending (Windsurf/Cursor wrote an instruction)
             // bridgeSeenIds tracks every block ID we've already acted on — filter to truly new ones
-            const newPendingWS = blocks.filter(b =>
-              b.prefix !== 'TD' && b.status === 'pending' && !bridgeSeenIds.has(b.id)
-            );
-
             bridgeKnownHash = newHash;
+            const newPendingWS = claimPendingBridgeBlocks(blocks);
 
             for (const block of newPendingWS) {
-              bridgeSeenIds.add(block.id);
               console.log(`🌉 [Bridge Listener] New ${block.prefix}:${block.type} [${block.id}] — auto-executing`);
               // Wrap in async IIFE so pre-flight await (OAuth token check) works correctly
               (async () => {
@@ -10415,7 +10813,10 @@ app.whenReady().then(async () => {
                 if (_bridgeOauthProvider && _bridgeOauthTokenKey) {
                   const _kt = (() => { try { return require('keytar'); } catch(_) { return null; } })();
                   const _existingToken = _kt ? await _kt.getPassword('thinkdrop', _bridgeOauthTokenKey).catch(() => null) : null;
-                  if (!_existingToken) {
+                  if (!_existingToken && headless.enabled()) {
+                    // No Results window for the connect card — wait on the operator instead
+                    await headless.ask({ kind: 'oauth', provider: _bridgeOauthProvider, skillName: skillName || _bridgeOauthProvider });
+                  } else if (!_existingToken) {
                     console.log(`[Bridge Listener] OAuth token missing for ${_bridgeOauthProvider} — surfacing connect card`);
                     if (resultsWindow && !resultsWindow.isDestroyed()) {
                       safeSend(resultsWindow, 'automation:progress', {
@@ -10488,8 +10889,10 @@ app.whenReady().then(async () => {
                 cronStateGraph.execute(initialState).then((finalState) => {
                   activeCronProgressCallback = null;
                   console.log(`✅ [Bridge Listener] Done executing block ${block.id}`);
-                  markBridgeBlockDone(block.id);
-                  if (skillName) queueManager.recordCronRunDone(skillName, runId, 'done');
+                  const outcome = bridgeOutcome(finalState);
+                  const cronStatus = outcome.status === 'done' ? 'done' : 'failed';
+                  setBridgeStatus(block.id, outcome.status, outcome);
+                  if (skillName) queueManager.recordCronRunDone(skillName, runId, cronStatus);
                   // Cache the executed plan so subsequent cron fires skip re-planning.
                   // Only write when the pipeline produced a plan (not a cached hit that was
                   // already on disk — avoids a pointless write with identical content).
@@ -10509,13 +10912,13 @@ app.whenReady().then(async () => {
                       state: 'watching',
                       bridgeFile: BRIDGE_FILE,
                       cronSkillName: skillName,
-                      cronStatus: 'done',
+                      cronStatus,
                     });
                   }
                 }).catch(err => {
                   activeCronProgressCallback = null;
                   console.error(`❌ [Bridge Listener] Error executing block ${block.id}:`, err.message);
-                  markBridgeBlockDone(block.id, 'error');
+                  setBridgeStatus(block.id, 'error', { error: err.message });
                   if (skillName) queueManager.recordCronRunDone(skillName, runId, 'failed');
                   if (resultsWindow && !resultsWindow.isDestroyed()) {
                     safeSend(resultsWindow, 'bridge:status', {
@@ -10547,9 +10950,7 @@ app.whenReady().then(async () => {
         try {
           if (!fs.existsSync(BRIDGE_FILE)) return;
           const content = fs.readFileSync(BRIDGE_FILE, 'utf8');
-          const startupPending = parseBridgeBlocks(content).filter(b =>
-            b.prefix !== 'TD' && b.status === 'pending' && !bridgeSeenIds.has(b.id)
-          );
+          const startupPending = claimPendingBridgeBlocks(parseBridgeBlocks(content));
           if (startupPending.length === 0) {
             if (resultsWindow && !resultsWindow.isDestroyed()) {
               safeSend(resultsWindow, 'bridge:status', { state: 'watching', bridgeFile: BRIDGE_FILE });
@@ -10558,7 +10959,6 @@ app.whenReady().then(async () => {
             console.log(`🌉 [Bridge Listener] ${startupPending.length} pending block(s) found at startup — executing`);
           }
           for (const block of startupPending) {
-            bridgeSeenIds.add(block.id);
             console.log(`🌉 [Bridge Listener] Startup: executing ${block.prefix}:${block.type} [${block.id}]`);
 
             const skillName = _parseBridgeSkillName(block.id);
@@ -10614,16 +11014,18 @@ app.whenReady().then(async () => {
                 activeBrowserSessionId: null,
                 activeBrowserUrl: null,
                 context: { sessionId: null, userId: 'bridge_auto', source: 'bridge_startup', blockId: block.id },
-              }).then(() => {
+              }).then((finalState) => {
                 console.log(`✅ [Bridge Listener] Startup: done with block ${block.id}`);
-                markBridgeBlockDone(block.id);
-                if (skillName) queueManager.recordCronRunDone(skillName, runId, 'done');
+                const outcome = bridgeOutcome(finalState);
+                const cronStatus = outcome.status === 'done' ? 'done' : 'failed';
+                setBridgeStatus(block.id, outcome.status, outcome);
+                if (skillName) queueManager.recordCronRunDone(skillName, runId, cronStatus);
                 if (resultsWindow && !resultsWindow.isDestroyed()) {
-                  safeSend(resultsWindow, 'bridge:status', { state: 'watching', bridgeFile: BRIDGE_FILE, cronSkillName: skillName, cronStatus: 'done' });
+                  safeSend(resultsWindow, 'bridge:status', { state: 'watching', bridgeFile: BRIDGE_FILE, cronSkillName: skillName, cronStatus });
                 }
               }).catch(err => {
                 console.error(`❌ [Bridge Listener] Startup: error on block ${block.id}:`, err.message);
-                markBridgeBlockDone(block.id, 'error');
+                setBridgeStatus(block.id, 'error', { error: err.message });
                 if (skillName) queueManager.recordCronRunDone(skillName, runId, 'failed');
                 if (resultsWindow && !resultsWindow.isDestroyed()) {
                   safeSend(resultsWindow, 'bridge:status', { state: 'watching', bridgeFile: BRIDGE_FILE, cronSkillName: skillName, cronStatus: 'failed' });
@@ -10637,32 +11039,11 @@ app.whenReady().then(async () => {
       }, 2000); // 2s delay — wait for stateGraph and windows to be fully ready
     }
 
-    function markBridgeBlockDone(blockId) {
-      try {
-        if (!fs.existsSync(BRIDGE_FILE)) return;
-        let content = fs.readFileSync(BRIDGE_FILE, 'utf8');
-        // Remove the entire block from bridge.md — prevents re-firing on restart
-        // Block format uses quoted attrs: id="..." status="pending"
-        const safeId = blockId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const blockRe = new RegExp(
-          `\\n?<!--\\s*[A-Z][A-Z0-9_]*:[\\w]+ id=["']?${safeId}["']?[^>]*-->[\\s\\S]*?<!--\\s*[A-Z][A-Z0-9_]*:END\\s*-->\\n?`
-        );
-        const updated = content.replace(blockRe, '');
-        if (updated !== content) {
-          fs.writeFileSync(BRIDGE_FILE, updated, 'utf8');
-          console.log(`🌉 [Bridge Listener] Removed block ${blockId} from bridge file`);
-        } else {
-          console.warn(`🌉 [Bridge Listener] Block ${blockId} not found in bridge file for removal`);
-        }
-      } catch (err) {
-        console.error(`[Bridge Listener] Failed to remove block ${blockId}:`, err.message);
-      }
-    }
-
     function stopBridgeListener() {
       if (!bridgeListenerActive) return;
       if (bridgeWatcher) { bridgeWatcher.close(); bridgeWatcher = null; }
       if (bridgeDebounce) { clearTimeout(bridgeDebounce); bridgeDebounce = null; }
+      if (bridgeArchiveTimer) { clearInterval(bridgeArchiveTimer); bridgeArchiveTimer = null; }
       bridgeListenerActive = false;
       console.log('🌉 [Bridge Listener] Stopped.');
     }
@@ -10675,13 +11056,19 @@ app.whenReady().then(async () => {
     try {
       if (fs.existsSync(BRIDGE_FILE)) {
         parseBridgeBlocks(fs.readFileSync(BRIDGE_FILE, 'utf8')).forEach(b => {
+          // Still running from a previous session — that run died with it
+          if (b.prefix !== 'TD' && b.status === 'running') {
+            setBridgeStatus(b.id, 'error', { error: 'Interrupted — ThinkDrop exited while this block was running' });
+            return;
+          }
           // Skip pending non-TD blocks — they need to be executed.
-          // Exception: stale sched_ blocks older than 10 min are skipped to avoid
-          // replaying a backlog of accumulated cron fires from prior sessions.
+          // Exception: stale sched_ blocks older than 10 min are failed instead, to
+          // avoid replaying a backlog of accumulated cron fires from prior sessions
+          // (as error they reach the archive sweep rather than sitting pending).
           if (b.prefix !== 'TD' && b.status === 'pending') {
             const schedMatch = b.id.match(/_(\d{10,15})$/);
             if (schedMatch && Date.now() - parseInt(schedMatch[1], 10) > 10 * 60 * 1000) {
-              bridgeSeenIds.add(b.id); // stale — skip silently
+              setBridgeStatus(b.id, 'error', { error: 'Stale on startup — scheduled fire is older than 10 minutes' });
             }
             return;
           }
@@ -10696,9 +11083,6 @@ app.whenReady().then(async () => {
     ipcMain.handle('bridge:listener:status', () => ({ active: bridgeListenerActive, bridgeFile: BRIDGE_FILE }));
 
     // ─── Rules Management IPC handlers ──────────────────────────────────────────
-    const MEMORY_PORT = parseInt(process.env.MEMORY_SERVICE_PORT || '3001', 10);
-    const MEMORY_HOST = process.env.MEMORY_SERVICE_HOST || '127.0.0.1';
-    const MEMORY_API_KEY = process.env.MCP_USER_MEMORY_API_KEY || process.env.USER_MEMORY_API_KEY || process.env.MCP_API_KEY || process.env.API_KEY || '';
 
     async function memoryHttpPost(path, action, payload) {
       return new Promise((resolve, reject) => {
@@ -10710,18 +11094,13 @@ app.whenReady().then(async () => {
           payload,
           requestId: 'rules-' + Date.now()
         });
-        console.log(`[memoryHttpPost] POST ${path} to ${MEMORY_HOST}:${MEMORY_PORT}`);
-        const options = {
-          hostname: MEMORY_HOST,
-          port: MEMORY_PORT,
-          path,
-          method: 'POST',
+        console.log(`[memoryHttpPost] POST ${path} to ${serviceRegistry.url('user-memory')}`);
+        const options = serviceRegistry.requestOptions('user-memory', path, {
           headers: {
             'Content-Type': 'application/json',
             'Content-Length': Buffer.byteLength(data),
-            'Authorization': `Bearer ${MEMORY_API_KEY}`,
           },
-        };
+        });
         const req = http.request(options, (res) => {
           let response = '';
           res.on('data', chunk => { response += chunk; });
@@ -10943,11 +11322,18 @@ app.on('window-all-closed', () => {
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
   stopCryptoBridge();
+  localTransport.removeSocket(overlayControlSocketPath);
+  try { fs.unlinkSync(OVERLAY_CONTROL_DISCOVERY); } catch (_) {}
+  localApi.removeDiscovery();
+  eventHub.closeAll();
+  headless.cancelAll();
+  queueManager.shutdown().catch(() => {});
+  connectionPool.destroyAll();
 });
 
 // ── Schedule: warn before close if countdown is active ───────────────────────
 app.on('before-quit', (e) => {
-  if (!activeScheduleCountdown) return;
+  if (!activeScheduleCountdown || headless.enabled()) return;
   // Only warn if NOT launched by launchd (i.e. user is interacting)
   const launchedScheduleId = scheduler.getLaunchedScheduleId();
   if (launchedScheduleId) return; // silent auto-run — let it quit normally
@@ -10969,6 +11355,7 @@ app.on('before-quit', (e) => {
 });
 
 app.on('activate', () => {
+  if (headless.enabled()) return;
   if (BrowserWindow.getAllWindows().length === 0) {
     createUnifiedWindow();
     if (unifiedWindow) unifiedWindow.hide();
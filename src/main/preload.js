@@ -42,6 +42,7 @@ contextBridge.exposeInMainWorld('electron', {
         'guide:continue',
         'guide:cancel',
         'schedule:dismiss',
+        'schedule:missed-decision',
         'automation:cancel',
         'voice:start',
         'voice:stop',
@@ -84,6 +85,11 @@ contextBridge.exposeInMainWorld('electron', {
         'connections:disconnect',
         'prompt-queue:submit',
         'prompt-queue:cancel',
+        'prompt-queue:move',
+        'prompt-queue:pin',
+        'prompt-queue:failed:list',
+        'prompt-queue:failed:retry',
+        'prompt-queue:failed:discard',
         'prompt-queue:dismiss-alert',
         'prompt-queue:resume-pending',
         'plan:approve',
@@ -148,6 +154,7 @@ contextBridge.exposeInMainWorld('electron', {
         'ws-bridge:error',
         'automation:progress',
         'schedule:pending',
+        'schedule:missed',
         'bridge:status',
         'voice:status',
         'voice:speaking',
@@ -173,8 +180,11 @@ contextBridge.exposeInMainWorld('electron', {
         'connections:update',
         'gather:pending',
         'prompt-queue:update',
+        'prompt-queue:run',
         'prompt-queue:restart-alert',
         'prompt-queue:restart-cancel',
+        'prompt-queue:failed',
+        'prompt-results:update',
         'skills:secret-revealed',
         'reminder:play-sound',
         'plan:approved',
@@ -244,6 +254,7 @@ contextBridge.exposeInMainWorld('electron', {
         'ws-bridge:error',
         'automation:progress',
         'schedule:pending',
+        'schedule:missed',
         'bridge:status',
         'voice:status',
         'voice:speaking',
@@ -269,8 +280,11 @@ contextBridge.exposeInMainWorld('electron', {
         'connections:update',
         'gather:pending',
         'prompt-queue:update',
+        'prompt-queue:run',
         'prompt-queue:restart-alert',
         'prompt-queue:restart-cancel',
+        'prompt-queue:failed',
+        'prompt-results:update',
         'skills:secret-revealed',
         'reminder:play-sound',
         'plan:approved',
@@ -299,6 +313,7 @@ contextBridge.exposeInMainWorld('electron', {
         'skills:list',
         'connections:list',
         'prompt-queue:update',
+        'prompt-queue:run',
         'prompt-queue:restart-alert',
         'highlights:update',
         'highlights:available',
@@ -311,6 +326,7 @@ contextBridge.exposeInMainWorld('electron', {
         'skill-build:progress',
         'install:confirm',
         'schedule:pending',
+        'schedule:missed',
         'bridge:status',
         'scan:progress',
         'scan:discovery',
@@ -362,6 +378,7 @@ contextBridge.exposeInMainWorld('electron', {
         'ws-bridge:error',
         'automation:progress',
         'schedule:pending',
+        'schedule:missed',
         'bridge:status',
         'voice:status',
         'voice:speaking',
@@ -387,8 +404,11 @@ contextBridge.exposeInMainWorld('electron', {
         'connections:update',
         'gather:pending',
         'prompt-queue:update',
+        'prompt-queue:run',
         'prompt-queue:restart-alert',
         'prompt-queue:restart-cancel',
+        'prompt-queue:failed',
+        'prompt-results:update',
         'skills:secret-revealed',
         'reminder:play-sound',
         'plan:approved',
@@ -446,6 +466,13 @@ contextBridge.exposeInMainWorld('electron', {
         'shell:execute',
         'prompt-history:save',
         'prompt-history:load',
+        'prompt-results:search',
+        'prompt-results:get',
+        'prompt-results:delete',
+        'trace:list',
+        'trace:get',
+        'mcp:diagnostics',
+        'crypto:audit',
       ];
       if (validChannels.includes(channel)) {
         return ipcRenderer.invoke(channel, data);
@@ -0,0 +1,148 @@
+/**
+ * promptArchive.js — Result records for finished prompt queue items
+ *
+ * While a prompt runs, main.js feeds a recorder (createRecorder) with the
+ * streamed answer tokens and every automation:progress event. When the item
+ * reaches a terminal state (done, cancelled, or failed for good) promptQueue
+ * calls archive(), which stores one record in queueStore's prompt_results
+ * table:
+ *
+ *   { id, prompt, status, priority, source, sessionId, startedAt, doneAt,
+ *     durationMs, attempts, answer, error, savedFilePaths, timeline }
+ *
+ * The timeline is a compacted list of progress events — one entry per step
+ * start / done / failure plus plan and completion markers — each stamped with
+ * its offset from the start of the run.
+ *
+ * Records are browsed and searched from the Queue tab (prompt-results:search /
+ * prompt-results:get) and can be re-opened in the Results tab.
+ */
+
+const queueStore = require('./queueStore');
+
+const MAX_ANSWER_CHARS     = 200000;
+const MAX_TIMELINE_ENTRIES = 400;
+const MAX_DETAIL_CHARS     = 500;
+
+// Progress events worth keeping in the timeline — the rest (thinking ticks,
+// live agent turns, UI-only hints) would drown the steps out.
+const TIMELINE_EVENTS = new Set([
+  'planning', 'plan_ready', 'plan:step_start', 'plan:step_done',
+  'step_start', 'step_running', 'step_done', 'step_failed', 'step_skipped',
+  'agent:complete', 'needs_login', 'task:auth_required', 'task:auth_resolved',
+  'schedule_start', 'pipeline:done', 'all_done', 'error',
+]);
+
+function _clip(value) {
+  if (value == null) return undefined;
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return str.length > MAX_DETAIL_CHARS ? `${str.slice(0, MAX_DETAIL_CHARS)}…` : str;
+}
+
+/**
+ * Per-run collector for answer text, step timeline and produced files.
+ * @returns {{ onToken: (token: string) => void, onEvent: (event: object) => void, result: (finalState?: object) => object }}
+ */
+function createRecorder() {
+  const startedAt = Date.now();
+  const timeline = [];
+  const savedFilePaths = new Set();
+  let streamed = '';
+
+  return {
+    onToken(token) {
+      if (typeof token === 'string' && streamed.length < MAX_ANSWER_CHARS) streamed += token;
+    },
+
+    onEvent(event) {
+      if (!event || !event.type) return;
+      if (Array.isArray(event.savedFilePaths)) {
+        for (const p of event.savedFilePaths) if (typeof p === 'string') savedFilePaths.add(p);
+      }
+      if (!TIMELINE_EVENTS.has(event.type) || timeline.length >= MAX_TIMELINE_ENTRIES) return;
+      const entry = { type: event.type, t: Date.now() - startedAt };
+      const step = event.stepIndex ?? event.stepNum ?? event.index;
+      if (step != null) entry.step = step;
+      for (const key of ['skill', 'title', 'description', 'intent']) {
+        if (event[key]) entry[key] = _clip(event[key]);
+      }
+      if (event.durationMs != null) entry.durationMs = event.durationMs;
+      if (event.error) entry.error = _clip(event.error);
+      if (event.type === 'all_done') {
+        entry.completedCount = event.completedCount;
+        entry.totalCount = event.totalCount;
+        if (event.cancelled) entry.cancelled = true;
+      }
+      timeline.push(entry);
+    },
+
+    /**
+     * @param {object} [finalState] StateGraph final state, when the run returned
+     */
+    result(finalState) {
+      const answer = (finalState && typeof finalState.answer === 'string' && finalState.answer) || streamed;
+      return {
+        answer: answer.slice(0, MAX_ANSWER_CHARS),
+        timeline,
+        savedFilePaths: Array.from(savedFilePaths),
+      };
+    },
+  };
+}
+
+/**
+ * Store the result record of a finished prompt queue item. Never throws.
+ * @param {object} item  PromptQueueItem in a terminal state, with optional `result`
+ * @returns {object} the archived record
+ */
+function archive(item) {
+  const result = item.result || {};
+  const doneAt = item.doneAt || Date.now();
+  const answer = result.answer || (item.partial && item.partial.answer) || '';
+  const record = {
+    id: item.id,
+    prompt: item.prompt,
+    status: item.status,
+    priority: item.priority || null,
+    source: item.source || null,
+    sessionId: item.sessionId || null,
+    startedAt: item.startedAt || null,
+    doneAt,
+    durationMs: item.startedAt ? doneAt - item.startedAt : null,
+    attempts: item.attempts || null,
+    answer,
+    error: item.error || null,
+    savedFilePaths: result.savedFilePaths || [],
+    timeline: result.timeline || [],
+  };
+  queueStore.savePromptResult(record);
+  return record;
+}
+
+/**
+ * @param {{ query?: string, status?: string, limit?: number, offset?: number }} [opts]
+ * @returns {Promise<object[]>}
+ */
+function search(opts) {
+  return queueStore.searchPromptResults(opts).catch((err) => {
+    console.warn('[PromptArchive] search failed:', err.message);
+    return [];
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+function get(id) {
+  return queueStore.loadPromptResult(id).catch((err) => {
+    console.warn('[PromptArchive] get failed:', err.message);
+    return null;
+  });
+}
+
+function remove(id) {
+  return queueStore.deletePromptResult(id);
+}
+
+module.exports = { createRecorder, archive, search, get, remove };
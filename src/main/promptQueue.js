@@ -1,40 +1,102 @@
 /**
- * promptQueue.js — Persistent serial prompt queue for stategraph:process.
+ * promptQueue.js — Persistent prompt queue for stategraph:process.
  *
- * Works like a printer queue:
+ * Works like a printer queue with a few parallel slots:
  * - User can submit prompts at any time, they are enqueued immediately
- * - Only ONE prompt runs through stategraph at a time
- * - When the running prompt finishes, the next pending one starts automatically
+ * - Each prompt is classified by the resources it needs (promptSlots.js):
+ *   browser, input (nut-js), network, llm — or exclusive when unsure
+ * - Up to MAX_SLOTS prompts run at once, as long as they don't contend for a
+ *   resource; a quick question runs beside a browser automation, two browser
+ *   automations stay serialized, and an exclusive prompt runs alone
+ * - Only the item started into an idle queue drives the overlay
+ *   (`drivesOverlay`). Items started beside it stream to the Queue tab, the
+ *   local API and /events; one that needs to ask the user something waits in
+ *   acquireOverlay() until the owner finishes. Browser, input and exclusive
+ *   prompts wait for the slots to drain
+ * - When a running prompt finishes, the next pending ones that fit start automatically
+ * - Pending items are ordered by priority lane, not just arrival time:
+ *     pinned      — pinned by the user, always next
+ *     interactive — typed prompts; a quick question never waits behind a long job
+ *     normal      — plan executions and anything without an explicit priority
+ *     background  — voice escalations and bridge jobs
+ *   Within a lane items run in `order` (arrival order unless the user moved them)
  * - Queue is persisted to ~/.thinkdrop/prompt-queue.json so items survive restarts
  * - On restart: any item that was mid-run (status='running') is reset to 'pending'
  *   and the user gets a 10-second countdown alert before it auto-triggers
+ * - Cancelling the running item aborts its StateGraph run (via the injected
+ *   abortRun callback). It stays 'running' with `cancelling: true` until the
+ *   runner unwinds and calls markDone(), then becomes 'cancelled' with a
+ *   `partial` record of what had completed, and the queue advances.
+ * - A failed run is retried per the item's retry policy — only for transient
+ *   MCP/HTTP errors, with exponential backoff. Items that fail for good land in
+ *   the failed list (~/.thinkdrop/prompt-queue-failed.json) where the user can
+ *   inspect, retry or discard them.
+ * - Every item that finishes (done, cancelled mid-run, or failed for good) is
+ *   archived with its answer, step timeline and saved files (promptArchive.js).
+ * - Each run attempt gets its own trace (tracing.js): the runner is called
+ *   inside it, so StateGraph nodes and MCP calls record spans against it, and
+ *   it is closed with the attempt's outcome in markDone().
  *
  * IPC events (main → renderer):
  *   prompt-queue:update          — full PromptQueueItem[] snapshot
+ *   prompt-queue:failed          — failed (dead-letter) PromptQueueItem[] snapshot
  *   prompt-queue:restart-alert   — { items: PromptQueueItem[], countdownMs: number }
  *   prompt-queue:restart-cancel  — alert dismissed
  *
  * IPC events (renderer → main, handled in main.js):
  *   prompt-queue:submit          — { prompt, selectedText?, responseLanguage? }
  *   prompt-queue:cancel          — { id }
+ *   prompt-queue:move            — { id, direction: 'up'|'down' } — reorder within its lane
+ *   prompt-queue:pin             — { id, pinned? } — pin to (or unpin from) the front
  *   prompt-queue:dismiss-alert   — cancel the restart countdown
+ *   prompt-queue:failed:list     — request a prompt-queue:failed snapshot
+ *   prompt-queue:failed:retry    — { id } — re-queue a failed item
+ *   prompt-queue:failed:discard  — { id? } — drop one failed item (all when no id)
  */
 
 const { randomBytes } = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const promptSlots = require('./promptSlots');
+const promptArchive = require('./promptArchive');
+const tracing = require('./tracing');
 
 // ── Storage path ──────────────────────────────────────────────────────────────
 const QUEUE_DIR  = path.join(os.homedir(), '.thinkdrop');
 const QUEUE_FILE = path.join(QUEUE_DIR, 'prompt-queue.json');
+const FAILED_FILE = path.join(QUEUE_DIR, 'prompt-queue-failed.json');
 
 // ── Types (JSDoc only) ────────────────────────────────────────────────────────
 /**
  * @typedef {'pending'|'running'|'done'|'error'|'cancelled'} PQStatus
- * @typedef {{ id: string, prompt: string, selectedText: string, responseLanguage: string|null, status: PQStatus, createdAt: number, startedAt: number|null, doneAt: number|null, error: string|null }} PromptQueueItem
+ * @typedef {'interactive'|'normal'|'background'} PQPriority
+ * @typedef {{ cancelledAt: number, elapsedMs: number, answer?: string, completedNodes?: string[], skillResults?: Array<{ skill: string, ok: boolean }> }} PQPartialResult
+ * @typedef {{ maxAttempts: number, baseDelayMs: number, maxDelayMs: number }} PQRetryPolicy
+ * @typedef {{ at: number, error: string, transient: boolean }} PQAttemptError
+ * @typedef {{ id: string, prompt: string, selectedText: string, responseLanguage: string|null, status: PQStatus, priority: PQPriority, pinned: boolean, order: number, resources: string[], drivesOverlay?: boolean, position?: number, external?: boolean, cancelling?: boolean, partial?: PQPartialResult|null, retry: PQRetryPolicy, attempts: number, nextAttemptAt: number|null, attemptErrors: PQAttemptError[], failedAt?: number, createdAt: number, startedAt: number|null, doneAt: number|null, error: string|null }} PromptQueueItem
  */
 
+// ── Priority lanes ────────────────────────────────────────────────────────────
+const PRIORITIES       = ['interactive', 'normal', 'background'];
+const DEFAULT_PRIORITY = 'normal';
+// Sources whose prompts default to the background lane when no priority is given
+const SOURCE_PRIORITY  = { voice: 'background', bridge: 'background' };
+
+// ── Retry ─────────────────────────────────────────────────────────────────────
+const DEFAULT_RETRY = { maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 5 * 60 * 1000 };
+const MAX_RETRY_ATTEMPTS = 10;
+// Newest failed items kept in prompt-queue-failed.json
+const FAILED_RETENTION = 100;
+
+// Errors worth retrying: the MCP service or LLM backend was down, slow or
+// overloaded. Anything else (bad plan, skill failure, user cancel) fails fast.
+const TRANSIENT_ERROR_RE = /\b(ECONNREFUSED|ECONNRESET|ETIMEDOUT|EPIPE|EAI_AGAIN|ENOTFOUND|EHOSTUNREACH|socket hang up|Request timeout|timed? ?out|HTTP (408|429|502|503|504)|service unavailable|too many requests|WebSocket (is )?not (open|connected))\b/i;
+
+// ── Slots ─────────────────────────────────────────────────────────────────────
+// Max prompts running at once. THINKDROP_PROMPT_SLOTS=1 restores strict serial.
+const MAX_SLOTS = Math.max(1, parseInt(process.env.THINKDROP_PROMPT_SLOTS, 10) || 3);
+
 // ── In-memory state ───────────────────────────────────────────────────────────
 /** @type {Map<string, PromptQueueItem>} */
 const _items = new Map();
@@ -45,6 +107,15 @@ let _broadcastFn = null;
 /** @type {(() => void) | null} — called by promptQueue to trigger next execution */
 let _runNextFn = null;
 
+/** @type {((item: PromptQueueItem) => void) | null} — aborts a running item's execution */
+let _abortRunFn = null;
+
+// How long a cancelled run may take to unwind before the queue moves on without it
+const CANCEL_GRACE_MS = 15000;
+
+/** @type {Map<string, NodeJS.Timeout>} */
+const _cancelTimers = new Map();
+
 /** @type {NodeJS.Timeout | null} */
 let _restartCountdownTimer = null;
 
@@ -55,6 +126,28 @@ let _restartCountdownTimer = null;
  */
 let _crashedItemIds = new Set();
 
+/**
+ * Items whose retries are exhausted (or whose error wasn't transient), newest first.
+ * @type {Map<string, PromptQueueItem>}
+ */
+const _failed = new Map();
+
+/** @type {((items: PromptQueueItem[]) => void) | null} */
+let _broadcastFailedFn = null;
+
+/** @type {((record: object) => void) | null} — told about each newly archived result */
+let _archivedFn = null;
+
+/** @type {NodeJS.Timeout | null} — wakes _tryAdvance when the next backoff expires */
+let _retryTimer = null;
+
+/**
+ * Runs started beside the overlay's owner that need to ask the user something,
+ * waiting in acquireOverlay() for their turn — in request order.
+ * @type {{ id: string, resolve: (owned: boolean) => void }[]}
+ */
+const _overlayWaiters = [];
+
 // ── Persistence ───────────────────────────────────────────────────────────────
 function _save() {
   try {
@@ -76,6 +169,24 @@ function _load() {
   }
 }
 
+function _saveFailed() {
+  try {
+    if (!fs.existsSync(QUEUE_DIR)) fs.mkdirSync(QUEUE_DIR, { recursive: true });
+    fs.writeFileSync(FAILED_FILE, JSON.stringify(Array.from(_failed.values()), null, 2), 'utf8');
+  } catch (err) {
+    console.error('[PromptQueue] Failed to persist failed items:', err.message);
+  }
+}
+
+function _loadFailed() {
+  try {
+    if (!fs.existsSync(FAILED_FILE)) return [];
+    return JSON.parse(fs.readFileSync(FAILED_FILE, 'utf8')) || [];
+  } catch (_) {
+    return [];
+  }
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function _uid() {
   return `pq_${randomBytes(4).toString('hex')}`;
@@ -84,14 +195,96 @@ function _uid() {
 function _broadcast() {
   // Only broadcast pending + running items — done/cancelled/error are removed from view
   // after completion so the queue tab stays clean.
-  const visible = Array.from(_items.values()).filter(i => i.status === 'pending' || i.status === 'running');
-  if (_broadcastFn) _broadcastFn(visible);
+  if (_broadcastFn) _broadcastFn(getVisible());
+}
+
+function _broadcastFailed() {
+  if (_broadcastFailedFn) _broadcastFailedFn(getFailed());
 }
 
 function _getSnapshot() {
   return Array.from(_items.values());
 }
 
+/** Validate a per-item retry policy, filling gaps from DEFAULT_RETRY. */
+function _normalizeRetry(retry) {
+  const r = retry || {};
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : d);
+  return {
+    maxAttempts: Math.min(MAX_RETRY_ATTEMPTS, Math.max(1, Math.floor(num(r.maxAttempts, DEFAULT_RETRY.maxAttempts)))),
+    baseDelayMs: num(r.baseDelayMs, DEFAULT_RETRY.baseDelayMs),
+    maxDelayMs:  num(r.maxDelayMs, DEFAULT_RETRY.maxDelayMs),
+  };
+}
+
+/**
+ * Whether an error message looks like a transient MCP/HTTP failure.
+ * @param {string} message
+ * @returns {boolean}
+ */
+function isTransientError(message) {
+  return typeof message === 'string' && TRANSIENT_ERROR_RE.test(message);
+}
+
+/** Backoff before attempt `attempts + 1`: base · 2^(attempts-1), capped. */
+function _backoffMs(retry, attempts) {
+  return Math.min(retry.maxDelayMs, retry.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/** Re-arm the single timer that restarts the queue when the earliest backoff ends. */
+function _scheduleRetryWake() {
+  if (_retryTimer) {
+    clearTimeout(_retryTimer);
+    _retryTimer = null;
+  }
+  const waits = Array.from(_items.values())
+    .filter(i => i.status === 'pending' && i.nextAttemptAt)
+    .map(i => i.nextAttemptAt);
+  if (waits.length === 0) return;
+  const delay = Math.max(0, Math.min(...waits) - Date.now());
+  _retryTimer = setTimeout(() => {
+    _retryTimer = null;
+    _tryAdvance();
+  }, delay);
+}
+
+/** Resolve an item's priority from an explicit value or its source. */
+function _resolvePriority(priority, source) {
+  if (PRIORITIES.includes(priority)) return priority;
+  return SOURCE_PRIORITY[source] || DEFAULT_PRIORITY;
+}
+
+/** Fill in lane fields on items persisted before priorities existed. */
+function _normalize(item) {
+  return {
+    ...item,
+    priority: _resolvePriority(item.priority, item.source),
+    pinned: !!item.pinned,
+    order: typeof item.order === 'number' ? item.order : item.createdAt,
+    resources: Array.isArray(item.resources) ? item.resources : promptSlots.classify(item),
+    retry: _normalizeRetry(item.retry),
+    attempts: item.attempts || 0,
+    nextAttemptAt: item.nextAttemptAt || null,
+    attemptErrors: Array.isArray(item.attemptErrors) ? item.attemptErrors : [],
+  };
+}
+
+/** Lane an item currently sits in — pinned items form their own lane. */
+function _lane(item) {
+  return item.pinned ? 'pinned' : item.priority;
+}
+
+function _laneRank(item) {
+  return item.pinned ? -1 : PRIORITIES.indexOf(item.priority);
+}
+
+/** Pending items in execution order: pinned, then by lane, then by order. */
+function _pendingInOrder() {
+  return Array.from(_items.values())
+    .filter(i => i.status === 'pending')
+    .sort((a, b) => (_laneRank(a) - _laneRank(b)) || (a.order - b.order) || (a.createdAt - b.createdAt));
+}
+
 // ── Core queue logic ──────────────────────────────────────────────────────────
 
 /**
@@ -111,9 +304,12 @@ function _getSnapshot() {
  * @param {string|null} [opts._basePlanFile] — original pending plan file being corrected
  * @param {string|null} [opts._skillPlanJson] — base64 skill plan JSON from plan:generated event
  * @param {string|null} [opts._planCorrectionSourcePrompt] — original prompt that generated the pending plan
+ * @param {PQPriority} [opts.priority]  — lane to run in (default: derived from source, else 'normal')
+ * @param {string|null} [opts.source]   — where the prompt came from ('voice', 'bridge', ...)
+ * @param {Partial<PQRetryPolicy>} [opts.retry] — override the default retry policy
  * @returns {string} id
  */
-function enqueue(prompt, { selectedText = '', responseLanguage = null, _planFile = null, sessionId = null, userId = 'default_user', _forceNewPlan = false, _skillPlan = null, _skillPlanFile = null, _planCorrectionMode = false, _planCorrectionText = null, _basePlanFile = null, _skillPlanJson = null, _planCorrectionSourcePrompt = null, isAskUserAnswer = false } = {}) {
+function enqueue(prompt, { selectedText = '', responseLanguage = null, _planFile = null, sessionId = null, userId = 'default_user', _forceNewPlan = false, _skillPlan = null, _skillPlanFile = null, _planCorrectionMode = false, _planCorrectionText = null, _basePlanFile = null, _skillPlanJson = null, _planCorrectionSourcePrompt = null, isAskUserAnswer = false, priority = null, source = null, retry = null } = {}) {
   const id = _uid();
 
   // If a new prompt comes in while crashed-session items are still pending restart,
@@ -165,77 +361,371 @@ function enqueue(prompt, { selectedText = '', responseLanguage = null, _planFile
     userId,
     _forceNewPlan,
     isAskUserAnswer,
+    source,
+    priority: _resolvePriority(priority, source),
+    pinned: false,
+    order: Date.now(),
+    resources: null,
+    retry: _normalizeRetry(retry),
+    attempts: 0,
+    nextAttemptAt: null,
+    attemptErrors: [],
     status: 'pending',
     createdAt: Date.now(),
     startedAt: null,
     doneAt: null,
     error: null,
   };
+  item.resources = promptSlots.classify(item);
   _items.set(id, item);
   _save();
   _broadcast();
-  console.log(`[PromptQueue] Enqueued: "${prompt.slice(0, 60)}" id=${id}`);
+  console.log(`[PromptQueue] Enqueued: "${prompt.slice(0, 60)}" id=${id} priority=${item.priority} resources=${item.resources.join(',')}`);
   // Attempt to start processing if nothing is running
   _tryAdvance();
   return id;
 }
 
 /**
- * Cancel a pending item. No-op if it's already running (can't cancel mid-run here).
+ * Cancel an item. A pending item is cancelled immediately; a running one has
+ * its execution aborted and is finalized by markDone() once the run unwinds
+ * (or after CANCEL_GRACE_MS if it never does).
  * @param {string} id
  */
 function cancel(id) {
   const item = _items.get(id);
-  if (!item || item.status !== 'pending') return;
+  if (!item) return;
+  if (item.status === 'running') {
+    _cancelRunning(item);
+    return;
+  }
+  if (item.status !== 'pending') return;
   _items.set(id, { ...item, status: 'cancelled', doneAt: Date.now() });
   _save();
   _broadcast();
   console.log(`[PromptQueue] Cancelled: ${id}`);
 }
 
+function _cancelRunning(item) {
+  if (item.cancelling) return;
+  _releaseOverlayWaiter(item.id);
+  _items.set(item.id, { ...item, cancelling: true });
+  _save();
+  _broadcast();
+  console.log(`[PromptQueue] Cancelling running item: ${item.id}`);
+
+  if (_abortRunFn) {
+    try { _abortRunFn(item); } catch (err) {
+      console.warn(`[PromptQueue] abortRun failed for ${item.id}:`, err.message);
+    }
+  } else {
+    console.warn('[PromptQueue] _abortRunFn not set — cannot abort running prompt');
+  }
+
+  // Don't let a run that ignores the abort block the queue forever
+  _cancelTimers.set(item.id, setTimeout(() => {
+    _cancelTimers.delete(item.id);
+    const current = _items.get(item.id);
+    if (current && current.status === 'running') {
+      console.warn(`[PromptQueue] Run ${item.id} did not stop within ${CANCEL_GRACE_MS}ms — advancing anyway`);
+      markDone(item.id);
+    }
+  }, CANCEL_GRACE_MS));
+}
+
+/**
+ * Move a pending item one place up or down within its lane. Items never
+ * cross lanes by moving — pin an item to jump it ahead of everything.
+ * @param {string} id
+ * @param {'up'|'down'} direction
+ * @returns {boolean} true if the item moved
+ */
+function move(id, direction) {
+  const item = _items.get(id);
+  if (!item || item.status !== 'pending') return false;
+  const lane = _pendingInOrder().filter(i => _lane(i) === _lane(item));
+  const idx = lane.findIndex(i => i.id === id);
+  const swapWith = lane[direction === 'up' ? idx - 1 : idx + 1];
+  if (!swapWith) return false;
+
+  // Swap order values; equal values (same-ms enqueue) would swap to a no-op
+  let a = swapWith.order;
+  let b = item.order;
+  if (a === b) a += direction === 'up' ? -1 : 1;
+  _items.set(id, { ...item, order: a });
+  _items.set(swapWith.id, { ...swapWith, order: b });
+  _save();
+  _broadcast();
+  console.log(`[PromptQueue] Moved ${direction}: ${id}`);
+  return true;
+}
+
+/**
+ * Pin a pending item to the front of the queue (ahead of every lane), or
+ * unpin it back into its priority lane.
+ * @param {string} id
+ * @param {boolean} [pinned]
+ * @returns {boolean} true if the item changed
+ */
+function pin(id, pinned = true) {
+  const item = _items.get(id);
+  if (!item || item.status !== 'pending' || item.pinned === pinned) return false;
+  // A newly pinned item goes in front of anything pinned before it
+  const front = Math.min(Date.now(), ..._pendingInOrder().map(i => i.order));
+  _items.set(id, { ...item, pinned, order: pinned ? front - 1 : item.order });
+  _save();
+  _broadcast();
+  console.log(`[PromptQueue] ${pinned ? 'Pinned' : 'Unpinned'}: ${id}`);
+  return true;
+}
+
+/** Archive a finished item's result record and tell the renderer. */
+function _archive(item, result) {
+  try {
+    const record = promptArchive.archive({ ...item, result });
+    if (_archivedFn) _archivedFn(record);
+  } catch (err) {
+    console.warn(`[PromptQueue] Failed to archive ${item.id}:`, err.message);
+  }
+}
+
 /**
  * Called by the stategraph runner when a prompt finishes (success or error).
+ * For an item being cancelled, `partial` describes what the run got through
+ * and the item ends as 'cancelled' rather than 'done'/'error'.
+ * `result` ({ answer, timeline, savedFilePaths } from promptArchive's recorder)
+ * is archived once the item is finished for good.
  * @param {string} id
- * @param {{ error?: string }} [opts]
+ * @param {{ error?: string, partial?: object, result?: object }} [opts]
  */
-function markDone(id, { error } = {}) {
+function markDone(id, { error, partial, result } = {}) {
   const item = _items.get(id);
   if (!item) return;
-  _items.set(id, {
-    ...item,
-    status: error ? 'error' : 'done',
-    doneAt: Date.now(),
+  // Late markDone from a run that outlived its cancel grace period
+  if (item.status === 'cancelled') return;
+
+  const timer = _cancelTimers.get(id);
+  if (timer) {
+    clearTimeout(timer);
+    _cancelTimers.delete(id);
+  }
+
+  tracing.endTrace(tracing.forQueueItem(id), {
+    status: item.cancelling ? 'cancelled' : error ? 'error' : 'ok',
     error: error || null,
   });
+
+  const now = Date.now();
+  if (!item.cancelling && error && !item.external) {
+    _handleFailure(item, error, result);
+    _tryAdvance();
+    return;
+  }
+
+  if (item.cancelling) {
+    _items.set(id, {
+      ...item,
+      status: 'cancelled',
+      cancelling: false,
+      doneAt: now,
+      error: null,
+      partial: { ...(partial || {}), cancelledAt: now, elapsedMs: item.startedAt ? now - item.startedAt : 0 },
+    });
+  } else {
+    _items.set(id, {
+      ...item,
+      status: error ? 'error' : 'done',
+      doneAt: now,
+      error: error || null,
+    });
+  }
   _save();
   _broadcast();
-  console.log(`[PromptQueue] Done: ${id}${error ? ` (error: ${error.slice(0, 60)})` : ''}`);
+  _archive(_items.get(id), result);
+  if (item.cancelling) {
+    console.log(`[PromptQueue] Cancelled mid-run: ${id}`);
+  } else {
+    console.log(`[PromptQueue] Done: ${id}${error ? ` (error: ${error.slice(0, 60)})` : ''}`);
+  }
   // Advance to next pending item
   _tryAdvance();
 }
 
 /**
- * Try to start the next pending item if nothing is currently running.
+ * A run failed: schedule another attempt if the error is transient and the
+ * policy allows it, otherwise move the item to the failed list.
+ */
+function _handleFailure(item, error, result) {
+  const now = Date.now();
+  const transient = isTransientError(error);
+  const attemptErrors = [...(item.attemptErrors || []), { at: now, error: String(error).slice(0, 500), transient }];
+  const retry = item.retry || _normalizeRetry(null);
+
+  if (transient && item.attempts < retry.maxAttempts) {
+    const delay = _backoffMs(retry, item.attempts);
+    _items.set(item.id, {
+      ...item,
+      status: 'pending',
+      startedAt: null,
+      error,
+      attemptErrors,
+      nextAttemptAt: now + delay,
+    });
+    _save();
+    _broadcast();
+    console.log(`[PromptQueue] Transient failure on ${item.id} (attempt ${item.attempts}/${retry.maxAttempts}) — retrying in ${Math.round(delay / 1000)}s: ${String(error).slice(0, 60)}`);
+    return;
+  }
+
+  const failed = { ...item, status: 'error', doneAt: now, failedAt: now, error, attemptErrors, nextAttemptAt: null };
+  _items.set(item.id, failed);
+  _failed.delete(item.id);
+  _failed.set(item.id, failed);
+  // Keep only the newest FAILED_RETENTION entries (Map preserves insertion order)
+  while (_failed.size > FAILED_RETENTION) _failed.delete(_failed.keys().next().value);
+  _save();
+  _saveFailed();
+  _broadcast();
+  _broadcastFailed();
+  _archive(failed, result);
+  console.log(`[PromptQueue] Failed: ${item.id} after ${item.attempts} attempt(s)${transient ? '' : ' (not retryable)'}: ${String(error).slice(0, 60)}`);
+}
+
+/**
+ * Failed items, newest first.
+ * @returns {PromptQueueItem[]}
+ */
+function getFailed() {
+  return Array.from(_failed.values()).reverse();
+}
+
+/**
+ * Put a failed item back in the queue with a fresh attempt budget.
+ * @param {string} id
+ * @returns {boolean}
+ */
+function retryFailed(id) {
+  const item = _failed.get(id);
+  if (!item) return false;
+  _failed.delete(id);
+  const { failedAt: _failedAt, ...rest } = item;
+  _items.set(id, {
+    ...rest,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: null,
+    startedAt: null,
+    doneAt: null,
+    error: null,
+    order: Date.now(),
+  });
+  _save();
+  _saveFailed();
+  _broadcast();
+  _broadcastFailed();
+  console.log(`[PromptQueue] Retrying failed item: ${id}`);
+  _tryAdvance();
+  return true;
+}
+
+/**
+ * Drop a failed item, or every failed item when no id is given.
+ * @param {string} [id]
+ */
+function discardFailed(id) {
+  if (id) _failed.delete(id);
+  else _failed.clear();
+  _saveFailed();
+  _broadcastFailed();
+  console.log(`[PromptQueue] Discarded failed item(s): ${id || 'all'}`);
+}
+
+/**
+ * Start every pending item, in queue order, that fits the free slots.
+ * Items that don't fit keep their resources reserved so later items can't
+ * starve them (a prompt that needs the overlay waits for the slots to drain,
+ * and nothing queued behind it jumps ahead in the meantime). Only an item
+ * started into an idle queue drives the overlay.
  * Calls _runNextFn which is injected from main.js.
  */
 function _tryAdvance() {
-  const isRunning = Array.from(_items.values()).some(i => i.status === 'running');
-  if (isRunning) return;
+  _handOverOverlay();
+  const running = Array.from(_items.values()).filter(i => i.status === 'running');
+  const held = running.map(i => i.resources || [promptSlots.EXCLUSIVE]);
+  let free = MAX_SLOTS - running.length;
+  const now = Date.now();
+
+  for (const next of _pendingInOrder()) {
+    if (free <= 0) break;
+    // Backing off after a transient failure — doesn't reserve anything meanwhile
+    if (next.nextAttemptAt && next.nextAttemptAt > now) continue;
+    if (!promptSlots.fits(next.resources, held)) {
+      // One that needs the overlay waits for every slot — reserve them all
+      held.push(promptSlots.needsOverlay(next.resources) ? [promptSlots.EXCLUSIVE] : next.resources);
+      continue;
+    }
+    const drivesOverlay = held.length === 0;
+    held.push(next.resources);
+    free--;
+    _start(next, drivesOverlay);
+  }
+  _scheduleRetryWake();
+}
 
-  const next = Array.from(_items.values())
-    .filter(i => i.status === 'pending')
-    .sort((a, b) => a.createdAt - b.createdAt)[0];
+// ── Overlay hand-over ─────────────────────────────────────────────────────────
 
-  if (!next) return;
+/**
+ * Wait until a running item may drive the overlay — its gather, credential,
+ * OAuth and ask-user prompts need it. Resolves true once the item owns it
+ * (immediately if it already does), false if the item stops running first.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+function acquireOverlay(id) {
+  const item = _items.get(id);
+  if (!item || item.status !== 'running' || item.cancelling) return Promise.resolve(false);
+  if (item.drivesOverlay) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    _overlayWaiters.push({ id, resolve });
+    console.log(`[PromptQueue] ${id} waiting for the overlay`);
+    _handOverOverlay();
+  });
+}
 
-  // Mark as running
-  _items.set(next.id, { ...next, status: 'running', startedAt: Date.now() });
+/** Give the overlay to the first waiter once no running item holds it. */
+function _handOverOverlay() {
+  while (_overlayWaiters.length > 0) {
+    const held = Array.from(_items.values()).some(i => i.status === 'running' && (i.drivesOverlay || i.external));
+    if (held) return;
+    const { id, resolve } = _overlayWaiters.shift();
+    const item = _items.get(id);
+    if (!item || item.status !== 'running' || item.cancelling) {
+      resolve(false);
+      continue;
+    }
+    _items.set(id, { ...item, drivesOverlay: true });
+    _save();
+    _broadcast();
+    console.log(`[PromptQueue] ${id} now drives the overlay`);
+    resolve(true);
+  }
+}
+
+function _releaseOverlayWaiter(id) {
+  const idx = _overlayWaiters.findIndex(w => w.id === id);
+  if (idx !== -1) _overlayWaiters.splice(idx, 1)[0].resolve(false);
+}
+
+function _start(next, drivesOverlay) {
+  _items.set(next.id, { ...next, status: 'running', drivesOverlay, startedAt: Date.now(), nextAttemptAt: null, attempts: (next.attempts || 0) + 1 });
   _save();
   _broadcast();
 
-  console.log(`[PromptQueue] Starting: "${next.prompt.slice(0, 60)}" id=${next.id}`);
+  console.log(`[PromptQueue] Starting: "${next.prompt.slice(0, 60)}" id=${next.id} priority=${next.priority}${next.pinned ? ' (pinned)' : ''} resources=${next.resources.join(',')}`);
   if (_runNextFn) {
-    _runNextFn(next);
+    const item = _items.get(next.id);
+    const trace = tracing.startTrace({ queueId: item.id, prompt: item.prompt, attempt: item.attempts, source: item.source || null });
+    tracing.run(trace, () => _runNextFn(item));
   } else {
     console.warn('[PromptQueue] _runNextFn not set — cannot start prompt');
   }
@@ -247,6 +737,9 @@ function _tryAdvance() {
  * @typedef {object} InitOpts
  * @property {(items: PromptQueueItem[]) => void} broadcast     — push visible queue to renderer
  * @property {(item: PromptQueueItem) => void}   runPrompt     — execute a prompt through stategraph
+ * @property {(item: PromptQueueItem) => void}   [abortRun]    — abort a running item's execution
+ * @property {(items: PromptQueueItem[]) => void} [broadcastFailed] — push the failed list to renderer
+ * @property {(record: object) => void}          [archived]    — a finished item's result was archived
  * @property {(items: PromptQueueItem[], countdownMs: number) => void} alertRestart — show countdown alert
  */
 
@@ -257,16 +750,27 @@ function _tryAdvance() {
  *
  * @param {InitOpts} opts
  */
-function init({ broadcast, runPrompt, alertRestart }) {
+function init({ broadcast, runPrompt, abortRun, broadcastFailed, archived, alertRestart }) {
   _broadcastFn = broadcast;
   _runNextFn = runPrompt;
+  _abortRunFn = abortRun || null;
+  _broadcastFailedFn = broadcastFailed || null;
+  _archivedFn = archived || null;
+
+  for (const item of _loadFailed()) {
+    if (item && item.id) _failed.set(item.id, item);
+  }
 
   // Load persisted items
   const persisted = _load();
   let crashedItems = [];
 
-  for (const item of persisted) {
-    if (item.status === 'running') {
+  for (const raw of persisted) {
+    const item = _normalize(raw);
+    if (item.status === 'running' && item.cancelling) {
+      // Cancelled while the app shut down — don't resurrect it
+      continue;
+    } else if (item.status === 'running') {
       // Was mid-run when app shut down — reset to pending so it can be re-triggered
       const reset = { ...item, status: 'pending', startedAt: null };
       _items.set(item.id, reset);
@@ -321,42 +825,76 @@ function resumePendingPrompts() {
 }
 
 /**
- * Get the current running item id (or null).
+ * One item by id — from the queue, or the failed list once retries ran out.
+ * @param {string} id
+ * @returns {PromptQueueItem|null}
+ */
+function get(id) {
+  return _items.get(id) || _failed.get(id) || null;
+}
+
+/**
+ * Get the id of the longest-running item (or null).
  * @returns {string|null}
  */
 function getRunningId() {
-  const running = Array.from(_items.values()).find(i => i.status === 'running');
-  return running ? running.id : null;
+  const [running] = getRunningIds();
+  return running || null;
+}
+
+/**
+ * Ids of all running items, oldest first.
+ * @returns {string[]}
+ */
+function getRunningIds() {
+  return Array.from(_items.values())
+    .filter(i => i.status === 'running')
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .map(i => i.id);
 }
 
 /**
- * Get all visible items (pending + running).
+ * Get all visible items: running first, then pending in execution order.
+ * Each item carries `position` — 0 while running, 1 for the next to run, etc.
  * @returns {PromptQueueItem[]}
  */
 function getVisible() {
-  return Array.from(_items.values())
-    .filter(i => i.status === 'pending' || i.status === 'running')
-    .sort((a, b) => a.createdAt - b.createdAt);
+  const running = Array.from(_items.values())
+    .filter(i => i.status === 'running')
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .map(i => ({ ...i, position: 0 }));
+  const pending = _pendingInOrder().map((i, idx) => ({ ...i, position: idx + 1 }));
+  return [...running, ...pending];
 }
 
 /**
  * Track an externally-driven prompt (e.g. /voice/inject) in the queue UI.
- * Inserts the item directly as 'running' without going through _tryAdvance,
- * so it doesn't interfere with the normal serial prompt queue.
- * Call markDone(id) when the external execution completes.
+ * Inserts the item directly as 'running' without going through _tryAdvance —
+ * it starts immediately, but its classified resources count as held, so
+ * queued prompts that contend with it wait until it finishes.
+ * Call markDone(id) when the external execution completes. Its trace is opened
+ * here; run the execution inside tracing.run(tracing.forQueueItem(id), …).
  * @param {string} prompt
  * @param {object} [opts]
  * @param {string} [opts.selectedText]
  * @param {string|null} [opts.responseLanguage]
+ * @param {PQPriority} [opts.priority]
+ * @param {string|null} [opts.source]
  * @returns {string} id
  */
-function trackExternal(prompt, { selectedText = '', responseLanguage = null } = {}) {
+function trackExternal(prompt, { selectedText = '', responseLanguage = null, priority = null, source = null } = {}) {
   const id = _uid();
   const item = {
     id,
     prompt,
     selectedText,
     responseLanguage,
+    source,
+    priority: _resolvePriority(priority, source),
+    pinned: false,
+    order: Date.now(),
+    resources: promptSlots.classify({ prompt }),
+    external: true,
     status: 'running',
     createdAt: Date.now(),
     startedAt: Date.now(),
@@ -364,6 +902,7 @@ function trackExternal(prompt, { selectedText = '', responseLanguage = null } =
     error: null,
   };
   _items.set(id, item);
+  tracing.startTrace({ queueId: id, prompt, attempt: 1, source });
   _save();
   _broadcast();
   console.log(`[PromptQueue] Tracking external: "${prompt.slice(0, 60)}" id=${id}`);
@@ -374,11 +913,20 @@ module.exports = {
   init,
   enqueue,
   cancel,
+  move,
+  pin,
   markDone,
   trackExternal,
+  acquireOverlay,
+  get,
   dismissRestartAlert,
   resumePendingPrompts,
   getRunningId,
+  getRunningIds,
   getVisible,
+  getFailed,
+  retryFailed,
+  discardFailed,
+  isTransientError,
   _getSnapshot,
 };
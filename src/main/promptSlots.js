@@ -0,0 +1,97 @@
+/**
+ * promptSlots.js — Resource classification for concurrent prompt execution
+ *
+ * promptQueue runs several prompts at once when they don't contend for the
+ * same resource. Each prompt is classified up front (before StateGraph has
+ * parsed its intent) into the resources it may touch:
+ *
+ *   browser  — Playwright browser session (browser.agent, command_automate on the web)
+ *   input    — keyboard / mouse / screen via nut-js (app control, guides, screenshots)
+ *   network  — web search and other outbound lookups
+ *   llm      — answering from the model alone
+ *
+ * A prompt that can't be classified confidently is EXCLUSIVE ('*'): it runs
+ * alone, exactly like the old strictly-serial queue. Plan executions, plan
+ * corrections and ask-user answers are always exclusive — they resume or drive
+ * state that assumes nothing else is running.
+ *
+ * Capacities bound how many running prompts may hold a resource at once;
+ * browser and input are single-holder, so those prompts stay serialized.
+ *
+ * Only one run at a time may drive the overlay — its windows, stream, gather
+ * prompts and confirmations are shared. Exclusive, browser and input prompts
+ * always need it, so they start only when nothing else is running; a question
+ * started next to another run waits for it only if it has to ask the user
+ * something (see promptQueue's drivesOverlay and acquireOverlay).
+ */
+
+const EXCLUSIVE = '*';
+
+const CAPACITY = {
+  browser: 1,
+  input:   1,
+  network: 3,
+  llm:     2,
+};
+
+// ── Heuristics ────────────────────────────────────────────────────────────────
+
+// Anything that acts on the machine (files, apps, messages, schedules) may end
+// up in command_automate with arbitrary skills — never share a slot.
+const ACTION_RE  = /\b(create|delete|remove|rename|move|copy|install|uninstall|run|execute|build|deploy|send|email|reply|post|upload|download|save|write|edit|schedule|remind|book|buy|order|pay|close|quit|kill|restart|set up|setup)\b/i;
+const BROWSER_RE = /\b(open|go to|navigate|browse|visit|log ?in|sign ?in|website|web ?page|tab|chrome|safari|firefox)\b|https?:\/\/|\bwww\./i;
+const INPUT_RE   = /\b(type|press|click|scroll|drag|keyboard|mouse|cursor|screenshot|screen|window|control|guide me|show me how)\b/i;
+const NETWORK_RE = /\b(search|look up|lookup|google|latest|news|weather|forecast|price|stock|score|today|tonight|tomorrow|current(ly)?|recent|trending)\b/i;
+const QUESTION_RE = /^(what|why|how|who|whom|whose|when|where|which|is|are|was|were|do|does|did|can|could|should|would|will|explain|describe|define|summarize|tell me|compare)\b|\?\s*$/i;
+
+/**
+ * Classify a queue item by the resources its run may need.
+ * @param {{ prompt: string, _planFile?: string|null, _skillPlan?: Array|null, _skillPlanJson?: string|null, _planCorrectionMode?: boolean, _resumeMultiIntent?: boolean, isAskUserAnswer?: boolean }} item
+ * @returns {string[]} resource names, or ['*'] for exclusive
+ */
+function classify(item) {
+  if (!item || typeof item.prompt !== 'string') return [EXCLUSIVE];
+  if (item._planFile || item._skillPlan || item._skillPlanJson || item._planCorrectionMode || item._resumeMultiIntent || item.isAskUserAnswer) {
+    return [EXCLUSIVE];
+  }
+
+  const text = item.prompt.trim();
+  if (!text || ACTION_RE.test(text)) return [EXCLUSIVE];
+
+  const resources = [];
+  if (BROWSER_RE.test(text)) resources.push('browser');
+  if (INPUT_RE.test(text)) resources.push('input');
+  if (resources.length > 0) return resources;
+
+  // Only plain questions are safe to run alongside other work
+  if (!QUESTION_RE.test(text)) return [EXCLUSIVE];
+  return NETWORK_RE.test(text) ? ['network', 'llm'] : ['llm'];
+}
+
+function isExclusive(resources) {
+  return !Array.isArray(resources) || resources.length === 0 || resources.includes(EXCLUSIVE);
+}
+
+/** True when a prompt can't run without the overlay (browser, desktop or unclassified). */
+function needsOverlay(resources) {
+  return isExclusive(resources) || resources.includes('browser') || resources.includes('input');
+}
+
+/**
+ * Whether a prompt needing `resources` can start while `held` resource sets
+ * are in use (running prompts, plus reservations for prompts ahead of it).
+ * @param {string[]} resources
+ * @param {string[][]} held
+ * @returns {boolean}
+ */
+function fits(resources, held) {
+  if (held.length === 0) return true;
+  if (needsOverlay(resources) || held.some(isExclusive)) return false;
+  for (const r of resources) {
+    const inUse = held.filter(h => h.includes(r)).length;
+    if (inUse >= (CAPACITY[r] || 1)) return false;
+  }
+  return true;
+}
+
+module.exports = { EXCLUSIVE, CAPACITY, classify, isExclusive, needsOverlay, fits };
@@ -1,9 +1,10 @@
 /**
- * queueManager.js — In-memory queue + cron store for ResultsWindow tabs.
+ * queueManager.js — Queue + cron store for ResultsWindow tabs.
  *
  * Acts as the source of truth for the renderer's Queue and Cron tabs.
- * DuckDB persistence will be wired in a later pass; for now items are kept
- * in memory and survive for the lifetime of the Electron process.
+ * The in-memory Maps are authoritative at runtime; every change is written
+ * through to DuckDB (queueStore.js) and reloaded by init(), so Queue items and
+ * Cron run/step history survive restarts.
  *
  * IPC contracts (main → renderer):
  *   queue:update  — full QueueItem[] snapshot
@@ -19,6 +20,9 @@
 
 const { randomBytes } = require('crypto');
 const http = require('http');
+const recurrence = require('./recurrence');
+const queueStore = require('./queueStore');
+const serviceRegistry = require('./serviceRegistry');
 
 // ── Creator pipeline helper ───────────────────────────────────────────────────
 /**
@@ -28,14 +32,12 @@ const http = require('http');
 function _callCommandService(skill, args, port, timeoutMs) {
   return new Promise((resolve, reject) => {
     const body = JSON.stringify({ payload: { skill, args } });
-    const req = http.request({
-      hostname: '127.0.0.1',
-      port: port || parseInt(process.env.COMMAND_SERVICE_PORT || '3007', 10),
-      path: '/command.automate',
-      method: 'POST',
+    const opts = serviceRegistry.requestOptions('command', '/command.automate', {
       headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
       timeout: timeoutMs || 300000,
-    }, (res) => {
+    });
+    if (port) opts.port = port;
+    const req = http.request(opts, (res) => {
       let raw = '';
       res.on('data', (c) => { raw += c; });
       res.on('end', () => {
@@ -61,6 +63,11 @@ let _broadcastQueue = null;
 /** @type {((items: any[]) => void) | null} */
 let _broadcastCron  = null;
 
+// Cron rows written before _loadPersisted() finishes would replace the persisted
+// metadata (runCount, lastRun) before it is read — hold them until then
+let _cronLoaded = false;
+const _cronDirty = new Set();
+
 // ── Init: inject broadcast callbacks from main.js ────────────────────────────
 /**
  * @param {{ queue: (items: any[]) => void, cron: (items: any[]) => void }} callbacks
@@ -68,6 +75,68 @@ let _broadcastCron  = null;
 function init({ queue, cron }) {
   _broadcastQueue = queue;
   _broadcastCron  = cron;
+  _loadPersisted()
+    .catch(err => console.warn('[queueManager] Failed to load persisted state:', err.message))
+    .finally(_flushCron);
+}
+
+function _flushCron() {
+  _cronLoaded = true;
+  for (const id of _cronDirty) _persistCron(id);
+  _cronDirty.clear();
+}
+
+const TERMINAL_QUEUE_STATUSES = ['done', 'failed', 'cancelled', 'error'];
+
+/**
+ * Restore Queue + Cron state from DuckDB. Anything that was mid-flight when the
+ * app exited is marked as interrupted — its pipeline is gone. Items created
+ * before the load finished take precedence over their persisted copies.
+ */
+async function _loadPersisted() {
+  const [queueItems, cronItems] = await Promise.all([queueStore.loadQueue(), queueStore.loadCron(5)]);
+
+  for (const item of queueItems) {
+    if (_queue.has(item.id)) continue;
+    if (!TERMINAL_QUEUE_STATUSES.includes(item.status)) {
+      const interrupted = { ...item, status: 'error', error: 'Interrupted by app restart', updatedAt: Date.now() };
+      _queue.set(item.id, interrupted);
+      queueStore.saveQueueItem(interrupted);
+    } else {
+      _queue.set(item.id, item);
+      if (item.status !== 'error') _scheduleAutoRemove(item.id);
+    }
+  }
+
+  for (const item of cronItems) {
+    const runs = (item.runs || []).map(r => {
+      if (r.status !== 'running') return r;
+      const failed = { ...r, status: 'failed' };
+      queueStore.saveCronRun(item.id, failed);
+      return failed;
+    });
+    const existing = _cron.get(item.id);
+    if (existing) {
+      // Registered (or given a run, e.g. a startup misfire) before the load finished —
+      // keep its state and put the persisted history behind the new runs
+      const newRuns = existing.runs || [];
+      const newIds = new Set(newRuns.map(r => r.id));
+      _cron.set(item.id, {
+        ...item,
+        ...existing,
+        lastRun: existing.lastRun || item.lastRun || null,
+        runs: [...newRuns, ...runs.filter(r => !newIds.has(r.id))].slice(0, 5),
+        runCount: (item.runCount || 0) + (existing.runCount || 0),
+      });
+      _cronDirty.add(item.id);
+    } else {
+      _cron.set(item.id, { ...item, runs, activeRunId: null, nextRun: _nextRunOf(item) });
+    }
+  }
+
+  console.log(`[queueManager] Restored ${queueItems.length} queue item(s), ${cronItems.length} cron task(s)`);
+  _broadcastQueueNow();
+  _broadcastCronNow();
 }
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
@@ -83,6 +152,36 @@ function _broadcastCronNow() {
   if (_broadcastCron) _broadcastCron(Array.from(_cron.values()));
 }
 
+function _persistQueue(id) {
+  const item = _queue.get(id);
+  if (item) queueStore.saveQueueItem(item);
+}
+
+function _persistCron(id) {
+  if (!_cronLoaded) {
+    _cronDirty.add(id);
+    return;
+  }
+  const item = _cron.get(id);
+  if (item) queueStore.saveCronItem(item);
+}
+
+function _persistCronRun(id, runId) {
+  const run = (_cron.get(id)?.runs || []).find(r => r.id === runId);
+  if (run) queueStore.saveCronRun(id, run);
+}
+
+/** Auto-remove terminal items after 30s so the Queue tab stays clean (kept in DuckDB as history). */
+function _scheduleAutoRemove(id) {
+  setTimeout(() => {
+    if (_queue.has(id)) {
+      _queue.delete(id);
+      queueStore.archiveQueueItem(id);
+      _broadcastQueueNow();
+    }
+  }, 30_000);
+}
+
 // ── Queue API ─────────────────────────────────────────────────────────────────
 
 /**
@@ -98,6 +197,7 @@ function enqueue(prompt, { projectName } = {}) {
     createdAt: Date.now(),
     projectName: projectName || null,
   });
+  _persistQueue(id);
   _broadcastQueueNow();
   return id;
 }
@@ -123,15 +223,11 @@ function setQueueStatus(id, status, { error, round, skillName, skillSecrets } =
     ...(skillName    != null ? { skillName }    : {}),
     ...(skillSecrets != null ? { skillSecrets } : {}),
   });
+  _persistQueue(id);
   _broadcastQueueNow();
   // Auto-remove terminal items after 30s so the Queue tab stays clean
   if (status === 'done' || status === 'failed' || status === 'cancelled') {
-    setTimeout(() => {
-      if (_queue.has(id)) {
-        _queue.delete(id);
-        _broadcastQueueNow();
-      }
-    }, 30_000);
+    _scheduleAutoRemove(id);
   }
 }
 
@@ -140,6 +236,7 @@ function setQueueStatus(id, status, { error, round, skillName, skillSecrets } =
  */
 function removeQueueItem(id) {
   _queue.delete(id);
+  queueStore.deleteQueueItem(id);
   _broadcastQueueNow();
 }
 
@@ -150,22 +247,56 @@ function getQueue() {
   return Array.from(_queue.values());
 }
 
+/**
+ * Finished queue items that were auto-removed from the tab, newest first.
+ * @param {number} [limit]
+ */
+function getQueueHistory(limit) {
+  return queueStore.loadQueueHistory(limit);
+}
+
 // ── Cron API ──────────────────────────────────────────────────────────────────
 
+/**
+ * Display string for the next occurrence of a schedule (cron expression,
+ * RRULE or one-shot), or null if it has none / is not a recognised format.
+ */
+function _formatNextRun(schedule) {
+  const ms = recurrence.nextRun(schedule);
+  if (ms == null) return null;
+  const sameDay = new Date(ms).toDateString() === new Date().toDateString();
+  return new Date(ms).toLocaleString([], sameDay
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Display string for a cron item's next occurrence. `schedule` may be a
+ * describe() label (scheduler tasks), so the recurrence spec kept alongside it
+ * wins; the last known value is kept when neither yields a time.
+ */
+function _nextRunOf(item) {
+  return _formatNextRun(item.recurrence != null ? item.recurrence : item.schedule) || item.nextRun || null;
+}
+
 /**
  * Register a cron task (called after a scheduled task is confirmed).
+ * `nextRun` is computed by the recurrence engine unless given — from
+ * `recurrence` when `schedule` is only a display label, else from `schedule`.
  */
-function registerCron({ id, label, schedule, nextRun, plistLabel } = {}) {
+function registerCron({ id, label, schedule, recurrence: spec, nextRun, plistLabel } = {}) {
   const cronId = id || `cron_${randomBytes(4).toString('hex')}`;
   _cron.set(cronId, {
     id: cronId,
     label: label || 'Unnamed task',
     schedule: schedule || 'Custom schedule',
-    nextRun: nextRun || null,
+    ...(spec != null ? { recurrence: spec } : {}),
+    nextRun: nextRun || _formatNextRun(spec != null ? spec : schedule),
     lastRun: null,
     status: 'active',
     plistLabel: plistLabel || null,
   });
+  _persistCron(cronId);
   _broadcastCronNow();
   return cronId;
 }
@@ -189,16 +320,19 @@ function mergeCronItems(items) {
     const existing = _cron.get(item.id);
     if (existing) {
       // Preserve run history — only refresh schedulable metadata
+      const schedule = item.schedule != null ? item.schedule : existing.schedule;
       _cron.set(item.id, {
         ...existing,
         label:    item.label    != null ? item.label    : existing.label,
-        schedule: item.schedule != null ? item.schedule : existing.schedule,
+        schedule,
+        nextRun:  item.nextRun  != null ? item.nextRun  : _nextRunOf({ ...existing, schedule }),
         status:   item.status   != null ? item.status   : existing.status,
         type:     item.type     != null ? item.type     : existing.type,
       });
     } else {
-      _cron.set(item.id, { runs: [], ...item });
+      _cron.set(item.id, { runs: [], nextRun: _formatNextRun(item.schedule), ...item });
     }
+    _persistCron(item.id);
   }
 }
 
@@ -208,7 +342,8 @@ function mergeCronItems(items) {
 function recordCronRun(id) {
   const item = _cron.get(id);
   if (!item) return;
-  _cron.set(id, { ...item, lastRun: new Date().toLocaleTimeString(), status: 'idle' });
+  _cron.set(id, { ...item, lastRun: new Date().toLocaleTimeString(), nextRun: _nextRunOf(item), status: 'idle' });
+  _persistCron(id);
   _broadcastCronNow();
 }
 
@@ -234,6 +369,8 @@ function recordCronRunStart(skillName, runId) {
       runCount: (item.runCount || 0) + 1,
       runs: trimmed,
     });
+    _persistCron(skillName);
+    _persistCronRun(skillName, runId);
   }
   _broadcastCronNow();
 }
@@ -258,6 +395,7 @@ function recordCronStep(skillName, runId, stepData) {
   const updatedRuns = [...runs];
   updatedRuns[runIdx] = { ...run, steps };
   _cron.set(skillName, { ...item, runs: updatedRuns });
+  queueStore.saveCronStep(runId, steps.find(s => s.index === stepData.index));
   _broadcastCronNow();
 }
 
@@ -277,11 +415,56 @@ function recordCronRunDone(skillName, runId, status) {
     ...item,
     status: status === 'failed' ? 'error' : 'active',
     lastRun: new Date().toLocaleTimeString(),
+    nextRun: _nextRunOf(item),
     activeRunId: null,
     runs,
     lastError: status === 'failed' ? 'Last run failed' : item.lastError,
   });
+  _persistCron(skillName);
+  _persistCronRun(skillName, runId);
+  _broadcastCronNow();
+}
+
+/**
+ * Record a missed-run decision in a cron task's run history.
+ *
+ * `decision` is 'run' (the missed occurrence is being caught up now — finish
+ * it with recordCronRunDone), 'drop' (the user dismissed it) or 'skip' (the
+ * schedule's misfire policy dropped it automatically). Scheduler-only tasks
+ * that are not in the Cron tab yet are registered on the fly.
+ *
+ * @param {string} id
+ * @param {object} info
+ * @param {'run'|'drop'|'skip'} info.decision
+ * @param {string}   info.policy     Misfire policy in effect
+ * @param {number}   info.missedAt   Timestamp (ms) of the missed occurrence
+ * @param {string}   [info.label]
+ * @param {string}   [info.schedule]    Display label
+ * @param {*}        [info.recurrence]  Recurrence spec the label describes
+ * @returns {string} The run id
+ */
+function recordCronMisfire(id, { decision, policy, missedAt, label, schedule, recurrence: spec } = {}) {
+  if (!_cron.has(id)) registerCron({ id, label, schedule, recurrence: spec });
+  const item = _cron.get(id);
+  const runId = `misfire_${randomBytes(4).toString('hex')}`;
+  const run = {
+    id: runId,
+    startedAt: new Date().toLocaleTimeString(),
+    status: decision === 'run' ? 'running' : 'skipped',
+    steps: [],
+    misfire: { decision, policy, missedAt: new Date(missedAt).toLocaleString() },
+    ...(decision === 'run' ? { _startMs: Date.now() } : {}),
+  };
+  _cron.set(id, {
+    ...item,
+    activeRunId: decision === 'run' ? runId : item.activeRunId,
+    runCount: decision === 'run' ? (item.runCount || 0) + 1 : item.runCount,
+    runs: [run, ...(item.runs || [])].slice(0, 5),
+  });
+  _persistCron(id);
+  _persistCronRun(id, runId);
   _broadcastCronNow();
+  return runId;
 }
 
 /**
@@ -292,6 +475,7 @@ function toggleCron(id) {
   if (!item) return;
   const next = item.status === 'paused' ? 'active' : 'paused';
   _cron.set(id, { ...item, status: next });
+  _persistCron(id);
   _broadcastCronNow();
 }
 
@@ -300,6 +484,7 @@ function toggleCron(id) {
  */
 function removeCron(id) {
   _cron.delete(id);
+  queueStore.deleteCron(id);
   _broadcastCronNow();
 }
 
@@ -320,9 +505,9 @@ function syncFromScheduler(pendingItems = []) {
       registerCron({
         id: p.id,
         label: p.label,
-        schedule: p.targetMs
-          ? `Once at ${new Date(p.targetMs).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
-          : 'Scheduled',
+        schedule: recurrence.describe(p.recurrence || p.targetMs) || 'Scheduled',
+        recurrence: p.recurrence || p.targetMs,
+        nextRun: p.targetMs ? new Date(p.targetMs).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : null,
         plistLabel: p.plistLabel || null,
       });
     }
@@ -374,6 +559,7 @@ async function submitToCreator(prompt, { name, port } = {}) {
     // Update item with project name now that we have it
     const item = _queue.get(id);
     if (item) _queue.set(id, { ...item, projectName: projectId });
+    _persistQueue(id);
     _broadcastQueueNow();
 
     // ── building: Phase 3 already ran inside create_project (prototype scaffold)
@@ -423,13 +609,22 @@ function cancelCreator(id) {
   setQueueStatus(id, 'error', { error: 'Cancelled by user' });
 }
 
+/**
+ * Flush pending writes and close the DuckDB handle (call on app quit).
+ */
+function shutdown() {
+  return queueStore.close();
+}
+
 module.exports = {
   init,
+  shutdown,
   // queue
   enqueue,
   setQueueStatus,
   removeQueueItem,
   getQueue,
+  getQueueHistory,
   submitToCreator,
   cancelCreator,
   // cron
@@ -439,6 +634,7 @@ module.exports = {
   recordCronRunStart,
   recordCronStep,
   recordCronRunDone,
+  recordCronMisfire,
   toggleCron,
   removeCron,
   getCron,
@@ -0,0 +1,439 @@
+/**
+ * queueStore.js — DuckDB persistence for queueManager's Queue + Cron stores
+ * and the prompt queue's result archive (promptArchive.js).
+ *
+ * Database: ~/.thinkdrop/queue.duckdb
+ *
+ * Tables (see MIGRATIONS):
+ *   schema_migrations  — applied schema versions
+ *   queue_items        — one row per Queue tab item (full item JSON in `data`)
+ *   cron_items         — one row per Cron tab task (metadata only, runs live below)
+ *   cron_runs          — run history per cron task (status, duration, misfire info)
+ *   cron_steps         — per-step status / stdout / error / thoughts of each run
+ *   prompt_results     — finished prompt queue items: answer, step timeline, files
+ *
+ * Schema changes are appended to MIGRATIONS as a new version — never edit an
+ * already-shipped entry. Each version runs in its own transaction and is
+ * recorded in schema_migrations, so upgrades are applied exactly once.
+ *
+ * Retention:
+ *   queue items — archived terminal items beyond QUEUE_RETENTION (newest kept)
+ *                 or older than QUEUE_MAX_AGE_MS are deleted
+ *   cron runs   — only the newest CRON_RUN_RETENTION runs per task are kept
+ *   prompt results — only the newest PROMPT_RESULT_RETENTION results are kept
+ *
+ * All writes are serialized through one promise chain and never throw to the
+ * caller — queueManager stays fully functional (in-memory) if DuckDB is
+ * unavailable, it just stops surviving restarts.
+ */
+
+const path = require('path');
+const os   = require('os');
+const fs   = require('fs');
+
+const THINKDROP_DIR = path.join(os.homedir(), '.thinkdrop');
+const DB_PATH       = path.join(THINKDROP_DIR, 'queue.duckdb');
+
+const QUEUE_RETENTION    = 200;
+const QUEUE_MAX_AGE_MS   = 30 * 24 * 60 * 60 * 1000;
+const CRON_RUN_RETENTION = 20;
+const PROMPT_RESULT_RETENTION = 500;
+
+/** @type {Array<{ version: number, statements: string[] }>} */
+const MIGRATIONS = [
+  {
+    version: 1,
+    statements: [
+      `CREATE TABLE queue_items (
+        id          VARCHAR PRIMARY KEY,
+        status      VARCHAR NOT NULL,
+        created_at  BIGINT,
+        updated_at  BIGINT,
+        archived    BOOLEAN NOT NULL DEFAULT false,
+        data        VARCHAR NOT NULL
+      )`,
+      `CREATE TABLE cron_items (
+        id          VARCHAR PRIMARY KEY,
+        label       VARCHAR,
+        schedule    VARCHAR,
+        status      VARCHAR,
+        updated_at  BIGINT,
+        data        VARCHAR NOT NULL
+      )`,
+      `CREATE TABLE cron_runs (
+        id          VARCHAR PRIMARY KEY,
+        cron_id     VARCHAR NOT NULL,
+        started_ms  BIGINT NOT NULL,
+        status      VARCHAR,
+        duration_ms BIGINT,
+        data        VARCHAR NOT NULL
+      )`,
+      `CREATE TABLE cron_steps (
+        run_id      VARCHAR NOT NULL,
+        step_index  INTEGER NOT NULL,
+        skill       VARCHAR,
+        description VARCHAR,
+        status      VARCHAR,
+        stdout      VARCHAR,
+        error       VARCHAR,
+        thoughts    VARCHAR,
+        phase       VARCHAR,
+        PRIMARY KEY (run_id, step_index)
+      )`,
+    ],
+  },
+  {
+    version: 2,
+    statements: [
+      `CREATE TABLE prompt_results (
+        id          VARCHAR PRIMARY KEY,
+        prompt      VARCHAR NOT NULL,
+        status      VARCHAR NOT NULL,
+        priority    VARCHAR,
+        source      VARCHAR,
+        session_id  VARCHAR,
+        started_at  BIGINT,
+        done_at     BIGINT NOT NULL,
+        duration_ms BIGINT,
+        attempts    INTEGER,
+        answer      VARCHAR,
+        error       VARCHAR,
+        saved_files VARCHAR,
+        timeline    VARCHAR
+      )`,
+      'CREATE INDEX prompt_results_done_at ON prompt_results (done_at)',
+    ],
+  },
+];
+
+// ── Connection ────────────────────────────────────────────────────────────────
+
+/** @type {import('duckdb-async').Database | null} */
+let _db = null;
+/** @type {Promise<boolean> | null} */
+let _opening = null;
+// Serializes every statement so row upserts land in call order
+let _chain = Promise.resolve();
+
+async function _migrate(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version    INTEGER PRIMARY KEY,
+    applied_at BIGINT NOT NULL
+  )`);
+  const rows = await db.all('SELECT COALESCE(MAX(version), 0) AS v FROM schema_migrations');
+  const current = Number(rows[0]?.v || 0);
+
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    await db.run('BEGIN TRANSACTION');
+    try {
+      for (const sql of m.statements) await db.run(sql);
+      await db.run('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)', m.version, Date.now());
+      await db.run('COMMIT');
+      console.log(`[QueueStore] Applied schema migration v${m.version}`);
+    } catch (err) {
+      await db.run('ROLLBACK').catch(() => {});
+      throw new Error(`migration v${m.version} failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Open the database and bring the schema up to date. Safe to call repeatedly.
+ * @returns {Promise<boolean>} false if DuckDB is unavailable
+ */
+function open() {
+  if (_opening) return _opening;
+  _opening = (async () => {
+    try {
+      const { Database } = require('duckdb-async');
+      if (!fs.existsSync(THINKDROP_DIR)) fs.mkdirSync(THINKDROP_DIR, { recursive: true });
+      const db = await Database.create(DB_PATH);
+      await _migrate(db);
+      _db = db;
+      console.log(`[QueueStore] Opened ${DB_PATH}`);
+      return true;
+    } catch (err) {
+      console.warn(`[QueueStore] DuckDB unavailable — queue/cron history will not persist: ${err.message}`);
+      return false;
+    }
+  })();
+  return _opening;
+}
+
+/** Queue a write; failures are logged, never thrown. */
+function _write(label, fn) {
+  _chain = _chain
+    .then(() => open())
+    .then((ok) => (ok && _db ? fn(_db) : null))
+    .catch(err => console.warn(`[QueueStore] ${label} failed: ${err.message}`));
+  return _chain;
+}
+
+async function close() {
+  await _chain;
+  if (_db) {
+    try { await _db.close(); } catch (_) {}
+    _db = null;
+  }
+  _opening = null;
+}
+
+// ── Queue items ───────────────────────────────────────────────────────────────
+
+function saveQueueItem(item) {
+  return _write('saveQueueItem', db => db.run(
+    'INSERT OR REPLACE INTO queue_items (id, status, created_at, updated_at, archived, data) VALUES (?, ?, ?, ?, false, ?)',
+    item.id, item.status, item.createdAt || Date.now(), item.updatedAt || Date.now(), JSON.stringify(item),
+  ));
+}
+
+/**
+ * Hide a terminal item from the live Queue tab but keep it as history,
+ * then apply queue retention.
+ */
+function archiveQueueItem(id) {
+  return _write('archiveQueueItem', async (db) => {
+    await db.run('UPDATE queue_items SET archived = true WHERE id = ?', id);
+    await db.run('DELETE FROM queue_items WHERE archived AND updated_at < ?', Date.now() - QUEUE_MAX_AGE_MS);
+    await db.run(
+      `DELETE FROM queue_items WHERE archived AND id NOT IN (
+         SELECT id FROM queue_items WHERE archived ORDER BY updated_at DESC LIMIT ${QUEUE_RETENTION}
+       )`,
+    );
+  });
+}
+
+function deleteQueueItem(id) {
+  return _write('deleteQueueItem', db => db.run('DELETE FROM queue_items WHERE id = ?', id));
+}
+
+/**
+ * Items that were visible in the Queue tab when the app last ran.
+ * @returns {Promise<object[]>}
+ */
+async function loadQueue() {
+  if (!(await open())) return [];
+  await _chain;
+  const rows = await _db.all('SELECT data FROM queue_items WHERE NOT archived ORDER BY created_at');
+  return rows.map(r => JSON.parse(r.data));
+}
+
+/**
+ * Archived (finished) queue items, newest first.
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+async function loadQueueHistory(limit = 50) {
+  if (!(await open())) return [];
+  await _chain;
+  const n = Math.max(1, parseInt(limit, 10) || 50);
+  const rows = await _db.all(`SELECT data FROM queue_items WHERE archived ORDER BY updated_at DESC LIMIT ${n}`);
+  return rows.map(r => JSON.parse(r.data));
+}
+
+// ── Cron items / runs / steps ─────────────────────────────────────────────────
+
+/** Persist cron task metadata (runs are stored separately). */
+function saveCronItem(item) {
+  const { runs: _runs, ...meta } = item;
+  return _write('saveCronItem', db => db.run(
+    'INSERT OR REPLACE INTO cron_items (id, label, schedule, status, updated_at, data) VALUES (?, ?, ?, ?, ?, ?)',
+    item.id, item.label || null, item.schedule || null, item.status || null, Date.now(), JSON.stringify(meta),
+  ));
+}
+
+function deleteCron(id) {
+  return _write('deleteCron', async (db) => {
+    await db.run('DELETE FROM cron_steps WHERE run_id IN (SELECT id FROM cron_runs WHERE cron_id = ?)', id);
+    await db.run('DELETE FROM cron_runs WHERE cron_id = ?', id);
+    await db.run('DELETE FROM cron_items WHERE id = ?', id);
+  });
+}
+
+/**
+ * Persist a run (without steps) and trim the task's history to
+ * CRON_RUN_RETENTION runs.
+ */
+function saveCronRun(cronId, run) {
+  const { steps: _steps, _startMs, ...rest } = run;
+  return _write('saveCronRun', async (db) => {
+    // Keep the original start time when the run row already exists
+    const existing = await db.all('SELECT started_ms FROM cron_runs WHERE id = ?', run.id);
+    const startedMs = existing.length ? Number(existing[0].started_ms) : (_startMs || Date.now());
+    await db.run(
+      'INSERT OR REPLACE INTO cron_runs (id, cron_id, started_ms, status, duration_ms, data) VALUES (?, ?, ?, ?, ?, ?)',
+      run.id, cronId, startedMs, run.status || null, run.durationMs != null ? run.durationMs : null, JSON.stringify(rest),
+    );
+    const stale = await db.all(
+      `SELECT id FROM cron_runs WHERE cron_id = ? AND id NOT IN (
+         SELECT id FROM cron_runs WHERE cron_id = ? ORDER BY started_ms DESC LIMIT ${CRON_RUN_RETENTION}
+       )`,
+      cronId, cronId,
+    );
+    for (const { id } of stale) {
+      await db.run('DELETE FROM cron_steps WHERE run_id = ?', id);
+      await db.run('DELETE FROM cron_runs WHERE id = ?', id);
+    }
+  });
+}
+
+function saveCronStep(runId, step) {
+  return _write('saveCronStep', db => db.run(
+    `INSERT OR REPLACE INTO cron_steps
+       (run_id, step_index, skill, description, status, stdout, error, thoughts, phase)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    runId, step.index, step.skill || null, step.description || null, step.status || null,
+    step.stdout || null, step.error || null, step.thoughts || null, step.phase || null,
+  ));
+}
+
+/**
+ * All cron tasks with their newest `runsPerItem` runs (steps included).
+ * @param {number} [runsPerItem]
+ * @returns {Promise<object[]>}
+ */
+async function loadCron(runsPerItem = 5) {
+  if (!(await open())) return [];
+  await _chain;
+  const n = Math.max(1, parseInt(runsPerItem, 10) || 5);
+  const items = (await _db.all('SELECT data FROM cron_items')).map(r => JSON.parse(r.data));
+  for (const item of items) {
+    const runRows = await _db.all(
+      `SELECT id, data FROM cron_runs WHERE cron_id = ? ORDER BY started_ms DESC LIMIT ${n}`,
+      item.id,
+    );
+    item.runs = [];
+    for (const row of runRows) {
+      const stepRows = await _db.all(
+        `SELECT step_index, skill, description, status, stdout, error, thoughts, phase
+           FROM cron_steps WHERE run_id = ? ORDER BY step_index`,
+        row.id,
+      );
+      const steps = stepRows.map(s => {
+        const step = { index: Number(s.step_index), skill: s.skill, description: s.description, status: s.status };
+        for (const k of ['stdout', 'error', 'thoughts', 'phase']) if (s[k] != null) step[k] = s[k];
+        return step;
+      });
+      item.runs.push({ ...JSON.parse(row.data), steps });
+    }
+  }
+  return items;
+}
+
+// ── Prompt results ────────────────────────────────────────────────────────────
+
+const PROMPT_RESULT_SUMMARY_COLUMNS = 'id, prompt, status, priority, source, started_at, done_at, duration_ms, attempts, error, saved_files, LEFT(answer, 240) AS answer_preview';
+
+function _promptResultRow(r, full) {
+  const out = {
+    id: r.id,
+    prompt: r.prompt,
+    status: r.status,
+    priority: r.priority,
+    source: r.source,
+    startedAt: r.started_at != null ? Number(r.started_at) : null,
+    doneAt: Number(r.done_at),
+    durationMs: r.duration_ms != null ? Number(r.duration_ms) : null,
+    attempts: r.attempts != null ? Number(r.attempts) : null,
+    error: r.error,
+    savedFilePaths: r.saved_files ? JSON.parse(r.saved_files) : [],
+  };
+  if (full) {
+    out.sessionId = r.session_id;
+    out.answer = r.answer || '';
+    out.timeline = r.timeline ? JSON.parse(r.timeline) : [];
+  } else {
+    out.answerPreview = r.answer_preview || '';
+  }
+  return out;
+}
+
+/** Insert or replace a prompt result and trim the archive to PROMPT_RESULT_RETENTION. */
+function savePromptResult(record) {
+  return _write('savePromptResult', async (db) => {
+    await db.run(
+      `INSERT OR REPLACE INTO prompt_results
+         (id, prompt, status, priority, source, session_id, started_at, done_at, duration_ms, attempts, answer, error, saved_files, timeline)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      record.id, record.prompt, record.status, record.priority || null, record.source || null, record.sessionId || null,
+      record.startedAt || null, record.doneAt, record.durationMs != null ? record.durationMs : null, record.attempts || null,
+      record.answer || null, record.error || null,
+      JSON.stringify(record.savedFilePaths || []), JSON.stringify(record.timeline || []),
+    );
+    await db.run(
+      `DELETE FROM prompt_results WHERE id NOT IN (
+         SELECT id FROM prompt_results ORDER BY done_at DESC LIMIT ${PROMPT_RESULT_RETENTION}
+       )`,
+    );
+  });
+}
+
+/**
+ * Search archived prompt results, newest first. `query` matches the prompt,
+ * the answer, the error or a saved file path (case-insensitive substring).
+ * @param {{ query?: string, status?: string, limit?: number, offset?: number }} [opts]
+ * @returns {Promise<object[]>} summaries (answer trimmed to a preview, no timeline)
+ */
+async function searchPromptResults({ query = '', status = null, limit = 50, offset = 0 } = {}) {
+  if (!(await open())) return [];
+  await _chain;
+  const n = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+  const skip = Math.max(0, parseInt(offset, 10) || 0);
+  const where = [];
+  const params = [];
+  if (query && query.trim()) {
+    const like = `%${query.trim()}%`;
+    where.push('(prompt ILIKE ? OR answer ILIKE ? OR error ILIKE ? OR saved_files ILIKE ?)');
+    params.push(like, like, like, like);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  const rows = await _db.all(
+    `SELECT ${PROMPT_RESULT_SUMMARY_COLUMNS} FROM prompt_results
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY done_at DESC LIMIT ${n} OFFSET ${skip}`,
+    ...params,
+  );
+  return rows.map(r => _promptResultRow(r, false));
+}
+
+/**
+ * Full archived result (answer, timeline, files) for one prompt queue item.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function loadPromptResult(id) {
+  if (!(await open())) return null;
+  await _chain;
+  const rows = await _db.all('SELECT * FROM prompt_results WHERE id = ?', id);
+  return rows.length ? _promptResultRow(rows[0], true) : null;
+}
+
+function deletePromptResult(id) {
+  return _write('deletePromptResult', db => db.run('DELETE FROM prompt_results WHERE id = ?', id));
+}
+
+module.exports = {
+  open,
+  close,
+  // queue
+  saveQueueItem,
+  archiveQueueItem,
+  deleteQueueItem,
+  loadQueue,
+  loadQueueHistory,
+  // cron
+  saveCronItem,
+  deleteCron,
+  saveCronRun,
+  saveCronStep,
+  loadCron,
+  // prompt results
+  savePromptResult,
+  searchPromptResults,
+  loadPromptResult,
+  deletePromptResult,
+};
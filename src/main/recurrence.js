@@ -0,0 +1,697 @@
+/**
+ * recurrence.js — Recurrence engine for scheduled tasks
+ *
+ * One definition format shared by scheduler.js (OS wake-ups), queueManager.js
+ * (Cron tab nextRun) and the /bridge/confirm dialog label.
+ *
+ * Accepted specs (anything parse() understands):
+ *   1700000000000                         one-shot at a Unix ms timestamp
+ *   '2026-10-21T17:00:00'                 one-shot ISO date (wall time in `tz`)
+ *   '0 9 * * 1-5'                         5-field cron (also @daily, @weekly, ...)
+ *   'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'       iCalendar RRULE (the "RRULE:" prefix is optional)
+ *   'DTSTART;TZID=Europe/Berlin:20261021T090000\nRRULE:FREQ=DAILY;COUNT=5'
+ *   { type: 'once'|'cron'|'rrule', at?, expr?, rule?, dtstart?, tz? }
+ *
+ * All next-run computation happens in wall-clock time of the spec's IANA
+ * timezone (default: the system zone) and is converted to UTC per candidate,
+ * so "every day at 09:00" stays at 09:00 across DST changes. Wall times that
+ * fall into a spring-forward gap are shifted forward by the gap; ambiguous
+ * fall-back times resolve to the first occurrence.
+ *
+ * RRULE support: FREQ (MINUTELY..YEARLY), INTERVAL, COUNT, UNTIL, BYMONTH,
+ * BYMONTHDAY (negative = from month end), BYDAY (with ordinals such as 1MO or
+ * -1FR under MONTHLY/YEARLY), BYHOUR, BYMINUTE. BYSETPOS/BYWEEKNO/BYYEARDAY
+ * are rejected rather than silently ignored.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES   = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const CRON_MACROS = {
+  '@yearly':   '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly':  '0 0 1 * *',
+  '@weekly':   '0 0 * * 0',
+  '@daily':    '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly':   '0 * * * *',
+};
+
+// Upper bound on days scanned when looking for the next cron match (covers
+// sparse expressions like "0 0 29 2 *" — Feb 29 — with room to spare).
+const MAX_CRON_DAYS = 366 * 8;
+// Upper bound on RRULE periods enumerated per call — counted from the period
+// containing `afterMs` (from DTSTART only for COUNT rules, which must be counted).
+const MAX_RRULE_PERIODS = 100000;
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {'once'|'cron'|'rrule'} type
+ * @property {string}  tz          IANA timezone the wall-clock fields refer to
+ * @property {number}  [at]        once: Unix ms
+ * @property {string}  [expr]      cron: normalized 5-field expression
+ * @property {string}  [rule]      rrule: RRULE body without the "RRULE:" prefix
+ * @property {number}  [dtstart]   rrule: anchor (Unix ms) for INTERVAL/COUNT
+ */
+
+// ── Timezone helpers ──────────────────────────────────────────────────────────
+
+function systemTimeZone() {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'; } catch (_) { return 'UTC'; }
+}
+
+const _formatters = new Map();
+function _formatter(tz) {
+  let f = _formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    _formatters.set(tz, f);
+  }
+  return f;
+}
+
+/** Wall-clock components of a UTC instant in `tz`. Month is 1-based. */
+function wallParts(ms, tz) {
+  const out = {};
+  for (const p of _formatter(tz).formatToParts(new Date(ms))) {
+    if (p.type !== 'literal') out[p.type] = parseInt(p.value, 10);
+  }
+  return { year: out.year, month: out.month, day: out.day, hour: out.hour % 24, minute: out.minute, second: out.second };
+}
+
+/** UTC offset (ms) of `tz` at instant `ms`. */
+function tzOffset(ms, tz) {
+  const p = wallParts(ms, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (Math.floor(ms / 1000) * 1000);
+}
+
+/**
+ * Convert a wall-clock time in `tz` to a UTC instant.
+ * Gap (spring-forward) → shifted forward; overlap (fall-back) → earlier instant.
+ */
+function wallToUtc(year, month, day, hour, minute, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const before = tzOffset(guess - DAY_MS / 2, tz);
+  const after  = tzOffset(guess + DAY_MS / 2, tz);
+  const valid = [guess - before, guess - after].filter(t => {
+    const p = wallParts(t, tz);
+    return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+  });
+  if (valid.length) return Math.min(...valid);
+  return guess - before;
+}
+
+// DST-change days converted per candidate, reused by successive nextRun() calls
+const _transitionDays = new Map();
+const MAX_TRANSITION_DAYS = 32;
+
+/**
+ * UTC instants of every hour × minute wall time on one civil day, ascending.
+ * When the offset is the same on both sides of the day (no DST change) each
+ * instant is plain arithmetic; only transition days convert per candidate.
+ */
+function dayInstants(d, hours, minutes, tz) {
+  const midnight = Date.UTC(d.year, d.month - 1, d.day);
+  const offset = tzOffset(midnight - DAY_MS, tz);
+  const out = [];
+  if (offset === tzOffset(midnight + 2 * DAY_MS, tz)) {
+    for (const h of hours) {
+      for (const m of minutes) out.push(midnight + (h * 60 + m) * 60 * 1000 - offset);
+    }
+    return out.sort((a, b) => a - b);
+  }
+  const key = `${tz}|${midnight}|${hours.join(',')}|${minutes.join(',')}`;
+  const cached = _transitionDays.get(key);
+  if (cached) return cached;
+  for (const h of hours) {
+    for (const m of minutes) out.push(wallToUtc(d.year, d.month, d.day, h, m, tz));
+  }
+  out.sort((a, b) => a - b);
+  if (_transitionDays.size >= MAX_TRANSITION_DAYS) _transitionDays.delete(_transitionDays.keys().next().value);
+  _transitionDays.set(key, out);
+  return out;
+}
+
+// Civil-date arithmetic (no timezone) on Date.UTC values
+function civil(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+function _isValidTz(tz) {
+  try { _formatter(tz); return true; } catch (_) { return false; }
+}
+
+/** Parse an iCalendar date-time (20261021T090000[Z]) in `tz`. */
+function _parseIcalDate(value, tz) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) throw new Error(`Invalid iCalendar date: ${value}`);
+  const [, y, mo, d, h = '0', mi = '0', , z] = m;
+  if (z) return Date.UTC(+y, +mo - 1, +d, +h, +mi);
+  return wallToUtc(+y, +mo, +d, +h, +mi, tz);
+}
+
+/** Parse an ISO-like date; strings without an offset are wall time in `tz`. */
+function _parseDate(value, tz) {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  const s = String(value).trim();
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/);
+  if (m) return wallToUtc(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), tz);
+  // Only ISO strings with an explicit offset beyond this point — Date.parse is
+  // far too lenient for free-form input ("5" parses as the year 2001)
+  const ms = /^\d{4}-\d{2}-\d{2}T/.test(s) ? Date.parse(s) : NaN;
+  if (Number.isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  return ms;
+}
+
+const CRON_NAMES = {
+  month: { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 },
+  dow:   { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 },
+};
+
+/** Expand one cron field into a sorted array of allowed values. */
+function _cronField(field, min, max, names) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [rangeRaw, stepRaw] = part.split('/');
+    const step = stepRaw != null ? parseInt(stepRaw, 10) : 1;
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step: ${part}`);
+    const toNum = (v) => {
+      const upper = v.toUpperCase();
+      if (names && names[upper] != null) return names[upper];
+      const n = parseInt(v, 10);
+      if (!/^\d+$/.test(v) || n < min || n > max) throw new Error(`Invalid cron value: ${v}`);
+      return n;
+    };
+    let lo, hi;
+    if (rangeRaw === '*') {
+      lo = min; hi = max;
+    } else if (rangeRaw.includes('-')) {
+      const [a, b] = rangeRaw.split('-');
+      lo = toNum(a); hi = toNum(b);
+      if (hi < lo) throw new Error(`Invalid cron range: ${rangeRaw}`);
+    } else {
+      lo = toNum(rangeRaw);
+      hi = stepRaw != null ? max : lo;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+function _parseCron(expr) {
+  const normalized = CRON_MACROS[expr.trim().toLowerCase()] || expr.trim().replace(/\s+/g, ' ');
+  const fields = normalized.split(' ');
+  if (fields.length !== 5) throw new Error(`Cron expression must have 5 fields: ${expr}`);
+  const [mi, h, dom, mon, dow] = fields;
+  const dowValues = _cronField(dow, 0, 7, CRON_NAMES.dow).map(v => v % 7);
+  return {
+    expr: normalized,
+    minutes: _cronField(mi, 0, 59),
+    hours:   _cronField(h, 0, 23),
+    doms:    new Set(_cronField(dom, 1, 31)),
+    months:  new Set(_cronField(mon, 1, 12, CRON_NAMES.month)),
+    dows:    new Set(dowValues),
+    // Vixie cron: when both day fields are restricted, a day matches if EITHER does
+    domStar: dom === '*',
+    dowStar: dow === '*',
+  };
+}
+
+function _parseRrule(rule, dtstart, tz) {
+  const parts = {};
+  for (const kv of rule.replace(/^RRULE:/i, '').split(';')) {
+    if (!kv) continue;
+    const [k, v] = kv.split('=');
+    parts[k.toUpperCase()] = v;
+  }
+  const freq = (parts.FREQ || '').toUpperCase();
+  if (!['MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) {
+    throw new Error(`Unsupported RRULE FREQ: ${parts.FREQ}`);
+  }
+  for (const unsupported of ['BYSETPOS', 'BYWEEKNO', 'BYYEARDAY', 'BYSECOND']) {
+    if (parts[unsupported]) throw new Error(`Unsupported RRULE part: ${unsupported}`);
+  }
+  const ints = (v) => (v ? v.split(',').map(n => parseInt(n, 10)) : null);
+  const byday = parts.BYDAY
+    ? parts.BYDAY.split(',').map(s => {
+        const m = s.toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!m) throw new Error(`Invalid BYDAY: ${s}`);
+        return { ord: m[1] ? parseInt(m[1], 10) : 0, weekday: WEEKDAY_CODES.indexOf(m[2]) };
+      })
+    : null;
+  return {
+    freq,
+    interval:   Math.max(1, parseInt(parts.INTERVAL || '1', 10) || 1),
+    count:      parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until:      parts.UNTIL ? _parseIcalDate(parts.UNTIL, tz) : null,
+    bymonth:    ints(parts.BYMONTH),
+    bymonthday: ints(parts.BYMONTHDAY),
+    byday,
+    byhour:     ints(parts.BYHOUR),
+    byminute:   ints(parts.BYMINUTE),
+    start:      wallParts(dtstart, tz),
+    dtstart,
+  };
+}
+
+/**
+ * Normalize any accepted spec into a Recurrence object.
+ * Throws on unrecognized or invalid input.
+ *
+ * @param {number|string|object} spec
+ * @param {object} [opts]
+ * @param {string} [opts.tz]       Timezone for wall-clock fields (default: system zone)
+ * @param {number} [opts.dtstart]  RRULE anchor when the spec carries none (default: now)
+ * @returns {Recurrence}
+ */
+function parse(spec, { tz, dtstart } = {}) {
+  if (spec && typeof spec === 'object' && !(spec instanceof Date)) {
+    const zone = spec.tz || tz || systemTimeZone();
+    if (!_isValidTz(zone)) throw new Error(`Unknown timezone: ${zone}`);
+    if (spec.type === 'once')  return { type: 'once', tz: zone, at: _parseDate(spec.at, zone) };
+    if (spec.type === 'cron')  return { type: 'cron', tz: zone, expr: _parseCron(spec.expr).expr };
+    if (spec.type === 'rrule') {
+      const anchor = spec.dtstart != null ? _parseDate(spec.dtstart, zone) : (dtstart != null ? dtstart : Date.now());
+      const rule = String(spec.rule).replace(/^RRULE:/i, '');
+      _parseRrule(rule, anchor, zone);
+      return { type: 'rrule', tz: zone, rule, dtstart: anchor };
+    }
+    throw new Error(`Unknown recurrence type: ${spec.type}`);
+  }
+
+  const zone = tz || systemTimeZone();
+  if (!_isValidTz(zone)) throw new Error(`Unknown timezone: ${zone}`);
+  if (typeof spec === 'number' || spec instanceof Date) return { type: 'once', tz: zone, at: _parseDate(spec, zone) };
+
+  const s = String(spec || '').trim();
+  if (!s) throw new Error('Empty recurrence');
+
+  if (/(^|\n)\s*(RRULE:|DTSTART)|FREQ=/i.test(s)) {
+    let anchor = dtstart != null ? dtstart : Date.now();
+    let zoneOut = zone;
+    let rule = null;
+    for (const line of s.split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+      const ds = line.match(/^DTSTART(?:;TZID=([^:]+))?:(\S+)$/i);
+      if (ds) {
+        if (ds[1]) {
+          if (!_isValidTz(ds[1])) throw new Error(`Unknown timezone: ${ds[1]}`);
+          zoneOut = ds[1];
+        }
+        anchor = _parseIcalDate(ds[2], zoneOut);
+      } else {
+        rule = line.replace(/^RRULE:/i, '');
+      }
+    }
+    if (!rule) throw new Error('RRULE missing');
+    _parseRrule(rule, anchor, zoneOut);
+    return { type: 'rrule', tz: zoneOut, rule, dtstart: anchor };
+  }
+
+  if (CRON_MACROS[s.toLowerCase()] || s.split(/\s+/).length === 5 && !/^\d{4}-/.test(s)) {
+    return { type: 'cron', tz: zone, expr: _parseCron(s).expr };
+  }
+
+  return { type: 'once', tz: zone, at: _parseDate(s, zone) };
+}
+
+/**
+ * Like parse(), but returns null instead of throwing — for free-form schedule
+ * strings coming from other services ("on_demand", "Custom schedule", ...).
+ */
+function tryParse(spec, opts) {
+  try { return parse(spec, opts); } catch (_) { return null; }
+}
+
+// ── Next-run computation ──────────────────────────────────────────────────────
+
+// Generators yielding successive occurrences strictly after afterMs, ascending.
+// The scan caps (MAX_CRON_DAYS / MAX_RRULE_PERIODS) bound the gap between two
+// occurrences, not the total, so a long-lived rule can be walked in one pass.
+
+function* _cronIter(rec, afterMs) {
+  const c = _parseCron(rec.expr);
+  const start = wallParts(afterMs, rec.tz);
+  let last = afterMs;
+  let limit = MAX_CRON_DAYS;
+  for (let i = 0; i < limit; i++) {
+    const d = civil(start.year, start.month, start.day + i);
+    if (!c.months.has(d.month)) continue;
+    const domOk = c.doms.has(d.day);
+    const dowOk = c.dows.has(d.weekday);
+    const dayOk = (c.domStar || c.dowStar) ? (domOk && dowOk) : (domOk || dowOk);
+    if (!dayOk) continue;
+    // Sorted, so DST gap shifts that reorder candidates still come out in order;
+    // a gap time shifted onto an existing one is yielded once
+    for (const t of dayInstants(d, c.hours, c.minutes, rec.tz)) {
+      if (t <= last) continue;
+      last = t;
+      limit = i + MAX_CRON_DAYS;
+      yield t;
+    }
+  }
+}
+
+/** Days of a month selected by BYMONTHDAY / BYDAY (ordinals relative to the month). */
+function _monthDays(r, year, month) {
+  const dim = daysInMonth(year, month);
+  let days = null;
+  if (r.bymonthday) {
+    days = new Set(r.bymonthday.map(n => (n < 0 ? dim + n + 1 : n)).filter(n => n >= 1 && n <= dim));
+  }
+  if (r.byday) {
+    const firstWeekday = civil(year, month, 1).weekday;
+    const fromDay = new Set();
+    for (const { ord, weekday } of r.byday) {
+      const first = 1 + ((weekday - firstWeekday + 7) % 7);
+      const all = [];
+      for (let dd = first; dd <= dim; dd += 7) all.push(dd);
+      if (ord === 0) all.forEach(dd => fromDay.add(dd));
+      else {
+        const pick = ord > 0 ? all[ord - 1] : all[all.length + ord];
+        if (pick) fromDay.add(pick);
+      }
+    }
+    days = days ? new Set([...days].filter(dd => fromDay.has(dd))) : fromDay;
+  }
+  if (!days) days = r.start.day <= dim ? new Set([r.start.day]) : new Set();
+  return [...days].sort((a, b) => a - b);
+}
+
+/** Candidate dates (civil) within the k-th period of an RRULE, in order. */
+function _rrulePeriodDates(r, k) {
+  const s = r.start;
+  const step = k * r.interval;
+  const monthOk = (m) => !r.bymonth || r.bymonth.includes(m);
+  const out = [];
+
+  if (r.freq === 'YEARLY') {
+    const year = s.year + step;
+    const months = r.bymonth || (r.bymonthday || r.byday ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [s.month]);
+    for (const month of [...months].sort((a, b) => a - b)) {
+      for (const day of _monthDays(r, year, month)) out.push(civil(year, month, day));
+    }
+  } else if (r.freq === 'MONTHLY') {
+    const base = civil(s.year, s.month + step, 1);
+    if (monthOk(base.month)) {
+      for (const day of _monthDays(r, base.year, base.month)) out.push(civil(base.year, base.month, day));
+    }
+  } else if (r.freq === 'WEEKLY') {
+    // Weeks start on Monday (RFC 5545 default WKST=MO)
+    const startDow = civil(s.year, s.month, s.day).weekday;
+    const monday = civil(s.year, s.month, s.day - ((startDow + 6) % 7) + step * 7);
+    const weekdays = r.byday ? r.byday.map(b => b.weekday) : [startDow];
+    for (let i = 0; i < 7; i++) {
+      const d = civil(monday.year, monday.month, monday.day + i);
+      if (weekdays.includes(d.weekday) && monthOk(d.month)) out.push(d);
+    }
+  } else if (r.freq === 'DAILY') {
+    const d = civil(s.year, s.month, s.day + step);
+    const dim = daysInMonth(d.year, d.month);
+    const domOk = !r.bymonthday || r.bymonthday.some(n => (n < 0 ? dim + n + 1 : n) === d.day);
+    const dowOk = !r.byday || r.byday.some(b => b.weekday === d.weekday);
+    if (monthOk(d.month) && domOk && dowOk) out.push(d);
+  }
+  return out;
+}
+
+/**
+ * Index of the period holding `afterMs` (wall date in the rule's zone), less one
+ * so times-of-day straddling it are still seen. Clamped to 0.
+ */
+function _rrulePeriodBefore(r, afterMs, tz) {
+  const s = r.start;
+  const a = wallParts(afterMs, tz);
+  const dayNum = (y, m, d) => Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+  let units;
+  if (r.freq === 'YEARLY') units = a.year - s.year;
+  else if (r.freq === 'MONTHLY') units = (a.year - s.year) * 12 + (a.month - s.month);
+  else if (r.freq === 'WEEKLY') {
+    // Mondays of both weeks (WKST=MO), as in _rrulePeriodDates
+    const mondayNum = (p) => dayNum(p.year, p.month, p.day) - ((civil(p.year, p.month, p.day).weekday + 6) % 7);
+    units = Math.floor((mondayNum(a) - mondayNum(s)) / 7);
+  } else units = dayNum(a.year, a.month, a.day) - dayNum(s.year, s.month, s.day);
+  return Math.max(0, Math.floor(units / r.interval) - 1);
+}
+
+function* _rruleIter(rec, afterMs) {
+  const r = _parseRrule(rec.rule, rec.dtstart, rec.tz);
+  // COUNT needs every occurrence since DTSTART; without it, start near afterMs
+  const fromDtstart = r.count != null || afterMs < r.dtstart;
+  let emitted = 0;
+  let last = afterMs;
+  // undefined → skip, null → exhausted, number → yield
+  const accept = (t) => {
+    if (t < r.dtstart) return undefined;
+    if (r.until != null && t > r.until) return null;
+    emitted++;
+    if (r.count != null && emitted > r.count) return null;
+    return t > last ? t : undefined;
+  };
+
+  // Sub-daily frequencies step in real elapsed time from DTSTART
+  if (r.freq === 'MINUTELY' || r.freq === 'HOURLY') {
+    const stepMs = (r.freq === 'HOURLY' ? 60 : 1) * 60 * 1000 * r.interval;
+    const filtered = r.bymonth || r.byday || r.byhour || r.byminute;
+    const k0 = fromDtstart ? 0 : Math.floor((afterMs - r.dtstart) / stepMs);
+    let limit = k0 + MAX_RRULE_PERIODS;
+    for (let k = k0; k < limit; k++) {
+      const t = r.dtstart + k * stepMs;
+      if (filtered) {
+        const p = wallParts(t, rec.tz);
+        const d = civil(p.year, p.month, p.day);
+        if (r.bymonth && !r.bymonth.includes(p.month)) continue;
+        if (r.byday && !r.byday.some(b => b.weekday === d.weekday)) continue;
+        if (r.byhour && !r.byhour.includes(p.hour)) continue;
+        if (r.byminute && !r.byminute.includes(p.minute)) continue;
+      }
+      const res = accept(t);
+      if (res === null) return;
+      if (res !== undefined) {
+        last = res;
+        limit = k + MAX_RRULE_PERIODS;
+        yield res;
+      }
+    }
+    return;
+  }
+
+  const hours   = r.byhour   ? [...r.byhour].sort((a, b) => a - b)   : [r.start.hour];
+  const minutes = r.byminute ? [...r.byminute].sort((a, b) => a - b) : [r.start.minute];
+  const k0 = fromDtstart ? 0 : _rrulePeriodBefore(r, afterMs, rec.tz);
+  let limit = k0 + MAX_RRULE_PERIODS;
+  for (let k = k0; k < limit; k++) {
+    const times = [];
+    for (const d of _rrulePeriodDates(r, k)) times.push(...dayInstants(d, hours, minutes, rec.tz));
+    times.sort((a, b) => a - b);
+    for (const t of times) {
+      const res = accept(t);
+      if (res === null) return;
+      if (res !== undefined) {
+        last = res;
+        limit = k + MAX_RRULE_PERIODS;
+        yield res;
+      }
+    }
+  }
+}
+
+function* _iterate(rec, afterMs) {
+  if (rec.type === 'once') {
+    if (rec.at > afterMs) yield rec.at;
+    return;
+  }
+  yield* (rec.type === 'cron' ? _cronIter(rec, afterMs) : _rruleIter(rec, afterMs));
+}
+
+/**
+ * Next occurrence strictly after `afterMs`, or null when the recurrence is
+ * exhausted (one-shot in the past, COUNT/UNTIL reached) or unparseable.
+ *
+ * @param {number|string|object|Recurrence} spec
+ * @param {number} [afterMs]  Default: now
+ * @param {object} [opts]     Passed to parse() when `spec` is not yet normalized
+ * @returns {number|null}
+ */
+function nextRun(spec, afterMs = Date.now(), opts) {
+  const rec = tryParse(spec, opts);
+  if (!rec) return null;
+  const { value } = _iterate(rec, afterMs).next();
+  return value != null ? value : null;
+}
+
+/**
+ * The next `n` occurrences after `afterMs`.
+ * @returns {number[]}
+ */
+function upcoming(spec, n = 5, afterMs = Date.now(), opts) {
+  return occurrences(spec, afterMs, Infinity, n, opts);
+}
+
+/**
+ * Occurrences in (afterMs, untilMs], ascending, at most `max` — one pass over
+ * the rule, so counting a long stretch costs no more than walking it once.
+ *
+ * @param {number|string|object|Recurrence} spec
+ * @param {number} afterMs
+ * @param {number} untilMs
+ * @param {number} [max]
+ * @param {object} [opts]
+ * @returns {number[]}
+ */
+function occurrences(spec, afterMs, untilMs, max = Infinity, opts) {
+  const rec = tryParse(spec, opts);
+  const out = [];
+  if (!rec || max < 1) return out;
+  for (const t of _iterate(rec, afterMs)) {
+    if (t > untilMs) break;
+    out.push(t);
+    if (out.length >= max) break;
+  }
+  return out;
+}
+
+/** True when the spec can produce more than one occurrence. */
+function isRecurring(spec, opts) {
+  const rec = tryParse(spec, opts);
+  return !!rec && rec.type !== 'once';
+}
+
+// ── Human-readable labels ─────────────────────────────────────────────────────
+
+function _time(h, m) {
+  return `${h}:${pad2(m)}`;
+}
+
+function _ordinal(n) {
+  if (n === -1) return 'last';
+  if (n < 0) return `${_ordinal(-n)}-to-last`;
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+function _weekdayList(days) {
+  const sorted = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)); // Monday first
+  if (sorted.length === 5 && [1, 2, 3, 4, 5].every(d => sorted.includes(d))) return 'weekdays';
+  if (sorted.length === 2 && sorted.includes(0) && sorted.includes(6)) return 'weekends';
+  return sorted.map(d => WEEKDAY_NAMES[d]).join(', ');
+}
+
+function _describeCron(expr) {
+  const [mi, h, dom, mon, dow] = expr.split(' ');
+  const c = _parseCron(expr);
+  const fixedTime = /^\d+$/.test(mi) && /^\d+$/.test(h);
+  const at = fixedTime ? ` at ${_time(+h, +mi)}` : '';
+
+  const everyMin = mi.match(/^\*\/(\d+)$/);
+  if (everyMin && h === '*' && dom === '*' && mon === '*' && dow === '*') return `every ${everyMin[1]}min`;
+  if (mi === '*' && h === '*' && dom === '*' && mon === '*' && dow === '*') return 'every minute';
+  const everyHour = h.match(/^\*\/(\d+)$/);
+  if (/^\d+$/.test(mi) && everyHour && dom === '*' && mon === '*' && dow === '*') return `every ${everyHour[1]}h`;
+  if (/^\d+$/.test(mi) && h === '*' && dom === '*' && mon === '*' && dow === '*') return +mi === 0 ? 'hourly' : `hourly at :${pad2(+mi)}`;
+
+  if (fixedTime && mon === '*') {
+    if (dom === '*' && dow === '*') return `daily${at}`;
+    if (dom === '*') {
+      const list = _weekdayList(c.dows);
+      return list === 'weekdays' || list === 'weekends' ? `${list}${at}` : `weekly on ${list}${at}`;
+    }
+    if (dow === '*' && /^\d+$/.test(dom)) return `monthly on the ${_ordinal(+dom)}${at}`;
+  }
+  if (fixedTime && /^\d+$/.test(dom) && /^\d+$/.test(mon) && dow === '*') {
+    return `yearly on ${MONTH_NAMES[+mon - 1]} ${+dom}${at}`;
+  }
+  return `cron ${expr}`;
+}
+
+function _describeRrule(rec) {
+  const r = _parseRrule(rec.rule, rec.dtstart, rec.tz);
+  const unit = { MINUTELY: 'min', HOURLY: 'h', DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[r.freq];
+  let label;
+  if (r.freq === 'MINUTELY' || r.freq === 'HOURLY') {
+    label = r.interval === 1 ? (r.freq === 'HOURLY' ? 'hourly' : 'every minute') : `every ${r.interval}${unit}`;
+  } else {
+    const adverb = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' }[r.freq];
+    label = r.interval === 1 ? adverb : `every ${r.interval} ${unit}s`;
+    const hasOrdinal = r.byday && r.byday.some(b => b.ord !== 0);
+    if (r.freq === 'YEARLY' && !r.bymonth && !r.bymonthday && !r.byday) {
+      label += ` on ${MONTH_NAMES[r.start.month - 1]} ${r.start.day}`;
+    } else if (r.bymonth && r.freq === 'YEARLY') {
+      label += ` in ${r.bymonth.map(m => MONTH_NAMES[m - 1]).join(', ')}`;
+    }
+    if (hasOrdinal) {
+      label += ` on the ${r.byday.map(b => `${b.ord ? _ordinal(b.ord) + ' ' : ''}${WEEKDAY_NAMES[b.weekday]}`).join(', ')}`;
+    } else if (r.byday) {
+      const list = _weekdayList(r.byday.map(b => b.weekday));
+      label = r.freq === 'DAILY' || (r.freq === 'WEEKLY' && r.interval === 1 && (list === 'weekdays' || list === 'weekends'))
+        ? (list === 'weekdays' || list === 'weekends' ? list : `${label} on ${list}`)
+        : `${label} on ${list}`;
+    } else if (r.freq === 'WEEKLY') {
+      label += ` on ${WEEKDAY_NAMES[civil(r.start.year, r.start.month, r.start.day).weekday]}`;
+    }
+    if (r.bymonthday) label += ` on the ${r.bymonthday.map(_ordinal).join(', ')}`;
+    else if (r.freq === 'MONTHLY' && !r.byday) label += ` on the ${_ordinal(r.start.day)}`;
+    const hours   = r.byhour   || [r.start.hour];
+    const minutes = r.byminute || [r.start.minute];
+    if (hours.length === 1 && minutes.length === 1) label += ` at ${_time(hours[0], minutes[0])}`;
+  }
+  if (r.count != null) label += `, ${r.count} time${r.count === 1 ? '' : 's'}`;
+  if (r.until != null) {
+    const u = wallParts(r.until, rec.tz);
+    label += `, until ${MONTH_NAMES[u.month - 1]} ${u.day}`;
+  }
+  return label;
+}
+
+/**
+ * Short human-readable label ("daily at 9:00", "every 2 weeks on Mon, Wed at
+ * 8:30", "once on Oct 21 at 17:00"). Unparseable input is returned unchanged.
+ *
+ * @param {number|string|object|Recurrence} spec
+ * @param {object} [opts]
+ * @returns {string|null}
+ */
+function describe(spec, opts) {
+  if (spec == null || spec === '') return null;
+  const rec = tryParse(spec, opts);
+  if (!rec) return String(spec);
+  if (rec.type === 'once') {
+    const p = wallParts(rec.at, rec.tz);
+    return `once on ${MONTH_NAMES[p.month - 1]} ${p.day} at ${_time(p.hour, p.minute)}`;
+  }
+  if (rec.type === 'cron') return _describeCron(rec.expr);
+  return _describeRrule(rec);
+}
+
+module.exports = {
+  parse,
+  tryParse,
+  nextRun,
+  upcoming,
+  occurrences,
+  isRecurring,
+  describe,
+  systemTimeZone,
+  wallParts,
+  wallToUtc,
+};
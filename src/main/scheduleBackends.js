@@ -0,0 +1,388 @@
+/**
+ * scheduleBackends.js — OS-level wake-up backends for scheduler.js
+ *
+ * scheduler.js owns the pending-schedule JSON; this module owns the part that
+ * asks the operating system to relaunch ThinkDrop at the target time. Every
+ * backend launches the app with `--scheduled-task=<id>`, so
+ * scheduler.getLaunchedScheduleId() works identically regardless of which one
+ * armed the wake-up.
+ *
+ * Backends:
+ *   launchd  — ~/Library/LaunchAgents/com.thinkdrop.schedule.<id>.plist   (macOS)
+ *   systemd  — ~/.config/systemd/user/thinkdrop-schedule-<id>.{service,timer}
+ *              enabled via `systemctl --user`                            (Linux)
+ *   cron     — one crontab line tagged `# thinkdrop-schedule:<id>`      (fallback)
+ *   none     — no OS wake-up; the pending JSON is picked up on next app open
+ *
+ * Selection: THINKDROP_SCHEDULER_BACKEND=<name> forces a backend, otherwise the
+ * first available one for the current platform is used (launchd on darwin,
+ * systemd → cron on linux, cron elsewhere), and none when that isn't available.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const { execFileSync } = require('child_process');
+
+const THINKDROP_DIR = path.join(os.homedir(), '.thinkdrop');
+const LAUNCH_AGENTS = path.join(os.homedir(), 'Library', 'LaunchAgents');
+const SYSTEMD_USER  = path.join(os.homedir(), '.config', 'systemd', 'user');
+const PLIST_PREFIX  = 'com.thinkdrop.schedule';
+const UNIT_PREFIX   = 'thinkdrop-schedule';
+const CRON_TAG      = '# thinkdrop-schedule:';
+
+// Display/session variables a GUI app needs when started outside the desktop
+// session (systemd user manager and cron both start with a minimal environment).
+const SESSION_ENV_KEYS = ['DISPLAY', 'WAYLAND_DISPLAY', 'XDG_RUNTIME_DIR', 'DBUS_SESSION_BUS_ADDRESS'];
+
+/**
+ * @typedef {Object} ScheduleTarget
+ * @property {string} id        Schedule ID — passed back as --scheduled-task=<id>
+ * @property {number} targetMs  Unix timestamp (ms) when the app should be launched
+ * @property {string} appPath   App bundle / binary to launch (see scheduler.getAppPath)
+ */
+
+/**
+ * @typedef {Object} ScheduleBackend
+ * @property {string}   name
+ * @property {() => boolean}                 isAvailable
+ * @property {(t: ScheduleTarget) => boolean} install    true if the OS accepted the wake-up
+ * @property {(id: string) => boolean}        uninstall  true if anything was removed
+ */
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function run(cmd, args, opts = {}) {
+  return execFileSync(cmd, args, { stdio: ['pipe', 'pipe', 'ignore'], encoding: 'utf8', ...opts });
+}
+
+function hasCommand(cmd) {
+  try {
+    run('sh', ['-c', `command -v ${cmd}`]);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** Quote a value for a POSIX shell command line (cron executes via /bin/sh). */
+function shQuote(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+/** Quote a value for a systemd ExecStart= line. */
+function unitQuote(s) {
+  return `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/** Linux AppImages report the mounted squashfs as execPath — relaunch the image itself. */
+function linuxExecutable(appPath) {
+  return process.env.APPIMAGE || appPath;
+}
+
+function sessionEnv() {
+  return SESSION_ENV_KEYS.filter(k => process.env[k]).map(k => [k, process.env[k]]);
+}
+
+// ── launchd (macOS) ──────────────────────────────────────────────────────────
+
+function plistPath(id) {
+  return path.join(LAUNCH_AGENTS, `${PLIST_PREFIX}.${id}.plist`);
+}
+
+/** @type {ScheduleBackend} */
+const launchd = {
+  name: 'launchd',
+
+  isAvailable() {
+    return process.platform === 'darwin';
+  },
+
+  install({ id, targetMs, appPath }) {
+    ensureDir(LAUNCH_AGENTS);
+
+    // launchd StartCalendarInterval uses local time — parse targetMs into components.
+    // Month + Day are pinned so the plist fires on the target date only (not
+    // daily); scheduler.completeOccurrence() re-arms recurring schedules.
+    const d      = new Date(targetMs);
+    const month  = d.getMonth() + 1;
+    const day    = d.getDate();
+    const hour   = d.getHours();
+    const minute = d.getMinutes();
+
+    // Use 'open -a App.app --args flag' for .app bundles, direct binary otherwise
+    const isAppBundle = appPath.endsWith('.app');
+    const programArgs = isAppBundle
+      ? `    <string>/usr/bin/open</string>\n    <string>-a</string>\n    <string>${appPath}</string>\n    <string>--args</string>\n    <string>--scheduled-task=${id}</string>`
+      : `    <string>${appPath}</string>\n    <string>--scheduled-task=${id}</string>`;
+
+    const plist = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>Label</key>
+  <string>${PLIST_PREFIX}.${id}</string>
+  <key>ProgramArguments</key>
+  <array>
+${programArgs}
+  </array>
+  <key>StartCalendarInterval</key>
+  <dict>
+    <key>Month</key>
+    <integer>${month}</integer>
+    <key>Day</key>
+    <integer>${day}</integer>
+    <key>Hour</key>
+    <integer>${hour}</integer>
+    <key>Minute</key>
+    <integer>${minute}</integer>
+  </dict>
+  <key>RunAtLoad</key>
+  <false/>
+  <key>StandardOutPath</key>
+  <string>${THINKDROP_DIR}/schedule-${id}.log</string>
+  <key>StandardErrorPath</key>
+  <string>${THINKDROP_DIR}/schedule-${id}-err.log</string>
+</dict>
+</plist>`;
+
+    const pp = plistPath(id);
+    fs.writeFileSync(pp, plist, 'utf8');
+    console.log(`[Scheduler] Wrote launchd plist: ${pp}`);
+
+    // Load the plist so launchd picks it up immediately
+    try {
+      run('launchctl', ['load', pp]);
+      console.log(`[Scheduler] launchctl load OK — will fire on ${month}/${day} at ${hour}:${pad2(minute)}`);
+      return true;
+    } catch (err) {
+      console.warn(`[Scheduler] launchctl load failed (non-fatal): ${err.message}`);
+      return false;
+    }
+  },
+
+  uninstall(id) {
+    const pp = plistPath(id);
+    if (!fs.existsSync(pp)) return false;
+    try { run('launchctl', ['unload', pp]); } catch (_) {}
+    try { fs.unlinkSync(pp); } catch (_) {}
+    console.log(`[Scheduler] Cleared launchd plist: ${pp}`);
+    return true;
+  },
+};
+
+// ── systemd user timers (Linux) ──────────────────────────────────────────────
+
+function unitName(id, ext) {
+  return `${UNIT_PREFIX}-${id}.${ext}`;
+}
+
+/** @type {ScheduleBackend} */
+const systemd = {
+  name: 'systemd',
+
+  isAvailable() {
+    if (process.platform !== 'linux') return false;
+    // `show-environment` only succeeds when a user manager is actually running
+    // (it fails inside containers / ssh sessions without lingering).
+    try {
+      run('systemctl', ['--user', 'show-environment'], { timeout: 3000 });
+      return true;
+    } catch (_) {
+      return false;
+    }
+  },
+
+  install({ id, targetMs, appPath }) {
+    ensureDir(SYSTEMD_USER);
+
+    // OnCalendar without a timezone suffix is interpreted in local time
+    const d = new Date(targetMs);
+    const onCalendar = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ` +
+      `${pad2(d.getHours())}:${pad2(d.getMinutes())}:00`;
+
+    const envLines = sessionEnv().map(([k, v]) => `Environment=${unitQuote(`${k}=${v}`)}`).join('\n');
+
+    const service = `[Unit]
+Description=ThinkDrop scheduled task ${id}
+
+[Service]
+Type=simple
+ExecStart=${unitQuote(linuxExecutable(appPath))} --scheduled-task=${id}
+${envLines}
+StandardOutput=append:${THINKDROP_DIR}/schedule-${id}.log
+StandardError=append:${THINKDROP_DIR}/schedule-${id}-err.log
+`;
+
+    const timer = `[Unit]
+Description=ThinkDrop scheduled task ${id} (timer)
+
+[Timer]
+OnCalendar=${onCalendar}
+Unit=${unitName(id, 'service')}
+
+[Install]
+WantedBy=timers.target
+`;
+
+    fs.writeFileSync(path.join(SYSTEMD_USER, unitName(id, 'service')), service, 'utf8');
+    fs.writeFileSync(path.join(SYSTEMD_USER, unitName(id, 'timer')), timer, 'utf8');
+    console.log(`[Scheduler] Wrote systemd user units: ${unitName(id, 'timer')} / ${unitName(id, 'service')}`);
+
+    try {
+      run('systemctl', ['--user', 'daemon-reload'], { timeout: 10000 });
+      run('systemctl', ['--user', 'enable', '--now', unitName(id, 'timer')], { timeout: 10000 });
+      console.log(`[Scheduler] systemctl --user enable OK — will fire at ${onCalendar}`);
+      return true;
+    } catch (err) {
+      console.warn(`[Scheduler] systemctl --user enable failed (non-fatal): ${err.message}`);
+      return false;
+    }
+  },
+
+  uninstall(id) {
+    const timerPath   = path.join(SYSTEMD_USER, unitName(id, 'timer'));
+    const servicePath = path.join(SYSTEMD_USER, unitName(id, 'service'));
+    if (!fs.existsSync(timerPath) && !fs.existsSync(servicePath)) return false;
+
+    try { run('systemctl', ['--user', 'disable', '--now', unitName(id, 'timer')], { timeout: 10000 }); } catch (_) {}
+    try { fs.unlinkSync(timerPath); } catch (_) {}
+    try { fs.unlinkSync(servicePath); } catch (_) {}
+    try { run('systemctl', ['--user', 'daemon-reload'], { timeout: 10000 }); } catch (_) {}
+    console.log(`[Scheduler] Cleared systemd user units for ${id}`);
+    return true;
+  },
+};
+
+// ── crontab (fallback) ───────────────────────────────────────────────────────
+
+function readCrontab() {
+  try {
+    return run('crontab', ['-l'], { timeout: 5000 });
+  } catch (_) {
+    // `crontab -l` exits non-zero when the user has no crontab yet
+    return '';
+  }
+}
+
+function writeCrontab(content) {
+  run('crontab', ['-'], { input: content, timeout: 5000 });
+}
+
+function withoutEntry(crontab, id) {
+  const tag = `${CRON_TAG}${id}`;
+  return crontab.split('\n').filter(line => !line.trimEnd().endsWith(tag));
+}
+
+/** @type {ScheduleBackend} */
+const cron = {
+  name: 'cron',
+
+  isAvailable() {
+    return process.platform !== 'win32' && hasCommand('crontab');
+  },
+
+  install({ id, targetMs, appPath }) {
+    // Pin day + month so the line fires on the target date only; uninstall
+    // (or re-arm for recurring schedules) replaces it afterwards.
+    const d = new Date(targetMs);
+    const when = `${d.getMinutes()} ${d.getHours()} ${d.getDate()} ${d.getMonth() + 1} *`;
+    const env = sessionEnv().map(([k, v]) => `${k}=${shQuote(v)}`).join(' ');
+    const cmd = `${env ? `env ${env} ` : ''}${shQuote(linuxExecutable(appPath))} --scheduled-task=${id}` +
+      ` >> ${shQuote(`${THINKDROP_DIR}/schedule-${id}.log`)} 2>&1`;
+    const line = `${when} ${cmd} ${CRON_TAG}${id}`;
+
+    try {
+      const lines = withoutEntry(readCrontab(), id).filter(Boolean);
+      lines.push(line);
+      writeCrontab(lines.join('\n') + '\n');
+      console.log(`[Scheduler] crontab entry installed — will fire at ${d.getHours()}:${pad2(d.getMinutes())}`);
+      return true;
+    } catch (err) {
+      console.warn(`[Scheduler] crontab install failed (non-fatal): ${err.message}`);
+      return false;
+    }
+  },
+
+  uninstall(id) {
+    const current = readCrontab();
+    if (!current.includes(`${CRON_TAG}${id}`)) return false;
+    try {
+      const lines = withoutEntry(current, id).filter(Boolean);
+      writeCrontab(lines.length ? lines.join('\n') + '\n' : '');
+      console.log(`[Scheduler] Cleared crontab entry for ${id}`);
+      return true;
+    } catch (err) {
+      console.warn(`[Scheduler] crontab uninstall failed: ${err.message}`);
+      return false;
+    }
+  },
+};
+
+// ── none (JSON fallback only) ────────────────────────────────────────────────
+
+/** @type {ScheduleBackend} */
+const none = {
+  name: 'none',
+  isAvailable() { return true; },
+  install() { return false; },
+  uninstall() { return false; },
+};
+
+// ── Selection ────────────────────────────────────────────────────────────────
+
+const BACKENDS = { launchd, systemd, cron, none };
+
+const PLATFORM_ORDER = {
+  darwin: ['launchd'],
+  linux:  ['systemd', 'cron'],
+};
+
+let _active = null;
+
+/**
+ * Resolve the backend to use for new schedules. Cached after the first call —
+ * availability probes shell out, and the answer does not change at runtime.
+ *
+ * @returns {ScheduleBackend}
+ */
+function getBackend() {
+  if (_active) return _active;
+
+  const forced = (process.env.THINKDROP_SCHEDULER_BACKEND || '').trim().toLowerCase();
+  if (forced) {
+    if (BACKENDS[forced]) {
+      _active = BACKENDS[forced];
+      console.log(`[Scheduler] Using forced backend: ${forced}`);
+      return _active;
+    }
+    console.warn(`[Scheduler] Unknown THINKDROP_SCHEDULER_BACKEND "${forced}" — falling back to auto-detect`);
+  }
+
+  // Other platforms (BSDs, …) try cron; without a crontab it falls through to none
+  const order = PLATFORM_ORDER[process.platform] || ['cron'];
+  _active = order.map(n => BACKENDS[n]).find(b => b.isAvailable()) || none;
+  console.log(`[Scheduler] Using backend: ${_active.name}`);
+  return _active;
+}
+
+/**
+ * Look up a backend by name (as recorded in the pending JSON). Falls back to
+ * the active backend for records written before the backend name was stored.
+ *
+ * @param {string} [name]
+ * @returns {ScheduleBackend}
+ */
+function getBackendByName(name) {
+  return (name && BACKENDS[name]) || getBackend();
+}
+
+module.exports = { getBackend, getBackendByName };
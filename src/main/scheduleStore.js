@@ -0,0 +1,177 @@
+/**
+ * scheduleStore.js — Keyed on-disk store for pending scheduled tasks
+ *
+ * Persists every registered schedule in ~/.thinkdrop/schedules.json:
+ *
+ *   { "version": 1, "schedules": { "<id>": { id, targetMs, label, prompt, skillPlan, ... } } }
+ *
+ * Replaces the single-record ~/.thinkdrop/pending-schedule.json, which was
+ * overwritten on every registerSchedule() call. A legacy file found on first
+ * access is imported into the store and then removed.
+ *
+ * Writes go through a temp file + rename so a crash mid-write never leaves a
+ * truncated store behind. A store that doesn't parse is set aside as
+ * schedules.json.bad before anything is written over it; if it can't be moved,
+ * writes are refused until it is repaired.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+
+const THINKDROP_DIR = path.join(os.homedir(), '.thinkdrop');
+const STORE_FILE    = path.join(THINKDROP_DIR, 'schedules.json');
+const LEGACY_FILE   = path.join(THINKDROP_DIR, 'pending-schedule.json');
+const STORE_VERSION = 1;
+
+/**
+ * @typedef {Object} ScheduleRecord
+ * @property {string}  id            Unique ID (e.g. "sched_1234")
+ * @property {number}  targetMs      Unix timestamp (ms) of the next occurrence
+ * @property {import('./recurrence').Recurrence} [recurrence]  Absent on legacy records (one-shot)
+ * @property {{ policy: 'skip'|'run_once'|'run_all', limit: number }} [misfire]  Missed-run policy (default run_once)
+ * @property {string}  label         Human-readable description
+ * @property {string}  prompt        Original user prompt to re-run
+ * @property {Array}   skillPlan     Skill plan steps after the schedule step
+ * @property {number}  registeredAt  Unix timestamp (ms) of registration
+ * @property {string}  [backend]     scheduleBackends name that armed the OS wake-up
+ * @property {number}  [lastFiredAt] Unix timestamp (ms) of the last completed occurrence
+ */
+
+// ── Internal ──────────────────────────────────────────────────────────────────
+
+let _migrated = false;
+// Set while an unparseable schedules.json couldn't be set aside — _write refuses
+let _unreadable = false;
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+/** @returns {Object<string, ScheduleRecord>} */
+function _read() {
+  _unreadable = false;
+  if (!fs.existsSync(STORE_FILE)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+    return (data && typeof data.schedules === 'object' && data.schedules) || {};
+  } catch (err) {
+    try {
+      fs.renameSync(STORE_FILE, `${STORE_FILE}.bad`);
+      console.warn('[ScheduleStore] schedules.json unreadable — kept as schedules.json.bad:', err.message);
+    } catch (renameErr) {
+      _unreadable = true;
+      console.warn('[ScheduleStore] schedules.json unreadable and could not be set aside — not writing until it is repaired:', err.message, renameErr.message);
+    }
+    return {};
+  }
+}
+
+/** @param {Object<string, ScheduleRecord>} schedules */
+function _write(schedules) {
+  if (_unreadable) throw new Error(`scheduleStore: ${STORE_FILE} is unreadable — repair or remove it first`);
+  ensureDir(THINKDROP_DIR);
+  const tmp = `${STORE_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, schedules }, null, 2), 'utf8');
+  fs.renameSync(tmp, STORE_FILE);
+}
+
+/**
+ * Import the legacy single-record pending-schedule.json, once per process.
+ * The file is removed only once its record is in the store; an unreadable one
+ * is set aside as pending-schedule.json.bad, and a failed write leaves it for
+ * the next launch.
+ */
+function _migrateLegacy() {
+  if (_migrated) return;
+  _migrated = true;
+  if (!fs.existsSync(LEGACY_FILE)) return;
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(LEGACY_FILE, 'utf8'));
+    if (!record || !record.id || !record.targetMs) throw new Error('no id / targetMs');
+  } catch (err) {
+    console.warn('[ScheduleStore] Legacy pending-schedule.json unreadable — keeping it as .bad:', err.message);
+    try { fs.renameSync(LEGACY_FILE, `${LEGACY_FILE}.bad`); } catch (_) {}
+    return;
+  }
+  try {
+    const schedules = _read();
+    if (!schedules[record.id]) {
+      schedules[record.id] = record;
+      _write(schedules);
+      console.log(`[ScheduleStore] Migrated legacy pending-schedule.json (${record.id})`);
+    }
+  } catch (err) {
+    console.warn('[ScheduleStore] Failed to migrate legacy pending-schedule.json — will retry next launch:', err.message);
+    return;
+  }
+  try { fs.unlinkSync(LEGACY_FILE); } catch (_) {}
+}
+
+function _load() {
+  _migrateLegacy();
+  return _read();
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * All stored schedules, ordered by target time (soonest first).
+ * @returns {ScheduleRecord[]}
+ */
+function list() {
+  return Object.values(_load()).sort((a, b) => a.targetMs - b.targetMs);
+}
+
+/**
+ * @param {string} id
+ * @returns {ScheduleRecord|null}
+ */
+function get(id) {
+  if (!id) return null;
+  return _load()[id] || null;
+}
+
+/**
+ * Insert or replace a schedule record.
+ * @param {ScheduleRecord} record
+ * @returns {ScheduleRecord}
+ */
+function upsert(record) {
+  if (!record || !record.id) throw new Error('scheduleStore.upsert: record.id is required');
+  const schedules = _load();
+  schedules[record.id] = record;
+  _write(schedules);
+  return record;
+}
+
+/**
+ * Shallow-merge fields into an existing record.
+ * @param {string} id
+ * @param {Partial<ScheduleRecord>} patch
+ * @returns {ScheduleRecord|null} The updated record, or null if the ID is unknown
+ */
+function update(id, patch) {
+  const schedules = _load();
+  if (!schedules[id]) return null;
+  schedules[id] = { ...schedules[id], ...patch, id };
+  _write(schedules);
+  return schedules[id];
+}
+
+/**
+ * Delete a record.
+ * @param {string} id
+ * @returns {ScheduleRecord|null} The removed record, or null if the ID is unknown
+ */
+function remove(id) {
+  const schedules = _load();
+  const record = schedules[id];
+  if (!record) return null;
+  delete schedules[id];
+  _write(schedules);
+  return record;
+}
+
+module.exports = { list, get, upsert, update, remove };
@@ -2,25 +2,49 @@
  * scheduler.js — Persistent task scheduler for ThinkDrop
  *
  * When a `schedule` step fires, this module:
- *  1. Writes ~/.thinkdrop/pending-schedule.json with the full skillPlan
- *  2. Creates a launchd plist at ~/Library/LaunchAgents/com.thinkdrop.schedule.<id>.plist
- *  3. Loads it via `launchctl load` so macOS launches ThinkDrop at the target time
+ *  1. Stores the record (with the full skillPlan) in ~/.thinkdrop/schedules.json
+ *     via scheduleStore.js — many schedules can be pending at once
+ *  2. Asks the platform backend (scheduleBackends.js) to relaunch ThinkDrop at
+ *     the target time — a launchd plist on macOS, a systemd --user timer on
+ *     Linux, or a crontab entry where neither is available
  *
- * On app startup, main.js calls checkPendingSchedule() which reads the JSON and
- * sends a 'schedule:pending' IPC event to ResultsWindow for user confirmation.
+ * Schedules may carry a recurrence (one-shot date, 5-field cron or RRULE — see
+ * recurrence.js). Backends only ever arm the NEXT occurrence; after it fires,
+ * completeOccurrence() computes the following one and re-arms.
  *
- * After confirmation (or cancellation) the JSON and plist are cleaned up.
+ * Each schedule also declares a misfire policy for occurrences that passed
+ * while the machine was off or asleep:
+ *   skip      — drop them silently and wait for the next occurrence
+ *   run_once  — run the task once on wake, however many occurrences were missed
+ *   run_all   — run once per missed occurrence, up to `limit`
+ * collectMissed() applies the policy; main.js shows the result as a
+ * "missed while you were away" summary.
+ *
+ * On app startup, main.js calls checkPendingSchedule() which returns every stored
+ * schedule classified as upcoming / due / missed, and sends a 'schedule:pending'
+ * IPC event per record to ResultsWindow for user confirmation.
+ *
+ * After confirmation (or cancellation) the record and OS wake-up are cleaned up.
  */
 
 const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
-const { execSync } = require('child_process');
+const scheduleBackends = require('./scheduleBackends');
+const scheduleStore    = require('./scheduleStore');
+const recurrence       = require('./recurrence');
 
 const THINKDROP_DIR    = path.join(os.homedir(), '.thinkdrop');
-const PENDING_FILE     = path.join(THINKDROP_DIR, 'pending-schedule.json');
-const LAUNCH_AGENTS    = path.join(os.homedir(), 'Library', 'LaunchAgents');
-const PLIST_PREFIX     = 'com.thinkdrop.schedule';
+
+// A record whose target passed less than this long ago is still "due" — the OS
+// scheduler may launch the app with a slight delay. Older ones are "missed".
+const DUE_GRACE_MS     = 10 * 60 * 1000;
+
+const MISFIRE_POLICIES     = ['skip', 'run_once', 'run_all'];
+const DEFAULT_MISFIRE      = { policy: 'run_once', limit: 5 };
+const MAX_MISFIRE_LIMIT    = 50;
+// Stop counting missed occurrences past this (an every-minute job after a week off)
+const MAX_MISSED_COUNT     = 1000;
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -28,14 +52,18 @@ function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-function plistPath(id) {
-  return path.join(LAUNCH_AGENTS, `${PLIST_PREFIX}.${id}.plist`);
+/** Validate a misfire policy, falling back to run_once. */
+function normalizeMisfire(misfire) {
+  const m = typeof misfire === 'string' ? { policy: misfire } : (misfire || {});
+  const policy = MISFIRE_POLICIES.includes(m.policy) ? m.policy : DEFAULT_MISFIRE.policy;
+  const limit = Math.min(MAX_MISFIRE_LIMIT, Math.max(1, parseInt(m.limit, 10) || DEFAULT_MISFIRE.limit));
+  return { policy, limit };
 }
 
 /** Return the absolute path to the Electron app binary, or null in dev mode. */
 function getAppPath() {
-  // In dev mode the execPath is the raw Electron binary — launchd can't
-  // reliably target it, so we skip plist creation and rely on the pending
+  // In dev mode the execPath is the raw Electron binary — the OS scheduler
+  // can't reliably target it, so we skip the backend and rely on the pending
   // JSON file fallback (re-run on next app open).
   if (process.env.NODE_ENV === 'development') return null;
 
@@ -50,131 +78,197 @@ function getAppPath() {
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
- * Register a pending scheduled task.
- *
- * @param {object} opts
- * @param {string}  opts.id          Unique ID for this schedule (e.g. "sched_1234")
- * @param {number}  opts.targetMs    Unix timestamp (ms) when the task should fire
- * @param {string}  opts.label       Human-readable description
- * @param {string}  opts.prompt      Original user prompt to re-run
- * @param {Array}   opts.skillPlan   Full skill plan array (steps after the schedule step)
+ * Arm the OS wake-up for a stored record's targetMs and remember which backend
+ * did it. No-op in dev mode (the stored record is the fallback).
  */
-function registerSchedule({ id, targetMs, label, prompt, skillPlan }) {
-  ensureDir(THINKDROP_DIR);
-
-  const record = { id, targetMs, label, prompt, skillPlan, registeredAt: Date.now() };
-  fs.writeFileSync(PENDING_FILE, JSON.stringify(record, null, 2), 'utf8');
-  console.log(`[Scheduler] Wrote pending-schedule.json for "${label}" at ${new Date(targetMs).toLocaleTimeString()}`);
-
+function _arm(record) {
   const appPath = getAppPath();
 
   if (!appPath) {
-    // Dev mode — launchd skipped. If app is closed before countdown ends,
-    // re-opening the app will auto-run the task via pending-schedule.json fallback.
-    console.log(`[Scheduler] Dev mode — launchd skipped. Pending JSON written as fallback.`);
+    // Dev mode — OS backend skipped. If app is closed before countdown ends,
+    // re-opening the app will surface the task from the schedule store.
+    console.log(`[Scheduler] Dev mode — OS scheduler skipped. Stored record is the fallback.`);
     return record;
   }
 
-  ensureDir(LAUNCH_AGENTS);
-
-  // launchd StartCalendarInterval uses local time — parse targetMs into components
-  const d      = new Date(targetMs);
-  const hour   = d.getHours();
-  const minute = d.getMinutes();
-
-  // Use 'open -a App.app --args flag' for .app bundles, direct binary otherwise
-  const isAppBundle = appPath.endsWith('.app');
-  const programArgs = isAppBundle
-    ? `    <string>/usr/bin/open</string>\n    <string>-a</string>\n    <string>${appPath}</string>\n    <string>--args</string>\n    <string>--scheduled-task=${id}</string>`
-    : `    <string>${appPath}</string>\n    <string>--scheduled-task=${id}</string>`;
-
-  const plist = `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0">
-<dict>
-  <key>Label</key>
-  <string>${PLIST_PREFIX}.${id}</string>
-  <key>ProgramArguments</key>
-  <array>
-${programArgs}
-  </array>
-  <key>StartCalendarInterval</key>
-  <dict>
-    <key>Hour</key>
-    <integer>${hour}</integer>
-    <key>Minute</key>
-    <integer>${minute}</integer>
-  </dict>
-  <key>RunAtLoad</key>
-  <false/>
-  <key>StandardOutPath</key>
-  <string>${THINKDROP_DIR}/schedule-${id}.log</string>
-  <key>StandardErrorPath</key>
-  <string>${THINKDROP_DIR}/schedule-${id}-err.log</string>
-</dict>
-</plist>`;
-
-  const pp = plistPath(id);
-  fs.writeFileSync(pp, plist, 'utf8');
-  console.log(`[Scheduler] Wrote launchd plist: ${pp}`);
-
-  // Load the plist so launchd picks it up immediately
-  try {
-    execSync(`launchctl load "${pp}"`, { stdio: 'ignore' });
-    console.log(`[Scheduler] launchctl load OK — will fire at ${hour}:${String(minute).padStart(2, '0')}`);
-  } catch (err) {
-    console.warn(`[Scheduler] launchctl load failed (non-fatal): ${err.message}`);
+  const backend = scheduleBackends.getBackend();
+  if (backend.install({ id: record.id, targetMs: record.targetMs, appPath })) {
+    // Remember which backend armed the wake-up so clearPendingSchedule can undo it
+    record.backend = backend.name;
+    scheduleStore.update(record.id, { backend: backend.name });
   }
-
   return record;
 }
 
 /**
- * Read the pending-schedule.json file.
- * Returns the record if valid and the target time is still in the future (or within 10min past),
- * otherwise returns null.
+ * Register a pending scheduled task.
+ *
+ * Either `targetMs` (one-shot) or `recurrence` must be given. With a
+ * recurrence, `targetMs` defaults to its next occurrence and doubles as the
+ * RRULE anchor (DTSTART) when the rule carries none.
+ *
+ * @param {object} opts
+ * @param {string}  opts.id            Unique ID for this schedule (e.g. "sched_1234")
+ * @param {number}  [opts.targetMs]    Unix timestamp (ms) when the task should (first) fire
+ * @param {string|object} [opts.recurrence]  Cron expression, RRULE or recurrence object (see recurrence.js)
+ * @param {string}  [opts.tz]          IANA timezone for the recurrence (default: system zone)
+ * @param {string|object} [opts.misfire]  'skip' | 'run_once' | 'run_all', or { policy, limit }
+ * @param {string}  opts.label         Human-readable description
+ * @param {string}  opts.prompt        Original user prompt to re-run
+ * @param {Array}   opts.skillPlan     Full skill plan array (steps after the schedule step)
  */
-function readPendingSchedule() {
-  if (!fs.existsSync(PENDING_FILE)) return null;
-  try {
-    const record = JSON.parse(fs.readFileSync(PENDING_FILE, 'utf8'));
-    if (!record || !record.id || !record.targetMs) return null;
-    // Accept if fired within the last 10 minutes (launchd may have a slight delay)
-    const now = Date.now();
-    if (record.targetMs < now - 10 * 60 * 1000) {
-      console.log('[Scheduler] Pending schedule is stale (>10min past target) — discarding');
-      clearPendingSchedule(record.id);
-      return null;
-    }
-    return record;
-  } catch (err) {
-    console.warn('[Scheduler] Failed to read pending-schedule.json:', err.message);
+function registerSchedule({ id, targetMs, recurrence: spec, tz, misfire, label, prompt, skillPlan }) {
+  ensureDir(THINKDROP_DIR);
+
+  // A bare targetMs is a one-shot recurrence — keeps every record uniform
+  const rec = recurrence.parse(spec != null ? spec : targetMs, { tz, dtstart: targetMs });
+  const firstMs = targetMs != null ? targetMs : recurrence.nextRun(rec);
+  if (firstMs == null) throw new Error(`Schedule ${id} has no upcoming occurrence`);
+
+  const record = {
+    id,
+    targetMs: firstMs,
+    recurrence: rec,
+    misfire: normalizeMisfire(misfire),
+    label: label || recurrence.describe(rec),
+    prompt,
+    skillPlan,
+    registeredAt: Date.now(),
+  };
+  scheduleStore.upsert(record);
+  console.log(`[Scheduler] Stored schedule ${id} for "${record.label}" at ${new Date(firstMs).toLocaleString()} (${recurrence.describe(rec)})`);
+
+  return _arm(record);
+}
+
+/**
+ * Called after a schedule has fired (or been run manually). Recurring
+ * schedules are advanced to their next occurrence after now and re-armed;
+ * one-shot or exhausted ones are cleared.
+ *
+ * @param {string} id
+ * @returns {object|null} The re-armed record, or null if the schedule is finished
+ */
+function completeOccurrence(id) {
+  const record = scheduleStore.get(id);
+  if (!record) return null;
+
+  const after = Math.max(Date.now(), record.targetMs || 0);
+  const nextMs = record.recurrence ? recurrence.nextRun(record.recurrence, after) : null;
+  if (nextMs == null) {
+    clearPendingSchedule(id);
     return null;
   }
+
+  // Tear down the fired wake-up before arming the next one
+  scheduleBackends.getBackendByName(record.backend).uninstall(id);
+  const next = scheduleStore.update(id, { targetMs: nextMs, backend: null, lastFiredAt: Date.now() });
+  console.log(`[Scheduler] Schedule ${id} advanced to ${new Date(nextMs).toLocaleString()}`);
+  return _arm(next);
 }
 
 /**
- * Remove the pending-schedule.json and unload/delete the launchd plist.
+ * Read a single pending schedule by ID.
+ * Returns the record, or null if no schedule with that ID is stored.
+ *
+ * @param {string} id
  */
-function clearPendingSchedule(id) {
-  // Remove JSON
-  if (fs.existsSync(PENDING_FILE)) {
-    try { fs.unlinkSync(PENDING_FILE); } catch (_) {}
-  }
+function readPendingSchedule(id) {
+  return scheduleStore.get(id);
+}
+
+/**
+ * All pending schedules, soonest first.
+ */
+function listPendingSchedules() {
+  return scheduleStore.list();
+}
+
+/**
+ * Classify every stored schedule relative to `now`:
+ *   upcoming — target is still in the future
+ *   due      — target passed within the last 10 minutes
+ *   missed   — target passed longer ago (app/machine was off when it fired)
+ *
+ * Records are returned soonest-first with a `status` field added; nothing is
+ * removed, so the caller decides what to run, surface or clear.
+ *
+ * @param {number} [now]
+ * @returns {Array<object>}
+ */
+function checkPendingSchedule(now = Date.now()) {
+  return scheduleStore.list()
+    .filter(r => r && r.id && r.targetMs)
+    .map(r => ({
+      ...r,
+      status: r.targetMs > now ? 'upcoming' : (r.targetMs >= now - DUE_GRACE_MS ? 'due' : 'missed'),
+    }));
+}
+
+/**
+ * Apply each missed schedule's misfire policy.
+ *
+ * Returns one entry per schedule whose target passed more than 10 minutes ago:
+ *   missedAt    — timestamps of the missed occurrences (oldest first, capped)
+ *   missedCount — how many occurrences were missed in total
+ *   runCount    — how many runs the policy asks for (0 for skip)
+ *
+ * Nothing is advanced or removed here — call completeOccurrence() once the
+ * entry has been run or dropped.
+ *
+ * @param {number} [now]
+ * @returns {Array<object>}
+ */
+function collectMissed(now = Date.now()) {
+  return checkPendingSchedule(now)
+    .filter(r => r.status === 'missed')
+    .map(r => {
+      const misfire = normalizeMisfire(r.misfire);
+      // One pass over the rule — this runs on the startup path
+      const missedAt = [r.targetMs];
+      if (r.recurrence) missedAt.push(...recurrence.occurrences(r.recurrence, r.targetMs, now, MAX_MISSED_COUNT - 1));
+      const runCount = misfire.policy === 'skip' ? 0
+        : misfire.policy === 'run_once' ? 1
+        : Math.min(missedAt.length, misfire.limit);
+      return {
+        id: r.id,
+        label: r.label,
+        prompt: r.prompt,
+        policy: misfire.policy,
+        limit: misfire.limit,
+        missedAt: missedAt.slice(-Math.max(runCount, 1)),
+        missedCount: missedAt.length,
+        runCount,
+      };
+    });
+}
+
+/**
+ * Update fields on a stored schedule (e.g. label or targetMs).
+ * Does not re-arm the OS wake-up — call registerSchedule() for that.
+ *
+ * @param {string} id
+ * @param {object} patch
+ */
+function updatePendingSchedule(id, patch) {
+  return scheduleStore.update(id, patch);
+}
 
+/**
+ * Remove the stored schedule and tear down the OS wake-up (launchd plist,
+ * systemd timer or crontab entry) that was armed for it.
+ */
+function clearPendingSchedule(id) {
   if (!id) return;
 
-  // Unload + delete plist
-  const pp = plistPath(id);
-  if (fs.existsSync(pp)) {
-    try { execSync(`launchctl unload "${pp}"`, { stdio: 'ignore' }); } catch (_) {}
-    try { fs.unlinkSync(pp); } catch (_) {}
-    console.log(`[Scheduler] Cleared launchd plist: ${pp}`);
-  }
+  // The record tells us which backend armed it; fall back to the active one
+  const record = scheduleStore.remove(id);
+  scheduleBackends.getBackendByName(record?.backend).uninstall(id);
 }
 
 /**
- * Returns the schedule ID from process args if app was launched by launchd for a scheduled task.
+ * Returns the schedule ID from process args if app was launched by the OS scheduler
+ * (launchd, systemd or cron) for a scheduled task.
  * e.g. process.argv includes "--scheduled-task=sched_1234"
  */
 function getLaunchedScheduleId() {
@@ -182,4 +276,14 @@ function getLaunchedScheduleId() {
   return flag ? flag.replace('--scheduled-task=', '') : null;
 }
 
-module.exports = { registerSchedule, readPendingSchedule, clearPendingSchedule, getLaunchedScheduleId };
+module.exports = {
+  registerSchedule,
+  completeOccurrence,
+  collectMissed,
+  readPendingSchedule,
+  listPendingSchedules,
+  checkPendingSchedule,
+  updatePendingSchedule,
+  clearPendingSchedule,
+  getLaunchedScheduleId,
+};
@@ -0,0 +1,328 @@
+/**
+ * serviceRegistry.js — Declarative registry of local MCP services
+ *
+ * The single place the main process resolves a service name to its URL, auth
+ * scheme and timeouts. Built-in defaults come from the environment (the
+ * MCP_*_URL / *_PORT / *_API_KEY variables in .env.example) and are overridden
+ * field-by-field by ~/.thinkdrop/services.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "services": {
+ *       "command":     { "url": "http://127.0.0.1:3007", "auth": "bearer", "apiKeyEnv": "MCP_COMMAND_API_KEY",
+ *                        "timeoutMs": 600000, "healthPath": "/service.health" },
+ *       "my-service":  { "url": "http://127.0.0.1:4100", "auth": "none" }
+ *     }
+ *   }
+ *
+ *   auth        — 'bearer' (Authorization: Bearer <key>), 'x-api-key', or 'none'
+ *   apiKey      — literal key; apiKeyEnv (string or list) names env vars to read it from instead
+ *   timeoutMs   — default request timeout for the service (callers may pass their own)
+ *   healthPath  — GET path answering { status: 'ok'|'up'|'healthy' }
+ *   maxSockets  — keep-alive pool size for ThinkDropMCPClient calls (connectionPool.js)
+ *   responses   — { "<action>": <schema> } response `data` schemas, over serviceSchemas.js built-ins
+ *
+ * The file is watched and re-read on change, so ports or keys can be edited
+ * without restarting ThinkDrop; onChange() listeners hear about every reload.
+ * THINKDROP_SERVICES_FILE points at a different file (scripts/mock-services.js
+ * writes one that routes every service to its local stand-ins).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const tracing = require('./tracing');
+const serviceSchemas = require('./serviceSchemas');
+
+const THINKDROP_DIR  = path.join(os.homedir(), '.thinkdrop');
+const REGISTRY_FILE  = process.env.THINKDROP_SERVICES_FILE || path.join(THINKDROP_DIR, 'services.json');
+const REGISTRY_DIR   = path.dirname(REGISTRY_FILE);
+const AUTH_SCHEMES   = ['bearer', 'x-api-key', 'none'];
+const DEFAULT_HEALTH = '/service.health';
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * @typedef {Object} ServiceEntry
+ * @property {string}   name
+ * @property {string}   url         Base URL, no trailing slash
+ * @property {'bearer'|'x-api-key'|'none'} auth
+ * @property {string}   apiKey      Resolved key ('' when none is configured)
+ * @property {number}   [timeoutMs]
+ * @property {string}   healthPath
+ * @property {number}   [maxSockets]
+ * @property {Object<string, Object>} responses  Per-action response schemas from services.json
+ */
+
+// ── Built-in defaults ─────────────────────────────────────────────────────────
+
+function _envUrl(urlVars, portVars, defaultPort) {
+  for (const v of urlVars) if (process.env[v]) return process.env[v];
+  const port = portVars.map(v => process.env[v]).find(Boolean) || defaultPort;
+  return `http://127.0.0.1:${port}`;
+}
+
+function _defaults() {
+  return {
+    'command': {
+      url: _envUrl(['MCP_COMMAND_URL', 'COMMAND_SERVICE_URL'], ['SERVICE_PORT', 'COMMAND_SERVICE_PORT'], 3007),
+      apiKeyEnv: ['MCP_COMMAND_API_KEY', 'MCP_API_KEY'],
+    },
+    'user-memory': {
+      url: _envUrl(['MCP_USER_MEMORY_URL', 'USER_MEMORY_URL'], ['MEMORY_SERVICE_PORT', 'MCP_USER_MEMORY_PORT'], 3001),
+      apiKeyEnv: ['MCP_USER_MEMORY_API_KEY', 'USER_MEMORY_API_KEY', 'USER_MEMORY_KEY', 'MCP_API_KEY'],
+    },
+    'conversation': {
+      url: _envUrl(['MCP_CONVERSATION_URL'], ['CONVERSATION_SERVICE_PORT'], 3004),
+      auth: 'x-api-key',
+      apiKeyEnv: ['MCP_CONVERSATION_API_KEY', 'MCP_API_KEY'],
+    },
+    'web-search': {
+      url: _envUrl(['MCP_WEB_SEARCH_URL'], [], 3002),
+      apiKeyEnv: ['MCP_WEB_SEARCH_API_KEY', 'MCP_API_KEY'],
+    },
+    'screen-intelligence': {
+      url: _envUrl(['MCP_SCREEN_INTELLIGENCE_URL'], [], 3008),
+      apiKeyEnv: ['MCP_SCREEN_INTELLIGENCE_API_KEY', 'MCP_API_KEY'],
+    },
+    'phi4': {
+      url: _envUrl(['MCP_PHI4_URL'], [], 3009),
+      apiKeyEnv: ['MCP_PHI4_API_KEY', 'MCP_API_KEY'],
+    },
+    'coreference': {
+      url: _envUrl(['MCP_COREFERENCE_URL'], [], 3006),
+      apiKeyEnv: ['MCP_COREFERENCE_API_KEY', 'MCP_API_KEY'],
+    },
+    'personality': {
+      url: _envUrl(['MCP_PERSONALITY_URL'], [], 3012),
+      apiKeyEnv: ['MCP_PERSONALITY_API_KEY', 'MCP_API_KEY'],
+    },
+    'voice': {
+      url: _envUrl(['MCP_VOICE_URL', 'VOICE_SERVICE_URL'], ['VOICE_SERVICE_PORT'], 3006),
+      auth: 'none',
+    },
+  };
+}
+
+// ── Internal ──────────────────────────────────────────────────────────────────
+
+/** @type {Map<string, ServiceEntry>|null} */
+let _services = null;
+let _watcher = null;
+let _reloadTimer = null;
+const _listeners = new Set();
+
+function _readFile() {
+  if (!fs.existsSync(REGISTRY_FILE)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    return (data && typeof data.services === 'object' && data.services) || {};
+  } catch (err) {
+    console.warn('[ServiceRegistry] Failed to read services.json — using defaults:', err.message);
+    return {};
+  }
+}
+
+function _resolveKey(spec) {
+  if (typeof spec.apiKey === 'string') return spec.apiKey;
+  const vars = Array.isArray(spec.apiKeyEnv) ? spec.apiKeyEnv : spec.apiKeyEnv ? [spec.apiKeyEnv] : [];
+  for (const v of vars) if (process.env[v]) return process.env[v];
+  return '';
+}
+
+/** @returns {ServiceEntry|null} */
+function _normalize(name, spec) {
+  if (!spec || typeof spec.url !== 'string') {
+    console.warn(`[ServiceRegistry] Ignoring "${name}": url is required`);
+    return null;
+  }
+  try { new URL(spec.url); } catch (_) {
+    console.warn(`[ServiceRegistry] Ignoring "${name}": invalid url "${spec.url}"`);
+    return null;
+  }
+  const auth = AUTH_SCHEMES.includes(spec.auth) ? spec.auth : 'bearer';
+  const timeoutMs = parseInt(spec.timeoutMs, 10);
+  const maxSockets = parseInt(spec.maxSockets, 10);
+  return {
+    name,
+    url: spec.url.replace(/\/+$/, ''),
+    auth,
+    apiKey: auth === 'none' ? '' : _resolveKey(spec),
+    timeoutMs: timeoutMs > 0 ? timeoutMs : undefined,
+    maxSockets: maxSockets > 0 ? maxSockets : undefined,
+    healthPath: typeof spec.healthPath === 'string' && spec.healthPath ? spec.healthPath : DEFAULT_HEALTH,
+    responses: spec.responses && typeof spec.responses === 'object' ? spec.responses : {},
+  };
+}
+
+function _build() {
+  const defaults = _defaults();
+  const overrides = _readFile();
+  const services = new Map();
+  for (const name of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+    const entry = _normalize(name, { ...(defaults[name] || {}), ...(overrides[name] || {}) });
+    if (entry) services.set(name, entry);
+  }
+  return services;
+}
+
+function _load() {
+  if (!_services) _services = _build();
+  return _services;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} name
+ * @returns {ServiceEntry|null}
+ */
+function get(name) {
+  return _load().get(name) || null;
+}
+
+/** @returns {ServiceEntry[]} */
+function list() {
+  return Array.from(_load().values());
+}
+
+/** @returns {string[]} */
+function names() {
+  return Array.from(_load().keys());
+}
+
+function _require(name) {
+  const entry = get(name);
+  if (!entry) throw new Error(`[ServiceRegistry] Unknown service: "${name}". Add it to ~/.thinkdrop/services.json.`);
+  return entry;
+}
+
+/**
+ * Full URL for a path on a service, e.g. url('command', '/command.automate').
+ * @param {string} name
+ * @param {string} [urlPath]
+ */
+function url(name, urlPath = '') {
+  const entry = _require(name);
+  if (!urlPath) return entry.url;
+  return `${entry.url}${urlPath.startsWith('/') ? '' : '/'}${urlPath}`;
+}
+
+/**
+ * Auth headers for a service per its scheme ({} when it has no key).
+ * @param {string} name
+ * @param {string} [fallbackKey]  Key to use when none is configured
+ */
+function authHeaders(name, fallbackKey) {
+  const entry = _require(name);
+  const key = entry.apiKey || fallbackKey || '';
+  if (!key || entry.auth === 'none') return {};
+  return entry.auth === 'x-api-key' ? { 'x-api-key': key } : { 'Authorization': `Bearer ${key}` };
+}
+
+/**
+ * Options for http.request() against a service, auth headers included, plus
+ * the trace headers of the current run when there is one.
+ *
+ * @param {string} name
+ * @param {string} urlPath
+ * @param {Object}  [opts]
+ * @param {string}  [opts.method]       Default 'POST'
+ * @param {Object}  [opts.headers]      Extra headers (win over auth headers)
+ * @param {number}  [opts.timeout]      Socket timeout; defaults to the entry's timeoutMs
+ * @param {string}  [opts.fallbackKey]  Key to use when none is configured
+ * @returns {import('http').RequestOptions}
+ */
+function requestOptions(name, urlPath, opts = {}) {
+  const entry = _require(name);
+  const parsed = new URL(url(name, urlPath));
+  const options = {
+    protocol: parsed.protocol,
+    hostname: parsed.hostname,
+    port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
+    path: parsed.pathname + (parsed.search || ''),
+    method: opts.method || 'POST',
+    headers: { ...authHeaders(name, opts.fallbackKey), ...tracing.headers(), ...(opts.headers || {}) },
+  };
+  const timeout = opts.timeout || entry.timeoutMs;
+  if (timeout) options.timeout = timeout;
+  return options;
+}
+
+/**
+ * Schema for the `data` of a successful `action` response — services.json
+ * first, then the serviceSchemas.js built-ins. Null when the action has none.
+ * @param {string} name
+ * @param {string} action
+ * @returns {Object|null}
+ */
+function responseSchema(name, action) {
+  const entry = get(name);
+  if (entry && entry.responses[action]) return entry.responses[action];
+  return serviceSchemas.builtin(name, action);
+}
+
+/** Port number of a service (e.g. for services that are spawned by ThinkDrop). */
+function port(name) {
+  const parsed = new URL(_require(name).url);
+  return parseInt(parsed.port, 10) || (parsed.protocol === 'https:' ? 443 : 80);
+}
+
+/** Re-read services.json (and the environment) now. */
+function reload() {
+  _services = _build();
+  console.log(`[ServiceRegistry] Loaded ${_services.size} service(s)`);
+  for (const fn of _listeners) {
+    try { fn(list()); } catch (err) { console.warn('[ServiceRegistry] onChange listener failed:', err.message); }
+  }
+  return list();
+}
+
+/**
+ * Listen for reloads.
+ * @param {(services: ServiceEntry[]) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+function onChange(fn) {
+  _listeners.add(fn);
+  return () => _listeners.delete(fn);
+}
+
+/**
+ * Hot-reload services.json. Watches the directory rather than the file so
+ * editors that save by rename, and a file created later, are both picked up.
+ */
+function watch() {
+  if (_watcher) return;
+  try {
+    if (!fs.existsSync(REGISTRY_DIR)) fs.mkdirSync(REGISTRY_DIR, { recursive: true });
+    _watcher = fs.watch(REGISTRY_DIR, { persistent: false }, (_event, filename) => {
+      if (filename && filename !== path.basename(REGISTRY_FILE)) return;
+      clearTimeout(_reloadTimer);
+      _reloadTimer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+    });
+    _watcher.on('error', (err) => console.warn('[ServiceRegistry] watch error:', err.message));
+  } catch (err) {
+    console.warn('[ServiceRegistry] Could not watch services.json:', err.message);
+  }
+}
+
+function unwatch() {
+  clearTimeout(_reloadTimer);
+  if (_watcher) { _watcher.close(); _watcher = null; }
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  get,
+  list,
+  names,
+  url,
+  authHeaders,
+  requestOptions,
+  responseSchema,
+  port,
+  reload,
+  onChange,
+  watch,
+  unwatch,
+};
@@ -0,0 +1,162 @@
+/**
+ * serviceSchemas.js — Response schemas for MCP service actions
+ *
+ * Declares what the `data` of a successful response looks like, per
+ * service and action, so ThinkDropMCPClient can reject a malformed answer at
+ * the call site instead of letting it surface later as a TypeError deep inside
+ * a node. Actions without a schema are not checked.
+ *
+ * Schemas use a small JSON Schema subset:
+ *   type        — 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null', or a list of them
+ *   properties  — per-key schemas (keys are optional unless listed in `required`)
+ *   required    — keys that must be present
+ *   items       — schema for every array element
+ *   enum        — allowed values
+ *   anyOf       — list of schemas, at least one must match
+ *
+ * The built-ins below cover the actions the main process reads fields from.
+ * services.json can add or replace them per entry:
+ *
+ *   "user-memory": { "url": "…", "responses": { "memory.search": { "type": "object", "required": ["results"] } } }
+ *
+ * (see serviceRegistry.responseSchema()).
+ */
+
+const SKILL_ROW = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    execPath: { type: ['string', 'null'] },
+  },
+};
+
+/** service → action → schema for the response `data` */
+const BUILTIN_SCHEMAS = {
+  'user-memory': {
+    'skill.list': {
+      anyOf: [
+        { type: 'array', items: SKILL_ROW },
+        { type: 'object', required: ['results'], properties: { results: { type: 'array', items: SKILL_ROW } } },
+      ],
+    },
+    'skill.get': {
+      type: ['object', 'null'],
+      properties: {
+        name: { type: 'string' },
+        contractMd: { type: ['string', 'null'] },
+      },
+    },
+    'profile.get': {
+      type: ['object', 'null'],
+      properties: { valueRef: { type: ['string', 'null'] } },
+    },
+    'profile.list': {
+      type: 'object',
+      properties: {
+        entries: { type: 'array', items: { type: 'object', required: ['key'], properties: { key: { type: 'string' } } } },
+      },
+    },
+    'pending_tasks.list': {
+      type: 'object',
+      properties: { tasks: { type: 'array', items: { type: 'object' } } },
+    },
+  },
+  'conversation': {
+    'session.searchSemantic': {
+      type: ['object', 'null'],
+      properties: {
+        sessionId: { type: ['string', 'null'] },
+        score: { type: ['number', 'null'] },
+        title: { type: ['string', 'null'] },
+      },
+    },
+    'message.add': { type: ['object', 'null'] },
+  },
+};
+
+const MAX_ISSUES = 10;
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function _typeMatches(expected, value) {
+  const actual = _typeOf(value);
+  if (expected === 'integer') return Number.isInteger(value);
+  if (expected === 'number') return actual === 'number' && Number.isFinite(value);
+  return expected === actual;
+}
+
+function _check(schema, value, at, issues) {
+  if (!schema || issues.length >= MAX_ISSUES) return;
+
+  if (Array.isArray(schema.anyOf)) {
+    // Report the closest shape's mismatches rather than a bare "no match" —
+    // a shape whose top-level type already differs is the furthest away
+    let closest = null;
+    let closestScore = Infinity;
+    for (const sub of schema.anyOf) {
+      const subIssues = [];
+      _check(sub, value, at, subIssues);
+      if (subIssues.length === 0) return;
+      const score = subIssues.length + (subIssues.some(i => i.startsWith(`${at}: expected`)) ? MAX_ISSUES : 0);
+      if (score < closestScore) { closest = subIssues; closestScore = score; }
+    }
+    if (closest) issues.push(...closest.slice(0, MAX_ISSUES - issues.length));
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => _typeMatches(t, value))) {
+      issues.push(`${at}: expected ${types.join(' | ')}, got ${_typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    issues.push(`${at}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (_typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) issues.push(`${at}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) _check(sub, value[key], `${at}.${key}`, issues);
+    }
+  } else if (_typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, idx) => _check(schema.items, item, `${at}[${idx}]`, issues));
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [root]  Name of the value in issue paths (default 'data')
+ * @returns {string[]} issues — empty when the value is valid
+ */
+function validate(schema, value, root = 'data') {
+  const issues = [];
+  _check(schema, value, root, issues);
+  return issues;
+}
+
+/**
+ * Built-in schema for a service action, or null.
+ * @param {string} serviceName
+ * @param {string} action
+ */
+function builtin(serviceName, action) {
+  const forService = BUILTIN_SCHEMAS[serviceName];
+  return (forService && forService[action]) || null;
+}
+
+module.exports = { BUILTIN_SCHEMAS, validate, builtin };
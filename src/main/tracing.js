@@ -0,0 +1,430 @@
+/**
+ * tracing.js — Per-run trace context and local span recording
+ *
+ * promptQueue opens one trace per run attempt of a queue item and runs the
+ * item inside it (AsyncLocalStorage), so everything the run does — StateGraph
+ * nodes, ThinkDropMCPClient calls, serviceRegistry requests — finds the trace
+ * without it being threaded through by hand.
+ *
+ *   trace  { traceId, queueId, prompt, attempt, startedAt, endedAt, status,
+ *            error, spans, events }
+ *   span   { id, parentId, name, kind, service, action, start, end,
+ *            durationMs, status, error, attrs }
+ *   event  { t, name, source, attrs }   — overlay callbacks (/agent-turn, …)
+ *
+ * Span kinds: 'run' (the root), 'node' (a StateGraph node), 'mcp' (one call
+ * to an MCP service, retries included). An MCP span is parented to the node
+ * that was running when it started. `start`/`end` are ms offsets from the
+ * trace start, which is what the trace viewer draws.
+ *
+ * Outgoing requests carry the context as headers:
+ *   traceparent           — W3C trace context, 00-<traceId>-<spanId>-01
+ *   x-thinkdrop-trace-id  — the bare trace id
+ *   x-thinkdrop-queue-id  — the prompt queue item id
+ * Services echo them on their overlay callbacks so those events land on the
+ * right trace (see fromHeaders()).
+ *
+ * Finished traces are written to ~/.thinkdrop/traces/<traceId>.json; the
+ * newest MAX_TRACES are kept. list() answers from an in-memory index of their
+ * summaries, read from disk once (asynchronously) and kept up by endTrace().
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const TRACES_DIR  = path.join(os.homedir(), '.thinkdrop', 'traces');
+const MAX_TRACES  = 200;
+const MAX_SPANS   = 2000;
+const MAX_EVENTS  = 500;
+const MAX_ATTR_CHARS = 300;
+const TRACEPARENT_RE = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+const _storage = new AsyncLocalStorage();
+
+/** Open traces by traceId */
+const _open = new Map();
+
+/** Summaries of stored traces by traceId — filled by _loadIndex() and endTrace() */
+const _index = new Map();
+/** @type {Promise<void>|null} */
+let _indexLoad = null;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function _hexId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function _clip(value) {
+  if (value == null) return undefined;
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return str.length > MAX_ATTR_CHARS ? `${str.slice(0, MAX_ATTR_CHARS)}…` : str;
+}
+
+function _ensureDir() {
+  if (!fs.existsSync(TRACES_DIR)) fs.mkdirSync(TRACES_DIR, { recursive: true });
+}
+
+function _file(traceId) {
+  return path.join(TRACES_DIR, `${traceId}.json`);
+}
+
+function _resolve(traceOrId) {
+  if (!traceOrId) return null;
+  return typeof traceOrId === 'string' ? _open.get(traceOrId) || null : traceOrId;
+}
+
+/** Public shape of a trace — drops the bookkeeping fields */
+function _serialize(trace) {
+  const { _openNodes, _rootStart, ...rest } = trace;
+  return rest;
+}
+
+/** list() entry for a trace — everything but its spans and events */
+function _summary({ spans, events, _openNodes, _rootStart, ...summary }) {
+  return { ...summary, spanCount: (spans || []).length };
+}
+
+/** Read the summaries of the traces on disk — once, without blocking the main process. */
+function _loadIndex() {
+  if (!_indexLoad) {
+    _indexLoad = (async () => {
+      let files = [];
+      try {
+        files = (await fs.promises.readdir(TRACES_DIR)).filter(f => f.endsWith('.json'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('[Tracing] index load failed:', err.message);
+      }
+      for (const f of files) {
+        try {
+          const trace = JSON.parse(await fs.promises.readFile(path.join(TRACES_DIR, f), 'utf8'));
+          // endTrace() may have indexed a newer write meanwhile
+          if (trace && trace.traceId && !_index.has(trace.traceId)) _index.set(trace.traceId, _summary(trace));
+        } catch (_) { /* half-written, corrupt or pruned meanwhile — skip */ }
+      }
+    })();
+  }
+  return _indexLoad;
+}
+
+/** Keep the newest MAX_TRACES stored traces — decided from the index, so only evicted files are touched. */
+async function _prune() {
+  await _loadIndex();
+  const evicted = Array.from(_index.values())
+    .sort((a, b) => (b.endedAt || b.startedAt || 0) - (a.endedAt || a.startedAt || 0))
+    .slice(MAX_TRACES);
+  for (const { traceId } of evicted) {
+    _index.delete(traceId);
+    try {
+      await fs.promises.unlink(_file(traceId));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[Tracing] prune of ${traceId} failed:`, err.message);
+    }
+  }
+}
+
+// ── Traces ───────────────────────────────────────────────────────────────────
+
+/**
+ * Open a trace for one run attempt of a prompt queue item.
+ * @param {{ queueId?: string, prompt?: string, attempt?: number, source?: string|null }} [opts]
+ * @returns {object} trace
+ */
+function startTrace({ queueId = null, prompt = '', attempt = 1, source = null } = {}) {
+  const now = Date.now();
+  const traceId = _hexId(16);
+  const rootId = _hexId(8);
+  const trace = {
+    traceId,
+    queueId,
+    prompt: String(prompt || '').slice(0, 500),
+    attempt,
+    source,
+    startedAt: now,
+    endedAt: null,
+    status: 'running',
+    error: null,
+    rootSpanId: rootId,
+    spans: [{ id: rootId, parentId: null, name: 'run', kind: 'run', start: 0, end: null, durationMs: null, status: 'running' }],
+    events: [],
+    _openNodes: [],
+    _rootStart: now,
+  };
+  _open.set(traceId, trace);
+  return trace;
+}
+
+/**
+ * Run `fn` with `trace` as the current trace. Async work started by `fn`
+ * (promises, timers, callbacks) keeps seeing it.
+ */
+function run(trace, fn) {
+  if (!trace) return fn();
+  return _storage.run({ trace, spanId: null }, fn);
+}
+
+/** The trace of the code currently running, or null. */
+function current() {
+  const ctx = _storage.getStore();
+  return ctx ? ctx.trace : null;
+}
+
+/** The open trace of a prompt queue item, or null. */
+function forQueueItem(queueId) {
+  if (!queueId) return null;
+  for (const trace of _open.values()) if (trace.queueId === queueId) return trace;
+  return null;
+}
+
+/**
+ * Close a trace and write it to disk. Spans still open are closed with the
+ * trace's status. Safe to call twice — the second call is a no-op.
+ * @param {object|string} traceOrId
+ * @param {{ status?: 'ok'|'error'|'cancelled', error?: string }} [opts]
+ */
+function endTrace(traceOrId, { status = 'ok', error = null } = {}) {
+  const trace = _resolve(traceOrId);
+  if (!trace || trace.endedAt) return;
+  const now = Date.now();
+  const t = now - trace._rootStart;
+  trace.endedAt = now;
+  trace.status = status;
+  trace.error = error ? _clip(error) : null;
+  for (const span of trace.spans) {
+    if (span.end != null) continue;
+    span.end = t;
+    span.durationMs = t - span.start;
+    span.status = span.kind === 'run' ? status : (status === 'ok' ? 'unfinished' : status);
+  }
+  trace._openNodes.length = 0;
+  _open.delete(trace.traceId);
+
+  try {
+    _ensureDir();
+    fs.writeFileSync(_file(trace.traceId), JSON.stringify(_serialize(trace)), 'utf8');
+    _index.set(trace.traceId, _summary(trace));
+    _prune().catch(err => console.warn('[Tracing] prune failed:', err.message));
+  } catch (err) {
+    console.warn(`[Tracing] Failed to save trace ${trace.traceId}:`, err.message);
+  }
+  console.log(`[Tracing] Trace ${trace.traceId} ${status} — ${trace.spans.length} span(s) in ${t}ms${trace.queueId ? ` (queue ${trace.queueId})` : ''}`);
+}
+
+// ── Spans ────────────────────────────────────────────────────────────────────
+
+const NOOP_SPAN = Object.freeze({ id: null, traceId: null, end() {} });
+
+/**
+ * Open a span on the current trace (or `opts.trace`). Returns a handle whose
+ * end() closes it; without a trace the handle is a no-op.
+ *
+ * @param {string} name
+ * @param {Object} [opts]
+ * @param {'node'|'mcp'|string} [opts.kind]
+ * @param {string} [opts.service]
+ * @param {string} [opts.action]
+ * @param {Object} [opts.attrs]
+ * @param {object} [opts.trace]
+ * @returns {{ id: string|null, traceId: string|null, end: (opts?: { status?: string, error?: string, attrs?: Object }) => void }}
+ */
+function startSpan(name, { kind = 'internal', service, action, attrs, trace: explicit } = {}) {
+  const trace = explicit || current();
+  if (!trace || trace.endedAt || trace.spans.length >= MAX_SPANS) return NOOP_SPAN;
+
+  // MCP calls hang off the innermost node that is running
+  const parentId = kind === 'node'
+    ? trace.rootSpanId
+    : (trace._openNodes[trace._openNodes.length - 1] || {}).id || trace.rootSpanId;
+  const span = {
+    id: _hexId(8),
+    parentId,
+    name,
+    kind,
+    start: Date.now() - trace._rootStart,
+    end: null,
+    durationMs: null,
+    status: 'running',
+  };
+  if (service) span.service = service;
+  if (action) span.action = action;
+  if (attrs) span.attrs = { ...attrs };
+  trace.spans.push(span);
+  if (kind === 'node') trace._openNodes.push(span);
+
+  return {
+    id: span.id,
+    traceId: trace.traceId,
+    end({ status = 'ok', error, attrs: endAttrs } = {}) {
+      if (span.end != null) return;
+      span.end = Date.now() - trace._rootStart;
+      span.durationMs = span.end - span.start;
+      span.status = status;
+      if (error) span.error = _clip(error);
+      if (endAttrs) span.attrs = { ...(span.attrs || {}), ...endAttrs };
+      const idx = trace._openNodes.indexOf(span);
+      if (idx !== -1) trace._openNodes.splice(idx, 1);
+    },
+  };
+}
+
+/**
+ * Run `fn` with `span` as the current span, so headers() inside it name the
+ * span as the parent of the outgoing request.
+ */
+function withSpan(span, fn) {
+  const ctx = _storage.getStore();
+  if (!ctx || !span || !span.id) return fn();
+  return _storage.run({ trace: ctx.trace, spanId: span.id }, fn);
+}
+
+/**
+ * Feed a StateGraph onProgress callback into the current trace: 'started'
+ * opens a node span, 'completed' closes it. A node whose start wasn't seen is
+ * recorded from its reported duration.
+ *
+ * @param {string} nodeName
+ * @param {string} phase
+ * @param {number} [durationMs]
+ * @param {{ error?: string }} [opts]
+ */
+function recordNode(nodeName, phase, durationMs, { error } = {}) {
+  const trace = current();
+  if (!trace || trace.endedAt) return;
+  if (phase === 'started') {
+    startSpan(nodeName, { kind: 'node', trace });
+    return;
+  }
+  if (phase !== 'completed') return;
+
+  const open = trace._openNodes.find(s => s.name === nodeName);
+  if (open) {
+    open.end = Date.now() - trace._rootStart;
+    open.durationMs = open.end - open.start;
+    open.status = error ? 'error' : 'ok';
+    if (error) open.error = _clip(error);
+    trace._openNodes.splice(trace._openNodes.indexOf(open), 1);
+    return;
+  }
+  if (trace.spans.length >= MAX_SPANS) return;
+  const end = Date.now() - trace._rootStart;
+  const duration = Math.max(0, Math.min(durationMs || 0, end));
+  trace.spans.push({
+    id: _hexId(8),
+    parentId: trace.rootSpanId,
+    name: nodeName,
+    kind: 'node',
+    start: end - duration,
+    end,
+    durationMs: duration,
+    status: error ? 'error' : 'ok',
+    ...(error ? { error: _clip(error) } : {}),
+  });
+}
+
+/**
+ * Attach a point-in-time event (e.g. an overlay callback) to an open trace.
+ * @param {object|string} traceOrId
+ * @param {string} name
+ * @param {{ source?: string, attrs?: Object }} [opts]
+ */
+function recordEvent(traceOrId, name, { source = null, attrs } = {}) {
+  const trace = _resolve(traceOrId);
+  if (!trace || trace.endedAt || trace.events.length >= MAX_EVENTS) return;
+  const event = { t: Date.now() - trace._rootStart, name };
+  if (source) event.source = source;
+  if (attrs) {
+    event.attrs = {};
+    for (const [k, v] of Object.entries(attrs)) if (v != null) event.attrs[k] = _clip(v);
+  }
+  trace.events.push(event);
+}
+
+// ── Propagation ──────────────────────────────────────────────────────────────
+
+/**
+ * Trace headers for an outgoing request from the current context ({} when
+ * there is no trace).
+ * @param {{ id: string|null }} [span]  Parent span for the request; defaults to the current span
+ * @returns {Object<string, string>}
+ */
+function headers(span) {
+  const ctx = _storage.getStore();
+  if (!ctx || !ctx.trace) return {};
+  const { trace } = ctx;
+  const spanId = (span && span.id) || ctx.spanId ||
+    (trace._openNodes[trace._openNodes.length - 1] || {}).id || trace.rootSpanId;
+  const out = {
+    'traceparent': `00-${trace.traceId}-${spanId}-01`,
+    'x-thinkdrop-trace-id': trace.traceId,
+  };
+  if (trace.queueId) out['x-thinkdrop-queue-id'] = String(trace.queueId);
+  return out;
+}
+
+/**
+ * Read the trace context off incoming request headers.
+ * @param {Object} reqHeaders  Node's lower-cased IncomingMessage headers
+ * @returns {{ traceId: string, parentId: string|null, queueId: string|null }|null}
+ */
+function fromHeaders(reqHeaders = {}) {
+  const match = TRACEPARENT_RE.exec(String(reqHeaders['traceparent'] || '').trim().toLowerCase());
+  const traceId = match ? match[1] : String(reqHeaders['x-thinkdrop-trace-id'] || '').trim().toLowerCase();
+  if (!traceId) return null;
+  return {
+    traceId,
+    parentId: match ? match[2] : null,
+    queueId: reqHeaders['x-thinkdrop-queue-id'] ? String(reqHeaders['x-thinkdrop-queue-id']) : null,
+  };
+}
+
+// ── Stored traces ────────────────────────────────────────────────────────────
+
+/**
+ * Trace summaries, newest first — open traces included.
+ * @param {{ queueId?: string, limit?: number }} [opts]
+ * @returns {Promise<Array<{ traceId, queueId, prompt, attempt, startedAt, endedAt, status, error, spanCount }>>}
+ */
+async function list({ queueId = null, limit = 50 } = {}) {
+  await _loadIndex();
+  const traces = [...Array.from(_open.values()).map(_summary), ..._index.values()];
+  return traces
+    .filter(t => !queueId || t.queueId === queueId)
+    .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0))
+    .slice(0, limit);
+}
+
+/**
+ * A full trace by id, open or stored.
+ * @param {string} traceId
+ * @returns {object|null}
+ */
+function get(traceId) {
+  if (!traceId || !/^[0-9a-f]{32}$/.test(traceId)) return null;
+  const open = _open.get(traceId);
+  if (open) return _serialize({ ...open, spans: open.spans.map(s => ({ ...s })), events: open.events.slice() });
+  try {
+    return JSON.parse(fs.readFileSync(_file(traceId), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  TRACES_DIR,
+  startTrace,
+  run,
+  current,
+  forQueueItem,
+  endTrace,
+  startSpan,
+  withSpan,
+  recordNode,
+  recordEvent,
+  headers,
+  fromHeaders,
+  list,
+  get,
+};
@@ -2,8 +2,8 @@ import React, { useEffect, useState, useRef } from 'react';
 import { RichContentRenderer } from './rich-content';
 import AutomationProgress from './AutomationProgress';
 import { playDropSound } from '../utils/thinkDropSound';
-import { TabBar, QueueTab, CronTab, SkillsTab, StoreTab, ConnectionsTab, PromptQueueSection } from './TabComponents';
-import type { TabId, QueueItem, CronItem, SkillItem, PromptQueueItem, ConnectionItem } from './TabComponents';
+import { TabBar, QueueTab, CronTab, SkillsTab, StoreTab, ConnectionsTab, PromptQueueSection, FailedPromptsSection, PromptResultsSection } from './TabComponents';
+import type { TabId, QueueItem, CronItem, SkillItem, PromptQueueItem, PromptQueueLive, ConnectionItem, PromptResultSummary, PromptResultRecord } from './TabComponents';
 
 const ipcRenderer = (window as any).electron?.ipcRenderer;
 
@@ -54,10 +54,40 @@ export default function ResultsWindow() {
   // ── Prompt Queue (serial stategraph runner) ──────────────────────────────
   // Items here are pending/running prompts waiting for stategraph execution
   const [promptQueueItems, setPromptQueueItems] = useState<PromptQueueItem[]>([]);
+  // Live answer / step per running item — every run streams here, overlay owner or not
+  const [promptQueueLive, setPromptQueueLive] = useState<Record<string, PromptQueueLive>>({});
+  const [failedPromptItems, setFailedPromptItems] = useState<PromptQueueItem[]>([]);
+  const [promptResults, setPromptResults] = useState<PromptResultSummary[]>([]);
+  const [promptResultsQuery, setPromptResultsQuery] = useState('');
+  const promptResultsQueryRef = useRef('');
   // Restart alert: shown when app restarts with unfinished prompts from last session
   const [restartAlert, setRestartAlert] = useState<{ items: PromptQueueItem[]; countdownSec: number } | null>(null);
   const restartCountdownRef = useRef<ReturnType<typeof setInterval> | null>(null);
 
+  const refreshPromptResults = async (query = promptResultsQueryRef.current) => {
+    const items = await ipcRenderer?.invoke('prompt-results:search', { query, limit: 50 });
+    if (Array.isArray(items)) setPromptResults(items);
+  };
+
+  const handlePromptResultsQuery = (query: string) => {
+    promptResultsQueryRef.current = query;
+    setPromptResultsQuery(query);
+    refreshPromptResults(query);
+  };
+
+  // Re-open an archived prompt result in the Results tab
+  const openPromptResult = (record: PromptResultRecord) => {
+    streamingStartedRef.current = true;
+    isQueuedTaskRef.current = false;
+    setPromptText(record.prompt);
+    setStreamingResponse(record.answer || record.error || '');
+    setIsThinking(false);
+    setIsStreaming(false);
+    setIsAutomationMode(false);
+    activeTabRef.current = 'results';
+    setActiveTab('results');
+  };
+
   const handleTabSelect = (tab: TabId) => {
     activeTabRef.current = tab;
     setActiveTab(tab);
@@ -68,6 +98,10 @@ export default function ResultsWindow() {
     if (tab === 'cron') {
       ipcRenderer?.send('cron:list');
     }
+    if (tab === 'queue') {
+      ipcRenderer?.send('prompt-queue:failed:list');
+      refreshPromptResults();
+    }
     if (tab === 'connections') {
       ipcRenderer?.send('connections:list');
     }
@@ -92,13 +126,25 @@ export default function ResultsWindow() {
   } | null>(null);
   const cronStatusTimerRef = React.useRef<ReturnType<typeof setTimeout> | null>(null);
 
-  // Pending schedule notification (app was opened and a launchd schedule is registered)
-  const [schedulePending, setSchedulePending] = useState<{
+  // Pending schedule notifications (app was opened with one or more stored schedules)
+  const [schedulePending, setSchedulePending] = useState<Array<{
     id: string;
     label: string;
     targetTime: string;
+    status: 'upcoming' | 'due' | 'missed';
     prompt: string;
-  } | null>(null);
+  }>>([]);
+
+  // Schedules missed while the app was closed / machine asleep — run or drop each
+  const [scheduleMissed, setScheduleMissed] = useState<Array<{
+    id: string;
+    label: string;
+    policy: 'skip' | 'run_once' | 'run_all';
+    missedCount: number;
+    runCount: number;
+    lastMissedTime: string;
+    decision: 'run' | 'drop' | 'skipped' | null;
+  }>>([]);
 
   // Install confirmation card state
   const [installPrompt, setInstallPrompt] = useState<{
@@ -348,7 +394,12 @@ export default function ResultsWindow() {
     };
 
     const handleSchedulePending = (_event: any, data: any) => {
-      setSchedulePending({ id: data.id, label: data.label, targetTime: data.targetTime, prompt: data.prompt || '' });
+      const entry = { id: data.id, label: data.label, targetTime: data.targetTime, status: data.status || 'upcoming', prompt: data.prompt || '' };
+      setSchedulePending(prev => [...prev.filter(p => p.id !== entry.id), entry]);
+    };
+
+    const handleScheduleMissed = (_event: any, items: any[]) => {
+      setScheduleMissed(Array.isArray(items) ? items : []);
     };
 
     const handleQueueUpdate = (_event: any, items: QueueItem[]) => {
@@ -364,6 +415,39 @@ export default function ResultsWindow() {
     const handlePromptQueueUpdate = (_event: any, items: PromptQueueItem[]) => {
       setPromptQueueItems(items);
       if (items.length > 0) markUnread('queue');
+      // Drop previews of runs that are no longer running
+      setPromptQueueLive(prev => {
+        const running = new Set(items.filter(i => i.status === 'running').map(i => i.id));
+        const ids = Object.keys(prev);
+        if (ids.every(id => running.has(id))) return prev;
+        const next: Record<string, PromptQueueLive> = {};
+        ids.filter(id => running.has(id)).forEach(id => { next[id] = prev[id]; });
+        return next;
+      });
+    };
+
+    const handlePromptQueueRun = (_event: any, out: { queueId: string; type: 'token' | 'progress'; text?: string; event?: any }) => {
+      setPromptQueueLive(prev => {
+        const cur = prev[out.queueId] || { answer: '', step: null };
+        if (out.type === 'token') {
+          // Keep only the tail the card shows
+          return { ...prev, [out.queueId]: { ...cur, answer: (cur.answer + (out.text || '')).slice(-2000) } };
+        }
+        const ev = out.event || {};
+        if (ev.type !== 'step_start' && ev.type !== 'plan:step_start') return prev;
+        return { ...prev, [out.queueId]: { ...cur, step: ev.description || ev.title || ev.skill || 'step' } };
+      });
+    };
+
+    const handlePromptQueueFailed = (_event: any, items: PromptQueueItem[]) => {
+      setFailedPromptItems(prev => {
+        if (items.some(i => !prev.find(p => p.id === i.id))) markUnread('queue');
+        return items;
+      });
+    };
+
+    const handlePromptResultsUpdate = () => {
+      refreshPromptResults();
     };
 
     const handleRestartAlert = (_event: any, { items }: { items: PromptQueueItem[]; countdownMs: number }) => {
@@ -439,6 +523,7 @@ export default function ResultsWindow() {
     ipcRenderer.on('results-window:show', handleWindowShow);
     ipcRenderer.on('automation:progress', handleAutomationProgress);
     ipcRenderer.on('schedule:pending', handleSchedulePending);
+    ipcRenderer.on('schedule:missed', handleScheduleMissed);
     ipcRenderer.on('bridge:status', handleBridgeStatus);
     ipcRenderer.on('queue:update', handleQueueUpdate);
     ipcRenderer.on('cron:update', handleCronUpdate);
@@ -447,8 +532,13 @@ export default function ResultsWindow() {
     ipcRenderer.on('connections:update', handleConnectionsUpdate);
     ipcRenderer.on('skill:store-trigger', handleSkillStoreTrigger);
     ipcRenderer.on('prompt-queue:update', handlePromptQueueUpdate);
+    ipcRenderer.on('prompt-queue:run', handlePromptQueueRun);
     ipcRenderer.on('prompt-queue:restart-alert', handleRestartAlert);
     ipcRenderer.on('prompt-queue:restart-cancel', handleRestartCancel);
+    ipcRenderer.on('prompt-queue:failed', handlePromptQueueFailed);
+    ipcRenderer.on('prompt-results:update', handlePromptResultsUpdate);
+    ipcRenderer.send('prompt-queue:failed:list');
+    refreshPromptResults();
     ipcRenderer.on('reminder:play-sound', () => { playDropSound(); });
   
     return () => {
@@ -458,6 +548,7 @@ export default function ResultsWindow() {
         ipcRenderer.removeListener('results-window:show', handleWindowShow);
         ipcRenderer.removeListener('automation:progress', handleAutomationProgress);
         ipcRenderer.removeListener('schedule:pending', handleSchedulePending);
+        ipcRenderer.removeListener('schedule:missed', handleScheduleMissed);
         ipcRenderer.removeListener('bridge:status', handleBridgeStatus);
         ipcRenderer.removeListener('queue:update', handleQueueUpdate);
         ipcRenderer.removeListener('cron:update', handleCronUpdate);
@@ -466,8 +557,11 @@ export default function ResultsWindow() {
         ipcRenderer.removeListener('connections:update', handleConnectionsUpdate);
         ipcRenderer.removeListener('skill:store-trigger', handleSkillStoreTrigger);
         ipcRenderer.removeListener('prompt-queue:update', handlePromptQueueUpdate);
+        ipcRenderer.removeListener('prompt-queue:run', handlePromptQueueRun);
         ipcRenderer.removeListener('prompt-queue:restart-alert', handleRestartAlert);
         ipcRenderer.removeListener('prompt-queue:restart-cancel', handleRestartCancel);
+        ipcRenderer.removeListener('prompt-queue:failed', handlePromptQueueFailed);
+        ipcRenderer.removeListener('prompt-results:update', handlePromptResultsUpdate);
       }
     };
   }, []);
@@ -1237,7 +1331,26 @@ export default function ResultsWindow() {
         )}
         <PromptQueueSection
           items={promptQueueItems}
+          live={promptQueueLive}
           onCancel={(id) => ipcRenderer?.send('prompt-queue:cancel', { id })}
+          onMove={(id, direction) => ipcRenderer?.send('prompt-queue:move', { id, direction })}
+          onPin={(id, pinned) => ipcRenderer?.send('prompt-queue:pin', { id, pinned })}
+        />
+        <FailedPromptsSection
+          items={failedPromptItems}
+          onRetry={(id) => ipcRenderer?.send('prompt-queue:failed:retry', { id })}
+          onDiscard={(id) => ipcRenderer?.send('prompt-queue:failed:discard', { id })}
+          onDiscardAll={() => ipcRenderer?.send('prompt-queue:failed:discard', {})}
+        />
+        <PromptResultsSection
+          items={promptResults}
+          query={promptResultsQuery}
+          onQueryChange={handlePromptResultsQuery}
+          onLoad={(id) => ipcRenderer?.invoke('prompt-results:get', { id })}
+          onOpen={openPromptResult}
+          onOpenFile={(filePath) => ipcRenderer?.invoke('shell:open-path', filePath)}
+          onListTraces={async (queueId) => (await ipcRenderer?.invoke('trace:list', { queueId })) || []}
+          onLoadTrace={(traceId) => ipcRenderer?.invoke('trace:get', { traceId })}
         />
         <QueueTab
           items={queueItems}
@@ -1323,9 +1436,9 @@ export default function ResultsWindow() {
         style={{ display: activeTab === 'results' ? 'flex' : 'none', flexDirection: 'column' }}
       >
         <div ref={contentRef}>
-          {/* Pending schedule notification — shown when app opens with a launchd task registered */}
-          {schedulePending && (
-            <div style={{ marginBottom: 12, padding: '12px 14px', borderRadius: 10, backgroundColor: 'rgba(139,92,246,0.08)', border: '1px solid rgba(139,92,246,0.3)' }}>
+          {/* Pending schedule notifications — one per stored schedule when the app opens */}
+          {schedulePending.map(pending => (
+            <div key={pending.id} style={{ marginBottom: 12, padding: '12px 14px', borderRadius: 10, backgroundColor: 'rgba(139,92,246,0.08)', border: '1px solid rgba(139,92,246,0.3)' }}>
               <div className="flex items-start gap-3">
                 <div style={{ width: 28, height: 28, borderRadius: 7, backgroundColor: 'rgba(139,92,246,0.15)', border: '1px solid rgba(139,92,246,0.3)', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
                   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="#a78bfa" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -1334,15 +1447,19 @@ export default function ResultsWindow() {
                 </div>
                 <div className="flex-1 min-w-0">
                   <div style={{ color: '#c4b5fd', fontSize: '0.8rem', fontWeight: 600, marginBottom: 2 }}>
-                    Scheduled task queued
+                    {pending.status === 'missed' ? 'Scheduled task missed' : 'Scheduled task queued'}
                   </div>
                   <div style={{ color: '#9ca3af', fontSize: '0.72rem', marginBottom: 8, lineHeight: 1.4 }}>
-                    <strong style={{ color: '#e5e7eb' }}>{schedulePending.label}</strong> will run automatically at <strong style={{ color: '#a78bfa' }}>{schedulePending.targetTime}</strong> via macOS launchd — even if this app is closed.
+                    {pending.status === 'missed' ? (
+                      <><strong style={{ color: '#e5e7eb' }}>{pending.label}</strong> was due at <strong style={{ color: '#a78bfa' }}>{pending.targetTime}</strong> while ThinkDrop was closed.</>
+                    ) : (
+                      <><strong style={{ color: '#e5e7eb' }}>{pending.label}</strong> will run automatically at <strong style={{ color: '#a78bfa' }}>{pending.targetTime}</strong> — even if this app is closed.</>
+                    )}
                   </div>
                   <button
                     onClick={() => {
-                      ipcRenderer?.send('schedule:dismiss', { id: schedulePending.id });
-                      setSchedulePending(null);
+                      ipcRenderer?.send('schedule:dismiss', { id: pending.id });
+                      setSchedulePending(prev => prev.filter(p => p.id !== pending.id));
                     }}
                     style={{ padding: '3px 10px', borderRadius: 5, backgroundColor: 'rgba(139,92,246,0.15)', border: '1px solid rgba(139,92,246,0.3)', color: '#a78bfa', fontSize: '0.72rem', cursor: 'pointer' }}
                   >
@@ -1351,6 +1468,65 @@ export default function ResultsWindow() {
                 </div>
               </div>
             </div>
+          ))}
+
+          {/* Missed while you were away — one row per missed schedule, run or drop */}
+          {scheduleMissed.length > 0 && (
+            <div style={{ marginBottom: 12, padding: '12px 14px', borderRadius: 10, backgroundColor: 'rgba(245,158,11,0.06)', border: '1px solid rgba(245,158,11,0.25)' }}>
+              <div className="flex items-center justify-between" style={{ marginBottom: 8 }}>
+                <div style={{ color: '#fbbf24', fontSize: '0.8rem', fontWeight: 600 }}>
+                  Missed while you were away
+                </div>
+                {scheduleMissed.every(m => m.decision) && (
+                  <button
+                    onClick={() => setScheduleMissed([])}
+                    style={{ padding: '2px 8px', borderRadius: 5, backgroundColor: 'transparent', border: '1px solid rgba(255,255,255,0.1)', color: '#6b7280', fontSize: '0.68rem', cursor: 'pointer' }}
+                  >
+                    Close
+                  </button>
+                )}
+              </div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                {scheduleMissed.map(missed => (
+                  <div key={missed.id} className="flex items-center gap-2">
+                    <div className="flex-1 min-w-0">
+                      <div style={{ color: '#e5e7eb', fontSize: '0.72rem', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {missed.label}
+                      </div>
+                      <div style={{ color: '#6b7280', fontSize: '0.65rem' }}>
+                        {missed.missedCount > 1 ? `missed ${missed.missedCount}× · last ${missed.lastMissedTime}` : `missed ${missed.lastMissedTime}`}
+                      </div>
+                    </div>
+                    {missed.decision ? (
+                      <span style={{ color: missed.decision === 'run' ? '#4ade80' : '#6b7280', fontSize: '0.65rem', flexShrink: 0 }}>
+                        {missed.decision === 'run' ? 'Running' : missed.decision === 'skipped' ? 'Skipped by policy' : 'Dropped'}
+                      </span>
+                    ) : (
+                      <div style={{ display: 'flex', gap: 4, flexShrink: 0 }}>
+                        <button
+                          onClick={() => {
+                            ipcRenderer?.send('schedule:missed-decision', { id: missed.id, decision: 'run' });
+                            setScheduleMissed(prev => prev.map(m => m.id === missed.id ? { ...m, decision: 'run' } : m));
+                          }}
+                          style={{ padding: '3px 10px', borderRadius: 5, backgroundColor: 'rgba(74,222,128,0.1)', border: '1px solid rgba(74,222,128,0.3)', color: '#4ade80', fontSize: '0.68rem', cursor: 'pointer' }}
+                        >
+                          {missed.runCount > 1 ? `Run ×${missed.runCount}` : 'Run'}
+                        </button>
+                        <button
+                          onClick={() => {
+                            ipcRenderer?.send('schedule:missed-decision', { id: missed.id, decision: 'drop' });
+                            setScheduleMissed(prev => prev.map(m => m.id === missed.id ? { ...m, decision: 'drop' } : m));
+                          }}
+                          style={{ padding: '3px 10px', borderRadius: 5, backgroundColor: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.1)', color: '#9ca3af', fontSize: '0.68rem', cursor: 'pointer' }}
+                        >
+                          Drop
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
           )}
 
           {/* Bridge listener status pill — watching indicator with optional inline cron job status */}
@@ -15,6 +15,222 @@ const PLAN_APPROVAL_OPTIONS: { value: PlanApprovalMode; label: string; desc: str
   { value: 'auto',       label: 'Auto-approve all',     desc: 'Plans execute immediately without review' },
 ];
 
+interface PoolStats {
+  requests: number;
+  newConnections: number;
+  reusedConnections: number;
+  reuseRate: number | null;
+  errors: number;
+  staleRetries: number;
+  healthChecks: number;
+  coalescedHealthChecks: number;
+  activeSockets: number;
+  freeSockets: number;
+  queuedRequests: number;
+}
+
+interface ServiceDiagnostics {
+  services: { name: string; url: string; maxSockets: number; healthy: boolean | null }[];
+  pool: Record<string, PoolStats>;
+  circuits: Record<string, { state: string; failures: number; lastError: string | null }>;
+  checkedAt: number;
+}
+
+const DIAGNOSTICS_REFRESH_MS = 5000;
+
+const CIRCUIT_COLORS: Record<string, string> = {
+  closed: '#22c55e',
+  half_open: '#f59e0b',
+  open: '#ef4444',
+};
+
+function ServiceDiagnosticsSection() {
+  const [diag, setDiag] = useState<ServiceDiagnostics | null>(null);
+  const [probing, setProbing] = useState(false);
+
+  const load = async (probe = false) => {
+    const res = await ipcRenderer?.invoke('mcp:diagnostics', { probe });
+    if (!res) return;
+    // Keep the last probe result when a plain refresh comes back without one
+    setDiag(prev => probe || !prev ? res : {
+      ...res,
+      services: res.services.map((s: ServiceDiagnostics['services'][number]) => ({
+        ...s,
+        healthy: prev.services.find(p => p.name === s.name)?.healthy ?? null,
+      })),
+    });
+  };
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(() => load(), DIAGNOSTICS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleProbe = async () => {
+    setProbing(true);
+    try { await load(true); } finally { setProbing(false); }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-300">Service Diagnostics</h3>
+        <button
+          onClick={handleProbe}
+          disabled={probing}
+          className="px-2 py-1 rounded text-xs text-gray-300 transition-colors"
+          style={{ backgroundColor: 'rgba(255, 255, 255, 0.08)', opacity: probing ? 0.5 : 1 }}
+        >
+          {probing ? 'Checking…' : 'Check health'}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Connection reuse and circuit state per MCP service since launch.
+      </p>
+      <div className="space-y-2">
+        {(diag?.services || []).map((svc) => {
+          const pool = diag?.pool[svc.name];
+          const circuit = diag?.circuits[svc.name];
+          const state = circuit?.state || 'closed';
+          return (
+            <div
+              key={svc.name}
+              className="p-3 rounded-lg"
+              style={{ backgroundColor: 'rgba(255, 255, 255, 0.03)' }}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-300 font-medium">
+                  {svc.healthy !== null && (
+                    <span style={{ color: svc.healthy ? '#22c55e' : '#ef4444' }}>● </span>
+                  )}
+                  {svc.name}
+                </span>
+                <span className="text-xs font-mono" style={{ color: CIRCUIT_COLORS[state] || '#9ca3af' }}>
+                  {state.replace('_', '-')}
+                  {circuit?.failures ? ` · ${circuit.failures} failures` : ''}
+                </span>
+              </div>
+              <p className="text-xs text-gray-500 mt-0.5 font-mono">{svc.url}</p>
+              <div className="grid grid-cols-3 gap-2 mt-2 text-xs text-gray-400">
+                <span>{pool?.requests ?? 0} requests</span>
+                <span>
+                  {pool?.reuseRate != null ? `${Math.round(pool.reuseRate * 100)}%` : '—'} reused
+                </span>
+                <span>{pool?.errors ?? 0} errors</span>
+                <span>
+                  {pool?.activeSockets ?? 0}/{svc.maxSockets} sockets
+                  {pool?.queuedRequests ? ` · ${pool.queuedRequests} queued` : ''}
+                </span>
+                <span>{pool?.freeSockets ?? 0} idle</span>
+                <span>
+                  {pool?.coalescedHealthChecks ?? 0}/{pool?.healthChecks ?? 0} health coalesced
+                </span>
+              </div>
+              {circuit?.lastError && state !== 'closed' && (
+                <p className="text-xs mt-2" style={{ color: '#f87171' }}>{circuit.lastError}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+interface CryptoClient {
+  id: string;
+  scopes: string[];
+  rateLimitPerMinute: number;
+  lastSeenAt: number | null;
+  counts: { encrypt: number; decrypt: number; rotate: number; denied: number; limited: number };
+}
+
+interface CryptoAuditEntry {
+  ts: string;
+  client: string;
+  action: string;
+  namespace: string | null;
+  keyId: string | null;
+  ok: boolean;
+  error?: string;
+}
+
+const AUDIT_LIMIT = 50;
+
+function formatAuditTime(ts: string) {
+  const d = new Date(ts);
+  return d.toDateString() === new Date().toDateString()
+    ? d.toLocaleTimeString()
+    : d.toLocaleString();
+}
+
+function CredentialAccessSection() {
+  const [clients, setClients] = useState<CryptoClient[]>([]);
+  const [entries, setEntries] = useState<CryptoAuditEntry[]>([]);
+
+  const load = async () => {
+    const res = await ipcRenderer?.invoke('crypto:audit', { limit: AUDIT_LIMIT });
+    if (!res) return;
+    setClients(res.clients || []);
+    setEntries(res.entries || []);
+  };
+
+  useEffect(() => { load(); }, []);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-300">Credential Access</h3>
+        <button
+          onClick={load}
+          className="px-2 py-1 rounded text-xs text-gray-300 transition-colors"
+          style={{ backgroundColor: 'rgba(255, 255, 255, 0.08)' }}
+        >
+          Refresh
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Services allowed to use the credential store, and what they decrypted recently.
+      </p>
+
+      <div className="space-y-2 mb-3">
+        {clients.map((c) => (
+          <div
+            key={c.id}
+            className="flex items-center justify-between p-3 rounded-lg"
+            style={{ backgroundColor: 'rgba(255, 255, 255, 0.03)' }}
+          >
+            <div>
+              <span className="text-sm text-gray-300 font-medium">{c.id}</span>
+              <p className="text-xs text-gray-500 mt-0.5 font-mono">{c.scopes.join(' ')}</p>
+            </div>
+            <span className="text-xs text-gray-400 text-right">
+              {c.counts.decrypt} decrypts · {c.rateLimitPerMinute}/min
+              {c.counts.denied > 0 && <span style={{ color: '#f87171' }}> · {c.counts.denied} denied</span>}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-xs text-gray-500">No decrypts recorded yet.</p>
+      ) : (
+        <div className="rounded-lg overflow-hidden" style={{ backgroundColor: 'rgba(255, 255, 255, 0.03)' }}>
+          {entries.map((e, idx) => (
+            <div key={idx} className="flex items-center justify-between px-3 py-1.5 text-xs">
+              <span className="text-gray-400 font-mono">{formatAuditTime(e.ts)}</span>
+              <span className="text-gray-300">{e.client}</span>
+              <span className="text-gray-400">{e.action} {e.namespace || ''}</span>
+              <span style={{ color: e.ok ? '#22c55e' : '#f87171' }}>{e.ok ? 'ok' : (e.error || 'failed')}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export function SettingsTab() {
   const [shortcuts, setShortcuts] = useState<ShortcutItem[]>([
     { key: 'Cmd+Shift+T', description: 'Toggle overlay' },
@@ -114,6 +330,10 @@ export function SettingsTab() {
         </div>
       </div>
 
+      <ServiceDiagnosticsSection />
+
+      <CredentialAccessSection />
+
       <div>
         <h3 className="text-sm font-semibold text-gray-300 mb-3">About</h3>
         <p className="text-xs text-gray-500">
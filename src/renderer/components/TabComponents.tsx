@@ -19,17 +19,108 @@ export type QueueStatus = 'waiting' | 'planning' | 'building' | 'testing' | 'ski
 
 // ── Prompt Queue types (serial stategraph runner) ─────────────────────────────
 export type PQStatus = 'pending' | 'running' | 'done' | 'error' | 'cancelled';
+export type PQPriority = 'interactive' | 'normal' | 'background';
 export interface PromptQueueItem {
   id: string;
   prompt: string;
   selectedText: string;
   responseLanguage: string | null;
   status: PQStatus;
+  priority: PQPriority;
+  pinned: boolean;
+  position: number;        // 0 = running, 1 = next to run, …
+  resources: string[];     // browser / input / network / llm, or ['*'] = runs alone
+  external?: boolean;      // tracked voice escalation, not run by the queue itself
+  drivesOverlay?: boolean; // false while running beside the prompt that owns the overlay
+  cancelling?: boolean;    // cancel requested, waiting for the run to unwind
+  partial?: { cancelledAt: number; elapsedMs: number; answer?: string; completedNodes?: string[]; skillResults?: { skill: string; ok: boolean }[] } | null;
+  retry?: { maxAttempts: number; baseDelayMs: number; maxDelayMs: number };
+  attempts?: number;
+  nextAttemptAt?: number | null;   // set while backing off after a transient error
+  attemptErrors?: { at: number; error: string; transient: boolean }[];
+  failedAt?: number;
   createdAt: number;
   startedAt: number | null;
   doneAt: number | null;
   error: string | null;
 }
+// Streamed answer and current step of a running item (prompt-queue:run)
+export interface PromptQueueLive {
+  answer: string;
+  step: string | null;
+}
+// ── Prompt result archive (finished prompt queue items) ───────────────────────
+export interface PromptResultTimelineEntry {
+  type: string;
+  t: number;               // ms since the run started
+  step?: number;
+  skill?: string;
+  title?: string;
+  description?: string;
+  intent?: string;
+  durationMs?: number;
+  error?: string;
+  completedCount?: number;
+  totalCount?: number;
+  cancelled?: boolean;
+}
+export interface PromptResultSummary {
+  id: string;
+  prompt: string;
+  status: 'done' | 'error' | 'cancelled';
+  priority: PQPriority | null;
+  source: string | null;
+  startedAt: number | null;
+  doneAt: number;
+  durationMs: number | null;
+  attempts: number | null;
+  error: string | null;
+  savedFilePaths: string[];
+  answerPreview: string;
+}
+export interface PromptResultRecord extends Omit<PromptResultSummary, 'answerPreview'> {
+  sessionId: string | null;
+  answer: string;
+  timeline: PromptResultTimelineEntry[];
+}
+// ── Run traces (src/main/tracing.js) ─────────────────────────────────────────
+export type TraceStatus = 'running' | 'ok' | 'error' | 'cancelled' | 'circuit_open' | 'unfinished';
+export interface TraceSpan {
+  id: string;
+  parentId: string | null;
+  name: string;
+  kind: 'run' | 'node' | 'mcp' | string;
+  service?: string;
+  action?: string;
+  start: number;           // ms since the trace started
+  end: number | null;
+  durationMs: number | null;
+  status: TraceStatus;
+  error?: string;
+  attrs?: Record<string, unknown>;
+}
+export interface TraceEvent {
+  t: number;
+  name: string;
+  source?: string;
+  attrs?: Record<string, string>;
+}
+export interface TraceSummary {
+  traceId: string;
+  queueId: string | null;
+  prompt: string;
+  attempt: number;
+  startedAt: number;
+  endedAt: number | null;
+  status: TraceStatus;
+  error: string | null;
+  spanCount: number;
+}
+export interface TraceRecord extends Omit<TraceSummary, 'spanCount'> {
+  rootSpanId: string;
+  spans: TraceSpan[];
+  events: TraceEvent[];
+}
 export interface ReviewRound {
   round: number;
   verdict: 'pass' | 'pass-with-warnings' | 'fail';
@@ -146,9 +237,11 @@ export interface CronStep {
 export interface CronRun {
   id: string;
   startedAt: string;
-  status: 'running' | 'done' | 'failed';
+  status: 'running' | 'done' | 'failed' | 'skipped';
   steps: CronStep[];
   durationMs?: number;
+  // Set when the run was a missed-occurrence decision (see scheduler misfire policy)
+  misfire?: { decision: 'run' | 'drop' | 'skip'; policy: string; missedAt: string };
 }
 export interface CronItem {
   id: string;
@@ -703,13 +796,19 @@ function CronItemCard({ item, onToggle, onDelete, onRerun }: {
               <span style={{ color: '#374151' }}>{(latestRun.durationMs / 1000).toFixed(1)}s</span>
             )}
             <span style={{
-              color: latestRun.status === 'done' ? '#4ade80' : latestRun.status === 'failed' ? '#f87171' : '#93c5fd',
+              color: latestRun.status === 'done' ? '#4ade80' : latestRun.status === 'failed' ? '#f87171' : latestRun.status === 'skipped' ? '#6b7280' : '#93c5fd',
               fontWeight: 600,
             }}>
               {latestRun.status}
             </span>
           </div>
+          {latestRun.misfire && (
+            <div style={{ fontSize: '0.62rem', color: '#6b7280', marginBottom: 4 }}>
+              Missed occurrence ({latestRun.misfire.missedAt}) — {latestRun.misfire.decision === 'run' ? 'caught up' : latestRun.misfire.decision === 'drop' ? 'dropped by you' : `skipped by ${latestRun.misfire.policy} policy`}
+            </div>
+          )}
           {latestRun.steps.length === 0 ? (
+            latestRun.status === 'skipped' ? null :
             <div style={{ fontSize: '0.62rem', color: '#374151', fontStyle: 'italic' }}>No steps recorded yet…</div>
           ) : (
             <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
@@ -1453,7 +1552,24 @@ function useElapsedPQ(startedAt: number | null, active: boolean) {
   return elapsed;
 }
 
-function PromptQueueItemCard({ item, onCancel }: { item: PromptQueueItem; onCancel: (id: string) => void }) {
+const PQ_PRIORITY_META: Record<PQPriority, { label: string; color: string }> = {
+  interactive: { label: 'Interactive', color: '#34d399' },
+  normal:      { label: 'Normal',      color: '#9ca3af' },
+  background:  { label: 'Background',  color: '#a78bfa' },
+};
+
+const pqIconBtn: React.CSSProperties = {
+  padding: '2px 6px', borderRadius: 5, fontSize: '0.62rem', cursor: 'pointer', flexShrink: 0,
+  background: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.1)', color: '#9ca3af',
+};
+
+function PromptQueueItemCard({ item, live, onCancel, onMove, onPin }: {
+  item: PromptQueueItem;
+  live?: PromptQueueLive;
+  onCancel: (id: string) => void;
+  onMove?: (id: string, direction: 'up' | 'down') => void;
+  onPin?: (id: string, pinned: boolean) => void;
+}) {
   const isRunning = item.status === 'running';
   const elapsed = useElapsedPQ(item.startedAt, isRunning);
   const elapsedSec = Math.floor(elapsed / 1000);
@@ -1463,7 +1579,9 @@ function PromptQueueItemCard({ item, onCancel }: { item: PromptQueueItem; onCanc
   const statusColor = isRunning ? '#60a5fa' : '#9ca3af';
   const statusBg   = isRunning ? 'rgba(96,165,250,0.06)' : 'rgba(255,255,255,0.03)';
   const statusBorder = isRunning ? 'rgba(96,165,250,0.18)' : 'rgba(255,255,255,0.07)';
-  const statusLabel = isRunning ? 'Running' : 'Waiting';
+  const isBackingOff = !isRunning && !!item.nextAttemptAt;
+  const statusLabel = item.cancelling ? 'Cancelling…' : isRunning ? 'Running' : isBackingOff ? 'Retrying' : 'Waiting';
+  const priorityMeta = PQ_PRIORITY_META[item.priority] || PQ_PRIORITY_META.normal;
 
   return (
     <div style={{ borderRadius: 9, backgroundColor: statusBg, border: `1px solid ${statusBorder}`, padding: '10px 12px', transition: 'all 0.15s' }}>
@@ -1488,10 +1606,47 @@ function PromptQueueItemCard({ item, onCancel }: { item: PromptQueueItem; onCanc
             {isRunning && (
               <span style={{ fontSize: '0.6rem', color: statusColor, fontFamily: 'ui-monospace,monospace', opacity: 0.85 }}>{elapsedStr}</span>
             )}
+            {isBackingOff && (
+              <span style={{ fontSize: '0.6rem', color: '#fbbf24' }}>
+                attempt {(item.attempts || 0) + 1}/{item.retry?.maxAttempts ?? '?'} at {new Date(item.nextAttemptAt as number).toLocaleTimeString()}
+              </span>
+            )}
+            {!isRunning && item.position > 0 && (
+              <span style={{ fontSize: '0.6rem', color: '#6b7280', fontFamily: 'ui-monospace,monospace' }}>#{item.position}</span>
+            )}
+            <span style={{ fontSize: '0.6rem', color: priorityMeta.color, opacity: 0.85 }}>{priorityMeta.label}</span>
+            {item.resources && !item.resources.includes('*') && (
+              <span style={{ fontSize: '0.6rem', color: '#6b7280' }}>{item.resources.join(' · ')}</span>
+            )}
+            {item.pinned && (
+              <span style={{ fontSize: '0.6rem', color: '#fbbf24' }}>📌 Pinned</span>
+            )}
           </div>
+          {isRunning && live?.step && (
+            <div style={{ fontSize: '0.62rem', color: '#9ca3af', marginTop: 4, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{live.step}</div>
+          )}
+          {isRunning && live?.answer && (
+            <div style={{ fontSize: '0.64rem', color: '#d1d5db', marginTop: 4, whiteSpace: 'pre-wrap', wordBreak: 'break-word', opacity: 0.85 }}>
+              {live.answer.length > 280 ? '…' + live.answer.slice(-280) : live.answer}
+            </div>
+          )}
         </div>
-        {item.status === 'pending' && (
+        {item.status === 'pending' && onMove && (
+          <div style={{ display: 'flex', gap: 3, flexShrink: 0 }}>
+            <button title="Move up" onClick={() => onMove(item.id, 'up')} style={pqIconBtn}>↑</button>
+            <button title="Move down" onClick={() => onMove(item.id, 'down')} style={pqIconBtn}>↓</button>
+          </div>
+        )}
+        {item.status === 'pending' && onPin && (
           <button
+            title={item.pinned ? 'Unpin' : 'Pin to front'}
+            onClick={() => onPin(item.id, !item.pinned)}
+            style={{ ...pqIconBtn, color: item.pinned ? '#fbbf24' : '#9ca3af' }}
+          >📌</button>
+        )}
+        {(item.status === 'pending' || (isRunning && !item.cancelling)) && (
+          <button
+            title={isRunning ? 'Stop this run' : 'Remove from queue'}
             onClick={() => onCancel(item.id)}
             style={{ padding: '3px 8px', borderRadius: 5, fontSize: '0.62rem', cursor: 'pointer', flexShrink: 0,
               background: 'rgba(239,68,68,0.1)', border: '1px solid rgba(239,68,68,0.25)', color: '#f87171' }}
@@ -1502,9 +1657,12 @@ function PromptQueueItemCard({ item, onCancel }: { item: PromptQueueItem; onCanc
   );
 }
 
-export function PromptQueueSection({ items, onCancel }: {
+export function PromptQueueSection({ items, live = {}, onCancel, onMove, onPin }: {
   items: PromptQueueItem[];
+  live?: Record<string, PromptQueueLive>;
   onCancel: (id: string) => void;
+  onMove?: (id: string, direction: 'up' | 'down') => void;
+  onPin?: (id: string, pinned: boolean) => void;
 }) {
   if (items.length === 0) return null;
   return (
@@ -1513,7 +1671,309 @@ export function PromptQueueSection({ items, onCancel }: {
         Prompt Queue — {items.length} item{items.length > 1 ? 's' : ''}
       </div>
       {items.map(item => (
-        <PromptQueueItemCard key={item.id} item={item} onCancel={onCancel} />
+        <PromptQueueItemCard key={item.id} item={item} live={live[item.id]} onCancel={onCancel} onMove={onMove} onPin={onPin} />
+      ))}
+    </div>
+  );
+}
+
+function FailedPromptCard({ item, onRetry, onDiscard }: {
+  item: PromptQueueItem;
+  onRetry: (id: string) => void;
+  onDiscard: (id: string) => void;
+}) {
+  const [expanded, setExpanded] = React.useState(false);
+  const preview = item.prompt.length > 90 ? item.prompt.slice(0, 90) + '…' : item.prompt;
+  const when = item.failedAt ? new Date(item.failedAt).toLocaleString() : '';
+
+  return (
+    <div style={{ borderRadius: 9, backgroundColor: 'rgba(239,68,68,0.05)', border: '1px solid rgba(239,68,68,0.18)', padding: '10px 12px' }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: 9 }}>
+        <div style={{ flex: 1, minWidth: 0, cursor: 'pointer' }} onClick={() => setExpanded(e => !e)}>
+          <div style={{ fontSize: '0.71rem', color: '#d1d5db', lineHeight: 1.45 }}>{preview}</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 5, flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '0.6rem', color: '#f87171', fontWeight: 600 }}>Failed</span>
+            <span style={{ fontSize: '0.6rem', color: '#6b7280' }}>{item.attempts || 1} attempt{(item.attempts || 1) > 1 ? 's' : ''}</span>
+            {when && <span style={{ fontSize: '0.6rem', color: '#6b7280' }}>{when}</span>}
+          </div>
+          {!expanded && item.error && (
+            <div style={{ fontSize: '0.62rem', color: '#fca5a5', marginTop: 4, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{item.error}</div>
+          )}
+          {expanded && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 3, marginTop: 6 }}>
+              {(item.attemptErrors || []).map((a, idx) => (
+                <div key={idx} style={{ fontSize: '0.6rem', color: a.transient ? '#fbbf24' : '#fca5a5', fontFamily: 'ui-monospace,monospace', wordBreak: 'break-word' }}>
+                  #{idx + 1} {new Date(a.at).toLocaleTimeString()} {a.transient ? '(transient) ' : ''}{a.error}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <button title="Retry" onClick={() => onRetry(item.id)} style={{ ...pqIconBtn, color: '#60a5fa' }}>↻</button>
+        <button
+          title="Discard"
+          onClick={() => onDiscard(item.id)}
+          style={{ padding: '3px 8px', borderRadius: 5, fontSize: '0.62rem', cursor: 'pointer', flexShrink: 0,
+            background: 'rgba(239,68,68,0.1)', border: '1px solid rgba(239,68,68,0.25)', color: '#f87171' }}
+        >✕</button>
+      </div>
+    </div>
+  );
+}
+
+export function FailedPromptsSection({ items, onRetry, onDiscard, onDiscardAll }: {
+  items: PromptQueueItem[];
+  onRetry: (id: string) => void;
+  onDiscard: (id: string) => void;
+  onDiscardAll: () => void;
+}) {
+  if (items.length === 0) return null;
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '0 2px 2px' }}>
+        <span style={{ fontSize: '0.62rem', color: '#4b5563', fontWeight: 600, letterSpacing: '0.05em', textTransform: 'uppercase' }}>
+          Failed — {items.length} item{items.length > 1 ? 's' : ''}
+        </span>
+        <button onClick={onDiscardAll} style={{ ...pqIconBtn, fontSize: '0.6rem' }}>Clear all</button>
+      </div>
+      {items.map(item => (
+        <FailedPromptCard key={item.id} item={item} onRetry={onRetry} onDiscard={onDiscard} />
+      ))}
+    </div>
+  );
+}
+
+const PROMPT_RESULT_STATUS_COLOR: Record<PromptResultSummary['status'], string> = {
+  done: '#34d399',
+  error: '#f87171',
+  cancelled: '#9ca3af',
+};
+
+function formatResultDuration(ms: number | null) {
+  if (ms == null) return '';
+  const sec = Math.round(ms / 1000);
+  return sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m ${sec % 60}s`;
+}
+
+const TRACE_STATUS_COLOR: Record<string, string> = {
+  running: '#60a5fa',
+  ok: '#34d399',
+  error: '#f87171',
+  cancelled: '#9ca3af',
+  circuit_open: '#fbbf24',
+  unfinished: '#6b7280',
+};
+
+/** Children of each span, in start order — MCP calls nest under their node. */
+function traceRows(trace: TraceRecord): { span: TraceSpan; depth: number }[] {
+  const children = new Map<string, TraceSpan[]>();
+  for (const span of trace.spans) {
+    if (!span.parentId) continue;
+    const list = children.get(span.parentId) || [];
+    list.push(span);
+    children.set(span.parentId, list);
+  }
+  const rows: { span: TraceSpan; depth: number }[] = [];
+  const walk = (id: string, depth: number) => {
+    for (const span of (children.get(id) || []).sort((a, b) => a.start - b.start)) {
+      rows.push({ span, depth });
+      walk(span.id, depth + 1);
+    }
+  };
+  walk(trace.rootSpanId, 0);
+  return rows;
+}
+
+export function TraceViewer({ queueId, onListTraces, onLoadTrace }: {
+  queueId: string;
+  onListTraces: (queueId: string) => Promise<TraceSummary[]>;
+  onLoadTrace: (traceId: string) => Promise<TraceRecord | null>;
+}) {
+  const [traces, setTraces] = React.useState<TraceSummary[] | null>(null);
+  const [selected, setSelected] = React.useState<string | null>(null);
+  const [trace, setTrace] = React.useState<TraceRecord | null>(null);
+
+  React.useEffect(() => {
+    let live = true;
+    onListTraces(queueId).then(list => {
+      if (!live) return;
+      setTraces(list);
+      if (list.length > 0) setSelected(list[0].traceId);
+    });
+    return () => { live = false; };
+  }, [queueId]);
+
+  React.useEffect(() => {
+    if (!selected) return;
+    let live = true;
+    onLoadTrace(selected).then(t => { if (live) setTrace(t); });
+    return () => { live = false; };
+  }, [selected]);
+
+  if (traces === null) return <div style={{ fontSize: '0.6rem', color: '#6b7280' }}>Loading trace…</div>;
+  if (traces.length === 0) return <div style={{ fontSize: '0.6rem', color: '#6b7280' }}>No trace recorded for this run.</div>;
+
+  const total = trace ? Math.max(1, (trace.endedAt || Date.now()) - trace.startedAt) : 1;
+  const rows = trace ? traceRows(trace) : [];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 3, padding: '6px 0' }}>
+      {traces.length > 1 && (
+        <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+          {traces.slice().reverse().map(t => (
+            <button key={t.traceId} onClick={() => setSelected(t.traceId)}
+              style={{ ...pqIconBtn, fontSize: '0.58rem', color: TRACE_STATUS_COLOR[t.status] || '#9ca3af', border: t.traceId === selected ? '1px solid rgba(255,255,255,0.25)' : '1px solid transparent', borderRadius: 4 }}>
+              attempt {t.attempt}
+            </button>
+          ))}
+        </div>
+      )}
+      {trace && (
+        <>
+          <div style={{ fontSize: '0.58rem', color: '#6b7280', fontFamily: 'ui-monospace,monospace' }}>
+            trace {trace.traceId.slice(0, 12)} · {formatResultDuration(total)} · {rows.length} span{rows.length === 1 ? '' : 's'}
+          </div>
+          {rows.map(({ span, depth }) => {
+            const end = span.end ?? total;
+            const left = (span.start / total) * 100;
+            const width = Math.max(0.5, ((end - span.start) / total) * 100);
+            const color = span.kind === 'mcp' ? '#a78bfa' : '#60a5fa';
+            const label = span.kind === 'mcp' ? `${span.service}.${span.action}` : span.name;
+            return (
+              <div key={span.id} title={`${label} — ${span.durationMs ?? end - span.start}ms ${span.status}${span.error ? `: ${span.error}` : ''}`}
+                style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <div style={{ width: 130, flexShrink: 0, paddingLeft: depth * 10, fontSize: '0.58rem', color: span.status === 'ok' ? '#9ca3af' : TRACE_STATUS_COLOR[span.status] || '#9ca3af', fontFamily: 'ui-monospace,monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {label}
+                </div>
+                <div style={{ position: 'relative', flex: 1, height: 8, background: 'rgba(255,255,255,0.03)', borderRadius: 2 }}>
+                  <div style={{ position: 'absolute', left: `${left}%`, width: `${width}%`, top: 0, bottom: 0, borderRadius: 2, background: span.status === 'ok' ? color : TRACE_STATUS_COLOR[span.status] || color, opacity: 0.8 }} />
+                </div>
+                <div style={{ width: 44, flexShrink: 0, textAlign: 'right', fontSize: '0.56rem', color: '#6b7280', fontFamily: 'ui-monospace,monospace' }}>
+                  {span.durationMs != null ? `${span.durationMs}ms` : '…'}
+                </div>
+              </div>
+            );
+          })}
+          {trace.events.length > 0 && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 1, marginTop: 3 }}>
+              {trace.events.map((e, idx) => (
+                <div key={idx} style={{ fontSize: '0.56rem', color: '#6b7280', fontFamily: 'ui-monospace,monospace', wordBreak: 'break-word' }}>
+                  +{formatResultDuration(e.t)} {e.name}{e.source ? ` (${e.source})` : ''}{e.attrs ? ` ${Object.entries(e.attrs).map(([k, v]) => `${k}=${v}`).join(' ')}` : ''}
+                </div>
+              ))}
+            </div>
+          )}
+          {trace.error && <div style={{ fontSize: '0.6rem', color: '#fca5a5', wordBreak: 'break-word' }}>✕ {trace.error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+function PromptResultCard({ item, onLoad, onOpen, onOpenFile, onListTraces, onLoadTrace }: {
+  item: PromptResultSummary;
+  onLoad: (id: string) => Promise<PromptResultRecord | null>;
+  onOpen: (record: PromptResultRecord) => void;
+  onOpenFile: (filePath: string) => void;
+  onListTraces?: (queueId: string) => Promise<TraceSummary[]>;
+  onLoadTrace?: (traceId: string) => Promise<TraceRecord | null>;
+}) {
+  const [record, setRecord] = React.useState<PromptResultRecord | null>(null);
+  const [expanded, setExpanded] = React.useState(false);
+  const [showTrace, setShowTrace] = React.useState(false);
+  const color = PROMPT_RESULT_STATUS_COLOR[item.status] || '#9ca3af';
+  const preview = item.prompt.length > 90 ? item.prompt.slice(0, 90) + '…' : item.prompt;
+
+  const toggle = async () => {
+    const next = !expanded;
+    setExpanded(next);
+    if (next && !record) setRecord(await onLoad(item.id));
+  };
+  const open = async () => {
+    const full = record || await onLoad(item.id);
+    if (full) onOpen(full);
+  };
+
+  return (
+    <div style={{ borderRadius: 9, backgroundColor: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.07)', padding: '10px 12px' }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: 9 }}>
+        <div style={{ flex: 1, minWidth: 0, cursor: 'pointer' }} onClick={toggle}>
+          <div style={{ fontSize: '0.71rem', color: '#d1d5db', lineHeight: 1.45 }}>{preview}</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 5, flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '0.6rem', color, fontWeight: 600, textTransform: 'capitalize' }}>{item.status}</span>
+            <span style={{ fontSize: '0.6rem', color: '#6b7280' }}>{new Date(item.doneAt).toLocaleString()}</span>
+            {item.durationMs != null && <span style={{ fontSize: '0.6rem', color: '#6b7280', fontFamily: 'ui-monospace,monospace' }}>{formatResultDuration(item.durationMs)}</span>}
+            {item.savedFilePaths.length > 0 && (
+              <span style={{ fontSize: '0.6rem', color: '#60a5fa' }}>{item.savedFilePaths.length} file{item.savedFilePaths.length > 1 ? 's' : ''}</span>
+            )}
+          </div>
+          {!expanded && (item.answerPreview || item.error) && (
+            <div style={{ fontSize: '0.62rem', color: item.error ? '#fca5a5' : '#9ca3af', marginTop: 4, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {item.error || item.answerPreview}
+            </div>
+          )}
+        </div>
+        {onListTraces && onLoadTrace && (
+          <button title="Trace" onClick={() => setShowTrace(v => !v)} style={{ ...pqIconBtn, color: showTrace ? '#a78bfa' : '#6b7280' }}>⏱</button>
+        )}
+        <button title="Open in Results" onClick={open} style={{ ...pqIconBtn, color: '#60a5fa' }}>↗</button>
+      </div>
+      {showTrace && onListTraces && onLoadTrace && (
+        <TraceViewer queueId={item.id} onListTraces={onListTraces} onLoadTrace={onLoadTrace} />
+      )}
+      {expanded && record && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 8 }}>
+          {record.answer && (
+            <div style={{ fontSize: '0.65rem', color: '#d1d5db', whiteSpace: 'pre-wrap', maxHeight: 180, overflowY: 'auto', lineHeight: 1.45 }}>{record.answer}</div>
+          )}
+          {record.savedFilePaths.map(fp => (
+            <button key={fp} onClick={() => onOpenFile(fp)} title={fp}
+              style={{ ...pqIconBtn, textAlign: 'left', color: '#60a5fa', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              📄 {fp}
+            </button>
+          ))}
+          {record.timeline.length > 0 && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {record.timeline.map((e, idx) => (
+                <div key={idx} style={{ fontSize: '0.6rem', color: e.error ? '#fca5a5' : '#6b7280', fontFamily: 'ui-monospace,monospace', wordBreak: 'break-word' }}>
+                  +{formatResultDuration(e.t)} {e.type}{e.step != null ? ` #${e.step}` : ''}{e.skill ? ` ${e.skill}` : ''}{e.description || e.title ? ` — ${e.description || e.title}` : ''}{e.error ? ` ✕ ${e.error}` : ''}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function PromptResultsSection({ items, query, onQueryChange, onLoad, onOpen, onOpenFile, onListTraces, onLoadTrace }: {
+  items: PromptResultSummary[];
+  query: string;
+  onQueryChange: (query: string) => void;
+  onLoad: (id: string) => Promise<PromptResultRecord | null>;
+  onOpen: (record: PromptResultRecord) => void;
+  onOpenFile: (filePath: string) => void;
+  onListTraces?: (queueId: string) => Promise<TraceSummary[]>;
+  onLoadTrace?: (traceId: string) => Promise<TraceRecord | null>;
+}) {
+  if (items.length === 0 && !query) return null;
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ fontSize: '0.62rem', color: '#4b5563', fontWeight: 600, letterSpacing: '0.05em', textTransform: 'uppercase', padding: '0 2px 2px' }}>
+        History
+      </div>
+      <input
+        value={query}
+        onChange={e => onQueryChange(e.target.value)}
+        placeholder="Search prompts, answers, files…"
+        style={{ fontSize: '0.68rem', padding: '5px 8px', borderRadius: 6, background: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.1)', color: '#d1d5db', outline: 'none' }}
+      />
+      {items.length === 0 && (
+        <div style={{ fontSize: '0.65rem', color: '#6b7280', padding: '4px 2px' }}>No results match “{query}”.</div>
+      )}
+      {items.map(item => (
+        <PromptResultCard key={item.id} item={item} onLoad={onLoad} onOpen={onOpen} onOpenFile={onOpenFile} onListTraces={onListTraces} onLoadTrace={onLoadTrace} />
       ))}
     </div>
   );
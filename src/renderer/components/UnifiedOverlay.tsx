@@ -197,7 +197,7 @@ export function UnifiedOverlay() {
   } | null>(null);
 
   // --- UI State ---
-  const [schedulePending, setSchedulePending] = useState<{ id: string; label: string; targetTime: string } | null>(null);
+  const [schedulePending, setSchedulePending] = useState<Array<{ id: string; label: string; targetTime: string; status?: 'upcoming' | 'due' | 'missed' }>>([]);
   const [bridgeStatus, setBridgeStatus] = useState<BridgeStatus | null>(null);
   const [isCopied, setIsCopied] = useState(false);
   const [isScrolledUp, setIsScrolledUp] = useState(false);
@@ -1142,8 +1142,8 @@ export function UnifiedOverlay() {
     };
 
     // --- Schedule ---
-    const handleSchedulePending = (pending: { id: string; label: string; targetTime: string }) => {
-      setSchedulePending(pending);
+    const handleSchedulePending = (pending: { id: string; label: string; targetTime: string; status?: 'upcoming' | 'due' | 'missed' }) => {
+      setSchedulePending(prev => [...prev.filter(p => p.id !== pending.id), pending]);
     };
 
     // --- Bridge Status ---
@@ -2462,8 +2462,8 @@ export function UnifiedOverlay() {
             style={{ display: activeTab === 'results' ? 'block' : 'none' }}
           >
               <div ref={contentRef}>
-                {schedulePending && (
-                  <div style={{ marginBottom: 12, padding: '12px 14px', borderRadius: 10, backgroundColor: 'rgba(139,92,246,0.08)', border: '1px solid rgba(139,92,246,0.3)' }}>
+                {schedulePending.map(pending => (
+                  <div key={pending.id} style={{ marginBottom: 12, padding: '12px 14px', borderRadius: 10, backgroundColor: 'rgba(139,92,246,0.08)', border: '1px solid rgba(139,92,246,0.3)' }}>
                     <div className="flex items-start gap-3">
                       <div style={{ width: 28, height: 28, borderRadius: 7, backgroundColor: 'rgba(139,92,246,0.15)', border: '1px solid rgba(139,92,246,0.3)', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="#a78bfa" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -2472,15 +2472,15 @@ export function UnifiedOverlay() {
                       </div>
                       <div className="flex-1 min-w-0">
                         <div style={{ color: '#c4b5fd', fontSize: '0.8rem', fontWeight: 600, marginBottom: 2 }}>
-                          Scheduled task queued
+                          {pending.status === 'missed' ? 'Scheduled task missed' : 'Scheduled task queued'}
                         </div>
                         <div style={{ color: '#9ca3af', fontSize: '0.72rem', marginBottom: 8, lineHeight: 1.4 }}>
-                          <strong style={{ color: '#e5e7eb' }}>{schedulePending.label}</strong> will run automatically at <strong style={{ color: '#a78bfa' }}>{schedulePending.targetTime}</strong>
+                          <strong style={{ color: '#e5e7eb' }}>{pending.label}</strong> {pending.status === 'missed' ? 'was due at' : 'will run automatically at'} <strong style={{ color: '#a78bfa' }}>{pending.targetTime}</strong>
                         </div>
                         <button
                           onClick={() => {
-                            ipcRenderer?.send('schedule:dismiss', { id: schedulePending.id });
-                            setSchedulePending(null);
+                            ipcRenderer?.send('schedule:dismiss', { id: pending.id });
+                            setSchedulePending(prev => prev.filter(p => p.id !== pending.id));
                           }}
                           style={{ padding: '3px 10px', borderRadius: 5, backgroundColor: 'rgba(139,92,246,0.15)', border: '1px solid rgba(139,92,246,0.3)', color: '#a78bfa', fontSize: '0.72rem', cursor: 'pointer' }}
                         >
@@ -2489,7 +2489,7 @@ export function UnifiedOverlay() {
                       </div>
                     </div>
                   </div>
-                )}
+                ))}
 
                 {bridgeStatus && bridgeStatus.state !== 'stopped' && (
                   <div style={{ marginBottom: 8, display: 'flex', alignItems: 'center', gap: 5, opacity: bridgeStatus.cronStatus === 'running' ? 1 : (bridgeStatus.cronStatus ? 0.85 : 0.45) }}>
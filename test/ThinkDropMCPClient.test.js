@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ThinkDropMCPClient = require('../src/main/ThinkDropMCPClient');
+const connectionPool = require('../src/main/connectionPool');
+
+/** Local service that answers the first request and leaves every later one hanging. */
+function startService() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      requests.push(req.url);
+      if (requests.length === 1) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, data: { ok: true } }));
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+test('timeout on a reused keep-alive socket rejects once and never resends the POST', async (t) => {
+  const { server, requests, url } = await startService();
+  const unhandled = [];
+  const onUnhandled = (err) => unhandled.push(err);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => {
+    process.off('unhandledRejection', onUnhandled);
+    connectionPool.destroyAll();
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const client = new ThinkDropMCPClient({ serviceUrls: { command: url }, logger: { log() {}, warn() {}, error() {}, debug() {} } });
+  const opts = { timeoutMs: 300, retry: { maxAttempts: 1 } };
+
+  await client.callService('command', 'command.automate', { step: 1 }, opts);
+  // Second call reuses the pooled socket; the service never answers
+  await assert.rejects(client.callService('command', 'command.automate', { step: 2 }, opts), /timeout after 300ms/);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(requests.length, 2);
+  assert.deepEqual(unhandled, []);
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bridgeProtocol = require('../src/main/bridgeProtocol');
+
+const BRIDGE = `# ThinkDrop Bridge
+
+<!-- WS:INSTRUCTION id="sched_gmail_summary_1776518541617" status="pending" -->
+Summarize today's unread mail.
+<!-- WS:END -->
+
+<!-- TD:RESULT id="td_1" status="done" -->
+Earlier answer
+<!-- TD:END -->
+
+<!-- CURSOR:INSTRUCTION id=cursor.fix-1 status='error' error="boom" -->
+Fix the build
+<!-- CURSOR:END -->
+`;
+
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+test.after(() => fs.rmSync(ROOT, { recursive: true, force: true }));
+
+function bridgeFile(content = BRIDGE) {
+  const dir = fs.mkdtempSync(path.join(ROOT, 'case-'));
+  const file = path.join(dir, 'bridge.md');
+  fs.writeFileSync(file, content, 'utf8');
+  return { dir, file, archiveFile: path.join(dir, 'bridge-archive.md'), read: () => fs.readFileSync(file, 'utf8') };
+}
+
+const byId = (content, id) => bridgeProtocol.parse(content).find(b => b.id === id);
+
+test('parse: blocks in file order with prefix, attributes and trimmed body', () => {
+  const blocks = bridgeProtocol.parse(BRIDGE);
+  assert.deepEqual(blocks.map(b => [b.prefix, b.type, b.id, b.status]), [
+    ['WS', 'INSTRUCTION', 'sched_gmail_summary_1776518541617', 'pending'],
+    ['TD', 'RESULT', 'td_1', 'done'],
+    ['CURSOR', 'INSTRUCTION', 'cursor.fix-1', 'error'],
+  ]);
+  assert.equal(blocks[0].body, "Summarize today's unread mail.");
+  assert.equal(blocks[2].attrs.error, 'boom');
+  assert.equal(BRIDGE.slice(blocks[1].start, blocks[1].end), '<!-- TD:RESULT id="td_1" status="done" -->\nEarlier answer\n<!-- TD:END -->');
+});
+
+test('validate: reports what a writer got wrong', () => {
+  const messages = bridgeProtocol.validate(bridgeProtocol.parse(`
+<!-- WS:INSTRUCTION status="pending" -->x<!-- WS:END -->
+<!-- WS:INSTRUCTION id="a b" status="pending" -->x<!-- WS:END -->
+<!-- WS:INSTRUCTION id="dup" status="queued" -->x<!-- WS:END -->
+<!-- WS:INSTRUCTION id="dup" status="pending" createdAt="yesterday" -->  <!-- WS:END -->
+`)).map(p => p.message);
+  assert.deepEqual(messages, [
+    'WS:INSTRUCTION block has no id attribute',
+    'id "a b" may only contain letters, digits, _ . -',
+    'status "queued" is not one of pending, running, done, error',
+    'duplicate id "dup" — only the first block is acted on',
+    'createdAt="yesterday" is not an ISO timestamp',
+    'pending block has an empty instruction',
+  ]);
+  assert.deepEqual(bridgeProtocol.validate(bridgeProtocol.parse(BRIDGE)), []);
+});
+
+test('canTransition: follows the status lifecycle', () => {
+  assert.equal(bridgeProtocol.canTransition('pending', 'running'), true);
+  assert.equal(bridgeProtocol.canTransition('running', 'done'), true);
+  assert.equal(bridgeProtocol.canTransition('error', 'pending'), true);
+  assert.equal(bridgeProtocol.canTransition('pending', 'done'), false);
+  assert.equal(bridgeProtocol.canTransition('done', 'pending'), false);
+  assert.equal(bridgeProtocol.canTransition('unknown', 'error'), false);
+});
+
+test('setStatus: stamps timestamps in place and leaves the body alone', () => {
+  const { file, read } = bridgeFile();
+  const id = 'sched_gmail_summary_1776518541617';
+  const now = Date.UTC(2026, 3, 18, 12, 0);
+
+  assert.deepEqual(bridgeProtocol.setStatus(file, id, 'running', { now }), { ok: true });
+  assert.equal(byId(read(), id).attrs.startedAt, '2026-04-18T12:00:00.000Z');
+
+  assert.deepEqual(bridgeProtocol.setStatus(file, id, 'done', { summary: 'Sent "3" mails --> ok\nbye', now: now + 1000 }), { ok: true });
+  const done = byId(read(), id);
+  assert.equal(done.status, 'done');
+  assert.equal(done.attrs.finishedAt, '2026-04-18T12:00:01.000Z');
+  assert.equal(done.attrs.summary, "Sent '3' mails — ok bye");
+  assert.equal(done.body, "Summarize today's unread mail.");
+  assert.equal(bridgeProtocol.parse(read()).length, 3);
+});
+
+test('setStatus: rejects illegal transitions and unknown blocks', () => {
+  const { file, dir } = bridgeFile();
+  assert.deepEqual(bridgeProtocol.setStatus(file, 'td_1', 'pending'), { ok: false, reason: 'block td_1 cannot go from done to pending' });
+  assert.deepEqual(bridgeProtocol.setStatus(file, 'nope', 'running'), { ok: false, reason: 'block nope not found' });
+  assert.deepEqual(bridgeProtocol.setStatus(file, 'td_1', 'queued'), { ok: false, reason: 'unknown status "queued"' });
+  assert.deepEqual(bridgeProtocol.setStatus(path.join(dir, 'missing.md'), 'td_1', 'error'), { ok: false, reason: 'bridge file missing' });
+});
+
+test('setStatus: re-queueing a failed block clears its outcome', () => {
+  const { file, read } = bridgeFile();
+  assert.deepEqual(bridgeProtocol.setStatus(file, 'cursor.fix-1', 'pending'), { ok: true });
+  const block = byId(read(), 'cursor.fix-1');
+  assert.equal(block.status, 'pending');
+  assert.equal(block.attrs.error, undefined);
+  assert.equal(block.attrs.finishedAt, undefined);
+});
+
+test('remove: cuts matching blocks and the blank lines after them', () => {
+  const { file, read } = bridgeFile();
+  assert.equal(bridgeProtocol.remove(file, b => b.prefix === 'TD'), 1);
+  assert.deepEqual(bridgeProtocol.parse(read()).map(b => b.id), ['sched_gmail_summary_1776518541617', 'cursor.fix-1']);
+  assert.ok(!read().includes('\n\n\n'));
+});
+
+test('archive: moves only blocks finished longer ago than the threshold', () => {
+  const { file, archiveFile, read } = bridgeFile();
+  const now = Date.UTC(2026, 3, 18, 12, 0);
+  bridgeProtocol.setStatus(file, 'sched_gmail_summary_1776518541617', 'running', { now: now - 3 * 3600e3 });
+  bridgeProtocol.setStatus(file, 'sched_gmail_summary_1776518541617', 'done', { now: now - 2 * 3600e3 });
+
+  // td_1 and cursor.fix-1 carry no finishedAt — never archived
+  assert.equal(bridgeProtocol.archive(file, archiveFile, { olderThanMs: 3 * 3600e3, now }), 0);
+  assert.equal(fs.existsSync(archiveFile), false);
+
+  assert.equal(bridgeProtocol.archive(file, archiveFile, { olderThanMs: 3600e3, now }), 1);
+  assert.deepEqual(bridgeProtocol.parse(read()).map(b => b.id), ['td_1', 'cursor.fix-1']);
+  const archived = fs.readFileSync(archiveFile, 'utf8');
+  assert.ok(archived.startsWith('# ThinkDrop Bridge Archive\n\n'));
+  assert.equal(byId(archived, 'sched_gmail_summary_1776518541617').status, 'done');
+});
+
+test('archiveAfterMs: THINKDROP_BRIDGE_ARCHIVE_AFTER_H overrides the 24h default', (t) => {
+  const saved = process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H;
+  t.after(() => {
+    if (saved === undefined) delete process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H;
+    else process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H = saved;
+  });
+  delete process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H;
+  assert.equal(bridgeProtocol.archiveAfterMs(), 24 * 3600e3);
+  process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H = '0';
+  assert.equal(bridgeProtocol.archiveAfterMs(), 0);
+  process.env.THINKDROP_BRIDGE_ARCHIVE_AFTER_H = 'soon';
+  assert.equal(bridgeProtocol.archiveAfterMs(), 24 * 3600e3);
+});
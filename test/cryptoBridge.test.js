@@ -0,0 +1,214 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keyring, client credentials and audit log live under ~/.thinkdrop — point the home directory at a temp dir first
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'crypto-bridge-test-'));
+process.env.HOME = HOME;
+process.env.THINKDROP_IPC_TRANSPORT = 'tcp';
+const DIR = path.join(HOME, '.thinkdrop');
+
+const cryptoBridge = require('../src/main/cryptoBridge');
+
+// Stand-in for Electron's safeStorage: reversible, and refuses what it didn't wrap
+const fakeSafeStorage = {
+  isEncryptionAvailable: () => true,
+  encryptString: (s) => Buffer.from(`fake:${s}`, 'utf8'),
+  decryptString: (buf) => {
+    const s = buf.toString('utf8');
+    if (!s.startsWith('fake:')) throw new Error('Error while decrypting the ciphertext provided to safeStorage.decryptString.');
+    return s.slice(5);
+  },
+};
+
+fs.mkdirSync(DIR, { recursive: true });
+fs.writeFileSync(path.join(DIR, 'crypto-clients.json'), JSON.stringify({ clients: {
+  'user-memory': { scopes: ['encrypt', 'decrypt:*'] },
+  reader:        { scopes: ['decrypt:credential'] },
+  limited:       { scopes: ['decrypt'], rateLimitPerMinute: 2 },
+  rotator:       { scopes: ['rotate'] },
+} }));
+
+let endpoint;
+test.before(async () => {
+  endpoint = await cryptoBridge.startCryptoBridge(fakeSafeStorage);
+});
+test.after(() => {
+  cryptoBridge.stopCryptoBridge();
+  fs.rmSync(HOME, { recursive: true, force: true });
+});
+
+function call(clientId, method, urlPath, payload) {
+  const file = clientId === 'user-memory' ? '.crypto-bridge.json' : `.crypto-bridge.${clientId}.json`;
+  const { token } = JSON.parse(fs.readFileSync(path.join(DIR, file), 'utf8'));
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${endpoint.url}${urlPath}`, { method, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end(payload === undefined ? undefined : JSON.stringify(payload));
+  });
+}
+
+const activeKeyId = () => JSON.parse(fs.readFileSync(path.join(DIR, 'crypto-keys.json'), 'utf8')).activeKeyId;
+const legacyBlob = (plaintext) => fakeSafeStorage.encryptString(plaintext).toString('base64');
+
+test('envelope: v2 header with key id and namespace, round-trips', () => {
+  const { ciphertext, keyId, namespace } = cryptoBridge.encrypt('hunter2', 'credential');
+  assert.equal(keyId, activeKeyId());
+  assert.equal(namespace, 'credential');
+  assert.match(ciphertext, new RegExp(`^v2:${keyId}:credential:[A-Za-z0-9+/=]+$`));
+  assert.deepEqual(cryptoBridge.decrypt(ciphertext), { plaintext: 'hunter2', keyId, namespace: 'credential' });
+  assert.equal(cryptoBridge.keyIdOf(ciphertext), keyId);
+  assert.equal(cryptoBridge.namespaceOf(ciphertext), 'credential');
+
+  const valueRef = cryptoBridge.encryptValueRef('s3cret');
+  assert.ok(valueRef.startsWith(`SAFE:v2:${keyId}:credential:`));
+  assert.equal(cryptoBridge.decrypt(valueRef).plaintext, 's3cret');
+  assert.throws(() => cryptoBridge.encrypt('x', 'no spaces'), /Invalid namespace/);
+});
+
+test('envelope: a relabelled namespace or key id fails authentication', () => {
+  const { ciphertext, keyId } = cryptoBridge.encrypt('hunter2', 'credential');
+  const sealed = ciphertext.split(':')[3];
+  assert.throws(() => cryptoBridge.decrypt(`v2:${keyId}:default:${sealed}`), /auth/i);
+  assert.throws(() => cryptoBridge.decrypt(`v2:${keyId}:${sealed}`), /auth/i);
+  assert.throws(() => cryptoBridge.decrypt(`v2:ffffffff:credential:${sealed}`), /Unknown data key ffffffff/);
+  assert.throws(() => cryptoBridge.decrypt(`v3:${keyId}:credential:${sealed}`), /Unsupported envelope version "v3"/);
+});
+
+test('legacy: a bare safeStorage blob still decrypts, in the default namespace', () => {
+  assert.deepEqual(cryptoBridge.decrypt(legacyBlob('old-secret')), { plaintext: 'old-secret', keyId: null, namespace: 'default' });
+  assert.equal(cryptoBridge.decrypt(`SAFE:${legacyBlob('old-secret')}`).plaintext, 'old-secret');
+  assert.equal(cryptoBridge.keyIdOf(legacyBlob('x')), null);
+});
+
+test('scopes: decrypt:<namespace> grants that namespace only', async () => {
+  const credential = cryptoBridge.encrypt('a', 'credential').ciphertext;
+  const other = cryptoBridge.encrypt('b', 'default').ciphertext;
+
+  const ok = await call('reader', 'POST', '/decrypt', { ciphertext: credential });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.plaintext, 'a');
+
+  const denied = await call('reader', 'POST', '/decrypt', { ciphertext: other });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.scope, 'decrypt:default');
+  // Legacy blobs are in `default` too
+  assert.equal((await call('reader', 'POST', '/decrypt', { ciphertext: legacyBlob('c') })).status, 403);
+  assert.equal((await call('reader', 'POST', '/encrypt', { plaintext: 'x', namespace: 'credential' })).status, 403);
+  assert.equal((await call('reader', 'POST', '/rotate', {})).status, 403);
+
+  const denial = cryptoBridge.recentAudit({ client: 'reader', limit: 1 })[0];
+  assert.equal(denial.ok, false);
+  assert.equal(denial.error, 'scope');
+});
+
+test('scopes: a bare action and action:* cover every namespace', async () => {
+  const other = cryptoBridge.encrypt('b', 'default').ciphertext;
+  assert.equal((await call('user-memory', 'POST', '/decrypt', { ciphertext: other })).body.plaintext, 'b');
+  const sealed = await call('user-memory', 'POST', '/encrypt', { plaintext: 'z', namespace: 'backup' });
+  assert.equal(sealed.status, 200);
+  assert.equal(sealed.body.namespace, 'backup');
+  assert.equal((await call('limited', 'POST', '/decrypt', { ciphertext: sealed.body.ciphertext })).body.plaintext, 'z');
+});
+
+test('rate limit: requests beyond the per-minute budget get 429 with Retry-After', async () => {
+  const ciphertext = cryptoBridge.encrypt('r').ciphertext;
+  // One of the two tokens went to the previous test
+  assert.equal((await call('limited', 'POST', '/decrypt', { ciphertext })).status, 200);
+  const limited = await call('limited', 'POST', '/decrypt', { ciphertext });
+  assert.equal(limited.status, 429);
+  assert.ok(limited.body.retryAfterMs > 0 && limited.body.retryAfterMs <= 30000);
+  assert.equal(limited.headers['retry-after'], String(Math.ceil(limited.body.retryAfterMs / 1000)));
+  // /health is not metered
+  assert.equal((await call('limited', 'GET', '/health')).status, 200);
+  const client = cryptoBridge.listClients().find(c => c.id === 'limited');
+  assert.equal(client.counts.limited, 1);
+});
+
+function memoryStore(entries) {
+  const blobs = new Map(Object.entries(entries));
+  const updates = [];
+  return {
+    blobs,
+    updates,
+    list: async () => Array.from(blobs, ([id, ciphertext]) => ({ id, ciphertext, namespace: id.split(':')[0] })),
+    get: async (id) => blobs.get(id) ?? null,
+    update: async (id, ciphertext) => { updates.push(id); blobs.set(id, ciphertext); },
+  };
+}
+
+test('/rotate: re-encrypts stored blobs and passed ciphertexts under a new key, then purges', async () => {
+  const previousKeyId = activeKeyId();
+  const store = memoryStore({
+    'credential:legacy': `SAFE:${legacyBlob('one')}`,
+    'credential:old':    cryptoBridge.encryptValueRef('two'),
+  });
+  cryptoBridge.setBlobStore(store);
+  const passed = cryptoBridge.encrypt('three', 'backup').ciphertext;
+
+  const res = await call('rotator', 'POST', '/rotate', { ciphertexts: [passed], purge: true });
+  assert.equal(res.status, 200);
+  const { keyId, reencrypted, failed, ciphertexts, purged } = res.body;
+  assert.equal(res.body.previousKeyId, previousKeyId);
+  assert.notEqual(keyId, previousKeyId);
+  assert.equal(reencrypted, 3);
+  assert.deepEqual(failed, []);
+  assert.ok(purged.includes(previousKeyId));
+
+  // The legacy blob picked up its key's namespace
+  assert.deepEqual(cryptoBridge.decrypt(store.blobs.get('credential:legacy')), { plaintext: 'one', keyId, namespace: 'credential' });
+  assert.equal(cryptoBridge.decrypt(store.blobs.get('credential:old')).plaintext, 'two');
+  assert.deepEqual(cryptoBridge.decrypt(ciphertexts[0]), { plaintext: 'three', keyId, namespace: 'backup' });
+
+  // Purged: only the new key is left, and the old envelope no longer opens
+  const ring = JSON.parse(fs.readFileSync(path.join(DIR, 'crypto-keys.json'), 'utf8'));
+  assert.deepEqual(ring.keys.map(k => k.id), [keyId]);
+  assert.throws(() => cryptoBridge.decrypt(passed), new RegExp(`Unknown data key ${previousKeyId}`));
+});
+
+test('/rotate: a value stored since the list is left alone', async () => {
+  const store = memoryStore({ 'credential:token': cryptoBridge.encryptValueRef('stale') });
+  const fresh = [];
+  store.list = async () => {
+    const listed = Array.from(store.blobs, ([id, ciphertext]) => ({ id, ciphertext, namespace: 'credential' }));
+    // Written after the rotation activated its key — under that key
+    const newer = cryptoBridge.encryptValueRef('newer');
+    fresh.push(newer);
+    store.blobs.set('credential:token', newer);
+    return listed;
+  };
+  cryptoBridge.setBlobStore(store);
+
+  const res = await call('rotator', 'POST', '/rotate', {});
+  assert.equal(res.status, 200);
+  assert.equal(res.body.reencrypted, 0);
+  assert.deepEqual(store.updates, []);
+  assert.equal(store.blobs.get('credential:token'), fresh[0]);
+  assert.equal(cryptoBridge.decrypt(store.blobs.get('credential:token')).plaintext, 'newer');
+});
+
+test('/rotate: purge keeps the old keys while a blob failed to re-encrypt', async () => {
+  const previousKeyId = activeKeyId();
+  const store = memoryStore({
+    'credential:ok':     cryptoBridge.encryptValueRef('fine'),
+    'credential:broken': 'SAFE:bm90LXdyYXBwZWQ=',
+  });
+  cryptoBridge.setBlobStore(store);
+
+  const res = await call('rotator', 'POST', '/rotate', { purge: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.reencrypted, 1);
+  assert.deepEqual(res.body.failed.map(f => f.id), ['credential:broken']);
+  assert.deepEqual(res.body.purged, []);
+  const ring = JSON.parse(fs.readFileSync(path.join(DIR, 'crypto-keys.json'), 'utf8'));
+  assert.ok(ring.keys.some(k => k.id === previousKeyId));
+});
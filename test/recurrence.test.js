@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../src/main/recurrence');
+
+const NY = { tz: 'America/New_York' };
+const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+
+test('cron: next daily match in the spec timezone', () => {
+  assert.equal(iso(recurrence.nextRun('0 9 * * *', Date.UTC(2026, 5, 1, 14, 0), NY)), '2026-06-02T13:00:00.000Z');
+  assert.equal(iso(recurrence.nextRun('0 9 * * *', Date.UTC(2026, 5, 1, 12, 0), NY)), '2026-06-01T13:00:00.000Z');
+});
+
+test('cron: wall time in the spring-forward gap shifts forward by the gap', () => {
+  // 2026-03-08 02:30 does not exist in New York — runs at 03:30 EDT
+  assert.equal(iso(recurrence.nextRun('30 2 * * *', Date.UTC(2026, 2, 7, 12, 0), NY)), '2026-03-08T07:30:00.000Z');
+});
+
+test('cron: ambiguous fall-back wall time runs once, at the first instant', () => {
+  const first = recurrence.nextRun('30 1 * * *', Date.UTC(2026, 9, 31, 12, 0), NY);
+  assert.equal(iso(first), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+  assert.equal(iso(recurrence.nextRun('30 1 * * *', first, NY)), '2026-11-02T06:30:00.000Z');
+});
+
+test('cron: restricted day-of-month and day-of-week match either (Vixie)', () => {
+  // 13th of the month or any Friday
+  const runs = recurrence.upcoming('0 12 13 * 5', 3, Date.UTC(2026, 1, 1), { tz: 'UTC' }).map(iso);
+  assert.deepEqual(runs, ['2026-02-06T12:00:00.000Z', '2026-02-13T12:00:00.000Z', '2026-02-20T12:00:00.000Z']);
+});
+
+test('cron: sparse Feb 29 expression finds the next leap year', () => {
+  assert.equal(iso(recurrence.nextRun('0 0 29 2 *', Date.UTC(2026, 0, 1), { tz: 'UTC' })), '2028-02-29T00:00:00.000Z');
+});
+
+test('cron: a week of */5 stays fast', () => {
+  const start = Date.now();
+  const runs = recurrence.upcoming('*/5 * * * *', 7 * 288, Date.UTC(2026, 2, 5), NY);
+  assert.equal(runs.length, 7 * 288);
+  // Across the DST change the spacing stays 5 real minutes
+  assert.ok(runs.every((t, i) => i === 0 || t - runs[i - 1] === 5 * 60 * 1000));
+  assert.ok(Date.now() - start < 3000);
+});
+
+test('rrule: monthly last Friday', () => {
+  const opts = { tz: 'UTC', dtstart: Date.UTC(2026, 0, 1, 17, 0) };
+  const runs = recurrence.upcoming('RRULE:FREQ=MONTHLY;BYDAY=-1FR', 3, Date.UTC(2026, 0, 1), opts).map(iso);
+  assert.deepEqual(runs, ['2026-01-30T17:00:00.000Z', '2026-02-27T17:00:00.000Z', '2026-03-27T17:00:00.000Z']);
+});
+
+test('rrule: weekly interval counts weeks from DTSTART', () => {
+  // DTSTART Tue 2026-01-13 → weeks of Jan 12, Jan 26, Feb 9 …
+  const opts = { tz: 'UTC', dtstart: Date.UTC(2026, 0, 13, 8, 0) };
+  const runs = recurrence.upcoming('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', 4, Date.UTC(2026, 0, 13), opts).map(iso);
+  assert.deepEqual(runs, [
+    '2026-01-14T08:00:00.000Z', '2026-01-26T08:00:00.000Z', '2026-01-28T08:00:00.000Z', '2026-02-09T08:00:00.000Z',
+  ]);
+  // Same answer when asked far from DTSTART
+  assert.equal(iso(recurrence.nextRun('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', Date.UTC(2027, 0, 1), opts)), '2027-01-11T08:00:00.000Z');
+});
+
+test('rrule: daily keeps its wall time across DST', () => {
+  const opts = { tz: 'America/New_York', dtstart: Date.UTC(2026, 2, 6, 14, 0) }; // 09:00 EST
+  const runs = recurrence.upcoming('RRULE:FREQ=DAILY', 3, Date.UTC(2026, 2, 6, 15, 0), opts).map(iso);
+  assert.deepEqual(runs, ['2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z', '2026-03-09T13:00:00.000Z']);
+});
+
+test('rrule: COUNT and UNTIL exhaust the rule', () => {
+  const opts = { tz: 'UTC', dtstart: Date.UTC(2026, 0, 1, 9, 0) };
+  assert.equal(recurrence.upcoming('RRULE:FREQ=DAILY;COUNT=3', 10, Date.UTC(2025, 11, 1), opts).length, 3);
+  assert.equal(recurrence.nextRun('RRULE:FREQ=DAILY;COUNT=3', Date.UTC(2026, 0, 3, 9, 0), opts), null);
+  assert.equal(iso(recurrence.nextRun('RRULE:FREQ=DAILY;UNTIL=20260105T090000Z', Date.UTC(2026, 0, 4, 10), opts)), '2026-01-05T09:00:00.000Z');
+  assert.equal(recurrence.nextRun('RRULE:FREQ=DAILY;UNTIL=20260105T090000Z', Date.UTC(2026, 0, 5, 10), opts), null);
+});
+
+test('rrule: short intervals keep running years after DTSTART', () => {
+  const opts = { tz: 'UTC', dtstart: Date.UTC(2026, 0, 1) };
+  assert.equal(iso(recurrence.nextRun('RRULE:FREQ=MINUTELY;INTERVAL=5', Date.UTC(2030, 0, 1, 0, 2), opts)), '2030-01-01T00:05:00.000Z');
+  assert.equal(iso(recurrence.nextRun('RRULE:FREQ=HOURLY;INTERVAL=7', Date.UTC(2036, 0, 1), opts)), '2036-01-01T06:00:00.000Z');
+});
+
+test('rrule: a year of missed daily occurrences stays fast', () => {
+  const opts = { tz: 'Europe/Berlin', dtstart: Date.UTC(2025, 0, 1, 8, 0) };
+  const start = Date.now();
+  assert.equal(recurrence.upcoming('RRULE:FREQ=DAILY', 364, Date.UTC(2026, 0, 1), opts).length, 364);
+  assert.ok(Date.now() - start < 3000);
+});
+
+test('parse: unsupported RRULE parts are rejected', () => {
+  assert.throws(() => recurrence.parse('RRULE:FREQ=MONTHLY;BYSETPOS=-1;BYDAY=MO'), /BYSETPOS/);
+  assert.equal(recurrence.nextRun('on_demand'), null);
+});
+
+test('describe: readable labels', () => {
+  assert.equal(recurrence.describe('0 9 * * 1-5'), 'weekdays at 9:00');
+  assert.equal(recurrence.describe('*/5 * * * *'), 'every 5min');
+  assert.equal(recurrence.describe('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;BYHOUR=8;BYMINUTE=30', { tz: 'UTC' }), 'every 2 weeks on Mon, Wed at 8:30');
+  assert.equal(recurrence.describe('Custom schedule'), 'Custom schedule');
+});
+
+test('occurrences: one pass over a long stretch, capped', () => {
+  const opts = { tz: 'UTC', dtstart: Date.UTC(2020, 0, 1, 9, 0) };
+  const from = Date.UTC(2026, 0, 1), until = Date.UTC(2026, 11, 31, 23, 59);
+  assert.equal(recurrence.occurrences('RRULE:FREQ=DAILY', from, until, Infinity, opts).length, 365);
+  assert.equal(recurrence.occurrences('0 9 * * *', from, until, 10, { tz: 'UTC' }).length, 10);
+  // COUNT rules are still counted from DTSTART — 2192 days before 2026, 8 left
+  assert.equal(recurrence.occurrences('RRULE:FREQ=DAILY;COUNT=2200', from, until, Infinity, opts).length, 8);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store lives under ~/.thinkdrop — point the home directory at a temp dir first
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-store-test-'));
+process.env.HOME = HOME;
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+const scheduleStore = require('../src/main/scheduleStore');
+
+const DIR = path.join(HOME, '.thinkdrop');
+const STORE = path.join(DIR, 'schedules.json');
+const record = (id) => ({ id, targetMs: Date.UTC(2026, 5, 1), label: id, prompt: 'p', skillPlan: [], registeredAt: 0 });
+
+test('an unparseable store is set aside before the next write', () => {
+  fs.mkdirSync(DIR, { recursive: true });
+  fs.writeFileSync(STORE, '{"version":1,"schedules":{"sched_1":', 'utf8');
+
+  assert.deepEqual(scheduleStore.list(), []);
+  assert.equal(fs.readFileSync(`${STORE}.bad`, 'utf8'), '{"version":1,"schedules":{"sched_1":');
+
+  scheduleStore.upsert(record('sched_2'));
+  assert.deepEqual(scheduleStore.list().map(r => r.id), ['sched_2']);
+  assert.equal(fs.readFileSync(`${STORE}.bad`, 'utf8'), '{"version":1,"schedules":{"sched_1":');
+});
+
+test('writes are refused while an unparseable store cannot be set aside', () => {
+  fs.rmSync(`${STORE}.bad`, { force: true });
+  fs.mkdirSync(path.join(`${STORE}.bad`, 'blocker'), { recursive: true });
+  fs.writeFileSync(STORE, 'not json', 'utf8');
+
+  assert.throws(() => scheduleStore.upsert(record('sched_3')), /unreadable/);
+  assert.equal(fs.readFileSync(STORE, 'utf8'), 'not json');
+
+  // Repaired by hand — writes go through again
+  fs.writeFileSync(STORE, JSON.stringify({ version: 1, schedules: {} }), 'utf8');
+  scheduleStore.upsert(record('sched_3'));
+  assert.deepEqual(scheduleStore.list().map(r => r.id), ['sched_3']);
+});